@@ -0,0 +1,75 @@
+const { setupDatabase, closeDatabase, createCompany, createUser } = require('./helpers/testApp');
+
+describe('Accounts and manual journal entries', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let api;
+  let bank;
+  let loan;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, api } = await createCompany());
+
+    const accounts = (await api.get('/api/accounting/accounts').expect(200)).body.data;
+    bank = accounts.find(account => account.systemKey === 'bank');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('creates a custom account and refuses a duplicate code', async () => {
+    const response = await api.post('/api/accounting/accounts').send({
+      code: '2600', name: 'Equipment Loan', type: 'liability', subtype: 'long_term_liability', reportKey: 'longTermDebt'
+    }).expect(201);
+    loan = response.body.data;
+    expect(loan.code).toBe('2600');
+
+    await api.post('/api/accounting/accounts').send({
+      code: '2600', name: 'Another Loan', type: 'liability', subtype: 'long_term_liability'
+    }).expect(400);
+  });
+
+  test('refuses a journal entry whose debits and credits differ', async () => {
+    const response = await api.post('/api/accounting/journal-entries').send({
+      date: '2026-02-01',
+      description: 'Loan drawdown',
+      lines: [{ accountId: bank.id, debit: 1000 }, { accountId: loan.id, credit: 900 }]
+    }).expect(400);
+
+    expect(response.body.errors[0].msg).toMatch(/must equal credits/);
+  });
+
+  test('only owners and admins post journal entries', async () => {
+    const { api: staff } = await createUser(company, 'user');
+
+    await staff.post('/api/accounting/journal-entries').send({
+      date: '2026-02-01',
+      description: 'Loan drawdown',
+      lines: [{ accountId: bank.id, debit: 1000 }, { accountId: loan.id, credit: 1000 }]
+    }).expect(403);
+  });
+
+  test('posts a balanced entry to the accounts and voids it', async () => {
+    const entry = (await api.post('/api/accounting/journal-entries').send({
+      date: '2026-02-01',
+      description: 'Loan drawdown',
+      lines: [{ accountId: bank.id, debit: 1000 }, { accountId: loan.id, credit: 1000 }]
+    }).expect(201)).body.data;
+    expect(entry.lines).toHaveLength(2);
+
+    let account = (await api.get(`/api/accounting/accounts/${loan.id}`).expect(200)).body.data.account;
+    expect(account.balance).toBeCloseTo(1000);
+
+    // An account with postings cannot be deleted
+    await api.delete(`/api/accounting/accounts/${loan.id}`).expect(400);
+
+    const voided = (await api.post(`/api/accounting/journal-entries/${entry.id}/void`).expect(200)).body.data;
+    expect(voided.status).toBe('void');
+
+    account = (await api.get(`/api/accounting/accounts/${loan.id}`).expect(200)).body.data.account;
+    expect(account.balance).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,70 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Batch and expiry tracking', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let milk;
+
+  const lots = async () => {
+    const batches = await models.ProductBatch.findAll({ where: { productId: milk.id }, order: [['lotNumber', 'ASC']] });
+    return Object.fromEntries(batches.map(batch => [batch.lotNumber, batch.quantity]));
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+
+    milk = (await api.post('/api/products').send({
+      name: 'Milk', price: 3, cost: 1, sku: 'MILK', stockQuantity: 5, trackBatches: true, lotNumber: 'L1', expiryDate: '2020-01-01'
+    }).expect(201)).body;
+    await api.patch(`/api/products/${milk.id}/adjust-stock`).send({ quantity: 4, operation: 'add', lotNumber: 'L2', expiryDate: '2099-01-01' }).expect(200);
+    await api.patch(`/api/products/${milk.id}/adjust-stock`).send({ quantity: 3, operation: 'add', lotNumber: 'L3', expiryDate: '2098-06-01' }).expect(200);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('a lot keeps one expiry date', async () => {
+    await api.patch(`/api/products/${milk.id}/adjust-stock`).send({ quantity: 1, operation: 'add', lotNumber: 'L3', expiryDate: '2097-06-01' }).expect(400);
+  });
+
+  test('expired lots are not sellable', async () => {
+    const response = await api.get(`/api/products/${milk.id}/batches`).expect(200);
+    expect(response.body.sellableQuantity).toBe(7);
+    expect(response.body.batches.find(batch => batch.lotNumber === 'L1').expired).toBe(true);
+
+    await api.post('/api/pos/sales').send({ items: [{ productId: milk.id, quantity: 8 }], paymentMethod: 'card' }).expect(400);
+  });
+
+  test('sells the first-expiring lot first', async () => {
+    await api.post('/api/pos/sales').send({ items: [{ productId: milk.id, quantity: 4 }], paymentMethod: 'card' }).expect(201);
+    expect(await lots()).toEqual({ L1: 5, L2: 3, L3: 0 });
+  });
+
+  test('reports expired and expiring lots and writes them off', async () => {
+    const report = (await api.get('/api/products/near-expiry').expect(200)).body;
+    expect(report.batches.map(batch => [batch.lotNumber, batch.expired])).toEqual([['L1', true]]);
+
+    const expired = await models.ProductBatch.findOne({ where: { productId: milk.id, lotNumber: 'L1' } });
+    await api.patch(`/api/products/${milk.id}/adjust-stock`).send({ quantity: 6, operation: 'subtract', type: 'write_off', batchId: expired.id }).expect(400);
+    await api.patch(`/api/products/${milk.id}/adjust-stock`).send({ quantity: 5, operation: 'subtract', type: 'write_off', batchId: expired.id }).expect(200);
+
+    expect(await lots()).toEqual({ L1: 0, L2: 3, L3: 0 });
+    expect((await models.Product.findByPk(milk.id)).stockQuantity).toBe(3);
+  });
+
+  test('only stocked products track batches', async () => {
+    await api.post('/api/products').send({ name: 'Delivery', price: 2, trackInventory: false, trackBatches: true }).expect(400);
+  });
+  test('stock in lots is not edited on the product', async () => {
+    const response = await api.put(`/api/products/${milk.id}`).send({ name: 'Whole milk', stockQuantity: 10 }).expect(400);
+    expect(response.body.error).toMatch(/tracked by lot/);
+
+    // The unchanged count sent back with the rest of the form is fine
+    await api.put(`/api/products/${milk.id}`).send({ name: 'Whole milk', stockQuantity: 3 }).expect(200);
+    expect(await lots()).toEqual({ L1: 0, L2: 3, L3: 0 });
+  });
+});
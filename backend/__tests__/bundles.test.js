@@ -0,0 +1,78 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Bundles and kits', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let jam;
+  let tea;
+  let card;
+  let hamper;
+
+  const stockOf = async product => (await models.Product.findByPk(product.id)).stockQuantity;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+
+    jam = (await api.post('/api/products').send({ name: 'Jam', price: 5, cost: 2, sku: 'JAM', stockQuantity: 10 }).expect(201)).body;
+    tea = (await api.post('/api/products').send({ name: 'Tea', price: 4, cost: 1.5, sku: 'TEA', stockQuantity: 7 }).expect(201)).body;
+    card = (await api.post('/api/products').send({ name: 'Card', price: 1, cost: 0.5, sku: 'CARD', trackInventory: false }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('a bundle lists each component once and cannot contain a bundle', async () => {
+    await api.post('/api/products').send({
+      name: 'Hamper', price: 30, productType: 'bundle', components: [{ productId: jam.id, quantity: 2 }, { productId: jam.id, quantity: 1 }]
+    }).expect(400);
+
+    hamper = (await api.post('/api/products').send({
+      name: 'Hamper',
+      price: 30,
+      sku: 'HAMPER',
+      productType: 'bundle',
+      stockQuantity: 5,
+      components: [{ productId: jam.id, quantity: 2 }, { productId: tea.id, quantity: 3 }, { productId: card.id, quantity: 1 }]
+    }).expect(201)).body;
+    // A bundle holds no stock of its own
+    expect(hamper.stockQuantity).toBe(0);
+
+    await api.post('/api/products').send({
+      name: 'Mega Hamper', price: 60, productType: 'bundle', components: [{ productId: hamper.id, quantity: 2 }]
+    }).expect(400);
+  });
+
+  test('what can be sold is limited by the scarcest component', async () => {
+    const response = await api.get(`/api/products/${hamper.id}`).expect(200);
+    // Seven tea at three a hamper
+    expect(response.body.availableQuantity).toBe(2);
+    // The card is not stocked, so only jam and tea carry a cost
+    expect(response.body.componentCost).toBeCloseTo(8.5);
+
+    await api.post('/api/pos/sales').send({ items: [{ productId: hamper.id, quantity: 3 }], paymentMethod: 'card' }).expect(400);
+  });
+
+  test('selling a bundle takes its components out of stock and refunds put them back', async () => {
+    const sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: hamper.id, quantity: 2 }],
+      paymentMethod: 'card'
+    }).expect(201)).body.data;
+
+    expect(await stockOf(jam)).toBe(6);
+    expect(await stockOf(tea)).toBe(1);
+    const line = await models.POSSaleItem.findOne({ where: { saleId: sale.id } });
+    expect(parseFloat(line.costAmount)).toBeCloseTo(17);
+
+    await api.post(`/api/pos/sales/${sale.id}/refund`).send({ items: [{ saleItemId: line.id, quantity: 1 }] }).expect(200);
+    expect(await stockOf(jam)).toBe(8);
+    expect(await stockOf(tea)).toBe(4);
+  });
+
+  test('a product used in a bundle cannot be deleted', async () => {
+    await api.delete(`/api/products/${jam.id}`).expect(400);
+  });
+});
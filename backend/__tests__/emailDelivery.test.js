@@ -0,0 +1,87 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+const emailService = require('../src/services/emailService');
+const pdfService = require('../src/services/PDFService');
+
+describe('Emailing invoices and receipts', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let api;
+  let invoice;
+  const sendMail = jest.fn();
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, api } = await createCompany());
+
+    jest.spyOn(emailService, 'createTransport').mockReturnValue({ sendMail });
+    jest.spyOn(pdfService, 'generatePDF').mockResolvedValue(Buffer.from('%PDF-1.4 test'));
+
+    const customer = await models.Customer.create({ companyId: company.id, name: 'Acme', email: 'accounts@acme.test' });
+    const product = await models.Product.create({ companyId: company.id, name: 'Hosting', price: 100, sku: 'HOST-1' });
+    invoice = (await api.post('/api/invoices').send({
+      customerId: customer.id,
+      dueDate: '2026-10-31',
+      items: [{ productId: product.id, quantity: 1, unitPrice: 100 }]
+    }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeDatabase();
+  });
+
+  test('an invoice cannot be emailed before SMTP is set up', async () => {
+    await api.post(`/api/invoices/${invoice.id}/send`).send({}).expect(400);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('emails the invoice with its PDF and marks it sent', async () => {
+    await api.put('/api/companies/email-settings').send({
+      smtp: { host: 'smtp.example.com', port: 587, user: 'mailer', password: 'secret', fromEmail: 'billing@example.com', fromName: 'Billing' },
+      emailTemplates: { invoice: { subject: 'Invoice {{documentNumber}}', body: 'Hi {{customerName}}' } }
+    }).expect(200);
+
+    // Saving the profile keeps the SMTP password it does not show
+    const profile = (await api.get('/api/companies/profile').expect(200)).body;
+    await api.put('/api/companies/profile').send({ settings: profile.settings }).expect(200);
+    await company.reload();
+    expect(company.settings.smtp.password).toBe('secret');
+
+    sendMail.mockResolvedValueOnce({ messageId: '<sent-1@example.com>' });
+    const response = await api.post(`/api/invoices/${invoice.id}/send`).send({ cc: 'boss@acme.test' }).expect(200);
+
+    expect(response.body.invoice.status).toBe('sent');
+    expect(response.body.delivery.status).toBe('sent');
+
+    const message = sendMail.mock.calls[0][0];
+    expect(message.to).toBe('accounts@acme.test');
+    expect(message.cc).toBe('boss@acme.test');
+    expect(message.subject).toBe(`Invoice ${invoice.invoiceNumber}`);
+    expect(message.attachments[0].filename).toMatch(/\.pdf$/);
+  });
+
+  test('logs a failed delivery and reports it', async () => {
+    sendMail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+    await api.post(`/api/invoices/${invoice.id}/send`).send({ email: 'nobody@acme.test' }).expect(502);
+
+    const deliveries = (await api.get(`/api/invoices/${invoice.id}/deliveries`).expect(200)).body;
+    expect(deliveries.map(delivery => [delivery.recipient, delivery.status]).sort()).toEqual([
+      ['accounts@acme.test', 'sent'],
+      ['nobody@acme.test', 'failed']
+    ]);
+  });
+
+  test('emails a POS receipt', async () => {
+    const product = await models.Product.create({ companyId: company.id, name: 'Cable', price: 10, stockQuantity: 5 });
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+    const sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: product.id, quantity: 1 }],
+      paymentMethod: 'card'
+    }).expect(201)).body.data;
+
+    sendMail.mockResolvedValueOnce({ messageId: '<receipt-1@example.com>' });
+    await api.post(`/api/pos/sales/${sale.id}/email-receipt`).send({ email: 'walkin@example.com' }).expect(200);
+    expect(sendMail.mock.calls.at(-1)[0].to).toBe('walkin@example.com');
+  });
+});
@@ -0,0 +1,53 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Input tax on expenses', () => {
+  jest.setTimeout(30000);
+
+  let api;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  const ledgerLines = async (expenseId) => {
+    const entry = await models.JournalEntry.findOne({
+      where: { sourceType: 'expense', sourceId: expenseId, status: 'posted' },
+      include: [{ model: models.JournalLine, as: 'lines', include: [models.Account] }]
+    });
+    return Object.fromEntries(entry.lines.map(line => [line.Account.systemKey, parseFloat(line.debit) - parseFloat(line.credit)]));
+  };
+
+  test('takes the tax out of a tax-inclusive amount and posts the expense net', async () => {
+    const expense = (await api.post('/api/expenses').send({
+      category: 'Rent', description: 'Rent', amount: 110, taxRate: 10, date: '2026-03-01', paymentMethod: 'bank_transfer', status: 'approved'
+    }).expect(201)).body;
+    expect(parseFloat(expense.taxAmount)).toBeCloseTo(10);
+
+    const lines = await ledgerLines(expense.id);
+    expect(lines.expense_rent).toBeCloseTo(100);
+    expect(lines.gst_receivable).toBeCloseTo(10);
+    expect(lines.bank).toBeCloseTo(-110);
+  });
+
+  test('adds the tax on top of a tax-exclusive amount', async () => {
+    const expense = (await api.post('/api/expenses').send({
+      category: 'Utilities', description: 'Power', amount: 100, taxRate: 15, taxInclusive: false, date: '2026-03-02', status: 'approved'
+    }).expect(201)).body;
+    expect(parseFloat(expense.taxAmount)).toBeCloseTo(15);
+
+    const lines = await ledgerLines(expense.id);
+    expect(lines.expense_utilities).toBeCloseTo(100);
+    expect(lines.gst_receivable).toBeCloseTo(15);
+  });
+
+  test('refuses tax that is not less than a tax-inclusive amount', async () => {
+    await api.post('/api/expenses').send({
+      category: 'Supplies', description: 'Paper', amount: 50, taxAmount: 50, date: '2026-03-03'
+    }).expect(400);
+  });
+});
@@ -0,0 +1,62 @@
+const { setupDatabase, closeDatabase, createCompany } = require('./helpers/testApp');
+
+describe('Fixed asset register', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let van;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('registers an asset at cost', async () => {
+    const response = await api.post('/api/fixed-assets').send({
+      name: 'Delivery Van',
+      category: 'vehicles',
+      purchaseDate: '2026-01-01',
+      purchaseCost: 12000,
+      salvageValue: 2000,
+      usefulLifeMonths: 40
+    }).expect(201);
+
+    van = response.body.data;
+    expect(parseFloat(van.bookValue)).toBeCloseTo(12000);
+  });
+
+  test('depreciates straight line once per month, however often it runs', async () => {
+    let response = await api.post('/api/fixed-assets/depreciation/run').send({ throughDate: '2026-06-30' }).expect(200);
+    const run = response.body.data.assets.find(asset => asset.id === van.id);
+    // (12000 - 2000) / 40 a month for January to June
+    expect(run.depreciation).toBeCloseTo(1500);
+    expect(run.bookValue).toBeCloseTo(10500);
+
+    response = await api.post('/api/fixed-assets/depreciation/run').send({ throughDate: '2026-06-30' }).expect(200);
+    expect(response.body.data.assets).toHaveLength(0);
+  });
+
+  test('cost cannot change once depreciation is posted', async () => {
+    await api.put(`/api/fixed-assets/${van.id}`).send({ purchaseCost: 5000 }).expect(400);
+  });
+
+  test('disposal leaves the ledger balanced', async () => {
+    const response = await api.post(`/api/fixed-assets/${van.id}/dispose`).send({
+      disposalDate: '2026-06-30', disposalAmount: 11000, disposalMethod: 'cash'
+    }).expect(200);
+    expect(response.body.data.status).toBe('disposed');
+
+    const trialBalance = (await api.get('/api/financial-reports/trial-balance')
+      .query({ asOfDate: '2026-12-31' })
+      .expect(200)).body.data;
+    expect(trialBalance.totals.balanced).toBe(true);
+
+    // Sold for 500 over its book value
+    const gain = trialBalance.accounts.find(account => account.accountCode === '4910');
+    expect(gain.credit).toBeCloseTo(500);
+  });
+});
@@ -0,0 +1,88 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('GST return', () => {
+  jest.setTimeout(30000);
+
+  let api;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    let company;
+    let user;
+    ({ company, user, api } = await createCompany());
+    await company.update({ taxId: 'GST-123', gstEnabled: true, gstRate: 10 });
+
+    const customer = await models.Customer.create({ companyId: company.id, name: 'GST Customer' });
+    const invoice = (number, issueDate, subtotal, gstAmount) => models.Invoice.create({
+      companyId: company.id,
+      customerId: customer.id,
+      createdBy: user.id,
+      invoiceNumber: number,
+      status: 'sent',
+      issueDate,
+      dueDate: issueDate,
+      subtotal,
+      gstEnabled: gstAmount > 0,
+      gstRate: gstAmount > 0 ? 10 : 0,
+      gstAmount,
+      total: subtotal + gstAmount
+    });
+    await invoice('INV-GST-1', '2026-01-10', 100, 10);
+    await invoice('INV-GST-2', '2026-04-10', 50, 0);
+    await invoice('INV-GST-3', '2026-05-10', 200, 20);
+
+    await api.post('/api/expenses').send({
+      category: 'Rent', description: 'February rent', amount: 55, taxRate: 10, date: '2026-02-01', status: 'approved'
+    }).expect(201);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('nets output tax on sales against input tax on purchases', async () => {
+    const response = await api.get('/api/financial-reports/gst-return')
+      .query({ startDate: '2026-01-01', endDate: '2026-06-30' })
+      .expect(200);
+    const { summary, company, details } = response.body.data;
+
+    expect(company.taxId).toBe('GST-123');
+    expect(summary.taxableSales).toBeCloseTo(300);
+    expect(summary.exemptSales).toBeCloseTo(50);
+    expect(summary.outputTax).toBeCloseTo(30);
+    expect(summary.inputTax).toBeCloseTo(5);
+    expect(summary.netPayable).toBeCloseTo(25);
+    expect(summary.position).toBe('payable');
+    expect(details.output.map(line => line.reference).sort()).toEqual(['INV-GST-1', 'INV-GST-3']);
+  });
+
+  test('splits the return into filing periods', async () => {
+    const response = await api.get('/api/financial-reports/gst-return')
+      .query({ startDate: '2026-01-01', endDate: '2026-06-30', frequency: 'quarterly' })
+      .expect(200);
+
+    expect(response.body.data.periods.map(period => period.netPayable)).toEqual([5, 20]);
+
+    await api.get('/api/financial-reports/gst-return')
+      .query({ startDate: '2026-01-01', endDate: '2026-06-30', frequency: 'weekly' })
+      .expect(400);
+  });
+
+  test('exports the return as CSV', async () => {
+    const response = await api.post('/api/financial-reports/export').send({
+      reportType: 'gst-return', format: 'csv', parameters: { startDate: '2026-01-01', endDate: '2026-06-30' }
+    }).expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.text).toMatch(/INV-GST-3/);
+  });
+
+  test('export checks the dates and refuses reports it cannot export', async () => {
+    const exportReport = (body) => api.post('/api/financial-reports/export').send({ format: 'csv', ...body });
+
+    await exportReport({ reportType: 'gst-return', parameters: { endDate: '2026-06-30' } }).expect(400);
+    await exportReport({ reportType: 'gst-return', parameters: { startDate: 'soon', endDate: '2026-06-30' } }).expect(400);
+    await exportReport({ reportType: 'gst-return', parameters: { startDate: '2026-07-01', endDate: '2026-06-30' } }).expect(400);
+    await exportReport({ reportType: 'profit-loss', parameters: { startDate: '2026-01-01', endDate: '2026-06-30' } }).expect(501);
+  });
+});
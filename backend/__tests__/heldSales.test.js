@@ -0,0 +1,68 @@
+const { setupDatabase, closeDatabase, createCompany, createUser, models } = require('./helpers/testApp');
+
+describe('Held sales', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let cashier;
+  let pen;
+
+  const hold = (body) => api.post('/api/pos/held-sales').send(body);
+
+  beforeAll(async () => {
+    await setupDatabase();
+    let company;
+    ({ api, company } = await createCompany());
+    ({ api: cashier } = await createUser(company, 'cashier'));
+
+    pen = (await api.post('/api/products').send({ name: 'Pen', price: 10, cost: 4, stockQuantity: 2 }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('only managers set how long sales stay held', async () => {
+    await cashier.put('/api/companies/pos-settings').send({ heldSaleExpiryMinutes: 30 }).expect(403);
+    await api.put('/api/companies/pos-settings').send({ heldSaleExpiryMinutes: 0 }).expect(400);
+    await api.put('/api/companies/pos-settings').send({ heldSaleExpiryMinutes: 30 }).expect(200);
+  });
+
+  test('holds a cart without taking stock', async () => {
+    await hold({ items: [] }).expect(400);
+    await hold({ items: [{ productId: '00000000-0000-0000-0000-000000000000', quantity: 1 }] }).expect(404);
+
+    const held = (await hold({
+      label: ' Mrs Smith ',
+      items: [{ productId: pen.id, quantity: 5, discountType: 'percentage', discountValue: 10 }]
+    }).expect(201)).body.data;
+
+    expect(held.label).toBe('Mrs Smith');
+    expect(held.itemCount).toBe(5);
+    expect(Math.round((new Date(held.expiresAt) - Date.now()) / 60000)).toBe(30);
+    expect((await models.Product.findByPk(pen.id)).stockQuantity).toBe(2);
+  });
+
+  test('any cashier resumes a held sale, once', async () => {
+    const [held] = (await cashier.get('/api/pos/held-sales').expect(200)).body.data;
+
+    const cart = (await cashier.post(`/api/pos/held-sales/${held.id}/resume`).expect(200)).body.data;
+    expect(cart.items.map(item => [item.product.name, item.quantity])).toEqual([['Pen', 5]]);
+
+    await api.post(`/api/pos/held-sales/${held.id}/resume`).expect(404);
+  });
+
+  test('an expired hold cannot be resumed and drops off the list', async () => {
+    const held = (await hold({ items: [{ productId: pen.id, quantity: 1 }] }).expect(201)).body.data;
+    await models.POSHeldSale.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: held.id } });
+
+    await api.post(`/api/pos/held-sales/${held.id}/resume`).expect(404);
+    expect((await api.get('/api/pos/held-sales').expect(200)).body.data).toEqual([]);
+  });
+
+  test('discards a held sale', async () => {
+    const held = (await hold({ items: [{ productId: pen.id, quantity: 1 }] }).expect(201)).body.data;
+    await api.delete(`/api/pos/held-sales/${held.id}`).expect(200);
+    await api.delete(`/api/pos/held-sales/${held.id}`).expect(404);
+  });
+});
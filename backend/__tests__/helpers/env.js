@@ -0,0 +1,3 @@
+// Environment every test file starts with
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
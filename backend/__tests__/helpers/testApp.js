@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+// Each test file runs against its own SQLite database, created fresh
+process.env.DATABASE_URL = path.join(os.tmpdir(), `bolibooks-test-${crypto.randomUUID()}.sqlite`);
+process.env.FORCE_DB_SYNC = 'true';
+
+const app = require('../../src/server');
+const { models, sequelize, initializeDatabase } = require('../../src/database');
+
+async function setupDatabase() {
+  await initializeDatabase();
+}
+
+async function closeDatabase() {
+  await sequelize.close();
+  fs.rmSync(process.env.DATABASE_URL, { force: true });
+}
+
+// Requests to the API signed in as a user
+function agentFor(user) {
+  const token = jwt.sign({ id: user.id, email: user.email, companyId: user.companyId }, process.env.JWT_SECRET);
+  const signed = method => url => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  return {
+    token,
+    get: signed('get'),
+    post: signed('post'),
+    put: signed('put'),
+    patch: signed('patch'),
+    delete: signed('delete')
+  };
+}
+
+async function createUser(company, role = 'owner') {
+  const user = await models.User.create({
+    companyId: company.id,
+    email: `${role}-${crypto.randomUUID()}@example.com`,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: role,
+    role
+  });
+  return { user, api: agentFor(user) };
+}
+
+/**
+ * Register a company through the API with an owner signed in. The company
+ * is in its trial period, so every plan feature is open to it.
+ */
+async function createCompany(settings = {}) {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      email: `owner-${crypto.randomUUID()}@example.com`,
+      password: 'password123',
+      firstName: 'Test',
+      lastName: 'Owner',
+      companyName: 'Test Company'
+    })
+    .expect(201);
+
+  const company = await models.Company.findByPk(response.body.user.companyId);
+  const trialEndDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  await company.update({ settings: { ...company.settings, trialEndDate, ...settings } });
+
+  const user = await models.User.findByPk(response.body.user.id);
+  return { company, user, api: agentFor(user) };
+}
+
+module.exports = {
+  app,
+  models,
+  sequelize,
+  setupDatabase,
+  closeDatabase,
+  agentFor,
+  createUser,
+  createCompany
+};
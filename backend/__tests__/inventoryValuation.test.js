@@ -0,0 +1,74 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Inventory valuation', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let supplier;
+
+  // Ten units opened at a cost of 4, ten more received at 6
+  const stockedProduct = async (sku) => {
+    const product = (await api.post('/api/products').send({ name: sku, price: 10, cost: 4, sku, stockQuantity: 10 }).expect(201)).body;
+    const order = (await api.post('/api/purchase-orders').send({
+      supplierId: supplier.id,
+      items: [{ productId: product.id, quantity: 10, unitCost: 6 }]
+    }).expect(201)).body;
+    await api.post(`/api/purchase-orders/${order.id}/send`).expect(200);
+    await api.post(`/api/purchase-orders/${order.id}/receive`).send({ items: [{ itemId: order.items[0].id, quantity: 10 }] }).expect(200);
+    return product;
+  };
+
+  const sell = async (product, quantity) => {
+    const sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: product.id, quantity }],
+      paymentMethod: 'card'
+    }).expect(201)).body.data;
+    return models.POSSaleItem.findOne({ where: { saleId: sale.id } });
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    supplier = (await api.post('/api/suppliers').send({ name: 'Wholesaler' }).expect(201)).body;
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('accepts only the supported valuation methods', async () => {
+    await api.put('/api/companies/inventory-settings').send({ valuationMethod: 'lifo' }).expect(400);
+  });
+
+  test('FIFO costs a sale from the oldest stock first', async () => {
+    await api.put('/api/companies/inventory-settings').send({ valuationMethod: 'fifo' }).expect(200);
+    const product = await stockedProduct('FIFO-1');
+
+    const line = await sell(product, 15);
+    // Ten at 4, then five at 6
+    expect(parseFloat(line.costAmount)).toBeCloseTo(70);
+
+    const valuation = (await api.get('/api/reports/inventory-valuation').expect(200)).body;
+    const row = valuation.products.find(item => item.name === 'FIFO-1');
+    expect(row.quantity).toBe(5);
+    expect(row.value).toBeCloseTo(30);
+  });
+
+  test('weighted average costs a sale at the average of the stock on hand', async () => {
+    await api.put('/api/companies/inventory-settings').send({ valuationMethod: 'weighted_average' }).expect(200);
+    const product = await stockedProduct('WAC-1');
+
+    const line = await sell(product, 5);
+    expect(parseFloat(line.costAmount)).toBeCloseTo(25);
+  });
+
+  test('values stock as of a date', async () => {
+    const today = (await api.get('/api/reports/inventory-valuation').expect(200)).body;
+    // Five FIFO units at 6 and fifteen at the average cost of 5
+    expect(today.summary.totalValue).toBeCloseTo(105);
+
+    const before = (await api.get('/api/reports/inventory-valuation').query({ asOfDate: '2020-01-01' }).expect(200)).body;
+    expect(before.summary.totalValue).toBe(0);
+  });
+});
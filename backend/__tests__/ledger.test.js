@@ -0,0 +1,115 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+
+describe('General ledger', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let company;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api, company } = await createCompany());
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  const trialBalance = async () => {
+    const response = await api.get('/api/financial-reports/trial-balance')
+      .query({ asOfDate: new Date().toISOString().slice(0, 10) })
+      .expect(200);
+    return response.body.data;
+  };
+
+  const balanceOf = (data, code) => {
+    const account = data.accounts.find(row => row.accountCode === code);
+    return account ? account.debit - account.credit : 0;
+  };
+
+  test('trial balance stays balanced after an invoice, a payment, a POS sale and a refund', async () => {
+    const customer = (await api.post('/api/customers').send({ name: 'Ledger Customer' }).expect(201)).body;
+    const product = (await api.post('/api/products').send({
+      name: 'Ledger Widget', price: 20, cost: 8, stockQuantity: 10
+    }).expect(201)).body;
+
+    const invoice = (await api.post('/api/invoices').send({
+      customerId: customer.id,
+      items: [{ productId: product.id, quantity: 2, unitPrice: 50 }],
+      dueDate: new Date().toISOString().slice(0, 10)
+    }).expect(201)).body;
+    await api.put(`/api/invoices/${invoice.id}`).send({ status: 'sent' }).expect(200);
+
+    let data = await trialBalance();
+    expect(data.totals.balanced).toBe(true);
+    expect(balanceOf(data, '1100')).toBeCloseTo(100);
+
+    await api.post('/api/payments').send({ invoiceId: invoice.id, amount: 40, method: 'cash' }).expect(201);
+
+    data = await trialBalance();
+    expect(data.totals.balanced).toBe(true);
+    expect(balanceOf(data, '1100')).toBeCloseTo(60);
+    expect(balanceOf(data, '1000')).toBeCloseTo(40);
+
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+    const sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: product.id, quantity: 3 }],
+      paymentMethod: 'cash',
+      amountTendered: 100
+    }).expect(201)).body.data;
+
+    data = await trialBalance();
+    expect(data.totals.balanced).toBe(true);
+    expect(balanceOf(data, '1000')).toBeCloseTo(40 + parseFloat(sale.total));
+
+    await api.post(`/api/pos/sales/${sale.id}/refund`).send({
+      items: [{ saleItemId: sale.items[0].id, quantity: 1 }],
+      refundMethod: 'cash'
+    }).expect(200);
+
+    data = await trialBalance();
+    expect(data.totals.balanced).toBe(true);
+    expect(data.totals.debits).toBeGreaterThan(0);
+    // Three sold at the register and one restocked: eight units at cost 8
+    expect(balanceOf(data, '1200')).toBeCloseTo(64);
+  });
+
+  test('a rebuild reposts stock changes from the stock ledger', async () => {
+    const product = (await api.post('/api/products').send({ name: 'Rebuild Widget', price: 20, cost: 5, stockQuantity: 4 }).expect(201)).body;
+    await api.put(`/api/products/${product.id}`).send({ stockQuantity: 10 }).expect(200);
+    await api.post('/api/pos/sales').send({ items: [{ productId: product.id, quantity: 1 }], paymentMethod: 'card' }).expect(201);
+
+    const before = await trialBalance();
+    await ledgerService.rebuildCompanyLedger(company.id);
+    const after = await trialBalance();
+
+    expect(after.totals.balanced).toBe(true);
+    // Inventory, Opening Balance Equity and Inventory Adjustments come out as posted
+    ['1200', '3900', '5100'].forEach(code => {
+      expect(balanceOf(after, code)).toBeCloseTo(balanceOf(before, code));
+    });
+  });
+
+  test('concurrent postings share the chart of accounts and never share an entry number', async () => {
+    const { company: fresh } = await createCompany();
+    const accounts = await Promise.all([1, 2, 3].map(() => ledgerService.ensureChartOfAccounts(fresh.id)));
+    expect(new Set(accounts.map(list => list.length)).size).toBe(1);
+    expect(accounts[0].length).toBe(await models.Account.count({ where: { companyId: fresh.id } }));
+
+    // Numbers keep counting up after an entry is removed
+    const latest = await models.JournalEntry.findOne({ where: { companyId: company.id }, order: [['entryNumber', 'DESC']] });
+    await models.JournalLine.destroy({ where: { journalEntryId: latest.id } });
+    await latest.destroy();
+
+    const entries = await Promise.all([1, 2, 3].map(amount => ledgerService.postEntry({
+      companyId: company.id,
+      date: new Date(),
+      description: 'Concurrent',
+      lines: [{ systemKey: 'cash', debit: amount }, { systemKey: 'sales_revenue', credit: amount }]
+    })));
+
+    const numbers = entries.map(entry => entry.entryNumber);
+    expect(new Set([...numbers, latest.entryNumber]).size).toBe(4);
+  });
+});
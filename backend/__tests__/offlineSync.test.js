@@ -0,0 +1,109 @@
+const { setupDatabase, closeDatabase, createCompany, createUser, models } = require('./helpers/testApp');
+
+describe('Offline sale sync', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let company;
+  let pen;
+
+  const offlineSale = (overrides = {}) => ({
+    items: [{ productId: pen.id, quantity: 1 }],
+    paymentMethod: 'card',
+    offline: true,
+    soldAt: new Date(Date.now() - 60000).toISOString(),
+    ...overrides
+  });
+
+  // Shifts open an hour ago, so sales rung up a minute ago fall within them
+  const openShift = async (agent) => {
+    const shift = (await agent.post('/api/pos/shifts').send({ openingFloat: 100 }).expect(201)).body.data;
+    await (await models.POSShift.findByPk(shift.id)).update({ openedAt: new Date(Date.now() - 3600000) });
+    return shift;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api, company } = await createCompany());
+
+    pen = (await api.post('/api/products').send({ name: 'Pen', price: 10, cost: 4, stockQuantity: 2 }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('in an open shift', () => {
+    let shift;
+
+    beforeAll(async () => {
+      shift = await openShift(api);
+    });
+
+    afterAll(async () => {
+      await api.post(`/api/pos/shifts/${shift.id}/close`).send({ counts: { cash: 100 } }).expect(200);
+    });
+
+    test('an offline sale beyond stock is kept and flagged', async () => {
+      await api.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 5 }], paymentMethod: 'card' }).expect(400);
+
+      const soldAt = new Date(Date.now() - 1800000).toISOString();
+      const response = await api.post('/api/pos/sales').send(offlineSale({
+        clientSaleId: 'a1b2-c3', items: [{ productId: pen.id, quantity: 5 }], soldAt
+      })).expect(201);
+
+      expect(response.body.conflicts).toEqual([expect.objectContaining({ productName: 'Pen', quantity: 5, available: 2, shortfall: 3 })]);
+      expect(new Date(response.body.data.date).toISOString()).toBe(soldAt);
+      expect(response.body.data.syncedAt).toBeTruthy();
+
+      const conflicts = (await api.get('/api/pos/sync/conflicts').expect(200)).body.data;
+      expect(conflicts.map(sale => sale.clientSaleId)).toEqual(['a1b2-c3']);
+    });
+
+    test('an offline sale must be identified and rung up during its shift', async () => {
+      await api.post('/api/pos/sales').send(offlineSale({ items: [{ productId: pen.id, quantity: 5 }] })).expect(400);
+      await api.post('/api/pos/sales').send(offlineSale({ clientSaleId: 'early', soldAt: '2020-01-01T00:00:00Z' })).expect(400);
+      await api.post('/api/pos/sales').send(offlineSale({ clientSaleId: 'future', soldAt: new Date(Date.now() + 3600000).toISOString() })).expect(400);
+    });
+
+    test('posting the same clientSaleId again returns the original sale', async () => {
+      const original = await models.POSSale.findOne({ where: { clientSaleId: 'a1b2-c3' } });
+
+      const response = await api.post('/api/pos/sales').send(offlineSale({
+        clientSaleId: 'a1b2-c3', items: [{ productId: pen.id, quantity: 5 }]
+      })).expect(200);
+
+      expect(response.body.duplicate).toBe(true);
+      expect(response.body.data.id).toBe(original.id);
+      expect(await models.POSSale.count({ where: { clientSaleId: 'a1b2-c3' } })).toBe(1);
+      // Stock stopped at zero on the first sync and the retry takes none
+      expect((await models.Product.findByPk(pen.id)).stockQuantity).toBe(0);
+    });
+  });
+
+  test('a sale synced after its shift closed is booked to it without changing its Z report', async () => {
+    const shift = await openShift(api);
+    await api.post(`/api/pos/shifts/${shift.id}/close`).send({ counts: { cash: 110 } }).expect(200);
+    const sale = offlineSale({ clientSaleId: 'c1', paymentMethod: 'cash', shiftId: shift.id, cashierId: shift.cashierId });
+
+    // Another manager's register uploads the sale rung up in the closed shift
+    const { api: other, user } = await createUser(company, 'admin');
+    await openShift(other);
+    await other.post('/api/pos/sales').send({ ...sale, cashierId: undefined }).expect(400);
+    await other.post('/api/pos/sales').send({ ...sale, cashierId: user.id }).expect(400);
+
+    // A cashier cannot book sales into someone else's shift
+    const { api: cashier } = await createUser(company, 'cashier');
+    await openShift(cashier);
+    await cashier.post('/api/pos/sales').send(sale).expect(403);
+
+    const synced = (await other.post('/api/pos/sales').send(sale).expect(201)).body.data;
+    expect(synced.shiftId).toBe(shift.id);
+    expect(synced.cashierId).toBe(shift.cashierId);
+
+    // The Z report stays as counted; the 10.80 cash sale is a separate adjustment
+    const report = (await api.get(`/api/pos/shifts/${shift.id}/report`).expect(200)).body.data;
+    expect(report.cash).toMatchObject({ expected: 100, counted: 110, variance: 10 });
+    expect(report.postCloseAdjustment).toMatchObject({ salesCount: 1, salesTotal: 10.8, cash: 10.8 });
+  });
+});
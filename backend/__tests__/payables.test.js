@@ -0,0 +1,69 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Suppliers and accounts payable', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let supplier;
+  let bill;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('keeps supplier payment terms within reason', async () => {
+    await api.post('/api/suppliers').send({ name: 'Slow Payer', paymentTerms: 400 }).expect(400);
+
+    supplier = (await api.post('/api/suppliers').send({
+      name: 'Paper Co', taxId: 'TIN-1', paymentTerms: 14, bankName: 'BML', bankAccountNumber: '7730'
+    }).expect(201)).body;
+    expect(supplier.paymentTerms).toBe(14);
+  });
+
+  test('a bill on account names its supplier and falls due on their terms', async () => {
+    await api.post('/api/expenses').send({
+      category: 'Supplies', description: 'Paper', amount: 110, taxRate: 10, paymentMethod: 'on_account', date: '2026-08-01'
+    }).expect(400);
+
+    bill = (await api.post('/api/expenses').send({
+      category: 'Supplies', description: 'Paper', amount: 110, taxRate: 10, paymentMethod: 'on_account', supplierId: supplier.id, date: '2026-08-01'
+    }).expect(201)).body;
+
+    expect(bill.dueDate.slice(0, 10)).toBe('2026-08-15');
+    expect(bill.supplierTaxId).toBe('TIN-1');
+  });
+
+  test('records payments against a bill up to what is owed', async () => {
+    await api.post(`/api/expenses/${bill.id}/payments`).send({ amount: 200 }).expect(400);
+
+    const response = await api.post(`/api/expenses/${bill.id}/payments`).send({
+      amount: 60, date: '2026-09-01', method: 'bank_transfer', reference: 'TT1'
+    }).expect(201);
+    expect(response.body.balanceDue).toBeCloseTo(50);
+
+    // The amount of a part-paid bill is fixed
+    await api.put(`/api/expenses/${bill.id}`).send({ amount: 200 }).expect(400);
+
+    const entry = await models.JournalEntry.findOne({
+      where: { sourceType: 'supplier_payment', status: 'posted' },
+      include: [{ model: models.JournalLine, as: 'lines', include: [models.Account] }]
+    });
+    const payable = entry.lines.find(line => line.Account.systemKey === 'accounts_payable');
+    expect(parseFloat(payable.debit)).toBeCloseTo(60);
+  });
+
+  test('ages what is owed to each supplier', async () => {
+    const response = await api.get('/api/reports/payables').query({ asOfDate: '2026-10-19' }).expect(200);
+
+    expect(response.body.summary.totalOutstanding).toBeCloseTo(50);
+    expect(response.body.outstandingBills.map(row => [row.expenseNumber, row.balanceAmount])).toEqual([[bill.expenseNumber, 50]]);
+
+    const suppliers = (await api.get('/api/suppliers').expect(200)).body;
+    expect(suppliers.find(row => row.id === supplier.id).overdueAmount).toBeCloseTo(50);
+  });
+});
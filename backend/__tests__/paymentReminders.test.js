@@ -0,0 +1,94 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+const emailService = require('../src/services/emailService');
+const pdfService = require('../src/services/PDFService');
+const paymentReminderService = require('../src/services/paymentReminderService');
+
+describe('Payment reminders and late fees', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let api;
+  let due;
+  let paused;
+  const sendMail = jest.fn().mockResolvedValue({ messageId: '<reminder@example.com>' });
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, api } = await createCompany({ smtp: { host: 'smtp.example.com', port: 587, fromEmail: 'billing@example.com' } }));
+
+    jest.spyOn(emailService, 'createTransport').mockReturnValue({ sendMail });
+    jest.spyOn(pdfService, 'generatePDF').mockResolvedValue(Buffer.from('%PDF-1.4 test'));
+
+    const customer = await models.Customer.create({ companyId: company.id, name: 'Acme', email: 'accounts@acme.test' });
+    const product = await models.Product.create({ companyId: company.id, name: 'Hosting', price: 200, sku: 'HOST-1' });
+    const invoice = async dueDate => {
+      const created = (await api.post('/api/invoices').send({
+        customerId: customer.id,
+        dueDate,
+        items: [{ productId: product.id, quantity: 1, unitPrice: 200 }]
+      }).expect(201)).body;
+      const record = await models.Invoice.findByPk(created.id);
+      return record.update({ status: 'sent', issueDate: '2026-09-01' });
+    };
+
+    due = await invoice('2026-10-01');
+    paused = await invoice('2026-08-01');
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeDatabase();
+  });
+
+  test('validates and saves the reminder schedule', async () => {
+    await api.put('/api/reminders/settings').send({ lateFee: { type: 'percentage', amount: 150 } }).expect(400);
+
+    const response = await api.put('/api/reminders/settings').send({
+      enabled: true,
+      schedule: [7, -3, 0, 7],
+      lateFee: { enabled: true, type: 'percentage', amount: 10, afterDays: 30 }
+    }).expect(200);
+    expect(response.body.schedule).toEqual([-3, 0, 7]);
+
+    // Saving the company profile keeps the schedule
+    await api.put('/api/companies/profile').send({ settings: { theme: 'dark' } }).expect(200);
+    await company.reload();
+    expect(company.settings.reminders.enabled).toBe(true);
+  });
+
+  test('sends each reminder step once and skips paused invoices', async () => {
+    await api.patch(`/api/invoices/${paused.id}/reminders`).send({ paused: true }).expect(200);
+
+    let summary = await paymentReminderService.runDueReminders(company.id, '2026-09-28');
+    expect(summary.sent).toBe(1);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+
+    summary = await paymentReminderService.runDueReminders(company.id, '2026-09-28');
+    expect(summary.sent).toBe(0);
+
+    const reminders = (await api.get('/api/reminders').expect(200)).body;
+    expect(reminders.map(reminder => [reminder.invoiceId, reminder.offsetDays, reminder.status])).toEqual([[due.id, -3, 'sent']]);
+  });
+
+  test('marks invoices overdue and charges the late fee to the ledger', async () => {
+    const summary = await paymentReminderService.runDueReminders(company.id, '2026-11-01');
+    expect(summary.lateFees).toBe(1);
+    expect(summary.sent).toBe(1);
+
+    await due.reload();
+    expect(due.status).toBe('overdue');
+    expect(parseFloat(due.lateFeeAmount)).toBeCloseTo(20);
+
+    const entry = await models.JournalEntry.findOne({
+      where: { sourceType: 'late_fee', sourceId: due.id, status: 'posted' },
+      include: [{ model: models.JournalLine, as: 'lines', include: [models.Account] }]
+    });
+    const income = entry.lines.find(line => line.Account.systemKey === 'other_income');
+    expect(parseFloat(income.credit)).toBeCloseTo(20);
+
+    // The fee is part of what the customer owes
+    await api.post('/api/payments').send({ invoiceId: due.id, amount: 220, method: 'cash' }).expect(201);
+    await due.reload();
+    expect(due.status).toBe('paid');
+  });
+});
@@ -0,0 +1,91 @@
+const { setupDatabase, closeDatabase, createCompany, createUser, models } = require('./helpers/testApp');
+
+describe('Period close', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let user;
+  let api;
+  let invoice;
+  let expense;
+  let asset;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, user, api } = await createCompany());
+
+    const customer = await models.Customer.create({ companyId: company.id, name: 'Locked Customer' });
+    invoice = await models.Invoice.create({
+      companyId: company.id,
+      customerId: customer.id,
+      createdBy: user.id,
+      invoiceNumber: 'INV-LOCK-1',
+      status: 'sent',
+      issueDate: '2026-04-10',
+      dueDate: '2026-05-10',
+      subtotal: 100,
+      gstAmount: 0,
+      total: 100
+    });
+    expense = await models.Expense.create({
+      companyId: company.id,
+      createdBy: user.id,
+      category: 'Rent',
+      description: 'April rent',
+      amount: 30,
+      date: '2026-04-15',
+      paymentMethod: 'cash',
+      status: 'approved'
+    });
+
+    asset = (await api.post('/api/fixed-assets').send({
+      name: 'Till', category: 'equipment', purchaseDate: '2026-03-01', purchaseCost: 1200, usefulLifeMonths: 12
+    }).expect(201)).body.data;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('closes a period through a month end only', async () => {
+    await api.post('/api/accounting/periods/close').send({ closeDate: '2026-04-15' }).expect(400);
+    await api.post('/api/accounting/periods/close').send({ closeDate: '2026-04-30', reason: 'GST filed' }).expect(201);
+  });
+
+  test('editing a document in the locked period returns 409', async () => {
+    const response = await api.put(`/api/invoices/${invoice.id}`).send({ subtotal: 200, total: 200 }).expect(409);
+    expect(response.body.error).toMatch(/closed through 2026-04-30/);
+
+    await api.delete(`/api/expenses/${expense.id}`).expect(409);
+    await api.post('/api/expenses').send({
+      category: 'Rent', description: 'Backdated', amount: 5, date: '2026-04-20'
+    }).expect(409);
+  });
+
+  test('depreciation and disposals cannot post into the locked period', async () => {
+    // March and April charges would fall in the closed period
+    await api.post('/api/fixed-assets/depreciation/run').send({ throughDate: '2026-06-30' }).expect(409);
+    await api.post(`/api/fixed-assets/${asset.id}/dispose`).send({ disposalDate: '2026-04-20', disposalAmount: 500 }).expect(409);
+    await api.put(`/api/fixed-assets/${asset.id}`).send({ purchaseCost: 1500 }).expect(409);
+    await api.post('/api/fixed-assets').send({
+      name: 'Printer', category: 'equipment', purchaseDate: '2026-04-01', purchaseCost: 300, usefulLifeMonths: 12
+    }).expect(409);
+
+    expect(await models.JournalEntry.count({ where: { sourceType: 'depreciation' } })).toBe(0);
+  });
+
+  test('documents dated after the close are unaffected', async () => {
+    await api.post('/api/expenses').send({
+      category: 'Rent', description: 'May rent', amount: 5, date: '2026-05-20'
+    }).expect(201);
+  });
+
+  test('only the owner reopens a period, with a reason', async () => {
+    const { api: admin } = await createUser(company, 'admin');
+    await admin.post('/api/accounting/periods/reopen').send({ reason: 'Correct invoice' }).expect(403);
+    await api.post('/api/accounting/periods/reopen').send({}).expect(400);
+
+    await api.post('/api/accounting/periods/reopen').send({ reason: 'Correct invoice', reopenFrom: '2026-04-01' }).expect(201);
+    await api.put(`/api/invoices/${invoice.id}`).send({ subtotal: 200, total: 200 }).expect(200);
+  });
+});
@@ -0,0 +1,79 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('POS refunds', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let widget;
+  let gadget;
+  let sale;
+
+  const line = product => sale.items.find(item => item.productId === product.id);
+  const stockOf = async product => (await models.Product.findByPk(product.id)).stockQuantity;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+
+    widget = (await api.post('/api/products').send({ name: 'Widget', price: 10, cost: 4, stockQuantity: 10 }).expect(201)).body;
+    gadget = (await api.post('/api/products').send({ name: 'Gadget', price: 20, cost: 5, stockQuantity: 10 }).expect(201)).body;
+
+    await api.post('/api/pos/shifts').send({ openingFloat: 100 }).expect(201);
+    sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: widget.id, quantity: 4 }, { productId: gadget.id, quantity: 2 }],
+      paymentMethod: 'card'
+    }).expect(201)).body.data;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('refuses to refund more than was sold', async () => {
+    await api.post(`/api/pos/sales/${sale.id}/refund`).send({
+      items: [{ saleItemId: line(widget).id, quantity: 5 }]
+    }).expect(400);
+  });
+
+  test('restocks returned units unless they are written off', async () => {
+    const response = await api.post(`/api/pos/sales/${sale.id}/refund`).send({
+      items: [
+        { saleItemId: line(widget).id, quantity: 2 },
+        { saleItemId: line(gadget).id, quantity: 1, disposition: 'write_off' }
+      ],
+      refundMethod: 'cash',
+      reason: 'Damaged'
+    }).expect(200);
+
+    expect(response.body.data.status).toBe('partially_refunded');
+    expect(response.body.data.refund.refundMethod).toBe('cash');
+    expect(await stockOf(widget)).toBe(8);
+    expect(await stockOf(gadget)).toBe(8);
+
+    // Written-off units never come back into stock
+    const restocked = await models.StockMovement.findOne({ where: { productId: gadget.id, sourceType: 'pos_refund' } });
+    expect(restocked).toBeNull();
+  });
+
+  test('refunds the rest and marks the sale refunded', async () => {
+    const response = await api.post(`/api/pos/sales/${sale.id}/refund`).send({
+      items: [
+        { saleItemId: line(widget).id, quantity: 2 },
+        { saleItemId: line(gadget).id, quantity: 1 }
+      ]
+    }).expect(200);
+
+    expect(response.body.data.status).toBe('refunded');
+    // Without a refund method the money goes back the way it came
+    expect(response.body.data.refund.refundMethod).toBe('card');
+    expect(await stockOf(widget)).toBe(10);
+    expect(await stockOf(gadget)).toBe(9);
+
+    await api.post(`/api/pos/sales/${sale.id}/refund`).send({
+      items: [{ saleItemId: line(widget).id, quantity: 1 }]
+    }).expect(400);
+
+    const refunds = (await api.get('/api/pos/refunds').query({ saleId: sale.id }).expect(200)).body.data;
+    expect(refunds).toHaveLength(2);
+  });
+});
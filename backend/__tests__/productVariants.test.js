@@ -0,0 +1,72 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Product variants', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let tee;
+  let mediumRed;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('cleans up the variant options of a product', async () => {
+    await api.post('/api/products').send({ name: 'Bad', price: 1, variantOptions: [{ name: 'Size', values: [] }] }).expect(400);
+
+    tee = (await api.post('/api/products').send({
+      name: 'Tee',
+      price: 20,
+      cost: 8,
+      sku: 'TEE',
+      variantOptions: [{ name: 'Size', values: ['S', 'M', 'M'] }, { name: 'Colour', values: ['Red', 'Blue'] }]
+    }).expect(201)).body;
+
+    expect(tee.variantOptions).toEqual([{ name: 'Size', values: ['S', 'M'] }, { name: 'Colour', values: ['Red', 'Blue'] }]);
+  });
+
+  test('a variant has its own SKU, barcode, price and stock and inherits the rest', async () => {
+    mediumRed = (await api.post(`/api/products/${tee.id}/variants`).send({
+      attributes: { Size: 'M', Colour: 'Red' }, sku: 'TEE-M-RED', barcode: '4006381333931', price: 22, stockQuantity: 5
+    }).expect(201)).body;
+
+    expect(mediumRed.name).toBe('Tee - M / Red');
+    expect(parseFloat(mediumRed.price)).toBe(22);
+    expect(parseFloat(mediumRed.cost)).toBe(8);
+    expect(mediumRed.stockQuantity).toBe(5);
+
+    await api.post(`/api/products/${tee.id}/variants`).send({ attributes: { Size: 'M', Colour: 'Red' } }).expect(400);
+    await api.post(`/api/products/${tee.id}/variants`).send({ attributes: { Size: 'XL', Colour: 'Red' } }).expect(400);
+  });
+
+  test('generates the missing combinations', async () => {
+    const response = await api.post(`/api/products/${tee.id}/variants/generate`).expect(201);
+    expect(response.body.variants.map(variant => variant.sku).sort()).toEqual(['TEE-M-BLUE', 'TEE-S-BLUE', 'TEE-S-RED']);
+  });
+
+  test('sells the variant, never the parent', async () => {
+    await api.post('/api/pos/sales').send({ items: [{ productId: tee.id, quantity: 1 }], paymentMethod: 'card' }).expect(400);
+
+    const scanned = (await api.get('/api/pos/scan/4006381333931').expect(200)).body.data;
+    expect(scanned.id).toBe(mediumRed.id);
+
+    await api.post('/api/pos/sales').send({ items: [{ productId: mediumRed.id, quantity: 2 }], paymentMethod: 'card' }).expect(201);
+    expect((await models.Product.findByPk(mediumRed.id)).stockQuantity).toBe(3);
+  });
+
+  test('an option value in use cannot be removed', async () => {
+    await api.put(`/api/products/${tee.id}`).send({
+      variantOptions: [{ name: 'Size', values: ['S', 'L'] }, { name: 'Colour', values: ['Red', 'Blue'] }]
+    }).expect(400);
+
+    // Renaming the parent renames its variants
+    await api.put(`/api/products/${tee.id}`).send({ name: 'T-Shirt' }).expect(200);
+    expect((await models.Product.findByPk(mediumRed.id)).name).toBe('T-Shirt - M / Red');
+  });
+});
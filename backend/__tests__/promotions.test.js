@@ -0,0 +1,133 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Promotions', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let company;
+  let beer;
+  let wine;
+  let chips;
+  let pen;
+
+  const promote = (body) => api.post('/api/promotions').send(body);
+  const product = async (body) => (await api.post('/api/products').send({ cost: 1, stockQuantity: 100, ...body }).expect(201)).body;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api, company } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 100 }).expect(201);
+
+    beer = await product({ name: 'Beer', price: 5, category: 'Drinks' });
+    wine = await product({ name: 'Wine', price: 8, category: 'Drinks' });
+    chips = await product({ name: 'Chips', price: 2, category: 'Snacks' });
+    pen = await product({ name: 'Pen', price: 10, category: 'Office' });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('checks each promotion type has its rules', async () => {
+    await promote({ name: 'No categories', type: 'category_percentage', rules: { percentage: 10 } }).expect(400);
+    await promote({ name: 'Bad hours', type: 'happy_hour', categories: ['Drinks'], rules: { percentage: 10, startTime: '25:00', endTime: '10:00' } }).expect(400);
+    await promote({ name: 'No code', type: 'coupon', rules: { percentage: 10 } }).expect(400);
+    await promote({ name: 'Code on tier', type: 'quantity_tier', couponCode: 'X', productIds: [pen.id], rules: { tiers: [{ minQuantity: 2, percentage: 5 }] } }).expect(400);
+  });
+
+  test('each line gets the promotion that takes the most off it', async () => {
+    await promote({ name: 'Drinks 10%', type: 'category_percentage', categories: ['Drinks'], rules: { percentage: 10 } }).expect(201);
+    await promote({ name: 'Beer pair', type: 'quantity_tier', productIds: [beer.id], rules: { tiers: [{ minQuantity: 2, percentage: 15 }] } }).expect(201);
+    await promote({ name: 'Chips BOGO', type: 'buy_x_get_y', productIds: [chips.id], rules: { buyQuantity: 1, getQuantity: 1 } }).expect(201);
+    await promote({ name: 'Pen bulk', type: 'quantity_tier', productIds: [pen.id], rules: { tiers: [{ minQuantity: 10, percentage: 20 }, { minQuantity: 5, percentage: 10 }] } }).expect(201);
+
+    const response = await api.post('/api/promotions/preview').send({
+      items: [
+        { productId: beer.id, quantity: 2 },
+        { productId: chips.id, quantity: 3 },
+        { productId: pen.id, quantity: 5 },
+        { productId: wine.id, quantity: 1, discountType: 'fixed' }
+      ]
+    }).expect(200);
+
+    // Beer: 15% of 10 beats 10%; one bag of chips free; pens reach the 5-unit
+    // tier; wine discounted by hand takes no promotion
+    expect(response.body.items.map(item => [item.promotion?.name ?? null, item.discountAmount])).toEqual([
+      ['Beer pair', 1.5],
+      ['Chips BOGO', 2],
+      ['Pen bulk', 5],
+      [null, 0]
+    ]);
+    expect(response.body.totalDiscount).toBe(8.5);
+  });
+
+  test('a coupon amount goes to lines no other promotion discounts', async () => {
+    const coupon = (await promote({ name: 'Save 5', type: 'coupon', couponCode: ' save5 ', channel: 'pos', usageLimit: 1, rules: { amount: 5 } }).expect(201)).body;
+    expect(coupon.couponCode).toBe('SAVE5');
+    await promote({ name: 'Duplicate', type: 'coupon', couponCode: 'SAVE5', rules: { amount: 1 } }).expect(400);
+
+    await api.post('/api/promotions/preview').send({ items: [{ productId: beer.id, quantity: 2 }], couponCode: 'nope' }).expect(400);
+
+    const response = await api.post('/api/promotions/preview').send({
+      items: [{ productId: beer.id, quantity: 2 }, { productId: pen.id, quantity: 1 }],
+      couponCode: 'save5'
+    }).expect(200);
+    expect(response.body.items.map(item => [item.promotion.name, item.discountAmount])).toEqual([['Beer pair', 1.5], ['Save 5', 5]]);
+    expect(response.body.couponApplied).toBe(true);
+  });
+
+  test('a coupon is refused once used up', async () => {
+    const sale = (await api.post('/api/pos/sales').send({
+      items: [{ productId: beer.id, quantity: 2 }, { productId: pen.id, quantity: 1 }],
+      paymentMethod: 'card',
+      couponCode: 'SAVE5'
+    }).expect(201)).body;
+
+    expect(sale.couponApplied).toBe(true);
+    expect(parseFloat(sale.data.discountAmount)).toBe(6.5);
+    expect((await models.Promotion.findOne({ where: { couponCode: 'SAVE5' } })).usageCount).toBe(1);
+
+    const response = await api.post('/api/pos/sales').send({
+      items: [{ productId: pen.id, quantity: 1 }], paymentMethod: 'card', couponCode: 'SAVE5'
+    }).expect(400);
+    expect(response.body.message).toMatch(/used up/);
+  });
+
+  describe('on invoices', () => {
+    let customer;
+
+    const draft = (couponCode) => api.post('/api/invoices').send({
+      customerId: customer.id, dueDate: '2099-12-01', couponCode, items: [{ productId: pen.id, quantity: 1, unitPrice: 9 }]
+    });
+    const usage = async () => (await models.Promotion.findOne({ where: { couponCode: 'INV3' } })).usageCount;
+
+    beforeAll(async () => {
+      customer = await models.Customer.create({ companyId: company.id, name: 'Cust', email: 'cust@example.com' });
+      await promote({ name: 'Invoice 3 off', type: 'coupon', couponCode: 'INV3', channel: 'invoice', usageLimit: 1, rules: { amount: 3 } }).expect(201);
+    });
+
+    test('a POS-only coupon is not taken', async () => {
+      await draft('SAVE5').expect(400);
+    });
+
+    test('a coupon is used when the invoice is issued, not drafted', async () => {
+      const abandoned = (await draft('INV3').expect(201)).body;
+      await api.delete(`/api/invoices/${abandoned.id}`).expect(200);
+      expect(await usage()).toBe(0);
+
+      const first = (await draft('INV3').expect(201)).body;
+      const second = (await draft('INV3').expect(201)).body;
+      expect(parseFloat(first.subtotal)).toBe(6);
+      expect(await usage()).toBe(0);
+
+      await api.put(`/api/invoices/${first.id}`).send({ status: 'sent' }).expect(200);
+      await api.put(`/api/invoices/${first.id}`).send({ status: 'overdue' }).expect(200);
+      expect(await usage()).toBe(1);
+
+      // The other draft took the coupon before it was used up
+      const response = await api.put(`/api/invoices/${second.id}`).send({ status: 'sent' }).expect(400);
+      expect(response.body.error).toMatch(/INV3 has been used up/);
+      expect((await models.Invoice.findByPk(second.id)).status).toBe('draft');
+    });
+  });
+});
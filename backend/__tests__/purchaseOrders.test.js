@@ -0,0 +1,72 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Purchase orders and goods receiving', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let supplier;
+  let flour;
+  let sugar;
+  let order;
+
+  const stockOf = async product => (await models.Product.findByPk(product.id)).stockQuantity;
+  const line = product => order.items.find(item => item.productId === product.id);
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+
+    flour = (await api.post('/api/products').send({ name: 'Flour', price: 10, cost: 4, sku: 'FLOUR', stockQuantity: 10 }).expect(201)).body;
+    sugar = (await api.post('/api/products').send({ name: 'Sugar', price: 20, cost: 5, sku: 'SUGAR', stockQuantity: 0 }).expect(201)).body;
+    supplier = (await api.post('/api/suppliers').send({ name: 'Mill Co', email: 'orders@mill.test' }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('prices an order from its lines', async () => {
+    order = (await api.post('/api/purchase-orders').send({
+      supplierId: supplier.id,
+      items: [{ productId: flour.id, quantity: 10, unitCost: 6, taxRate: 10 }, { productId: sugar.id, quantity: 4 }]
+    }).expect(201)).body;
+
+    // Sugar without a unit cost is ordered at its current cost
+    expect(parseFloat(order.subtotal)).toBeCloseTo(80);
+    expect(parseFloat(order.taxAmount)).toBeCloseTo(6);
+    expect(parseFloat(order.total)).toBeCloseTo(86);
+    expect(order.status).toBe('draft');
+  });
+
+  test('receives goods only against a sent order, up to the quantity ordered', async () => {
+    await api.post(`/api/purchase-orders/${order.id}/receive`).send({ items: [{ itemId: line(flour).id, quantity: 1 }] }).expect(400);
+
+    order = (await api.post(`/api/purchase-orders/${order.id}/send`).expect(200)).body;
+    expect(order.status).toBe('sent');
+
+    await api.post(`/api/purchase-orders/${order.id}/receive`).send({ items: [{ itemId: line(flour).id, quantity: 11 }] }).expect(400);
+
+    const response = await api.post(`/api/purchase-orders/${order.id}/receive`).send({
+      items: [{ itemId: line(flour).id, quantity: 10 }, { itemId: line(sugar).id, quantity: 2 }]
+    }).expect(200);
+    expect(response.body.status).toBe('partially_received');
+    expect(await stockOf(flour)).toBe(20);
+    expect(await stockOf(sugar)).toBe(2);
+  });
+
+  test('bills the goods received to a payable expense once', async () => {
+    await api.post(`/api/purchase-orders/${order.id}/convert-to-expense`).send({}).expect(400);
+
+    // Closing a short delivery takes it as received in full
+    order = (await api.post(`/api/purchase-orders/${order.id}/close`).expect(200)).body;
+    expect(order.status).toBe('received');
+
+    const response = await api.post(`/api/purchase-orders/${order.id}/convert-to-expense`).send({ date: '2026-10-01' }).expect(201);
+    // Ten flour at 6 and two sugar at 5, with 10% tax on the flour on top
+    expect(parseFloat(response.body.expense.amount)).toBeCloseTo(70);
+    expect(parseFloat(response.body.expense.taxAmount)).toBeCloseTo(6);
+    expect(response.body.expense.paymentMethod).toBe('on_account');
+
+    await api.post(`/api/purchase-orders/${order.id}/convert-to-expense`).send({}).expect(400);
+  });
+});
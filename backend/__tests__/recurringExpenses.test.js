@@ -0,0 +1,76 @@
+const { setupDatabase, closeDatabase, createCompany, createUser, models } = require('./helpers/testApp');
+const recurringExpenseService = require('../src/services/recurringExpenseService');
+
+describe('Recurring expenses', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let api;
+  let template;
+
+  const dateOf = expense => new Date(expense.date).toISOString().slice(0, 10);
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, api } = await createCompany());
+
+    template = (await api.post('/api/expenses').send({
+      category: 'Rent',
+      description: 'Office rent',
+      amount: 1100,
+      taxRate: 10,
+      date: '2026-01-31',
+      isRecurring: true,
+      recurringPeriod: 'monthly',
+      status: 'approved'
+    }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('a recurring expense needs a period', async () => {
+    await api.post('/api/expenses').send({
+      category: 'Rent', description: 'No period', amount: 5, isRecurring: true
+    }).expect(400);
+  });
+
+  test('generates one expense per missed run, keeping the month end', async () => {
+    const generated = await recurringExpenseService.generateDueExpenses(company.id, '2026-05-15');
+
+    expect(generated.map(dateOf)).toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(generated.every(expense => expense.status === 'approved')).toBe(true);
+    expect(parseFloat(generated[0].taxAmount)).toBeCloseTo(100);
+
+    // Nothing more is due until the next run
+    expect(await recurringExpenseService.generateDueExpenses(company.id, '2026-05-15')).toHaveLength(0);
+  });
+
+  test('generated expenses wait for approval when the company requires it', async () => {
+    await api.put('/api/expenses/settings').send({ approvalRequired: true }).expect(200);
+
+    // Saving the company profile keeps the setting
+    await api.put('/api/companies/profile').send({ settings: { theme: 'dark' } }).expect(200);
+    await company.reload();
+    expect(company.settings.expenseApprovalRequired).toBe(true);
+
+    const generated = await recurringExpenseService.generateDueExpenses(company.id, '2026-05-31');
+    expect(generated.map(dateOf)).toEqual(['2026-05-31']);
+    expect(generated[0].status).toBe('pending');
+  });
+
+  test('a paused series generates nothing until resumed', async () => {
+    await api.patch(`/api/expenses/${template.id}/recurring`).send({ action: 'pause' }).expect(200);
+    expect(await recurringExpenseService.generateDueExpenses(company.id, '2026-07-31')).toHaveLength(0);
+
+    await api.patch(`/api/expenses/${template.id}/recurring`).send({ action: 'resume' }).expect(200);
+    const count = await models.Expense.count({ where: { recurringTemplateId: template.id } });
+    expect(count).toBe(4);
+  });
+
+  test('only admins generate recurring expenses on demand', async () => {
+    const { api: staff } = await createUser(company, 'user');
+    await staff.post('/api/expenses/recurring/generate').expect(403);
+  });
+});
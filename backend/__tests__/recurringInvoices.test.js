@@ -0,0 +1,142 @@
+const { setupDatabase, closeDatabase, createCompany, createUser, models } = require('./helpers/testApp');
+const stripeService = require('../src/services/StripeService');
+const recurringInvoiceService = require('../src/services/recurringInvoiceService');
+
+// Stand-in for the Stripe client: setup intents complete with a test card and
+// payment intents succeed, one per idempotency key
+function fakeStripe() {
+  const setupIntents = {};
+  const paymentIntents = {};
+
+  return {
+    customers: {
+      create: async () => ({ id: 'cus_test' })
+    },
+    setupIntents: {
+      create: async ({ customer, metadata }) => {
+        const id = `seti_${Object.keys(setupIntents).length + 1}`;
+        setupIntents[id] = { id, client_secret: `${id}_secret`, status: 'succeeded', customer, payment_method: 'pm_test', metadata };
+        return setupIntents[id];
+      },
+      retrieve: async id => setupIntents[id]
+    },
+    paymentIntents: {
+      create: jest.fn(async (params, options) => {
+        const key = options?.idempotencyKey || `${Object.keys(paymentIntents).length}`;
+        paymentIntents[key] = paymentIntents[key] || { id: `pi_${Object.keys(paymentIntents).length + 1}`, ...params, status: 'succeeded' };
+        return paymentIntents[key];
+      })
+    }
+  };
+}
+
+describe('Recurring invoices', () => {
+  jest.setTimeout(30000);
+
+  let company;
+  let api;
+  let customer;
+  let product;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ company, api } = await createCompany());
+    customer = await models.Customer.create({ companyId: company.id, name: 'Acme', email: 'billing@acme.test' });
+    product = await models.Product.create({ companyId: company.id, name: 'Hosting', price: 100, sku: 'HOST-1' });
+
+    stripeService.stripe = fakeStripe();
+    stripeService.initialized = true;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  const createSchedule = (values = {}) => api.post('/api/recurring-invoices').send({
+    customerId: customer.id,
+    interval: 'monthly',
+    startDate: '2026-01-31',
+    items: [{ productId: product.id, quantity: 2, unitPrice: 50 }],
+    gstEnabled: true,
+    gstRate: 10,
+    ...values
+  });
+
+  test('generates an invoice per run until the end date', async () => {
+    const schedule = (await createSchedule({ endDate: '2026-04-15' }).expect(201)).body;
+    expect(schedule.total).toBeCloseTo(110);
+
+    const invoices = await recurringInvoiceService.runDueSchedules(company.id, '2026-12-31');
+    const ours = invoices.filter(invoice => invoice.recurringInvoiceId === schedule.id);
+    expect(ours.map(invoice => invoice.issueDate.toISOString().slice(0, 10))).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    expect(ours.every(invoice => parseFloat(invoice.total) === 110)).toBe(true);
+
+    const saved = (await api.get(`/api/recurring-invoices/${schedule.id}`).expect(200)).body;
+    expect(saved.status).toBe('completed');
+    expect(saved.nextRunDate).toBeNull();
+  });
+
+  test('ignores card details sent with the schedule', async () => {
+    const schedule = (await createSchedule({ stripeCustomerId: 'cus_other', stripePaymentMethodId: 'pm_other' }).expect(201)).body;
+    const saved = await models.RecurringInvoice.findByPk(schedule.id);
+
+    expect(saved.stripeCustomerId).toBeNull();
+    expect(saved.stripePaymentMethodId).toBeNull();
+    await api.put(`/api/recurring-invoices/${schedule.id}`).send({ autoCharge: true }).expect(400);
+  });
+
+  test('saves a card through a setup intent and charges each invoice once', async () => {
+    const schedule = (await createSchedule({ startDate: '2026-06-01' }).expect(201)).body;
+
+    const { api: staff } = await createUser(company, 'user');
+    await staff.post(`/api/recurring-invoices/${schedule.id}/card/setup`).expect(403);
+
+    const setup = (await api.post(`/api/recurring-invoices/${schedule.id}/card/setup`).expect(201)).body;
+    expect(setup.clientSecret).toBeTruthy();
+
+    // An intent made for another schedule is refused
+    const other = (await createSchedule().expect(201)).body;
+    const otherSetup = (await api.post(`/api/recurring-invoices/${other.id}/card/setup`).expect(201)).body;
+    await api.post(`/api/recurring-invoices/${schedule.id}/card`).send({ setupIntentId: otherSetup.setupIntentId }).expect(400);
+
+    await api.post(`/api/recurring-invoices/${schedule.id}/card`).send({ setupIntentId: setup.setupIntentId }).expect(200);
+    await staff.put(`/api/recurring-invoices/${schedule.id}`).send({ autoCharge: true }).expect(403);
+    await api.put(`/api/recurring-invoices/${schedule.id}`).send({ autoCharge: true }).expect(200);
+
+    const recurring = await models.RecurringInvoice.findByPk(schedule.id);
+    const invoice = await recurringInvoiceService.generateInvoice(recurring, '2026-06-01');
+    await invoice.reload();
+    expect(invoice.status).toBe('paid');
+
+    const payment = await models.Payment.findOne({ where: { invoiceId: invoice.id } });
+    expect(payment.status).toBe('completed');
+    expect(payment.stripeCustomerId).toBe('cus_test');
+
+    // Charging the same invoice again returns the first payment
+    const again = await recurringInvoiceService.chargeInvoice(recurring, invoice);
+    expect(again.id).toBe(payment.id);
+    expect(await models.Payment.count({ where: { invoiceId: invoice.id } })).toBe(1);
+
+    const [, options] = stripeService.stripe.paymentIntents.create.mock.calls[0];
+    expect(options.idempotencyKey).toBe(`recurring-invoice-${schedule.id}-${invoice.id}`);
+  });
+  test('after an outage only the current run is sent and charged', async () => {
+    const schedule = (await createSchedule({ startDate: '2026-07-01' }).expect(201)).body;
+    const setup = (await api.post(`/api/recurring-invoices/${schedule.id}/card/setup`).expect(201)).body;
+    await api.post(`/api/recurring-invoices/${schedule.id}/card`).send({ setupIntentId: setup.setupIntentId }).expect(200);
+    await api.put(`/api/recurring-invoices/${schedule.id}`).send({ autoCharge: true }).expect(200);
+
+    const invoices = (await recurringInvoiceService.runDueSchedules(company.id, '2026-09-15'))
+      .filter(invoice => invoice.recurringInvoiceId === schedule.id);
+    await Promise.all(invoices.map(invoice => invoice.reload()));
+    expect(invoices.map(invoice => [invoice.issueDate.toISOString().slice(0, 10), invoice.status])).toEqual([
+      ['2026-07-01', 'draft'],
+      ['2026-08-01', 'draft'],
+      ['2026-09-01', 'paid']
+    ]);
+    expect(await models.Payment.count({ where: { invoiceId: invoices.map(invoice => invoice.id) } })).toBe(1);
+
+    const saved = (await api.get(`/api/recurring-invoices/${schedule.id}`).expect(200)).body;
+    expect(saved.lastError).toBe(`Missed runs generated as drafts to review: ${invoices[0].invoiceNumber}, ${invoices[1].invoiceNumber}`);
+  });
+});
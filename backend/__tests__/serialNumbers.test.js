@@ -0,0 +1,87 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Serial numbers', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let company;
+  let phone;
+  let customer;
+
+  const serials = async () => {
+    const records = await models.SerialNumber.findAll({ where: { productId: phone.id }, order: [['serialNumber', 'ASC']] });
+    return Object.fromEntries(records.map(record => [record.serialNumber, record.status]));
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api, company } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+
+    // Two units on hand from before tracking started, plus two received with serials
+    phone = (await api.post('/api/products').send({
+      name: 'Phone', price: 500, cost: 300, sku: 'PH', stockQuantity: 2, trackSerials: true
+    }).expect(201)).body;
+    await api.patch(`/api/products/${phone.id}/adjust-stock`).send({ quantity: 2, operation: 'add', serialNumbers: ['S3', 'S4'] }).expect(200);
+
+    customer = await models.Customer.create({ companyId: company.id, name: 'Jane', email: 'jane@example.com' });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('a serial cannot be received while already in stock', async () => {
+    await api.patch(`/api/products/${phone.id}/adjust-stock`).send({ quantity: 1, operation: 'add', serialNumbers: ['S3'] }).expect(400);
+    await api.patch(`/api/products/${phone.id}/adjust-stock`).send({ quantity: 2, operation: 'add', serialNumbers: ['S5'] }).expect(400);
+  });
+
+  test('a sale names the serial of every unit sold', async () => {
+    const response = await api.post('/api/pos/sales').send({ items: [{ productId: phone.id, quantity: 1 }], paymentMethod: 'card' }).expect(400);
+    expect(response.body.message).toMatch(/serial number/);
+  });
+
+  test('sells serials, taking unknown ones from unserialized stock', async () => {
+    await api.post('/api/pos/sales').send({
+      items: [{ productId: phone.id, quantity: 2, serialNumbers: ['S3', 'NEW1'] }],
+      paymentMethod: 'card',
+      customerId: customer.id
+    }).expect(201);
+
+    expect(await serials()).toEqual({ NEW1: 'sold', S3: 'sold', S4: 'in_stock' });
+    expect((await models.Product.findByPk(phone.id)).stockQuantity).toBe(2);
+  });
+
+  test('a sold serial cannot be sold again', async () => {
+    const response = await api.post('/api/pos/sales').send({
+      items: [{ productId: phone.id, quantity: 1, serialNumbers: ['S3'] }],
+      paymentMethod: 'card'
+    }).expect(400);
+    expect(response.body.message).toMatch(/already been sold/);
+  });
+
+  test('looks up the sale and customer of a serial for warranty', async () => {
+    const response = await api.get('/api/products/serials/S3').expect(200);
+    const [unit] = response.body.units;
+    expect(unit.status).toBe('sold');
+    expect(unit.product.name).toBe('Phone');
+    expect(unit.sale.type).toBe('pos_sale');
+    expect(unit.customer.name).toBe('Jane');
+
+    await api.get('/api/products/serials/NOPE').expect(404);
+  });
+
+  test('a refund puts the returned serial back in stock', async () => {
+    const item = await models.POSSaleItem.findOne({ where: { productId: phone.id }, order: [['createdAt', 'ASC']] });
+
+    await api.post(`/api/pos/sales/${item.saleId}/refund`).send({ items: [{ saleItemId: item.id, quantity: 1, serialNumbers: ['S4'] }] }).expect(400);
+    await api.post(`/api/pos/sales/${item.saleId}/refund`).send({ items: [{ saleItemId: item.id, quantity: 1, serialNumbers: ['S3'] }] }).expect(200);
+
+    expect((await serials()).S3).toBe('in_stock');
+    expect((await models.Product.findByPk(phone.id)).stockQuantity).toBe(3);
+  });
+  test('serialized stock is not edited on the product', async () => {
+    await api.put(`/api/products/${phone.id}`).send({ stockQuantity: 10 }).expect(400);
+    expect((await models.Product.findByPk(phone.id)).stockQuantity).toBe(3);
+  });
+});
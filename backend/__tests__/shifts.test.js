@@ -0,0 +1,81 @@
+const { setupDatabase, closeDatabase, createCompany, createUser } = require('./helpers/testApp');
+
+describe('POS shifts', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let cashier;
+  let pen;
+  let shift;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    let company;
+    ({ api, company } = await createCompany());
+    ({ api: cashier } = await createUser(company, 'cashier'));
+
+    pen = (await api.post('/api/products').send({ name: 'Pen', price: 10, cost: 4, stockQuantity: 50 }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('sales need an open shift', async () => {
+    const response = await cashier.post('/api/pos/sales').send({
+      items: [{ productId: pen.id, quantity: 1 }], paymentMethod: 'cash', amountTendered: 20
+    }).expect(400);
+    expect(response.body.message).toBe('Open a shift before making sales');
+  });
+
+  test('a cashier works one shift at a time', async () => {
+    shift = (await cashier.post('/api/pos/shifts').send({ openingFloat: 100, registerName: 'Till 1' }).expect(201)).body.data;
+    await cashier.post('/api/pos/shifts').send({ openingFloat: 100 }).expect(400);
+
+    const current = await cashier.get('/api/pos/shifts/current').expect(200);
+    expect(current.body.data.id).toBe(shift.id);
+  });
+
+  test('the X report shows the cash the drawer should hold', async () => {
+    const sale = (await cashier.post('/api/pos/sales').send({
+      items: [{ productId: pen.id, quantity: 2 }], paymentMethod: 'cash', amountTendered: 30
+    }).expect(201)).body.data;
+    expect(sale.shiftId).toBe(shift.id);
+
+    await cashier.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 1 }], paymentMethod: 'card' }).expect(201);
+    await cashier.post(`/api/pos/sales/${sale.id}/refund`).send({ items: [{ saleItemId: sale.items[0].id, quantity: 1 }] }).expect(200);
+
+    await cashier.post(`/api/pos/shifts/${shift.id}/cash-movements`).send({ type: 'drop', amount: 50, reason: 'Safe' }).expect(201);
+    await cashier.post(`/api/pos/shifts/${shift.id}/cash-movements`).send({ type: 'payout', amount: 500 }).expect(400);
+    await cashier.post(`/api/pos/shifts/${shift.id}/cash-movements`).send({ type: 'payout', amount: 5.5, reason: 'Milk' }).expect(201);
+
+    // Only managers see what is expected while the shift is open
+    await cashier.get(`/api/pos/shifts/${shift.id}/report`).expect(403);
+
+    const report = (await api.get(`/api/pos/shifts/${shift.id}/report`).expect(200)).body.data;
+    expect(report.type).toBe('X');
+    // Pens sell at 10.80 with 8% GST: 100 float + 21.60 cash sale - 10.80 cash
+    // refund - 50 drop - 5.50 payout
+    expect(report.cash).toMatchObject({ openingFloat: 100, sales: 21.6, refunds: 10.8, drops: 50, payouts: 5.5, expected: 55.3 });
+    expect(report.tenders.find(row => row.tender === 'card')).toMatchObject({ salesCount: 1, expected: 10.8 });
+  });
+
+  test('closes with a blind count and keeps the Z report', async () => {
+    await cashier.post(`/api/pos/shifts/${shift.id}/close`).send({ counts: { card: 10.8 } }).expect(400);
+
+    const report = (await cashier.post(`/api/pos/shifts/${shift.id}/close`).send({ counts: { cash: 60, card: 10.8 } }).expect(200)).body.data;
+    expect(report.type).toBe('Z');
+    expect(report.cash).toMatchObject({ expected: 55.3, counted: 60, variance: 4.7 });
+
+    await cashier.post(`/api/pos/shifts/${shift.id}/close`).send({ counts: { cash: 1 } }).expect(400);
+    await cashier.post(`/api/pos/shifts/${shift.id}/cash-movements`).send({ type: 'drop', amount: 1 }).expect(400);
+
+    const shifts = (await api.get('/api/pos/shifts').expect(200)).body.data;
+    expect(shifts.map(row => [row.status, parseFloat(row.expectedCash), parseFloat(row.countedCash), parseFloat(row.cashVariance)]))
+      .toEqual([['closed', 55.3, 60, 4.7]]);
+  });
+
+  test('a closed shift takes no more sales', async () => {
+    await cashier.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 1 }], paymentMethod: 'card' }).expect(400);
+  });
+});
@@ -0,0 +1,75 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Split tenders', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let pen;
+  let split;
+
+  // Three pens at 10 plus 8% GST come to 32.40
+  const sell = (payments) => api.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 3 }], payments });
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    await api.post('/api/pos/shifts').send({ openingFloat: 100 }).expect(201);
+
+    pen = (await api.post('/api/products').send({ name: 'Pen', price: 10, cost: 4, stockQuantity: 50 }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('tenders must add up to the total', async () => {
+    const short = await sell([{ tender: 'cash', amount: 10 }, { tender: 'card', amount: 10 }]).expect(400);
+    expect(short.body.message).toMatch(/short of the 32.40 total/);
+
+    const over = await sell([{ tender: 'cash', amount: 20 }, { tender: 'card', amount: 20 }]).expect(400);
+    expect(over.body.message).toMatch(/more than the 32.40 total/);
+
+    expect((await models.Product.findByPk(pen.id)).stockQuantity).toBe(50);
+  });
+
+  test('only cash is over-tendered and gift cards need a number', async () => {
+    await sell([{ tender: 'card', amount: 20, amountTendered: 25 }, { tender: 'cash', amount: 12.4 }]).expect(400);
+    await sell([{ tender: 'cash', amount: 12.4, amountTendered: 10 }, { tender: 'card', amount: 20 }]).expect(400);
+    await sell([{ tender: 'gift_card', amount: 5 }, { tender: 'cash', amount: 27.4 }]).expect(400);
+    await sell([{ tender: 'bitcoin', amount: 32.4 }]).expect(400);
+    await api.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 3 }], paymentMethod: 'mixed' }).expect(400);
+  });
+
+  test('records each tender of a split sale', async () => {
+    split = (await sell([
+      { tender: 'cash', amount: 12.4, amountTendered: 20 },
+      { tender: 'card', amount: 15, reference: 'AUTH1' },
+      { tender: 'gift_card', amount: 5, reference: 'GC-9' }
+    ]).expect(201)).body.data;
+
+    expect(split.paymentMethod).toBe('mixed');
+    expect(parseFloat(split.changeGiven)).toBe(7.6);
+    expect(split.payments.map(payment => [payment.tender, parseFloat(payment.amount), payment.reference]))
+      .toEqual([['cash', 12.4, null], ['card', 15, 'AUTH1'], ['gift_card', 5, 'GC-9']]);
+  });
+
+  test('a refund of a split sale names its method', async () => {
+    const refund = { items: [{ saleItemId: split.items[0].id, quantity: 1 }] };
+    await api.post(`/api/pos/sales/${split.id}/refund`).send(refund).expect(400);
+    await api.post(`/api/pos/sales/${split.id}/refund`).send({ ...refund, refundMethod: 'gift_card' }).expect(200);
+  });
+
+  test('the daily report totals each tender', async () => {
+    await api.post('/api/pos/sales').send({ items: [{ productId: pen.id, quantity: 1 }], paymentMethod: 'cash', amountTendered: 20 }).expect(201);
+
+    const report = (await api.get('/api/pos/reports/daily').expect(200)).body.data;
+    const tenders = Object.fromEntries(report.tenders.map(row => [row.tender, [row.salesCount, row.sales, row.refunds, row.net]]));
+    // The split sale counts once under each tender it used; one pen refunded to the gift card
+    expect(tenders).toEqual({
+      cash: [2, 23.2, 0, 23.2],
+      card: [1, 15, 0, 15],
+      gift_card: [1, 5, 10.8, -5.8]
+    });
+    expect(report.cashDrawer.cashSales).toBe(23.2);
+  });
+});
@@ -0,0 +1,80 @@
+const { setupDatabase, closeDatabase, createCompany, models, sequelize } = require('./helpers/testApp');
+
+describe('Stock movement ledger', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let product;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+    product = (await api.post('/api/products').send({
+      name: 'Widget', price: 10, cost: 4, sku: 'WID-1', stockQuantity: 20
+    }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('records every change in stock with the quantity before and after', async () => {
+    await api.put(`/api/products/${product.id}`).send({ stockQuantity: 25 }).expect(200);
+    await api.patch(`/api/products/${product.id}/adjust-stock`).send({
+      quantity: 3, operation: 'subtract', type: 'write_off', notes: 'Broken'
+    }).expect(200);
+
+    await api.post('/api/pos/shifts').send({ openingFloat: 0 }).expect(201);
+    await api.post('/api/pos/sales').send({
+      items: [{ productId: product.id, quantity: 2 }],
+      paymentMethod: 'cash',
+      amountTendered: 50
+    }).expect(201);
+
+    const { movements } = (await api.get(`/api/products/${product.id}/movements`).expect(200)).body;
+    const history = movements
+      .map(movement => [movement.type, movement.quantityChange, movement.quantityBefore, movement.quantityAfter])
+      .reverse();
+
+    expect(history).toEqual([
+      ['opening', 20, 0, 20],
+      ['adjustment', 5, 20, 25],
+      ['write_off', -3, 25, 22],
+      ['sale', -2, 22, 20]
+    ]);
+  });
+
+  test('refuses to take out more than is in stock', async () => {
+    await api.patch(`/api/products/${product.id}/adjust-stock`).send({ quantity: 300, operation: 'subtract' }).expect(400);
+    await api.patch(`/api/products/${product.id}/adjust-stock`).send({ quantity: 3, operation: 'add', type: 'write_off' }).expect(400);
+  });
+
+  test('finds stock changed outside the ledger and reconciles it', async () => {
+    await sequelize.query('UPDATE products SET stockQuantity = 40 WHERE id = :id', { replacements: { id: product.id } });
+
+    let mismatched = (await api.get('/api/products/stock-reconciliation').query({ mismatched: 'true' }).expect(200)).body;
+    expect(mismatched).toHaveLength(1);
+    expect(mismatched[0]).toMatchObject({ stockQuantity: 40, ledgerQuantity: 20 });
+
+    const response = await api.post('/api/products/stock-reconciliation').send({}).expect(200);
+    expect(response.body.movements).toHaveLength(1);
+
+    mismatched = (await api.get('/api/products/stock-reconciliation').query({ mismatched: 'true' }).expect(200)).body;
+    expect(mismatched).toHaveLength(0);
+    expect((await models.Product.findByPk(product.id)).stockQuantity).toBe(40);
+  });
+  test('reconciling corrects the ledger without touching lots or cost layers', async () => {
+    const milk = (await api.post('/api/products').send({
+      name: 'Milk', price: 3, cost: 1, sku: 'MILK', stockQuantity: 5, trackBatches: true, lotNumber: 'L1', expiryDate: '2099-01-01'
+    }).expect(201)).body;
+    await sequelize.query('UPDATE products SET stockQuantity = 8 WHERE id = :id', { replacements: { id: milk.id } });
+
+    const lots = async () => (await models.ProductBatch.findAll({ where: { productId: milk.id } })).map(lot => [lot.lotNumber, lot.quantity]);
+    const layers = async () => (await models.CostLayer.findAll({ where: { productId: milk.id } })).map(layer => layer.remainingQuantity);
+    const before = [await lots(), await layers()];
+
+    const response = await api.post('/api/products/stock-reconciliation').send({ productId: milk.id }).expect(200);
+    expect(response.body.movements.map(movement => movement.quantityChange)).toEqual([3]);
+    expect([await lots(), await layers()]).toEqual(before);
+  });
+});
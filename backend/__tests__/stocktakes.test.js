@@ -0,0 +1,62 @@
+const { setupDatabase, closeDatabase, createCompany, models } = require('./helpers/testApp');
+
+describe('Stocktakes', () => {
+  jest.setTimeout(30000);
+
+  let api;
+  let beans;
+  let mugs;
+  let service;
+  let stocktake;
+
+  const stockOf = async product => (await models.Product.findByPk(product.id)).stockQuantity;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ api } = await createCompany());
+
+    beans = (await api.post('/api/products').send({ name: 'Beans', price: 10, cost: 4, sku: 'BEANS', stockQuantity: 10, barcode: '4006381333931' }).expect(201)).body;
+    mugs = (await api.post('/api/products').send({ name: 'Mugs', price: 20, cost: 5, sku: 'MUGS', stockQuantity: 3 }).expect(201)).body;
+    service = (await api.post('/api/products').send({ name: 'Grinding', price: 2, sku: 'GRIND', trackInventory: false }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('counts scanned barcodes and typed quantities', async () => {
+    stocktake = (await api.post('/api/stocktakes').send({ name: 'October count' }).expect(201)).body;
+
+    for (let i = 0; i < 3; i++) {
+      await api.post(`/api/stocktakes/${stocktake.id}/scan`).send({ barcode: '4006381333931' }).expect(200);
+    }
+    await api.post(`/api/stocktakes/${stocktake.id}/scan`).send({ barcode: '4006381333931', quantity: 5 }).expect(200);
+    await api.post(`/api/stocktakes/${stocktake.id}/scan`).send({ barcode: '5901234123457' }).expect(404);
+
+    await api.put(`/api/stocktakes/${stocktake.id}/lines/${service.id}`).send({ countedQuantity: 1 }).expect(400);
+    const response = await api.put(`/api/stocktakes/${stocktake.id}/lines/${mugs.id}`).send({ countedQuantity: 5 }).expect(200);
+
+    const variances = Object.fromEntries(response.body.lines.map(line => [line.name, [line.countedQuantity, line.expectedQuantity, line.variance]]));
+    expect(variances).toEqual({ Beans: [8, 10, -2], Mugs: [5, 3, 2] });
+  });
+
+  test('posting brings stock in line with the count', async () => {
+    const response = await api.post(`/api/stocktakes/${stocktake.id}/post`).expect(200);
+    expect(response.body.status).toBe('posted');
+
+    expect(await stockOf(beans)).toBe(8);
+    expect(await stockOf(mugs)).toBe(5);
+
+    const movements = await models.StockMovement.findAll({ where: { sourceType: 'stocktake', sourceId: stocktake.id } });
+    expect(movements.map(movement => movement.quantityChange).sort()).toEqual([-2, 2]);
+
+    // A posted count is final
+    await api.post(`/api/stocktakes/${stocktake.id}/scan`).send({ barcode: '4006381333931' }).expect(400);
+    await api.post(`/api/stocktakes/${stocktake.id}/cancel`).expect(400);
+  });
+
+  test('a count with nothing counted cannot be posted', async () => {
+    const empty = (await api.post('/api/stocktakes').send({}).expect(201)).body;
+    await api.post(`/api/stocktakes/${empty.id}/post`).expect(400);
+  });
+});
@@ -1 +0,0 @@
-module.exports = { models, sequelize };
\ No newline at end of file
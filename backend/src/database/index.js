@@ -24,7 +24,32 @@ const Expense = require('../models/Expense')(sequelize);
 const Template = require('../models/Template')(sequelize);
 const POSSale = require('../models/POSSale')(sequelize);
 const POSSaleItem = require('../models/POSSaleItem')(sequelize);
+const POSSalePayment = require('../models/POSSalePayment')(sequelize);
+const POSHeldSale = require('../models/POSHeldSale')(sequelize);
+const POSRefund = require('../models/POSRefund')(sequelize);
 const SubscriptionPlan = require('../models/SubscriptionPlan')(sequelize);
+const Account = require('../models/Account')(sequelize);
+const JournalEntry = require('../models/JournalEntry')(sequelize);
+const JournalLine = require('../models/JournalLine')(sequelize);
+const FixedAsset = require('../models/FixedAsset')(sequelize);
+const PeriodClose = require('../models/PeriodClose')(sequelize);
+const RecurringInvoice = require('../models/RecurringInvoice')(sequelize);
+const EmailDelivery = require('../models/EmailDelivery')(sequelize);
+const PaymentReminder = require('../models/PaymentReminder')(sequelize);
+const StockMovement = require('../models/StockMovement')(sequelize);
+const Supplier = require('../models/Supplier')(sequelize);
+const PurchaseOrder = require('../models/PurchaseOrder')(sequelize);
+const PurchaseOrderItem = require('../models/PurchaseOrderItem')(sequelize);
+const SupplierPayment = require('../models/SupplierPayment')(sequelize);
+const Stocktake = require('../models/Stocktake')(sequelize);
+const StocktakeLine = require('../models/StocktakeLine')(sequelize);
+const CostLayer = require('../models/CostLayer')(sequelize);
+const BundleComponent = require('../models/BundleComponent')(sequelize);
+const ProductBatch = require('../models/ProductBatch')(sequelize);
+const SerialNumber = require('../models/SerialNumber')(sequelize);
+const POSShift = require('../models/POSShift')(sequelize);
+const POSCashMovement = require('../models/POSCashMovement')(sequelize);
+const Promotion = require('../models/Promotion')(sequelize);
 
 // Define associations
 const defineAssociations = () => {
@@ -55,6 +80,8 @@ const defineAssociations = () => {
   Product.belongsTo(Company, { foreignKey: 'companyId' });
   Product.hasMany(InvoiceItem, { foreignKey: 'productId' });
   Product.hasMany(POSSaleItem, { foreignKey: 'productId' });
+  Product.hasMany(Product, { foreignKey: 'parentProductId', as: 'variants' });
+  Product.belongsTo(Product, { foreignKey: 'parentProductId', as: 'parent' });
 
   // Invoice associations
   Invoice.belongsTo(Company, { foreignKey: 'companyId' });
@@ -75,6 +102,8 @@ const defineAssociations = () => {
   Expense.belongsTo(Company, { foreignKey: 'companyId' });
   Expense.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
   Expense.belongsTo(User, { as: 'Approver', foreignKey: 'approvedBy' });
+  Expense.belongsTo(Expense, { as: 'RecurringTemplate', foreignKey: 'recurringTemplateId' });
+  Expense.hasMany(Expense, { as: 'Occurrences', foreignKey: 'recurringTemplateId' });
 
   // Template associations
   Template.belongsTo(Company, { foreignKey: 'companyId' });
@@ -93,6 +122,126 @@ const defineAssociations = () => {
   // POS Sale Item associations
   POSSaleItem.belongsTo(POSSale, { foreignKey: 'saleId' });
   POSSaleItem.belongsTo(Product, { foreignKey: 'productId' });
+
+  // POS sale tender lines
+  POSSale.hasMany(POSSalePayment, { foreignKey: 'saleId', as: 'payments' });
+  POSSalePayment.belongsTo(POSSale, { foreignKey: 'saleId' });
+
+  // Held (parked) POS carts
+  POSHeldSale.belongsTo(User, { as: 'HeldBy', foreignKey: 'heldBy' });
+  POSHeldSale.belongsTo(Customer, { foreignKey: 'customerId' });
+
+  // POS refund associations
+  POSSale.hasMany(POSRefund, { foreignKey: 'saleId', as: 'refunds' });
+  POSRefund.belongsTo(POSSale, { foreignKey: 'saleId' });
+  POSRefund.belongsTo(User, { as: 'ProcessedBy', foreignKey: 'processedBy' });
+
+  // POS shift associations
+  POSShift.belongsTo(User, { as: 'Cashier', foreignKey: 'cashierId' });
+  POSShift.belongsTo(User, { as: 'ClosedBy', foreignKey: 'closedBy' });
+  POSShift.hasMany(POSSale, { foreignKey: 'shiftId', as: 'sales' });
+  POSShift.hasMany(POSRefund, { foreignKey: 'shiftId', as: 'refunds' });
+  POSShift.hasMany(POSCashMovement, { foreignKey: 'shiftId', as: 'cashMovements' });
+  POSSale.belongsTo(POSShift, { foreignKey: 'shiftId', as: 'shift' });
+  POSCashMovement.belongsTo(POSShift, { foreignKey: 'shiftId' });
+  POSCashMovement.belongsTo(User, { foreignKey: 'userId' });
+
+  // General ledger associations
+  Company.hasMany(Account, { foreignKey: 'companyId' });
+  Account.belongsTo(Company, { foreignKey: 'companyId' });
+  Account.hasMany(JournalLine, { foreignKey: 'accountId', as: 'lines' });
+
+  Company.hasMany(JournalEntry, { foreignKey: 'companyId' });
+  JournalEntry.belongsTo(Company, { foreignKey: 'companyId' });
+  JournalEntry.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+  JournalEntry.hasMany(JournalLine, { foreignKey: 'journalEntryId', as: 'lines' });
+
+  JournalLine.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'entry' });
+  JournalLine.belongsTo(Account, { foreignKey: 'accountId' });
+
+  // Fixed asset associations
+  Company.hasMany(FixedAsset, { foreignKey: 'companyId' });
+  FixedAsset.belongsTo(Company, { foreignKey: 'companyId' });
+  FixedAsset.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+
+  // Period close associations
+  Company.hasMany(PeriodClose, { foreignKey: 'companyId' });
+  PeriodClose.belongsTo(Company, { foreignKey: 'companyId' });
+  PeriodClose.belongsTo(User, { as: 'Performer', foreignKey: 'performedBy' });
+
+  // Recurring invoice associations
+  Company.hasMany(RecurringInvoice, { foreignKey: 'companyId' });
+  RecurringInvoice.belongsTo(Company, { foreignKey: 'companyId' });
+  RecurringInvoice.belongsTo(Customer, { foreignKey: 'customerId' });
+  RecurringInvoice.belongsTo(Template, { foreignKey: 'templateId' });
+  RecurringInvoice.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+  RecurringInvoice.hasMany(Invoice, { foreignKey: 'recurringInvoiceId', as: 'invoices' });
+  Invoice.belongsTo(RecurringInvoice, { foreignKey: 'recurringInvoiceId' });
+
+  // Email delivery log associations
+  Company.hasMany(EmailDelivery, { foreignKey: 'companyId' });
+  EmailDelivery.belongsTo(Company, { foreignKey: 'companyId' });
+  EmailDelivery.belongsTo(User, { as: 'Sender', foreignKey: 'sentBy' });
+
+  // Payment reminder associations
+  Invoice.hasMany(PaymentReminder, { foreignKey: 'invoiceId', as: 'reminders' });
+  PaymentReminder.belongsTo(Invoice, { foreignKey: 'invoiceId' });
+  PaymentReminder.belongsTo(Customer, { foreignKey: 'customerId' });
+  PaymentReminder.belongsTo(EmailDelivery, { foreignKey: 'emailDeliveryId' });
+
+  // Stock movement associations
+  Product.hasMany(StockMovement, { foreignKey: 'productId', as: 'stockMovements' });
+  StockMovement.belongsTo(Product, { foreignKey: 'productId' });
+  StockMovement.belongsTo(User, { foreignKey: 'userId' });
+  Product.hasMany(CostLayer, { foreignKey: 'productId', as: 'costLayers' });
+  CostLayer.belongsTo(Product, { foreignKey: 'productId' });
+  CostLayer.belongsTo(StockMovement, { foreignKey: 'stockMovementId' });
+
+  // Bundle associations
+  Product.hasMany(BundleComponent, { foreignKey: 'bundleId', as: 'components' });
+  BundleComponent.belongsTo(Product, { foreignKey: 'bundleId', as: 'bundle' });
+  BundleComponent.belongsTo(Product, { foreignKey: 'componentId', as: 'component' });
+
+  // Batch and expiry associations
+  Product.hasMany(ProductBatch, { foreignKey: 'productId', as: 'batches' });
+  ProductBatch.belongsTo(Product, { foreignKey: 'productId' });
+
+  // Serial number associations
+  Product.hasMany(SerialNumber, { foreignKey: 'productId', as: 'serials' });
+  SerialNumber.belongsTo(Product, { foreignKey: 'productId' });
+
+  // Supplier and purchasing associations
+  Company.hasMany(Supplier, { foreignKey: 'companyId' });
+  Supplier.belongsTo(Company, { foreignKey: 'companyId' });
+  Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplierId' });
+  Supplier.hasMany(Expense, { foreignKey: 'supplierId' });
+  Expense.belongsTo(Supplier, { foreignKey: 'supplierId' });
+  PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplierId' });
+  PurchaseOrder.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+  PurchaseOrder.belongsTo(Expense, { foreignKey: 'expenseId' });
+  PurchaseOrder.hasMany(PurchaseOrderItem, { foreignKey: 'purchaseOrderId', as: 'items' });
+  PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId' });
+  PurchaseOrderItem.belongsTo(Product, { foreignKey: 'productId' });
+  Supplier.hasMany(SupplierPayment, { foreignKey: 'supplierId', as: 'payments' });
+  SupplierPayment.belongsTo(Supplier, { foreignKey: 'supplierId' });
+  Expense.hasMany(SupplierPayment, { foreignKey: 'expenseId', as: 'supplierPayments' });
+  SupplierPayment.belongsTo(Expense, { foreignKey: 'expenseId' });
+  SupplierPayment.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+
+  // Stocktake associations
+  Company.hasMany(Stocktake, { foreignKey: 'companyId' });
+  Stocktake.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+  Stocktake.belongsTo(User, { as: 'Poster', foreignKey: 'postedBy' });
+  Stocktake.hasMany(StocktakeLine, { foreignKey: 'stocktakeId', as: 'lines' });
+  StocktakeLine.belongsTo(Stocktake, { foreignKey: 'stocktakeId' });
+  StocktakeLine.belongsTo(Product, { foreignKey: 'productId' });
+  StocktakeLine.belongsTo(User, { as: 'Counter', foreignKey: 'countedBy' });
+
+  // Promotion associations
+  Company.hasMany(Promotion, { foreignKey: 'companyId' });
+  Promotion.belongsTo(User, { as: 'Creator', foreignKey: 'createdBy' });
+  POSSaleItem.belongsTo(Promotion, { foreignKey: 'promotionId' });
+  InvoiceItem.belongsTo(Promotion, { foreignKey: 'promotionId' });
 };
 
 // Initialize database
@@ -136,6 +285,31 @@ module.exports = {
     Template,
     POSSale,
     POSSaleItem,
-    SubscriptionPlan
+    POSSalePayment,
+    POSHeldSale,
+    POSRefund,
+    SubscriptionPlan,
+    Account,
+    JournalEntry,
+    JournalLine,
+    FixedAsset,
+    PeriodClose,
+    RecurringInvoice,
+    EmailDelivery,
+    PaymentReminder,
+    StockMovement,
+    Supplier,
+    PurchaseOrder,
+    PurchaseOrderItem,
+    SupplierPayment,
+    Stocktake,
+    StocktakeLine,
+    CostLayer,
+    BundleComponent,
+    ProductBatch,
+    SerialNumber,
+    POSShift,
+    POSCashMovement,
+    Promotion
   }
 };
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('expenses', 'recurringStatus', {
+      type: Sequelize.ENUM('active', 'paused', 'ended'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('expenses', 'nextRecurringDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('expenses', 'recurringEndDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('expenses', 'recurringTemplateId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('expenses', ['recurringStatus', 'nextRecurringDate']);
+    await queryInterface.addIndex('expenses', ['recurringTemplateId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('expenses', ['recurringTemplateId']);
+    await queryInterface.removeIndex('expenses', ['recurringStatus', 'nextRecurringDate']);
+    await queryInterface.removeColumn('expenses', 'recurringTemplateId');
+    await queryInterface.removeColumn('expenses', 'recurringEndDate');
+    await queryInterface.removeColumn('expenses', 'nextRecurringDate');
+    await queryInterface.removeColumn('expenses', 'recurringStatus');
+  }
+};
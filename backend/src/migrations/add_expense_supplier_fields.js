@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('expenses', 'supplierId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.addColumn('expenses', 'dueDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('expenses', ['supplierId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('expenses', ['supplierId']);
+    await queryInterface.removeColumn('expenses', 'dueDate');
+    await queryInterface.removeColumn('expenses', 'supplierId');
+  }
+};
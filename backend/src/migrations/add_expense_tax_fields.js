@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('expenses', 'taxRate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    });
+
+    await queryInterface.addColumn('expenses', 'taxAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    });
+
+    await queryInterface.addColumn('expenses', 'taxInclusive', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+
+    await queryInterface.addColumn('expenses', 'supplierTaxId', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('expenses', 'taxRate');
+    await queryInterface.removeColumn('expenses', 'taxAmount');
+    await queryInterface.removeColumn('expenses', 'taxInclusive');
+    await queryInterface.removeColumn('expenses', 'supplierTaxId');
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Value of each stock movement, from the cost layers it opened or used up
+    await queryInterface.addColumn('stock_movements', 'unitCost', {
+      type: Sequelize.DECIMAL(12, 4),
+      allowNull: true
+    });
+    await queryInterface.addColumn('stock_movements', 'totalCost', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    });
+
+    // Cost of goods sold per POS line, fixed at the time of sale
+    await queryInterface.addColumn('pos_sale_items', 'unitCost', {
+      type: Sequelize.DECIMAL(12, 4),
+      allowNull: true
+    });
+    await queryInterface.addColumn('pos_sale_items', 'costAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('stock_movements', 'unitCost');
+    await queryInterface.removeColumn('stock_movements', 'totalCost');
+    await queryInterface.removeColumn('pos_sale_items', 'unitCost');
+    await queryInterface.removeColumn('pos_sale_items', 'costAmount');
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('invoices', 'lateFeeAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      defaultValue: 0.00
+    });
+
+    await queryInterface.addColumn('invoices', 'lateFeeDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('invoices', 'remindersPaused', {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('customers', 'remindersPaused', {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+      defaultValue: false
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('invoices', 'lateFeeAmount');
+    await queryInterface.removeColumn('invoices', 'lateFeeDate');
+    await queryInterface.removeColumn('invoices', 'remindersPaused');
+    await queryInterface.removeColumn('customers', 'remindersPaused');
+  }
+};
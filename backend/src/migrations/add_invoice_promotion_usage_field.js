@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Invoices count against promotion usage limits when issued, not drafted
+    await queryInterface.addColumn('invoices', 'promotionUsageRecorded', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    // Invoices made before this were counted when they were created, drafts included
+    await queryInterface.sequelize.query(
+      'UPDATE invoices SET promotionUsageRecorded = 1'
+    );
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('invoices', 'promotionUsageRecorded');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // recurring_invoices itself is created by model sync
+    await queryInterface.addColumn('invoices', 'recurringInvoiceId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'recurring_invoices',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('invoices', ['recurringInvoiceId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('invoices', ['recurringInvoiceId']);
+    await queryInterface.removeColumn('invoices', 'recurringInvoiceId');
+  }
+};
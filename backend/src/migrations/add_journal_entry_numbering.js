@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Journal entry numbers are issued from a per-company counter rather
+    // than a count of entries, which concurrent postings could share
+    await queryInterface.addColumn('companies', 'journalEntrySequence', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.sequelize.query(
+      'UPDATE companies SET journalEntrySequence = (SELECT COUNT(*) FROM journal_entries WHERE journal_entries.companyId = companies.id)'
+    );
+
+    await queryInterface.addIndex('journal_entries', ['companyId', 'entryNumber'], {
+      unique: true,
+      name: 'journal_entries_company_entry_number_unique'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('journal_entries', 'journal_entries_company_entry_number_unique');
+    await queryInterface.removeColumn('companies', 'journalEntrySequence');
+  }
+};
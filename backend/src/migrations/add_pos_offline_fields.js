@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Sales rung up while the register was offline carry the id it gave
+    // them, so a sale synced twice is only recorded once
+    await queryInterface.addColumn('pos_sales', 'clientSaleId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('pos_sales', 'syncedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Stock an offline sale sold that was no longer on hand when it synced
+    await queryInterface.addColumn('pos_sales', 'stockConflicts', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('pos_sales', ['companyId', 'clientSaleId'], {
+      name: 'pos_sales_company_client_sale_id_idx',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('pos_sales', 'pos_sales_company_client_sale_id_idx');
+    await queryInterface.removeColumn('pos_sales', 'clientSaleId');
+    await queryInterface.removeColumn('pos_sales', 'syncedAt');
+    await queryInterface.removeColumn('pos_sales', 'stockConflicts');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('pos_sale_items', 'restockedQuantity', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      defaultValue: 0.00
+    });
+
+    // Refunds made before restocking was tracked per line returned everything to stock
+    await queryInterface.sequelize.query(
+      'UPDATE pos_sale_items SET restockedQuantity = refundedQuantity WHERE isRefunded = 1'
+    );
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('pos_sale_items', 'restockedQuantity');
+  }
+};
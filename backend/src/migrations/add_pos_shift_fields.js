@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Refunds are paid out of the drawer of the shift they were processed in
+    await queryInterface.addColumn('pos_refunds', 'shiftId', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('pos_refunds', 'shiftId');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Gift cards are taken as a tender; a sale paid several ways is 'mixed'
+    // and lists its tenders in pos_sale_payments
+    await queryInterface.changeColumn('pos_sales', 'paymentMethod', {
+      type: Sequelize.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card', 'mixed'),
+      allowNull: false,
+      defaultValue: 'cash'
+    });
+
+    await queryInterface.changeColumn('pos_refunds', 'refundMethod', {
+      type: Sequelize.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card'),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('pos_sales', 'paymentMethod', {
+      type: Sequelize.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'mixed'),
+      allowNull: false,
+      defaultValue: 'cash'
+    });
+
+    await queryInterface.changeColumn('pos_refunds', 'refundMethod', {
+      type: Sequelize.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment'),
+      allowNull: false
+    });
+  }
+};
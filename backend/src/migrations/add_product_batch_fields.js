@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Batch-tracked products hold their stock in lots with lot numbers and expiry dates
+    await queryInterface.addColumn('products', 'trackBatches', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    });
+
+    // The lots a movement took stock from or put it into
+    await queryInterface.addColumn('stock_movements', 'batches', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('products', 'trackBatches');
+    await queryInterface.removeColumn('stock_movements', 'batches');
+  }
+};
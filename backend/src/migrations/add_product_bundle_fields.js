@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Bundles hold no stock of their own; selling one takes its components out
+    await queryInterface.addColumn('products', 'productType', {
+      type: Sequelize.ENUM('standard', 'bundle'),
+      defaultValue: 'standard',
+      allowNull: false
+    });
+
+    // The components a bundle line took out of stock, fixed at the time of sale
+    await queryInterface.addColumn('pos_sale_items', 'bundleComponents', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('products', 'productType');
+    await queryInterface.removeColumn('pos_sale_items', 'bundleComponents');
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Serialized products record the serial number of every unit sold
+    await queryInterface.addColumn('products', 'trackSerials', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    });
+
+    // The serials a sale line or movement covered
+    await queryInterface.addColumn('pos_sale_items', 'serialNumbers', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('invoice_items', 'serialNumbers', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('stock_movements', 'serialNumbers', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('products', 'trackSerials');
+    await queryInterface.removeColumn('pos_sale_items', 'serialNumbers');
+    await queryInterface.removeColumn('invoice_items', 'serialNumbers');
+    await queryInterface.removeColumn('stock_movements', 'serialNumbers');
+  }
+};
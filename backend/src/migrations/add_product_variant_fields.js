@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('products', 'parentProductId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.addColumn('products', 'variantOptions', {
+      type: Sequelize.JSON,
+      defaultValue: []
+    });
+
+    await queryInterface.addColumn('products', 'variantAttributes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('products', ['parentProductId'], {
+      name: 'products_parent_product_id_idx'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('products', 'products_parent_product_id_idx');
+    await queryInterface.removeColumn('products', 'parentProductId');
+    await queryInterface.removeColumn('products', 'variantOptions');
+    await queryInterface.removeColumn('products', 'variantAttributes');
+  }
+};
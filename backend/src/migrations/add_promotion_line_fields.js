@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // The promotion a line was discounted by, kept for promotion reporting;
+    // the name is stored as it was at the time of sale
+    for (const table of ['pos_sale_items', 'invoice_items']) {
+      await queryInterface.addColumn(table, 'promotionId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'promotions',
+          key: 'id'
+        }
+      });
+
+      await queryInterface.addColumn(table, 'promotionName', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+
+      await queryInterface.addIndex(table, ['promotionId'], {
+        name: `${table}_promotion_id_idx`
+      });
+    }
+
+    // Invoice lines had no discount of their own until promotions
+    await queryInterface.addColumn('invoice_items', 'discountAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('invoice_items', 'discountAmount');
+    for (const table of ['pos_sale_items', 'invoice_items']) {
+      await queryInterface.removeIndex(table, `${table}_promotion_id_idx`);
+      await queryInterface.removeColumn(table, 'promotionId');
+      await queryInterface.removeColumn(table, 'promotionName');
+    }
+  }
+};
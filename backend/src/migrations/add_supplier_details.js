@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('suppliers', 'taxId', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('suppliers', 'paymentTerms', {
+      type: Sequelize.INTEGER,
+      defaultValue: 30
+    });
+
+    await queryInterface.addColumn('suppliers', 'bankName', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('suppliers', 'bankAccountName', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('suppliers', 'bankAccountNumber', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('suppliers', 'bankSwiftCode', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('expenses', 'paidAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      defaultValue: 0.00
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('expenses', 'paidAmount');
+    await queryInterface.removeColumn('suppliers', 'bankSwiftCode');
+    await queryInterface.removeColumn('suppliers', 'bankAccountNumber');
+    await queryInterface.removeColumn('suppliers', 'bankAccountName');
+    await queryInterface.removeColumn('suppliers', 'bankName');
+    await queryInterface.removeColumn('suppliers', 'paymentTerms');
+    await queryInterface.removeColumn('suppliers', 'taxId');
+  }
+};
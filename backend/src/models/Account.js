@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Account = sequelize.define('Account', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('asset', 'liability', 'equity', 'revenue', 'expense'),
+      allowNull: false
+    },
+    subtype: {
+      type: DataTypes.ENUM(
+        'current_asset',
+        'fixed_asset',
+        'current_liability',
+        'long_term_liability',
+        'equity',
+        'operating_revenue',
+        'other_income',
+        'cost_of_sales',
+        'operating_expense',
+        'other_expense'
+      ),
+      allowNull: false
+    },
+    systemKey: {
+      type: DataTypes.STRING(50),
+      allowNull: true // Set for accounts the ledger posts to automatically
+    },
+    reportKey: {
+      type: DataTypes.STRING(50),
+      allowNull: true // Line on the financial statements this account rolls up into
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'accounts',
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId', 'code']
+      },
+      {
+        fields: ['companyId', 'systemKey']
+      },
+      {
+        fields: ['companyId', 'type']
+      }
+    ]
+  });
+
+  // Asset and expense accounts carry debit balances, everything else credit
+  Account.getNormalBalance = function(type) {
+    return ['asset', 'expense'].includes(type) ? 'debit' : 'credit';
+  };
+
+  Account.prototype.getNormalBalance = function() {
+    return Account.getNormalBalance(this.type);
+  };
+
+  return Account;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One line of a bundle's recipe: selling one bundle takes `quantity` of the
+  // component out of stock
+  const BundleComponent = sequelize.define('BundleComponent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    bundleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    componentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    }
+  }, {
+    tableName: 'bundle_components',
+    indexes: [
+      {
+        unique: true,
+        fields: ['bundleId', 'componentId']
+      },
+      {
+        fields: ['componentId']
+      }
+    ]
+  });
+
+  return BundleComponent;
+};
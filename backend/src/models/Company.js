@@ -102,6 +102,12 @@ module.exports = (sequelize) => {
       type: DataTypes.JSON,
       defaultValue: {},
       allowNull: false
+    },
+    // Last journal entry number issued (JE-000001, ...); see JournalEntry
+    journalEntrySequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
     }
   }, {
     tableName: 'companies',
@@ -113,5 +119,15 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Never expose the SMTP password (settings.smtp.password) in API responses
+  Company.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    if (values.settings?.smtp?.password) {
+      const { password, ...smtp } = values.settings.smtp;
+      values.settings = { ...values.settings, smtp: { ...smtp, hasPassword: !!password } };
+    }
+    return values;
+  };
+
   return Company;
 };
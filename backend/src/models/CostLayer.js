@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Stock received at one unit cost. Stock leaving is costed by using up the
+  // oldest layers first; under weighted average each receipt folds what is
+  // still on hand into its own layer, so only one layer is ever open.
+  const CostLayer = sequelize.define('CostLayer', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    // Receipt that opened the layer; null for stock on hand before costing was tracked
+    stockMovementId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stock_movements',
+        key: 'id'
+      }
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    remainingQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'cost_layers',
+    indexes: [
+      {
+        fields: ['productId', 'remainingQuantity']
+      },
+      {
+        fields: ['companyId']
+      }
+    ]
+  });
+
+  return CostLayer;
+};
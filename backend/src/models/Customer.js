@@ -69,6 +69,11 @@ module.exports = (sequelize) => {
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    // Stops payment reminders and late fees on all of the customer's invoices
+    remindersPaused: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
     }
   }, {
     tableName: 'customers',
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Delivery log of documents emailed to customers, one row per send attempt
+  const EmailDelivery = sequelize.define('EmailDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    documentType: {
+      type: DataTypes.ENUM('invoice', 'quote', 'receipt'),
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    cc: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    attachmentName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'failed'),
+      allowNull: false
+    },
+    messageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentBy: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for scheduled sends (e.g. recurring invoices)
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'email_deliveries',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['companyId', 'createdAt']
+      },
+      {
+        fields: ['documentType', 'documentId']
+      }
+    ]
+  });
+
+  return EmailDelivery;
+};
@@ -42,6 +42,7 @@ module.exports = (sequelize) => {
         'Maintenance',
         'Office Expenses',
         'Telecommunications',
+        'Inventory', // Stock bought for resale, capitalised rather than expensed
         'Other'
       ),
       allowNull: false
@@ -54,6 +55,14 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(255),
       allowNull: true
     },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
     description: {
       type: DataTypes.TEXT,
       allowNull: false,
@@ -73,13 +82,46 @@ module.exports = (sequelize) => {
       defaultValue: 'USD',
       allowNull: false
     },
+    taxRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    taxInclusive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true // amount is what was paid, GST included
+    },
+    supplierTaxId: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
     date: {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: DataTypes.NOW
     },
+    // When an expense bought on account is due to be paid
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Paid so far on an expense bought on account (see SupplierPayment)
+    paidAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
     paymentMethod: {
-      type: DataTypes.ENUM('cash', 'bank_transfer', 'card', 'check', 'online', 'other'),
+      type: DataTypes.ENUM('cash', 'bank_transfer', 'card', 'check', 'online', 'on_account', 'other'),
       defaultValue: 'cash'
     },
     reference: {
@@ -102,6 +144,26 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('monthly', 'quarterly', 'yearly'),
       allowNull: true
     },
+    recurringStatus: {
+      type: DataTypes.ENUM('active', 'paused', 'ended'),
+      allowNull: true // Only set on the template expense of a series
+    },
+    nextRecurringDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    recurringEndDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    recurringTemplateId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Set on expenses generated from a recurring template
+      references: {
+        model: 'expenses',
+        key: 'id'
+      }
+    },
     tags: {
       type: DataTypes.JSON,
       defaultValue: []
@@ -138,17 +200,27 @@ module.exports = (sequelize) => {
       {
         fields: ['vendor']
       },
+      {
+        fields: ['supplierId']
+      },
       {
         fields: ['status']
+      },
+      {
+        fields: ['recurringStatus', 'nextRecurringDate']
+      },
+      {
+        fields: ['recurringTemplateId']
       }
     ],
     hooks: {
-      beforeCreate: async (expense) => {
+      beforeCreate: async (expense, options) => {
         if (!expense.expenseNumber) {
           // Generate expense number
           const lastExpense = await sequelize.models.Expense.findOne({
             where: { companyId: expense.companyId },
-            order: [['createdAt', 'DESC']]
+            order: [['createdAt', 'DESC'], ['expenseNumber', 'DESC']],
+            transaction: options.transaction
           });
           
           const nextNumber = lastExpense 
@@ -157,9 +229,63 @@ module.exports = (sequelize) => {
           
           expense.expenseNumber = `EXP-${String(nextNumber).padStart(4, '0')}`;
         }
+      },
+      beforeSave: async (expense, options) => {
+        // Work out GST from the rate unless the amount on the supplier's invoice was given
+        if (!expense.changed('taxAmount') && ['amount', 'taxRate', 'taxInclusive'].some(field => expense.changed(field))) {
+          const amount = parseFloat(expense.amount) || 0;
+          const rate = parseFloat(expense.taxRate) || 0;
+          const tax = expense.taxInclusive ? amount * rate / (100 + rate) : amount * rate / 100;
+          expense.taxAmount = Math.round(tax * 100) / 100;
+        }
+
+        if (expense.taxInclusive && parseFloat(expense.taxAmount) >= parseFloat(expense.amount)) {
+          throw new Error('Tax amount must be less than the tax-inclusive expense amount');
+        }
+
+        // Start or stop the recurring series this expense is the template for
+        if (!expense.recurringTemplateId && (expense.changed('isRecurring') || expense.changed('recurringPeriod'))) {
+          const recurringExpenseService = require('../services/recurringExpenseService');
+          await recurringExpenseService.scheduleSeries(expense, { transaction: options.transaction });
+        }
+
+        // Documents in a closed accounting period are read-only
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(expense, { transaction: options.transaction });
+      },
+      beforeDestroy: async (expense, options) => {
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(expense, { transaction: options.transaction, isDestroy: true });
+      },
+      afterSave: async (expense, options) => {
+        // Approved expenses are posted to the general ledger
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.postExpense(expense, { transaction: options.transaction });
+      },
+      afterDestroy: async (expense, options) => {
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.voidSourceEntries(expense.companyId, 'expense', expense.id, { transaction: options.transaction });
       }
     }
   });
 
+  // Expense amount excluding GST
+  Expense.prototype.getNetAmount = function() {
+    const amount = parseFloat(this.amount) || 0;
+    return this.taxInclusive ? Math.round((amount - (parseFloat(this.taxAmount) || 0)) * 100) / 100 : amount;
+  };
+
+  // Amount paid to the supplier, GST included
+  Expense.prototype.getTotalAmount = function() {
+    const amount = parseFloat(this.amount) || 0;
+    return this.taxInclusive ? amount : Math.round((amount + (parseFloat(this.taxAmount) || 0)) * 100) / 100;
+  };
+
+  // Still owed to the supplier. Only expenses bought on account are paid later.
+  Expense.prototype.getBalanceDue = function() {
+    if (this.paymentMethod !== 'on_account') return 0;
+    return Math.round((this.getTotalAmount() - (parseFloat(this.paidAmount) || 0)) * 100) / 100;
+  };
+
   return Expense;
 };
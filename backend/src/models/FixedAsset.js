@@ -0,0 +1,167 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FixedAsset = sequelize.define('FixedAsset', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    assetNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: true // Auto-generated if not provided
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category: {
+      type: DataTypes.ENUM('equipment', 'furniture', 'buildings', 'vehicles', 'other'),
+      allowNull: false,
+      defaultValue: 'equipment'
+    },
+    serialNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    purchaseDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    purchaseCost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    salvageValue: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    usefulLifeMonths: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    depreciationMethod: {
+      type: DataTypes.ENUM('straight_line', 'declining_balance'),
+      allowNull: false,
+      defaultValue: 'straight_line'
+    },
+    decliningBalanceRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 2.00 // Multiple of the straight-line rate (2 = double declining)
+    },
+    depreciationStartDate: {
+      type: DataTypes.DATE,
+      allowNull: true // Defaults to the purchase date
+    },
+    paymentMethod: {
+      type: DataTypes.STRING(50),
+      allowNull: true // How the purchase was paid, see ledgerService payment accounts
+    },
+    accumulatedDepreciation: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    lastDepreciationDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'fully_depreciated', 'disposed'),
+      defaultValue: 'active'
+    },
+    disposalDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    disposalAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    disposalMethod: {
+      type: DataTypes.STRING(50),
+      allowNull: true // Payment method the proceeds were received by
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'fixed_assets',
+    indexes: [
+      {
+        fields: ['companyId', 'category']
+      },
+      {
+        fields: ['companyId', 'status']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (asset, options) => {
+        if (!asset.assetNumber) {
+          const count = await sequelize.models.FixedAsset.count({
+            where: { companyId: asset.companyId },
+            transaction: options.transaction
+          });
+
+          asset.assetNumber = `FA-${String(count + 1).padStart(4, '0')}`;
+        }
+      },
+      beforeSave: async (asset, options) => {
+        // Assets bought in a closed accounting period keep their cost and settings
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(asset, { transaction: options.transaction });
+      },
+      beforeDestroy: async (asset, options) => {
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(asset, { transaction: options.transaction, isDestroy: true });
+      }
+    }
+  });
+
+  // Instance methods
+  FixedAsset.prototype.getBookValue = function() {
+    return Math.round((parseFloat(this.purchaseCost) - parseFloat(this.accumulatedDepreciation)) * 100) / 100;
+  };
+
+  return FixedAsset;
+};
@@ -44,6 +44,14 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    recurringInvoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Set on invoices generated by a recurring schedule
+      references: {
+        model: 'recurring_invoices',
+        key: 'id'
+      }
+    },
     type: {
       type: DataTypes.ENUM('invoice', 'quote'),
       defaultValue: 'invoice',
@@ -109,6 +117,25 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       defaultValue: 0.00
     },
+    // Late fee charged by dunning on top of the invoice total, posted on lateFeeDate
+    lateFeeAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    lateFeeDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    remindersPaused: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Set once the invoice has been counted against its promotions' usage
+    // limits, which happens when it is issued
+    promotionUsageRecorded: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -148,11 +175,11 @@ module.exports = (sequelize) => {
     ],
     hooks: {
       beforeUpdate: (invoice) => {
-        // Calculate balance amount
-        invoice.balanceAmount = invoice.total - invoice.paidAmount;
+        // Calculate balance amount (late fees are owed on top of the total)
+        invoice.balanceAmount = invoice.getTotalDue() - invoice.paidAmount;
         
         // Update status based on payment
-        if (invoice.paidAmount >= invoice.total) {
+        if (invoice.paidAmount >= invoice.getTotalDue()) {
           invoice.status = 'paid';
           if (!invoice.paidAt) {
             invoice.paidAt = new Date();
@@ -162,9 +189,60 @@ module.exports = (sequelize) => {
         } else if (new Date() > invoice.dueDate && invoice.status !== 'paid') {
           invoice.status = 'overdue';
         }
+      },
+      beforeSave: async (invoice, options) => {
+        // Documents in a closed accounting period are read-only
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(invoice, { transaction: options.transaction });
+      },
+      beforeDestroy: async (invoice, options) => {
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(invoice, { transaction: options.transaction, isDestroy: true });
+      },
+      afterSave: async (invoice, options) => {
+        // Keep the general ledger in step with the invoice
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.postInvoice(invoice, { transaction: options.transaction });
+        await ledgerService.postLateFee(invoice, { transaction: options.transaction });
+
+        // Bundles and serialized products on an issued invoice take their stock out
+        const stockService = require('../services/stockService');
+        await stockService.syncInvoiceStock(invoice, { transaction: options.transaction });
+
+        // An issued invoice uses up its promotions; a draft does not
+        if (stockService.isIssued(invoice)) {
+          const promotionService = require('../services/promotionService');
+          await promotionService.recordInvoiceUsage(invoice, { transaction: options.transaction });
+        }
+      },
+      afterDestroy: async (invoice, options) => {
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.voidSourceEntries(invoice.companyId, 'invoice', invoice.id, { transaction: options.transaction });
+        await ledgerService.voidSourceEntries(invoice.companyId, 'late_fee', invoice.id, { transaction: options.transaction });
+
+        const stockService = require('../services/stockService');
+        await stockService.syncInvoiceStock(invoice, { transaction: options.transaction, released: true });
       }
     }
   });
 
+  // Amount the customer owes in full: the invoice total plus any late fee
+  Invoice.prototype.getTotalDue = function() {
+    return (parseFloat(this.total) || 0) + (parseFloat(this.lateFeeAmount) || 0);
+  };
+
+  // Next INV-#### number for a company
+  Invoice.generateInvoiceNumber = async function(companyId, options = {}) {
+    const lastInvoice = await Invoice.findOne({
+      where: { companyId },
+      order: [['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+
+    return lastInvoice
+      ? `INV-${String(parseInt(lastInvoice.invoiceNumber.split('-')[1]) + 1).padStart(4, '0')}`
+      : 'INV-0001';
+  };
+
   return Invoice;
 };
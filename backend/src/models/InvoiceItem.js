@@ -48,12 +48,48 @@ module.exports = (sequelize) => {
       validate: {
         min: 0
       }
+    },
+    // For a serialized product, the serial number of each unit invoiced
+    serialNumbers: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Taken off the line by a promotion
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    // Promotion the line was discounted by, and its name at the time
+    promotionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotionName: {
+      type: DataTypes.STRING,
+      allowNull: true
     }
   }, {
     tableName: 'invoice_items',
     hooks: {
       beforeSave: (item) => {
-        item.lineTotal = item.quantity * item.unitPrice;
+        item.lineTotal = item.quantity * item.unitPrice - (parseFloat(item.discountAmount) || 0);
+      },
+      afterCreate: async (item, options) => {
+        // A bundle or serialized product added to an invoice that has already
+        // been issued is taken out of stock straight away
+        const stockService = require('../services/stockService');
+        const product = await sequelize.models.Product.findByPk(item.productId, { transaction: options.transaction });
+        if (!stockService.movesInvoiceStock(product)) return;
+
+        const invoice = await sequelize.models.Invoice.findByPk(item.invoiceId, { transaction: options.transaction });
+        if (invoice && stockService.isIssued(invoice)) {
+          await stockService.consumeInvoiceItem(invoice, item, product, { transaction: options.transaction });
+        }
       }
     }
   });
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const JournalEntry = sequelize.define('JournalEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    entryNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: true // Auto-generated if not provided
+    },
+    date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sourceType: {
+      type: DataTypes.ENUM(
+        'invoice',
+        'payment',
+        'pos_sale',
+        'pos_refund',
+        'expense',
+        'inventory',
+        'fixed_asset',
+        'depreciation',
+        'asset_disposal',
+        'late_fee',
+        'supplier_payment',
+        'manual'
+      ),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    sourceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Document that generated the entry
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true // Human readable document number
+    },
+    status: {
+      type: DataTypes.ENUM('posted', 'void'),
+      defaultValue: 'posted',
+      allowNull: false
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for entries posted by the system
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'journal_entries',
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId', 'entryNumber']
+      },
+      {
+        fields: ['companyId', 'date']
+      },
+      {
+        fields: ['sourceType', 'sourceId']
+      },
+      {
+        fields: ['status']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (entry, options) => {
+        if (!entry.entryNumber) {
+          // Numbers come from the company's counter: the increment locks its
+          // row until the posting commits, so concurrent postings never share
+          // a number
+          const nextNumber = async (transaction) => {
+            const { Company } = sequelize.models;
+            await Company.increment('journalEntrySequence', { where: { id: entry.companyId }, transaction });
+            const company = await Company.findByPk(entry.companyId, { attributes: ['journalEntrySequence'], transaction });
+            return company.journalEntrySequence;
+          };
+
+          const number = options.transaction
+            ? await nextNumber(options.transaction)
+            : await sequelize.transaction(nextNumber);
+
+          entry.entryNumber = `JE-${String(number).padStart(6, '0')}`;
+        }
+      }
+    }
+  });
+
+  return JournalEntry;
+};
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const JournalLine = sequelize.define('JournalLine', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    journalEntryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'journal_entries',
+        key: 'id'
+      }
+    },
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'accounts',
+        key: 'id'
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    debit: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    credit: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    tableName: 'journal_lines',
+    indexes: [
+      {
+        fields: ['journalEntryId']
+      },
+      {
+        fields: ['accountId']
+      }
+    ]
+  });
+
+  return JournalLine;
+};
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Cash taken out of the drawer during a shift other than by a refund: a drop
+  // to the safe or a payout, e.g. petty cash for a delivery
+  const POSCashMovement = sequelize.define('POSCashMovement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    shiftId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'pos_shifts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('drop', 'payout'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'pos_cash_movements',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['shiftId']
+      }
+    ]
+  });
+
+  return POSCashMovement;
+};
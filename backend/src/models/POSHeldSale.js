@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A cart set aside at the POS, e.g. while the customer fetches another item.
+  // It holds no stock: nothing is checked or taken until it is resumed and
+  // sold, and it lapses at expiresAt.
+  const POSHeldSale = sequelize.define('POSHeldSale', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    heldBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: true // How the cashier recognises it, e.g. the customer's name
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    // Cart lines: [{ productId, quantity, serialNumbers, discountType, discountValue, notes }]
+    items: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    itemCount: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 0
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00 // At the prices when held, before tax
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    deviceInfo: {
+      type: DataTypes.JSON,
+      defaultValue: {}, // Terminal it was held on
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'pos_held_sales',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['companyId', 'expiresAt']
+      }
+    ]
+  });
+
+  return POSHeldSale;
+};
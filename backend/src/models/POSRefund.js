@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Money and goods returned against a POS sale. A sale can have several
+  // partial refunds; each one is paid out with a single tender.
+  const POSRefund = sequelize.define('POSRefund', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    saleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'pos_sales',
+        key: 'id'
+      }
+    },
+    processedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Shift whose drawer the refund was paid from
+    shiftId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    refundNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    refundMethod: {
+      type: DataTypes.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card'),
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    // Change to the cash drawer: minus the total for cash refunds, otherwise zero
+    cashDrawerImpact: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    // Refunded lines: [{ saleItemId, productId, productName, quantity, unitPrice,
+    // taxAmount, lineTotal, disposition: 'restock' | 'write_off' }]
+    items: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    receiptPrinted: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'pos_refunds',
+    indexes: [
+      {
+        fields: ['companyId', 'date']
+      },
+      {
+        fields: ['saleId']
+      },
+      {
+        fields: ['refundNumber']
+      }
+    ],
+    hooks: {
+      beforeValidate: async (refund, options) => {
+        // Generate refund number if not provided (before validation, which requires it)
+        if (refund.isNewRecord && !refund.refundNumber) {
+          const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+          const todayRefundCount = await sequelize.models.POSRefund.count({
+            where: {
+              companyId: refund.companyId,
+              createdAt: {
+                [sequelize.Sequelize.Op.gte]: new Date().setHours(0, 0, 0, 0)
+              }
+            },
+            transaction: options.transaction
+          });
+
+          refund.refundNumber = `REF-${today}-${String(todayRefundCount + 1).padStart(4, '0')}`;
+        }
+
+        refund.cashDrawerImpact = refund.refundMethod === 'cash' ? -(parseFloat(refund.total) || 0) : 0;
+      }
+    }
+  });
+
+  return POSRefund;
+};
@@ -54,18 +54,18 @@ module.exports = (sequelize) => {
       defaultValue: 0.00
     },
     paymentMethod: {
-      type: DataTypes.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'mixed'),
+      type: DataTypes.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card', 'mixed'),
       allowNull: false,
-      defaultValue: 'cash'
+      defaultValue: 'cash' // 'mixed' when paid with several tenders (see POSSalePayment)
     },
     paymentDetails: {
       type: DataTypes.JSON,
-      defaultValue: {}, // For split payments, card details, etc.
+      defaultValue: {}, // Card details, etc.
       allowNull: false
     },
     amountTendered: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: true // Only for cash payments
+      allowNull: true // Cash handed over, across the sale's cash tenders
     },
     changeGiven: {
       type: DataTypes.DECIMAL(10, 2),
@@ -102,9 +102,26 @@ module.exports = (sequelize) => {
       defaultValue: {}, // Store device/terminal info
       allowNull: false
     },
+    // Cashier's shift the sale was rung up in (see POSShift)
     shiftId: {
       type: DataTypes.UUID,
-      allowNull: true // For future shift management
+      allowNull: true // Null for sales made before shifts were tracked
+    },
+    // Id the register gave a sale rung up offline, so syncing it twice
+    // records it once
+    clientSaleId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    syncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true // Set for sales rung up offline and synced later
+    },
+    // Lines an offline sale sold beyond the stock on hand when it synced:
+    // [{ productId, productName, quantity, available, shortfall }]
+    stockConflicts: {
+      type: DataTypes.JSON,
+      allowNull: true
     }
   }, {
     tableName: 'pos_sales',
@@ -120,13 +137,16 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['status']
+      },
+      {
+        unique: true,
+        fields: ['companyId', 'clientSaleId']
       }
     ],
     hooks: {
-      beforeCreate: async (sale, options) => {
-        // Generate sale number if not provided
-        if (!sale.saleNumber) {
-          const company = await sequelize.models.Company.findByPk(sale.companyId);
+      beforeValidate: async (sale, options) => {
+        // Generate sale number if not provided (before validation, which requires it)
+        if (sale.isNewRecord && !sale.saleNumber) {
           const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
           const todaySalesCount = await sequelize.models.POSSale.count({
             where: {
@@ -134,12 +154,14 @@ module.exports = (sequelize) => {
               createdAt: {
                 [sequelize.Sequelize.Op.gte]: new Date().setHours(0, 0, 0, 0)
               }
-            }
+            },
+            transaction: options.transaction
           });
           
           sale.saleNumber = `POS-${today}-${String(todaySalesCount + 1).padStart(4, '0')}`;
         }
-
+      },
+      beforeCreate: (sale) => {
         // Calculate change for cash payments
         if (sale.paymentMethod === 'cash' && sale.amountTendered) {
           sale.changeGiven = Math.max(0, sale.amountTendered - sale.total);
@@ -150,6 +172,15 @@ module.exports = (sequelize) => {
         if (sale.paymentMethod === 'cash' && sale.amountTendered) {
           sale.changeGiven = Math.max(0, sale.amountTendered - sale.total);
         }
+      },
+      beforeSave: async (sale, options) => {
+        // Documents in a closed accounting period are read-only
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(sale, { transaction: options.transaction });
+      },
+      beforeDestroy: async (sale, options) => {
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(sale, { transaction: options.transaction, isDestroy: true });
       }
     }
   });
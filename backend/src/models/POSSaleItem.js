@@ -96,6 +96,43 @@ module.exports = (sequelize) => {
     refundedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Part of refundedQuantity returned to stock; the rest was written off
+    restockedQuantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    // Cost of goods sold on this line, taken from the cost layers when sold
+    unitCost: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true
+    },
+    costAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // For a bundle: [{ productId, productName, quantity, unitCost }] per bundle sold
+    bundleComponents: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // For a serialized product, the serial number of each unit sold
+    serialNumbers: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Promotion the line was discounted by, and its name at the time
+    promotionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotionName: {
+      type: DataTypes.STRING,
+      allowNull: true
     }
   }, {
     tableName: 'pos_sale_items',
@@ -111,8 +148,8 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
-      beforeSave: (item) => {
-        // Calculate discount amount
+      beforeValidate: (item) => {
+        // Calculate discount amount (before validation, which requires the totals)
         if (item.discountType === 'percentage') {
           item.discountAmount = (item.originalPrice * item.quantity * item.discountValue) / 100;
         } else if (item.discountType === 'fixed') {
@@ -133,26 +170,50 @@ module.exports = (sequelize) => {
         item.lineTotal = subtotalAfterDiscount + item.taxAmount;
       },
       afterCreate: async (item, options) => {
-        // Update product stock quantity
-        const product = await sequelize.models.Product.findByPk(item.productId);
-        if (product && product.trackInventory) {
-          const newQuantity = product.stockQuantity - item.quantity;
-          if (newQuantity < 0) {
-            console.warn(`Warning: Stock for product ${product.name} went negative: ${newQuantity}`);
-          }
-          await product.update({ stockQuantity: Math.max(0, newQuantity) });
-        }
-      },
-      afterUpdate: async (item, options) => {
-        // Handle refunds - restore inventory
-        if (item.changed('isRefunded') && item.isRefunded && !item.refundedAt) {
-          item.refundedAt = new Date();
-          const refundQuantity = item.refundedQuantity || item.quantity;
-          
-          const product = await sequelize.models.Product.findByPk(item.productId);
-          if (product && product.trackInventory) {
-            await product.increment('stockQuantity', { by: refundQuantity });
-          }
+        // Take the sold quantity out of stock; a bundle takes its components
+        const product = await sequelize.models.Product.findByPk(item.productId, { transaction: options.transaction });
+        if (product && product.productType === 'bundle') {
+          const bundleService = require('../services/bundleService');
+          const quantity = parseFloat(item.quantity) || 0;
+          const { components, costAmount } = await bundleService.consume(product, quantity, {
+            sourceType: 'pos_sale',
+            sourceId: item.saleId,
+            reference: options.reference,
+            userId: options.userId,
+            allowShortfall: true,
+            skipLedger: true,
+            transaction: options.transaction
+          });
+
+          await item.update({
+            unitCost: quantity > 0 ? Math.round(costAmount / quantity * 10000) / 10000 : 0,
+            costAmount,
+            bundleComponents: components
+          }, { transaction: options.transaction, hooks: false });
+        } else if (product && product.trackInventory) {
+          const stockService = require('../services/stockService');
+          const movement = await stockService.adjustStock(product, -item.quantity, {
+            type: 'sale',
+            sourceType: 'pos_sale',
+            sourceId: item.saleId,
+            reference: options.reference,
+            userId: options.userId,
+            allowShortfall: true,
+            serials: item.serialNumbers,
+            skipLedger: true, // Cost of the sale is posted with the POS sale entry
+            transaction: options.transaction
+          });
+
+          // Units sold beyond what was on hand are costed at the product's current cost
+          const quantity = parseFloat(item.quantity) || 0;
+          const taken = movement ? -movement.quantityChange : 0;
+          const costAmount = Math.round(((movement ? -parseFloat(movement.totalCost) : 0) +
+            (quantity - taken) * (parseFloat(product.cost) || 0)) * 100) / 100;
+
+          await item.update({
+            unitCost: quantity > 0 ? Math.round(costAmount / quantity * 10000) / 10000 : 0,
+            costAmount
+          }, { transaction: options.transaction, hooks: false });
         }
       }
     }
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One tender of a POS sale: a sale paid in several ways (part cash, part
+  // card, part gift card) has a line for each, summing to the sale total
+  const POSSalePayment = sequelize.define('POSSalePayment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    saleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'pos_sales',
+        key: 'id'
+      }
+    },
+    tender: {
+      type: DataTypes.ENUM('cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false, // Applied to the sale, after any change
+      validate: {
+        min: 0.01
+      }
+    },
+    amountTendered: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true // Only for cash: what the customer handed over
+    },
+    changeGiven: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true // Only for cash
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true // Card approval code, gift card number, transfer reference
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'pos_sale_payments',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['saleId']
+      }
+    ]
+  });
+
+  return POSSalePayment;
+};
@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A cashier's session at the till, from opening float to closing count.
+  // Sales, refunds and cash movements made during it are attached to it, and
+  // the Z report is kept once it is closed.
+  const POSShift = sequelize.define('POSShift', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    cashierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    shiftNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    registerName: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Cash in the drawer when the shift starts
+    openingFloat: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Blind count at close, by tender: { cash, card, ... }
+    countedTenders: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    expectedCash: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    countedCash: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Counted less expected: negative when the drawer is short
+    cashVariance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Z report as it stood when the shift was closed (see shiftService.getReport)
+    report: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'pos_shifts',
+    indexes: [
+      {
+        fields: ['companyId', 'openedAt']
+      },
+      {
+        fields: ['cashierId', 'status']
+      }
+    ],
+    hooks: {
+      beforeValidate: async (shift, options) => {
+        if (shift.isNewRecord && !shift.shiftNumber) {
+          const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+          const todayShiftCount = await sequelize.models.POSShift.count({
+            where: {
+              companyId: shift.companyId,
+              createdAt: {
+                [sequelize.Sequelize.Op.gte]: new Date().setHours(0, 0, 0, 0)
+              }
+            },
+            transaction: options.transaction
+          });
+
+          shift.shiftNumber = `SHIFT-${today}-${String(todayShiftCount + 1).padStart(4, '0')}`;
+        }
+      }
+    }
+  });
+
+  return POSShift;
+};
@@ -98,7 +98,7 @@ module.exports = (sequelize) => {
       type: DataTypes.UUID,
       allowNull: true,
       references: {
-        model: 'PosSales',
+        model: 'pos_sales',
         key: 'id'
       }
     },
@@ -230,6 +230,28 @@ module.exports = (sequelize) => {
     }
   });
 
+  Payment.beforeSave(async (payment, options) => {
+    // Payments in a closed accounting period are read-only
+    const periodCloseService = require('../services/periodCloseService');
+    await periodCloseService.guardDocument(payment, { transaction: options.transaction });
+  });
+
+  Payment.beforeDestroy(async (payment, options) => {
+    const periodCloseService = require('../services/periodCloseService');
+    await periodCloseService.guardDocument(payment, { transaction: options.transaction, isDestroy: true });
+  });
+
+  Payment.afterSave(async (payment, options) => {
+    // Post receipts against invoices to the general ledger
+    const ledgerService = require('../services/ledgerService');
+    await ledgerService.postPayment(payment, { transaction: options.transaction });
+  });
+
+  Payment.afterDestroy(async (payment, options) => {
+    const ledgerService = require('../services/ledgerService');
+    await ledgerService.voidSourceEntries(payment.companyId, 'payment', payment.id, { transaction: options.transaction });
+  });
+
   // Associations
   Payment.associate = function(models) {
     // Payment belongs to a company
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Reminder step sent for an invoice. offsetDays is the step in the company's
+  // schedule, in days relative to the due date (-3 = three days before).
+  const PaymentReminder = sequelize.define('PaymentReminder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    invoiceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    offsetDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'failed'),
+      allowNull: false
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    balanceDue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    emailDeliveryId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'email_deliveries',
+        key: 'id'
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'payment_reminders',
+    indexes: [
+      {
+        unique: true,
+        fields: ['invoiceId', 'offsetDays']
+      },
+      {
+        fields: ['companyId', 'createdAt']
+      }
+    ]
+  });
+
+  return PaymentReminder;
+};
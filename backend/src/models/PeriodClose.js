@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Audit trail of period close / reopen actions. The latest row holds the
+  // date the company's books are currently closed through.
+  const PeriodClose = sequelize.define('PeriodClose', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM('close', 'reopen'),
+      allowNull: false
+    },
+    closedThrough: {
+      type: DataTypes.DATEONLY,
+      allowNull: true // Null once every period has been reopened
+    },
+    previousClosedThrough: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    performedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'period_closes',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['companyId', 'createdAt']
+      }
+    ]
+  });
+
+  return PeriodClose;
+};
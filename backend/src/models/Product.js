@@ -127,6 +127,44 @@ module.exports = (sequelize) => {
       validate: {
         min: 0
       }
+    },
+    // Stock is held in lots with lot numbers and expiry dates (see ProductBatch);
+    // sales take the lot expiring first and never an expired one
+    trackBatches: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    // Every unit sold is recorded by serial number (see SerialNumber)
+    trackSerials: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    // A bundle holds no stock itself; selling one takes its components out of stock
+    productType: {
+      type: DataTypes.ENUM('standard', 'bundle'),
+      defaultValue: 'standard',
+      allowNull: false
+    },
+    // Set on a variant (e.g. one size/colour); the parent is the product it belongs to
+    parentProductId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    // On a parent: the options its variants choose from, e.g. [{ name: 'Size', values: ['S', 'M'] }]
+    variantOptions: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    // On a variant: its value for each option, e.g. { Size: 'M', Colour: 'Red' }
+    variantAttributes: {
+      type: DataTypes.JSON,
+      allowNull: true
     }
   }, {
     tableName: 'products',
@@ -139,10 +177,55 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['category']
+      },
+      {
+        fields: ['parentProductId']
       }
     ],
     hooks: {
+      afterCreate: async (product, options) => {
+        // Opening stock is recorded in the general ledger at cost and in the stock ledger
+        if (product.trackInventory && product.stockQuantity > 0) {
+          const ledgerService = require('../services/ledgerService');
+          const stockService = require('../services/stockService');
+          await ledgerService.postInventoryAdjustment(product, product.stockQuantity, {
+            transaction: options.transaction,
+            opening: true
+          });
+          await stockService.recordMovement(product, {
+            type: 'opening',
+            quantityBefore: 0,
+            quantityAfter: product.stockQuantity,
+            userId: options.userId,
+            lot: options.lot
+          }, { transaction: options.transaction });
+        }
+      },
       afterUpdate: async (product, options) => {
+        // stockService.adjustStock records its own movement; any other direct
+        // change to the quantity is logged as an adjustment so none go unrecorded
+        let movement = null;
+        if (product.trackInventory && product.changed('stockQuantity') && !options.skipStockMovement) {
+          const stockService = require('../services/stockService');
+          movement = await stockService.recordMovement(product, {
+            type: 'adjustment',
+            quantityBefore: product.previous('stockQuantity') || 0,
+            quantityAfter: product.stockQuantity || 0,
+            userId: options.userId
+          }, { transaction: options.transaction });
+        }
+
+        // Manual stock changes are posted as inventory adjustments at the cost
+        // of their movement; sales pass skipLedger because the sale entry covers them
+        if (product.changed('stockQuantity') && !options.skipLedger) {
+          const ledgerService = require('../services/ledgerService');
+          const quantityChange = (product.stockQuantity || 0) - (product.previous('stockQuantity') || 0);
+          await ledgerService.postInventoryAdjustment(product, quantityChange, {
+            transaction: options.transaction,
+            value: movement ? Math.abs(parseFloat(movement.totalCost)) : undefined
+          });
+        }
+
         // Check for low stock and create alert if needed
         if (product.trackInventory && product.stockQuantity <= product.lowStockThreshold) {
           // TODO: Implement low stock notification system
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One lot of a batch-tracked product. The quantities of a product's lots add
+  // up to its stockQuantity; stock received without a lot number is held in a
+  // lot with a null lotNumber.
+  const ProductBatch = sequelize.define('ProductBatch', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    lotNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    // Last day the lot may be sold; null for stock that does not expire
+    expiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'product_batches',
+    indexes: [
+      {
+        unique: true,
+        fields: ['productId', 'lotNumber']
+      },
+      {
+        fields: ['companyId', 'expiryDate']
+      }
+    ]
+  });
+
+  return ProductBatch;
+};
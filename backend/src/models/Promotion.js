@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A promotion rule applied automatically to POS sales and invoices, or to
+  // those that give its coupon code. Which products it covers is set by
+  // productIds and categories (either, both or neither); `rules` holds the
+  // settings of its type:
+  //   buy_x_get_y          { buyQuantity, getQuantity, discountPercentage }
+  //   category_percentage  { percentage }
+  //   happy_hour           { percentage, startTime, endTime, daysOfWeek }
+  //   quantity_tier        { tiers: [{ minQuantity, percentage }] }
+  //   coupon               { percentage } or { amount }
+  const Promotion = sequelize.define('Promotion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('buy_x_get_y', 'category_percentage', 'happy_hour', 'quantity_tier', 'coupon'),
+      allowNull: false
+    },
+    channel: {
+      type: DataTypes.ENUM('all', 'pos', 'invoice'),
+      allowNull: false,
+      defaultValue: 'all'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    couponCode: {
+      type: DataTypes.STRING,
+      allowNull: true // Coupons only; stored upper case
+    },
+    productIds: {
+      type: DataTypes.JSON,
+      allowNull: true // null: any product
+    },
+    categories: {
+      type: DataTypes.JSON,
+      allowNull: true // null: any category
+    },
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Breaks ties when two promotions give a line the same discount
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    usageLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true // Sales and invoices it may apply to; null: no limit
+    },
+    usageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'promotions',
+    indexes: [
+      {
+        fields: ['companyId', 'isActive']
+      },
+      {
+        unique: true,
+        fields: ['companyId', 'couponCode']
+      }
+    ]
+  });
+
+  return Promotion;
+};
@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Order for stock from a supplier. Goods are received against it (in one or
+  // several deliveries) and the received goods are then billed as an Expense.
+  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    poNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+      defaultValue: 'draft',
+      allowNull: false
+    },
+    orderDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expectedDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Payable raised for the received goods
+    expenseId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'purchase_orders',
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId', 'poNumber']
+      },
+      {
+        fields: ['companyId', 'status']
+      },
+      {
+        fields: ['supplierId']
+      }
+    ]
+  });
+
+  PurchaseOrder.generatePONumber = async function(companyId, options = {}) {
+    const lastOrder = await PurchaseOrder.findOne({
+      where: { companyId },
+      order: [['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+
+    return lastOrder
+      ? `PO-${String(parseInt(lastOrder.poNumber.split('-')[1]) + 1).padStart(4, '0')}`
+      : 'PO-0001';
+  };
+
+  return PurchaseOrder;
+};
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    purchaseOrderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    receivedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    taxRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    // Ordered quantity at cost, excluding tax
+    lineTotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    }
+  }, {
+    tableName: 'purchase_order_items',
+    indexes: [
+      {
+        fields: ['purchaseOrderId']
+      },
+      {
+        fields: ['productId']
+      }
+    ],
+    hooks: {
+      beforeValidate: (item) => {
+        item.lineTotal = Math.round((item.quantity || 0) * (parseFloat(item.unitCost) || 0) * 100) / 100;
+      }
+    }
+  });
+
+  return PurchaseOrderItem;
+};
@@ -0,0 +1,165 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Billing schedule that generates a copy of the same invoice every interval
+  const RecurringInvoice = sequelize.define('RecurringInvoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'templates',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    interval: {
+      type: DataTypes.ENUM('weekly', 'monthly', 'quarterly', 'yearly'),
+      allowNull: false,
+      defaultValue: 'monthly'
+    },
+    intervalCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    nextRunDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true // Null once the schedule has completed
+    },
+    lastRunDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    paymentTermsDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: {
+        min: 0
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'paused', 'completed', 'cancelled'),
+      defaultValue: 'active',
+      allowNull: false
+    },
+    // Email each invoice to the customer when it is generated
+    autoSend: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Line items copied onto each invoice: [{ productId, description, quantity, unitPrice }]
+    items: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    gstEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    gstRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    termsAndConditions: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Card on file, charged when each invoice is generated
+    autoCharge: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    stripeCustomerId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    stripePaymentMethodId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    invoiceCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'recurring_invoices',
+    indexes: [
+      {
+        fields: ['companyId', 'status']
+      },
+      {
+        fields: ['status', 'nextRunDate']
+      },
+      {
+        fields: ['customerId']
+      }
+    ]
+  });
+
+  // Invoice total for one run of the schedule
+  RecurringInvoice.prototype.getTotal = function() {
+    const subtotal = (this.items || []).reduce((sum, item) =>
+      sum + (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0), 0);
+    const gstAmount = this.gstEnabled ? subtotal * ((parseFloat(this.gstRate) || 0) / 100) : 0;
+    return Math.round((subtotal + gstAmount) * 100) / 100;
+  };
+
+  return RecurringInvoice;
+};
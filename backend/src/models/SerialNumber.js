@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One unit of a serialized product, so a sold unit can be traced back to its
+  // sale and customer for warranty claims. Stock received without serials is
+  // held unserialized and registered when it is sold.
+  const SerialNumber = sequelize.define('SerialNumber', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    serialNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('in_stock', 'sold', 'written_off'),
+      allowNull: false,
+      defaultValue: 'in_stock'
+    },
+    // Document the unit left stock with, e.g. pos_sale + sale id
+    sourceType: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    sourceId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    soldAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'serial_numbers',
+    indexes: [
+      {
+        unique: true,
+        fields: ['productId', 'serialNumber']
+      },
+      {
+        fields: ['companyId', 'serialNumber']
+      },
+      {
+        fields: ['sourceType', 'sourceId']
+      }
+    ]
+  });
+
+  return SerialNumber;
+};
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Stock ledger: one immutable row per change to a product's on-hand quantity.
+  // The sum of a product's quantityChange is what Product.stockQuantity should hold.
+  const StockMovement = sequelize.define('StockMovement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('opening', 'sale', 'refund', 'purchase_receipt', 'adjustment', 'transfer', 'write_off'),
+      allowNull: false
+    },
+    quantityChange: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    quantityBefore: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    quantityAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for changes made by scheduled jobs or imports
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Document that caused the movement, e.g. pos_sale + sale id
+    sourceType: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    sourceId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Cost of the units moved, signed like quantityChange. Null for movements
+    // recorded before stock was costed.
+    unitCost: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true
+    },
+    totalCost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    // For batch-tracked products, the lots the units came from or went to:
+    // [{ batchId, lotNumber, expiryDate, quantity }]
+    batches: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // For serialized products, the serial numbers of the units moved
+    serialNumbers: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_movements',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['productId', 'createdAt']
+      },
+      {
+        fields: ['companyId', 'type']
+      },
+      {
+        fields: ['sourceType', 'sourceId']
+      }
+    ]
+  });
+
+  return StockMovement;
+};
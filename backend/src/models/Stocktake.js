@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Physical inventory count. Staff count products into it while it is open;
+  // posting adjusts stock on hand to the counted quantities in one go.
+  const Stocktake = sequelize.define('Stocktake', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    stocktakeNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('counting', 'posted', 'cancelled'),
+      defaultValue: 'counting',
+      allowNull: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    postedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    postedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Value of the stock gained (positive) or lost (negative) when posted
+    costImpact: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    }
+  }, {
+    tableName: 'stocktakes',
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId', 'stocktakeNumber']
+      },
+      {
+        fields: ['companyId', 'status']
+      }
+    ]
+  });
+
+  Stocktake.generateStocktakeNumber = async function(companyId, options = {}) {
+    const lastStocktake = await Stocktake.findOne({
+      where: { companyId },
+      order: [['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+
+    return lastStocktake
+      ? `ST-${String(parseInt(lastStocktake.stocktakeNumber.split('-')[1]) + 1).padStart(4, '0')}`
+      : 'ST-0001';
+  };
+
+  return Stocktake;
+};
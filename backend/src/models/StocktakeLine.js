@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Counted quantity of one product in a stocktake. The expected quantity and
+  // cost are compared live while counting and frozen when the count is posted.
+  const StocktakeLine = sequelize.define('StocktakeLine', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    stocktakeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stocktakes',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    countedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    expectedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true
+    },
+    countedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stocktake_lines',
+    indexes: [
+      {
+        unique: true,
+        fields: ['stocktakeId', 'productId']
+      },
+      {
+        fields: ['productId']
+      }
+    ]
+  });
+
+  return StocktakeLine;
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Business the company buys stock and services from
+  const Supplier = sequelize.define('Supplier', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    contactName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    taxId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    paymentTerms: {
+      type: DataTypes.INTEGER, // Days
+      defaultValue: 30,
+      validate: {
+        min: 0
+      }
+    },
+    // Where payments to the supplier are sent
+    bankName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    bankAccountName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    bankAccountNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    bankSwiftCode: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'suppliers',
+    indexes: [
+      {
+        fields: ['companyId', 'name']
+      }
+    ]
+  });
+
+  return Supplier;
+};
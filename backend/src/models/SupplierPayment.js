@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Payment made to a supplier against an expense bought on account
+  const SupplierPayment = sequelize.define('SupplierPayment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    expenseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    method: {
+      type: DataTypes.ENUM('cash', 'bank_transfer', 'card', 'check', 'online', 'other'),
+      defaultValue: 'bank_transfer'
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'supplier_payments',
+    indexes: [
+      {
+        fields: ['companyId', 'date']
+      },
+      {
+        fields: ['supplierId']
+      },
+      {
+        fields: ['expenseId']
+      }
+    ],
+    hooks: {
+      beforeSave: async (payment, options) => {
+        // Payments in a closed accounting period are read-only
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(payment, { transaction: options.transaction });
+      },
+      beforeDestroy: async (payment, options) => {
+        const periodCloseService = require('../services/periodCloseService');
+        await periodCloseService.guardDocument(payment, { transaction: options.transaction, isDestroy: true });
+      },
+      afterSave: async (payment, options) => {
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.postSupplierPayment(payment, { transaction: options.transaction });
+      },
+      afterDestroy: async (payment, options) => {
+        const ledgerService = require('../services/ledgerService');
+        await ledgerService.voidSourceEntries(payment.companyId, 'supplier_payment', payment.id, { transaction: options.transaction });
+      }
+    }
+  });
+
+  return SupplierPayment;
+};
@@ -0,0 +1,704 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const { authMiddleware, requireAdmin, requireOwner } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
+const periodCloseService = require('../services/periodCloseService');
+const { round } = require('../utils/serviceUtils');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Subtypes allowed for each account type
+const ACCOUNT_SUBTYPES = {
+  asset: ['current_asset', 'fixed_asset'],
+  liability: ['current_liability', 'long_term_liability'],
+  equity: ['equity'],
+  revenue: ['operating_revenue', 'other_income'],
+  expense: ['cost_of_sales', 'operating_expense', 'other_expense']
+};
+
+// Get chart of accounts with balances
+router.get('/accounts', [
+  query('asOfDate').optional().isISO8601().withMessage('Valid as-of date required'),
+  query('type').optional().isIn(Object.keys(ACCOUNT_SUBTYPES)).withMessage('Invalid account type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { asOfDate, type, includeInactive } = req.query;
+    const balances = await ledgerService.getAccountBalances(req.user.companyId, {
+      asOfDate: asOfDate || new Date()
+    });
+
+    const accounts = balances
+      .filter(({ account }) => !type || account.type === type)
+      .filter(({ account }) => includeInactive === 'true' || account.isActive)
+      .sort((a, b) => a.account.code.localeCompare(b.account.code))
+      .map(({ account, debit, credit, balance }) => ({
+        ...account.toJSON(),
+        normalBalance: account.getNormalBalance(),
+        debit,
+        credit,
+        balance
+      }));
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch accounts'
+    });
+  }
+});
+
+// Get single account with its ledger activity
+router.get('/accounts/:id', async (req, res) => {
+  try {
+    const account = await models.Account.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const lines = await models.JournalLine.findAll({
+      where: { accountId: account.id },
+      include: [{
+        model: models.JournalEntry,
+        as: 'entry',
+        where: { status: 'posted' },
+        attributes: ['id', 'entryNumber', 'date', 'description', 'reference', 'sourceType', 'sourceId']
+      }],
+      order: [[{ model: models.JournalEntry, as: 'entry' }, 'date', 'ASC']]
+    });
+
+    // Running balance in the account's normal direction
+    const sign = account.getNormalBalance() === 'debit' ? 1 : -1;
+    let balance = 0;
+    const activity = lines.map(line => {
+      balance = round(balance + sign * (parseFloat(line.debit) - parseFloat(line.credit)));
+      return {
+        id: line.id,
+        entry: line.entry,
+        description: line.description,
+        debit: parseFloat(line.debit),
+        credit: parseFloat(line.credit),
+        balance
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account: {
+          ...account.toJSON(),
+          normalBalance: account.getNormalBalance(),
+          balance
+        },
+        activity
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch account'
+    });
+  }
+});
+
+// Create custom account
+router.post('/accounts', [
+  requireAdmin,
+  body('code').trim().notEmpty().isLength({ max: 20 }).withMessage('Account code is required (max 20 characters)'),
+  body('name').trim().notEmpty().withMessage('Account name is required'),
+  body('type').isIn(Object.keys(ACCOUNT_SUBTYPES)).withMessage('Invalid account type'),
+  body('subtype').custom((subtype, { req }) => {
+    if (!(ACCOUNT_SUBTYPES[req.body.type] || []).includes(subtype)) {
+      throw new Error('Subtype does not match account type');
+    }
+    return true;
+  }),
+  body('reportKey').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('description').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const { code, name, type, subtype, reportKey, description } = req.body;
+
+    // Make sure the default chart exists before checking for clashes
+    await ledgerService.ensureChartOfAccounts(companyId);
+
+    const existing = await models.Account.findOne({ where: { companyId, code } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'An account with this code already exists'
+      });
+    }
+
+    const account = await models.Account.create({
+      companyId,
+      code,
+      name,
+      type,
+      subtype,
+      reportKey: reportKey || null,
+      description,
+      isSystem: false
+    });
+
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account'
+    });
+  }
+});
+
+// Update account
+router.put('/accounts/:id', [
+  requireAdmin,
+  body('code').optional().trim().notEmpty().isLength({ max: 20 }).withMessage('Invalid account code'),
+  body('name').optional().trim().notEmpty().withMessage('Account name cannot be empty'),
+  body('reportKey').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('description').optional({ nullable: true }).isString(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const account = await models.Account.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const updates = {};
+    ['name', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    // The ledger posts to system accounts automatically, so their code,
+    // statement mapping and status are fixed
+    if (account.isSystem) {
+      if (req.body.isActive === false || req.body.code !== undefined || req.body.reportKey !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only the name and description of system accounts can be changed'
+        });
+      }
+    } else {
+      if (req.body.code !== undefined && req.body.code !== account.code) {
+        const existing = await models.Account.findOne({
+          where: { companyId: req.user.companyId, code: req.body.code }
+        });
+        if (existing) {
+          return res.status(400).json({
+            success: false,
+            error: 'An account with this code already exists'
+          });
+        }
+        updates.code = req.body.code;
+      }
+      if (req.body.reportKey !== undefined) updates.reportKey = req.body.reportKey || null;
+    }
+
+    await account.update(updates);
+
+    res.json({
+      success: true,
+      data: account,
+      message: 'Account updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update account'
+    });
+  }
+});
+
+// Delete custom account (only while it has no postings)
+router.delete('/accounts/:id', requireAdmin, async (req, res) => {
+  try {
+    const account = await models.Account.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    if (account.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'System accounts cannot be deleted'
+      });
+    }
+
+    const lineCount = await models.JournalLine.count({ where: { accountId: account.id } });
+    if (lineCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account has journal entries. Deactivate it instead.'
+      });
+    }
+
+    await account.destroy();
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    });
+  }
+});
+
+// Get journal entries
+router.get('/journal-entries', [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, startDate, endDate, sourceType, status, accountId, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { companyId: req.user.companyId };
+
+    if (sourceType) whereClause.sourceType = sourceType;
+    if (status && status !== 'all') whereClause.status = status;
+
+    if (startDate && endDate) {
+      whereClause.date = {
+        [Op.between]: [new Date(startDate), ledgerService.endOfDay(endDate)]
+      };
+    }
+
+    if (search) {
+      whereClause[Op.or] = [
+        { entryNumber: { [Op.like]: `%${search}%` } },
+        { description: { [Op.like]: `%${search}%` } },
+        { reference: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    // Filter to entries touching an account
+    if (accountId) {
+      const lines = await models.JournalLine.findAll({
+        where: { accountId },
+        attributes: ['journalEntryId'],
+        raw: true
+      });
+      whereClause.id = [...new Set(lines.map(line => line.journalEntryId))];
+    }
+
+    const entries = await models.JournalEntry.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: models.JournalLine,
+          as: 'lines',
+          include: [{ model: models.Account, attributes: ['id', 'code', 'name', 'type'] }]
+        },
+        { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['date', 'DESC'], ['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.rows,
+        totalCount: entries.count,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(entries.count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching journal entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal entries'
+    });
+  }
+});
+
+// Get single journal entry
+router.get('/journal-entries/:id', async (req, res) => {
+  try {
+    const entry = await models.JournalEntry.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [
+        {
+          model: models.JournalLine,
+          as: 'lines',
+          include: [{ model: models.Account, attributes: ['id', 'code', 'name', 'type'] }]
+        },
+        { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Journal entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error fetching journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal entry'
+    });
+  }
+});
+
+// Post manual journal entry
+router.post('/journal-entries', [
+  requireAdmin,
+  body('date').isISO8601().withMessage('Valid date required'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('reference').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('lines').isArray({ min: 2 }).withMessage('At least two lines are required'),
+  body('lines.*.accountId').isUUID().withMessage('Valid account required for each line'),
+  body('lines.*.debit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Debit must be a positive number'),
+  body('lines.*.credit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Credit must be a positive number'),
+  body('lines').custom(lines => {
+    lines.forEach((line, index) => {
+      const debit = round(line.debit);
+      const credit = round(line.credit);
+      if ((debit > 0) === (credit > 0)) {
+        throw new Error(`Line ${index + 1} must have either a debit or a credit amount`);
+      }
+    });
+
+    const totalDebits = round(lines.reduce((sum, line) => sum + round(line.debit), 0));
+    const totalCredits = round(lines.reduce((sum, line) => sum + round(line.credit), 0));
+    if (totalDebits !== totalCredits) {
+      throw new Error(`Debits (${totalDebits.toFixed(2)}) must equal credits (${totalCredits.toFixed(2)})`);
+    }
+    return true;
+  })
+], async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const { date, description, reference, lines } = req.body;
+
+    const accounts = await ledgerService.ensureChartOfAccounts(companyId, { transaction });
+    const unknownLine = lines.find(line => {
+      const account = accounts.find(acc => acc.id === line.accountId);
+      return !account || !account.isActive;
+    });
+
+    if (unknownLine) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: `Account ${unknownLine.accountId} not found or inactive`
+      });
+    }
+
+    await periodCloseService.assertOpen(companyId, date, { transaction });
+
+    const entry = await ledgerService.postEntry({
+      companyId,
+      date,
+      description,
+      reference,
+      sourceType: 'manual',
+      createdBy: req.user.id,
+      lines: lines.map(line => ({
+        accountId: line.accountId,
+        description: line.description,
+        debit: line.debit || 0,
+        credit: line.credit || 0
+      }))
+    }, { transaction });
+
+    await transaction.commit();
+
+    const createdEntry = await models.JournalEntry.findByPk(entry.id, {
+      include: [{
+        model: models.JournalLine,
+        as: 'lines',
+        include: [{ model: models.Account, attributes: ['id', 'code', 'name', 'type'] }]
+      }]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: createdEntry,
+      message: 'Journal entry posted successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error posting journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post journal entry'
+    });
+  }
+});
+
+// Void manual journal entry
+router.post('/journal-entries/:id/void', requireAdmin, async (req, res) => {
+  try {
+    const entry = await models.JournalEntry.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Journal entry not found'
+      });
+    }
+
+    if (entry.sourceType !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        error: 'Automatic entries follow their source document and cannot be voided directly'
+      });
+    }
+
+    if (entry.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        error: 'Journal entry is already void'
+      });
+    }
+
+    if (await periodCloseService.isLocked(entry.companyId, entry.date)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Journal entries in a closed accounting period cannot be voided'
+      });
+    }
+
+    await entry.update({ status: 'void' });
+
+    res.json({
+      success: true,
+      data: entry,
+      message: 'Journal entry voided successfully'
+    });
+  } catch (error) {
+    console.error('Error voiding journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to void journal entry'
+    });
+  }
+});
+
+// Get fiscal periods with close status and the close / reopen history
+router.get('/periods', [
+  query('date').optional().isISO8601().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const closedThrough = await periodCloseService.getClosedThrough(companyId);
+    const periods = await periodCloseService.getFiscalPeriods(companyId, req.query.date || new Date());
+
+    const history = await models.PeriodClose.findAll({
+      where: { companyId },
+      include: [{ model: models.User, as: 'Performer', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        closedThrough,
+        periods: periods.map(period => ({
+          ...period,
+          status: closedThrough && period.endDate <= closedThrough ? 'closed' : 'open'
+        })),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching accounting periods:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch accounting periods'
+    });
+  }
+});
+
+// Close the books through the end of a fiscal period
+router.post('/periods/close', [
+  requireAdmin,
+  body('closeDate').isISO8601().withMessage('Valid close date required'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const record = await periodCloseService.closePeriod(req.user.companyId, req.body.closeDate, {
+      userId: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: `Books closed through ${record.closedThrough}`
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error closing accounting period:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close accounting period'
+    });
+  }
+});
+
+// Reopen closed periods (owner only). Without reopenFrom every period is reopened.
+router.post('/periods/reopen', [
+  requireOwner,
+  body('reopenFrom').optional({ nullable: true }).isISO8601().withMessage('Valid reopen date required'),
+  body('reason').trim().notEmpty().withMessage('A reason is required to reopen a closed period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const record = await periodCloseService.reopenPeriod(req.user.companyId, req.body.reopenFrom, {
+      userId: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: record.closedThrough
+        ? `Books reopened; now closed through ${record.closedThrough}`
+        : 'All accounting periods reopened'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error reopening accounting period:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reopen accounting period'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { models } = require('../database');
 const { authMiddleware, requireOwner } = require('../middleware/auth');
+const costingService = require('../services/costingService');
+const heldSaleService = require('../services/heldSaleService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -84,7 +86,28 @@ router.put('/profile', [
       }
     }
 
-    await company.update(req.body);
+    // Email settings are managed through /email-settings, which keeps the SMTP
+    // password, the valuation method through /inventory-settings, the held
+    // sale expiry through /pos-settings, the reminder schedule through
+    // /api/reminders/settings and expense approval through
+    // /api/expenses/settings
+    const updates = { ...req.body };
+    if (updates.settings) {
+      const {
+        smtp, emailTemplates, inventoryValuation, posHeldSaleExpiryMinutes, reminders, expenseApprovalRequired
+      } = company.settings || {};
+      updates.settings = {
+        ...updates.settings,
+        smtp,
+        emailTemplates,
+        inventoryValuation,
+        posHeldSaleExpiryMinutes,
+        reminders,
+        expenseApprovalRequired
+      };
+    }
+
+    await company.update(updates);
     res.json(company);
   } catch (error) {
     console.error('Error updating company profile:', error);
@@ -127,6 +150,165 @@ router.post('/logo', upload.single('logo'), async (req, res) => {
   }
 });
 
+// Message types with a customisable subject and body (see emailService)
+const EMAIL_MESSAGE_TYPES = ['invoice', 'quote', 'receipt', 'reminder', 'overdue'];
+
+// Get email (SMTP and message template) settings
+router.get('/email-settings', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can view email settings' });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    const { smtp = {}, emailTemplates = {} } = company.toJSON().settings || {};
+
+    res.json({ smtp, emailTemplates });
+  } catch (error) {
+    console.error('Error fetching email settings:', error);
+    res.status(500).json({ error: 'Failed to fetch email settings' });
+  }
+});
+
+// Update email settings. Omit smtp.password to keep the saved one.
+router.put('/email-settings', [
+  body('smtp.host').optional({ checkFalsy: true }).isString().withMessage('SMTP host must be text'),
+  body('smtp.port').optional().isInt({ min: 1, max: 65535 }).withMessage('SMTP port must be between 1 and 65535'),
+  body('smtp.secure').optional().isBoolean().withMessage('SMTP secure must be true or false'),
+  body('smtp.fromEmail').optional({ checkFalsy: true }).isEmail().withMessage('Valid from email is required'),
+  body('emailTemplates').optional().isObject().withMessage('Email templates must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can update email settings' });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    const settings = { ...(company.settings || {}) };
+
+    if (req.body.smtp) {
+      const { host, port, secure, user, password, fromName, fromEmail } = req.body.smtp;
+      settings.smtp = {
+        host,
+        port: port ? parseInt(port) : 587,
+        secure: secure === true || secure === 'true',
+        user,
+        password: password !== undefined ? password : settings.smtp?.password,
+        fromName,
+        fromEmail
+      };
+    }
+
+    if (req.body.emailTemplates) {
+      const templates = { ...(settings.emailTemplates || {}) };
+      EMAIL_MESSAGE_TYPES.forEach(type => {
+        const template = req.body.emailTemplates[type];
+        if (template) {
+          templates[type] = { subject: template.subject || '', body: template.body || '' };
+        }
+      });
+      settings.emailTemplates = templates;
+    }
+
+    await company.update({ settings });
+
+    const { smtp = {}, emailTemplates = {} } = company.toJSON().settings;
+    res.json({ smtp, emailTemplates });
+  } catch (error) {
+    console.error('Error updating email settings:', error);
+    res.status(500).json({ error: 'Failed to update email settings' });
+  }
+});
+
+// Get inventory settings (how stock is valued)
+router.get('/inventory-settings', async (req, res) => {
+  try {
+    res.json({
+      valuationMethod: await costingService.getValuationMethod(req.user.companyId),
+      valuationMethods: costingService.getValuationMethods()
+    });
+  } catch (error) {
+    console.error('Error fetching inventory settings:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory settings' });
+  }
+});
+
+// Update inventory settings. A new valuation method applies to stock movements
+// from now on; stock already sold keeps the cost it was sold at.
+router.put('/inventory-settings', [
+  body('valuationMethod').isIn(costingService.getValuationMethods()).withMessage('Valuation method must be fifo or weighted_average')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can update inventory settings' });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    await company.update({
+      settings: { ...(company.settings || {}), inventoryValuation: req.body.valuationMethod }
+    });
+
+    res.json({
+      valuationMethod: req.body.valuationMethod,
+      valuationMethods: costingService.getValuationMethods()
+    });
+  } catch (error) {
+    console.error('Error updating inventory settings:', error);
+    res.status(500).json({ error: 'Failed to update inventory settings' });
+  }
+});
+
+// POS settings: how long a held (parked) sale is kept before it expires
+router.get('/pos-settings', async (req, res) => {
+  try {
+    res.json({
+      heldSaleExpiryMinutes: await heldSaleService.getExpiryMinutes(req.user.companyId)
+    });
+  } catch (error) {
+    console.error('Error fetching POS settings:', error);
+    res.status(500).json({ error: 'Failed to fetch POS settings' });
+  }
+});
+
+// Update POS settings. A new expiry applies to sales held from now on.
+router.put('/pos-settings', [
+  body('heldSaleExpiryMinutes').isInt({ min: 1, max: heldSaleService.getMaxExpiryMinutes() })
+    .withMessage(`Held sale expiry must be between 1 and ${heldSaleService.getMaxExpiryMinutes()} minutes`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can update POS settings' });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    await company.update({
+      settings: { ...(company.settings || {}), posHeldSaleExpiryMinutes: parseInt(req.body.heldSaleExpiryMinutes) }
+    });
+
+    res.json({
+      heldSaleExpiryMinutes: parseInt(req.body.heldSaleExpiryMinutes)
+    });
+  } catch (error) {
+    console.error('Error updating POS settings:', error);
+    res.status(500).json({ error: 'Failed to update POS settings' });
+  }
+});
+
 // Get company usage statistics
 router.get('/usage-stats', async (req, res) => {
   try {
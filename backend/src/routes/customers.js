@@ -238,6 +238,34 @@ router.patch('/:id/reactivate', async (req, res) => {
   }
 });
 
+// Stop or restart payment reminders (and late fees) for all of a customer's invoices
+router.patch('/:id/reminders', [
+  body('paused').isBoolean().withMessage('Paused must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await models.Customer.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const paused = req.body.paused === true || req.body.paused === 'true';
+    await customer.update({ remindersPaused: paused });
+
+    res.json({ message: `Payment reminders ${paused ? 'stopped' : 'restarted'} for ${customer.name}`, customer });
+  } catch (error) {
+    console.error('Error updating customer reminders:', error);
+    res.status(500).json({ error: 'Failed to update customer reminders' });
+  }
+});
+
 // Get customer transaction history
 router.get('/:id/transactions', async (req, res) => {
   try {
@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const { models } = require('../database');
 const { authMiddleware } = require('../middleware/auth');
+const { PeriodLockedError } = require('../services/periodCloseService');
+const recurringExpenseService = require('../services/recurringExpenseService');
+const payablesService = require('../services/payablesService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -37,17 +41,62 @@ const upload = multer({
   }
 });
 
+// GST fields shared by create and update
+const taxValidation = [
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('taxAmount').optional().isFloat({ min: 0 }).withMessage('Tax amount must be a positive number'),
+  body('taxInclusive').optional().isBoolean().withMessage('Tax inclusive must be true or false'),
+  body('supplierTaxId').optional({ nullable: true }).isLength({ max: 50 }).withMessage('Supplier tax ID is too long')
+];
+
+// Recurring series fields shared by create and update
+const recurringValidation = [
+  body('isRecurring').optional().isBoolean().withMessage('Recurring must be true or false'),
+  body('recurringPeriod').optional({ nullable: true }).isIn(['monthly', 'quarterly', 'yearly']).withMessage('Invalid recurring period'),
+  body('recurringEndDate').optional({ nullable: true }).isISO8601().withMessage('Valid recurring end date is required')
+];
+
+// Supplier fields shared by create and update
+const supplierValidation = [
+  body('supplierId').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid supplier'),
+  body('dueDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid due date is required'),
+  body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'card', 'check', 'online', 'on_account', 'other']).withMessage('Invalid payment method')
+];
+
+// Series state is managed by the recurring expense scheduler, and amounts
+// paid by supplier payments
+const SERVER_MANAGED_FIELDS = ['recurringStatus', 'nextRecurringDate', 'recurringTemplateId', 'paidAmount'];
+
+function withoutServerFields(data) {
+  const values = { ...data };
+  SERVER_MANAGED_FIELDS.forEach(field => delete values[field]);
+  return values;
+}
+
+// GST on a tax-inclusive amount has to leave something to expense
+function checkTaxAmount({ amount, taxAmount, taxInclusive }) {
+  if (taxAmount === undefined || taxAmount === null || taxInclusive === false || taxInclusive === 'false') {
+    return null;
+  }
+  return parseFloat(taxAmount) >= parseFloat(amount)
+    ? 'Tax amount must be less than the tax-inclusive expense amount'
+    : null;
+}
+
 // Get all expenses for a company
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, vendor, startDate, endDate, status = 'approved' } = req.query;
+    const { page = 1, limit = 20, category, vendor, supplierId, startDate, endDate, status = 'approved', recurring } = req.query;
     const offset = (page - 1) * limit;
     
     const whereClause = { companyId: req.user.companyId };
     
     if (category) whereClause.category = category;
     if (vendor) whereClause.vendor = { [models.sequelize.Op.iLike]: `%${vendor}%` };
+    if (supplierId) whereClause.supplierId = supplierId;
     if (status !== 'all') whereClause.status = status;
+    if (recurring === 'templates') whereClause.isRecurring = true;
+    if (recurring === 'generated') whereClause.recurringTemplateId = { [Op.ne]: null };
     
     if (startDate && endDate) {
       whereClause.date = {
@@ -58,7 +107,8 @@ router.get('/', async (req, res) => {
     const expenses = await models.Expense.findAndCountAll({
       where: whereClause,
       include: [
-        { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] }
+        { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] },
+        { model: models.Supplier, attributes: ['id', 'name'] }
       ],
       order: [['date', 'DESC']],
       limit: parseInt(limit),
@@ -67,11 +117,13 @@ router.get('/', async (req, res) => {
 
     // Calculate total amount for current filter
     const totalAmount = await models.Expense.sum('amount', { where: whereClause });
+    const totalTax = await models.Expense.sum('taxAmount', { where: whereClause });
 
     res.json({
       expenses: expenses.rows,
       totalCount: expenses.count,
       totalAmount: totalAmount || 0,
+      totalTax: totalTax || 0,
       currentPage: parseInt(page),
       totalPages: Math.ceil(expenses.count / limit)
     });
@@ -87,7 +139,7 @@ router.get('/categories', async (req, res) => {
     const categories = [
       'Rent', 'Utilities', 'Salaries', 'Supplies', 'Marketing', 'Travel',
       'Insurance', 'Professional Services', 'Equipment', 'Software',
-      'Maintenance', 'Office Expenses', 'Telecommunications', 'Other'
+      'Maintenance', 'Office Expenses', 'Telecommunications', 'Inventory', 'Other'
     ];
 
     // Get usage count for each category
@@ -118,6 +170,66 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// Get expenses recurring series will generate over the coming days
+router.get('/recurring/upcoming', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 90, 366);
+    const upcoming = await recurringExpenseService.getUpcoming(req.user.companyId, { days });
+
+    res.json({
+      upcoming,
+      totalAmount: upcoming.reduce((sum, item) => sum + item.amount, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming recurring expenses:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming recurring expenses' });
+  }
+});
+
+// Generate due recurring expenses now (admin only)
+router.post('/recurring/generate', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can generate recurring expenses' });
+    }
+
+    const generated = await recurringExpenseService.generateDueExpenses(req.user.companyId);
+
+    res.json({
+      message: `${generated.length} recurring expense(s) generated`,
+      expenses: generated
+    });
+  } catch (error) {
+    console.error('Error generating recurring expenses:', error);
+    res.status(500).json({ error: 'Failed to generate recurring expenses' });
+  }
+});
+
+// Expense settings (admin only)
+router.put('/settings', [
+  body('approvalRequired').isBoolean().withMessage('Approval required must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can change expense settings' });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    const settings = { ...company.settings, expenseApprovalRequired: req.body.approvalRequired };
+
+    await company.update({ settings });
+    res.json({ message: 'Expense settings updated successfully', approvalRequired: settings.expenseApprovalRequired });
+  } catch (error) {
+    console.error('Error updating expense settings:', error);
+    res.status(500).json({ error: 'Failed to update expense settings' });
+  }
+});
+
 // Get single expense
 router.get('/:id', async (req, res) => {
   try {
@@ -125,8 +237,12 @@ router.get('/:id', async (req, res) => {
       where: { id: req.params.id, companyId: req.user.companyId },
       include: [
         { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] },
-        { model: models.User, as: 'Approver', attributes: ['id', 'firstName', 'lastName'] }
-      ]
+        { model: models.User, as: 'Approver', attributes: ['id', 'firstName', 'lastName'] },
+        { model: models.Expense, as: 'RecurringTemplate', attributes: ['id', 'expenseNumber', 'description', 'recurringPeriod'] },
+        { model: models.Supplier },
+        { model: models.SupplierPayment, as: 'supplierPayments' }
+      ],
+      order: [[{ model: models.SupplierPayment, as: 'supplierPayments' }, 'date', 'ASC']]
     });
 
     if (!expense) {
@@ -145,12 +261,14 @@ router.post('/', [
   body('category').isIn([
     'Rent', 'Utilities', 'Salaries', 'Supplies', 'Marketing', 'Travel',
     'Insurance', 'Professional Services', 'Equipment', 'Software',
-    'Maintenance', 'Office Expenses', 'Telecommunications', 'Other'
+    'Maintenance', 'Office Expenses', 'Telecommunications', 'Inventory', 'Other'
   ]).withMessage('Invalid expense category'),
   body('description').notEmpty().withMessage('Description is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('date').optional().isISO8601().withMessage('Valid date is required'),
-  body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'card', 'check', 'online', 'other']).withMessage('Invalid payment method'),
+  ...supplierValidation,
+  ...taxValidation,
+  ...recurringValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -158,14 +276,24 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const expenseData = {
-      ...req.body,
+    const taxError = checkTaxAmount(req.body);
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
+
+    if (req.body.isRecurring && !req.body.recurringPeriod) {
+      return res.status(400).json({ error: 'Recurring period is required for recurring expenses' });
+    }
+
+    const expenseData = await payablesService.applySupplier({
+      ...withoutServerFields(req.body),
+      supplierId: req.body.supplierId || null,
       companyId: req.user.companyId,
       createdBy: req.user.id,
       date: req.body.date ? new Date(req.body.date) : new Date(),
       currency: req.body.currency || 'USD',
       tags: req.body.tags || []
-    };
+    }, req.user.companyId);
 
     const expense = await models.Expense.create(expenseData);
 
@@ -177,6 +305,9 @@ router.post('/', [
 
     res.status(201).json(completeExpense);
   } catch (error) {
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating expense:', error);
     res.status(500).json({ error: 'Failed to create expense' });
   }
@@ -187,11 +318,14 @@ router.put('/:id', [
   body('category').optional().isIn([
     'Rent', 'Utilities', 'Salaries', 'Supplies', 'Marketing', 'Travel',
     'Insurance', 'Professional Services', 'Equipment', 'Software',
-    'Maintenance', 'Office Expenses', 'Telecommunications', 'Other'
+    'Maintenance', 'Office Expenses', 'Telecommunications', 'Inventory', 'Other'
   ]).withMessage('Invalid expense category'),
   body('description').optional().notEmpty().withMessage('Description cannot be empty'),
   body('amount').optional().isNumeric().withMessage('Amount must be a number'),
   body('date').optional().isISO8601().withMessage('Valid date is required'),
+  ...supplierValidation,
+  ...taxValidation,
+  ...recurringValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,6 +341,23 @@ router.put('/:id', [
       return res.status(404).json({ error: 'Expense not found' });
     }
 
+    const taxError = checkTaxAmount({
+      amount: req.body.amount ?? expense.amount,
+      taxAmount: req.body.taxAmount,
+      taxInclusive: req.body.taxInclusive ?? expense.taxInclusive
+    });
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
+
+    if ((req.body.isRecurring ?? expense.isRecurring) && !(req.body.recurringPeriod ?? expense.recurringPeriod)) {
+      return res.status(400).json({ error: 'Recurring period is required for recurring expenses' });
+    }
+
+    if (req.body.isRecurring && expense.recurringTemplateId) {
+      return res.status(400).json({ error: 'Expenses generated from a recurring series cannot start their own series' });
+    }
+
     // Only creator or admin can edit pending expenses
     if (expense.status === 'pending' && expense.createdBy !== req.user.id && !['owner', 'admin'].includes(req.user.role)) {
       return res.status(403).json({ error: 'You can only edit your own pending expenses' });
@@ -217,7 +368,28 @@ router.put('/:id', [
       return res.status(403).json({ error: 'Only admins can edit approved expenses' });
     }
 
-    await expense.update(req.body);
+    const updates = withoutServerFields(req.body);
+    if (updates.supplierId === '') updates.supplierId = null;
+
+    const changes = {
+      supplierId: updates.supplierId !== undefined && updates.supplierId !== expense.supplierId,
+      paymentMethod: updates.paymentMethod !== undefined && updates.paymentMethod !== expense.paymentMethod,
+      amount: updates.amount !== undefined && parseFloat(updates.amount) !== parseFloat(expense.amount)
+    };
+
+    // Payments already made tie the expense to its supplier and amount
+    if (parseFloat(expense.paidAmount) > 0 && Object.values(changes).some(Boolean)) {
+      return res.status(400).json({ error: 'The supplier, payment method and amount of a part-paid expense cannot be changed' });
+    }
+
+    if (changes.supplierId || changes.paymentMethod) {
+      // A new supplier brings its own name, tax ID and terms unless they were given
+      const current = changes.supplierId && updates.supplierId ? { vendor: null, supplierTaxId: null, dueDate: null } : {};
+      const resolved = await payablesService.applySupplier({ ...expense.toJSON(), ...current, ...updates }, req.user.companyId);
+      ['vendor', 'supplierTaxId', 'dueDate'].forEach(field => { updates[field] = resolved[field]; });
+    }
+
+    await expense.update(updates);
 
     const updatedExpense = await models.Expense.findByPk(expense.id, {
       include: [
@@ -227,6 +399,9 @@ router.put('/:id', [
 
     res.json(updatedExpense);
   } catch (error) {
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating expense:', error);
     res.status(500).json({ error: 'Failed to update expense' });
   }
@@ -248,6 +423,13 @@ router.delete('/:id', async (req, res) => {
       return res.status(403).json({ error: 'You can only delete your own expenses or you must be an admin' });
     }
 
+    if (parseFloat(expense.paidAmount) > 0) {
+      return res.status(400).json({ error: 'Remove the supplier payments made on this expense before deleting it' });
+    }
+
+    // Destroy first so a closed-period expense keeps its receipt
+    await expense.destroy();
+
     // Delete receipt file if it exists
     if (expense.receiptUrl) {
       try {
@@ -257,9 +439,11 @@ router.delete('/:id', async (req, res) => {
       }
     }
 
-    await expense.destroy();
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting expense:', error);
     res.status(500).json({ error: 'Failed to delete expense' });
   }
@@ -360,11 +544,125 @@ router.patch('/:id/approval', [
       expense: updatedExpense
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating expense approval:', error);
     res.status(500).json({ error: 'Failed to update expense approval' });
   }
 });
 
+// Record a payment to the supplier for an expense bought on account
+router.post('/:id/payments', [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero'),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('method').optional().isIn(['cash', 'bank_transfer', 'card', 'check', 'online', 'other']).withMessage('Invalid payment method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const expense = await models.Expense.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const payment = await payablesService.recordPayment(expense, {
+      amount: req.body.amount,
+      date: req.body.date || new Date(),
+      method: req.body.method,
+      reference: req.body.reference,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment,
+      balanceDue: expense.getBalanceDue()
+    });
+  } catch (error) {
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error recording supplier payment:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// Delete a supplier payment (admin only)
+router.delete('/:id/payments/:paymentId', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can delete supplier payments' });
+    }
+
+    const payment = await models.SupplierPayment.findOne({
+      where: { id: req.params.paymentId, expenseId: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const expense = await payablesService.deletePayment(payment);
+
+    res.json({
+      message: 'Payment deleted successfully',
+      balanceDue: expense.getBalanceDue()
+    });
+  } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting supplier payment:', error);
+    res.status(500).json({ error: 'Failed to delete payment' });
+  }
+});
+
+// Pause, resume or end a recurring series (admin only)
+router.patch('/:id/recurring', [
+  body('action').isIn(['pause', 'resume', 'end']).withMessage('Action must be pause, resume or end'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can manage recurring expenses' });
+    }
+
+    const expense = await models.Expense.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    await recurringExpenseService.updateSeries(expense, req.body.action, { endDate: req.body.endDate });
+
+    res.json({
+      message: `Recurring expense ${req.body.action === 'end' ? 'ended' : `${req.body.action}d`} successfully`,
+      expense
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating recurring expense:', error);
+    res.status(500).json({ error: 'Failed to update recurring expense' });
+  }
+});
+
 // Get expense statistics
 router.get('/stats/summary', async (req, res) => {
   try {
@@ -391,6 +689,7 @@ router.get('/stats/summary', async (req, res) => {
       attributes: [
         [models.sequelize.fn('COUNT', models.sequelize.col('id')), 'totalCount'],
         [models.sequelize.fn('SUM', models.sequelize.col('amount')), 'totalAmount'],
+        [models.sequelize.fn('SUM', models.sequelize.col('taxAmount')), 'totalTax'],
         [models.sequelize.fn('AVG', models.sequelize.col('amount')), 'averageAmount']
       ],
       raw: true
@@ -426,6 +725,7 @@ router.get('/stats/summary', async (req, res) => {
       summary: {
         totalCount: parseInt(summary.totalCount) || 0,
         totalAmount: parseFloat(summary.totalAmount) || 0,
+        totalTax: parseFloat(summary.totalTax) || 0,
         averageAmount: parseFloat(summary.averageAmount) || 0
       },
       monthlyBreakdown: monthlyBreakdown.map(item => ({
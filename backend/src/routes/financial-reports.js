@@ -3,6 +3,8 @@ const { body, query, validationResult } = require('express-validator');
 const { authMiddleware } = require('../middleware/auth');
 const { requireAdvancedReporting } = require('../middleware/subscription');
 const financialService = require('../services/financialService');
+const pdfService = require('../services/PDFService');
+const ExcelJS = require('exceljs');
 const router = express.Router();
 
 // Apply auth middleware to all routes
@@ -81,13 +83,138 @@ async function generateBalanceSheetComparison() {
   };
 }
 
-function generateProfitLossForExport() { return {}; }
-function generateBalanceSheetForExport() { return {}; }
-function generateCashFlowForExport() { return {}; }
-function generateTrialBalanceForExport() { return {}; }
-function exportToPDF() { return {}; }
-function exportToExcel() { return {}; }
-function exportToCSV() { return {}; }
+const GST_LINE_COLUMNS = [
+  { header: 'Date', key: 'date', type: 'date' },
+  { header: 'Entry', key: 'entryNumber' },
+  { header: 'Source', key: 'sourceType' },
+  { header: 'Reference', key: 'reference' },
+  { header: 'Description', key: 'description' },
+  { header: 'Taxable Amount', key: 'taxableAmount', type: 'currency' },
+  { header: 'GST', key: 'taxAmount', type: 'currency' }
+];
+
+async function generateGstReturnForExport(companyId, parameters) {
+  const { startDate, endDate, frequency } = parameters;
+  const gstReturn = await financialService.calculateGstReturn(companyId, startDate, endDate, { frequency });
+  const { summary } = gstReturn;
+
+  return {
+    title: 'GST Return',
+    companyName: gstReturn.company.name,
+    subtitle: [
+      formatPeriodName(startDate, endDate),
+      gstReturn.company.taxId ? `Tax ID: ${gstReturn.company.taxId}` : null
+    ].filter(Boolean).join(' | '),
+    summary: [
+      { label: 'Total sales', value: summary.totalSales },
+      { label: 'Taxable sales', value: summary.taxableSales },
+      { label: 'Exempt / zero-rated sales', value: summary.exemptSales },
+      { label: 'Output tax', value: summary.outputTax },
+      { label: 'Taxable purchases', value: summary.taxablePurchases },
+      { label: 'Input tax', value: summary.inputTax },
+      { label: summary.position === 'payable' ? 'Net GST payable' : 'Net GST refundable', value: Math.abs(summary.netPayable) }
+    ],
+    sections: [
+      {
+        title: 'Filing Periods',
+        columns: [
+          { header: 'Period', key: 'name' },
+          { header: 'Taxable Sales', key: 'taxableSales', type: 'currency' },
+          { header: 'Output Tax', key: 'outputTax', type: 'currency' },
+          { header: 'Taxable Purchases', key: 'taxablePurchases', type: 'currency' },
+          { header: 'Input Tax', key: 'inputTax', type: 'currency' },
+          { header: 'Net Payable', key: 'netPayable', type: 'currency' }
+        ],
+        rows: gstReturn.periods
+      },
+      { title: 'Output Tax (Sales)', columns: GST_LINE_COLUMNS, rows: gstReturn.details.output },
+      { title: 'Input Tax (Purchases)', columns: GST_LINE_COLUMNS, rows: gstReturn.details.input }
+    ]
+  };
+}
+
+// Export data of each report type that can be exported
+const EXPORT_GENERATORS = {
+  'gst-return': generateGstReturnForExport
+};
+
+// Renderers for export data of the form { title, subtitle, summary: [{ label, value }],
+// sections: [{ title, columns: [{ header, key, type }], rows }] }
+async function exportToPDF(reportData) {
+  return pdfService.generateReportPDF(reportData);
+}
+
+async function exportToExcel(reportData) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet((reportData.title || 'Report').slice(0, 31));
+
+  worksheet.addRow([reportData.title]).font = { bold: true, size: 14 };
+  if (reportData.companyName) worksheet.addRow([reportData.companyName]);
+  if (reportData.subtitle) worksheet.addRow([reportData.subtitle]);
+
+  if (reportData.summary?.length) {
+    worksheet.addRow([]);
+    reportData.summary.forEach(item => {
+      const row = worksheet.addRow([item.label, item.value]);
+      row.getCell(2).numFmt = '#,##0.00';
+    });
+  }
+
+  (reportData.sections || []).forEach(section => {
+    worksheet.addRow([]);
+    worksheet.addRow([section.title]).font = { bold: true };
+
+    const header = worksheet.addRow(section.columns.map(column => column.header));
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+    section.rows.forEach(sectionRow => {
+      const row = worksheet.addRow(section.columns.map(column => {
+        const value = sectionRow[column.key];
+        if (column.type === 'date' && value) return new Date(value);
+        return value;
+      }));
+
+      section.columns.forEach((column, index) => {
+        if (column.type === 'currency') row.getCell(index + 1).numFmt = '#,##0.00';
+        if (column.type === 'date') row.getCell(index + 1).numFmt = 'yyyy-mm-dd';
+      });
+    });
+  });
+
+  worksheet.columns.forEach((column, index) => {
+    column.width = index === 0 ? 28 : 18;
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+async function exportToCSV(reportData) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const line = (values) => values.map(escape).join(',');
+
+  const lines = [reportData.title, reportData.companyName, reportData.subtitle]
+    .filter(Boolean)
+    .map(value => line([value]));
+
+  (reportData.summary || []).forEach(item => lines.push(line([item.label, item.value])));
+
+  (reportData.sections || []).forEach(section => {
+    lines.push('', line([section.title]), line(section.columns.map(column => column.header)));
+    section.rows.forEach(row => {
+      lines.push(line(section.columns.map(column => {
+        const value = row[column.key];
+        return column.type === 'date' && value ? new Date(value) : value;
+      })));
+    });
+  });
+
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
 
 /**
  * Profit & Loss Statement
@@ -128,7 +255,7 @@ router.get('/profit-loss', [
     const operatingMargin = revenue.total > 0 ? (operatingIncome / revenue.total) * 100 : 0;
 
     // Other Income/Expenses
-    const otherIncome = { total: 0, breakdown: { interest: 0, investments: 0, other: 0 } };
+    const otherIncome = await financialService.calculateOtherIncome(companyId, startDate, endDate);
     const otherExpenses = await financialService.calculateOtherExpenses(companyId, startDate, endDate);
 
     // Net Income
@@ -379,6 +506,55 @@ router.get('/trial-balance', [
   }
 });
 
+/**
+ * GST Return
+ * Output tax on sales less input tax on purchases, per filing period, with
+ * the ledger lines behind each figure
+ */
+router.get('/gst-return', [
+  query('startDate').isISO8601().withMessage('Valid start date required'),
+  query('endDate').isISO8601().withMessage('Valid end date required'),
+  query('frequency').optional().isIn(['monthly', 'quarterly', 'annually']).withMessage('Invalid filing frequency')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, frequency = 'quarterly' } = req.query;
+
+    if (new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date'
+      });
+    }
+
+    const gstReturn = await financialService.calculateGstReturn(req.user.companyId, startDate, endDate, { frequency });
+
+    res.json({
+      success: true,
+      data: {
+        ...gstReturn,
+        period: {
+          ...gstReturn.period,
+          name: formatPeriodName(startDate, endDate)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error generating GST return:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate GST return'
+    });
+  }
+});
+
 /**
  * Financial Dashboard Summary
  */
@@ -455,9 +631,12 @@ router.get('/dashboard', async (req, res) => {
  */
 router.post('/export', [
   requireAdvancedReporting,
-  body('reportType').isIn(['profit-loss', 'balance-sheet', 'cash-flow', 'trial-balance']).withMessage('Invalid report type'),
+  body('reportType').isIn(['profit-loss', 'balance-sheet', 'cash-flow', 'trial-balance', 'gst-return']).withMessage('Invalid report type'),
   body('format').isIn(['pdf', 'excel', 'csv']).withMessage('Invalid export format'),
-  body('parameters').isObject().withMessage('Report parameters required')
+  body('parameters').isObject().withMessage('Report parameters required'),
+  body('parameters.startDate').if(body('reportType').equals('gst-return')).isISO8601().withMessage('Valid start date required'),
+  body('parameters.endDate').if(body('reportType').equals('gst-return')).isISO8601().withMessage('Valid end date required'),
+  body('parameters.frequency').optional().isIn(['monthly', 'quarterly', 'annually']).withMessage('Invalid filing frequency')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -469,25 +648,25 @@ router.post('/export', [
     }
 
     const { reportType, format, parameters } = req.body;
-    const companyId = req.user.companyId;
 
-    // Generate report data based on type
-    let reportData;
-    switch (reportType) {
-      case 'profit-loss':
-        reportData = await generateProfitLossForExport(companyId, parameters);
-        break;
-      case 'balance-sheet':
-        reportData = await generateBalanceSheetForExport(companyId, parameters);
-        break;
-      case 'cash-flow':
-        reportData = await generateCashFlowForExport(companyId, parameters);
-        break;
-      case 'trial-balance':
-        reportData = await generateTrialBalanceForExport(companyId, parameters);
-        break;
+    // Only reports with an export generator can be exported
+    const generateForExport = EXPORT_GENERATORS[reportType];
+    if (!generateForExport) {
+      return res.status(501).json({
+        success: false,
+        error: `Export is not available for ${reportType} reports yet`
+      });
     }
 
+    if (parameters.startDate && parameters.endDate && new Date(parameters.startDate) > new Date(parameters.endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date'
+      });
+    }
+
+    const reportData = await generateForExport(req.user.companyId, parameters);
+
     // Export in requested format
     let buffer, filename, contentType;
     switch (format) {
@@ -0,0 +1,436 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
+const fixedAssetService = require('../services/fixedAssetService');
+const periodCloseService = require('../services/periodCloseService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const ASSET_CATEGORIES = ['equipment', 'furniture', 'buildings', 'vehicles', 'other'];
+const PAYMENT_METHODS = ['cash', 'check', 'bank_transfer', 'card', 'on_account', 'other'];
+
+// Fields that drive the acquisition entry and depreciation schedule
+const FINANCIAL_FIELDS = [
+  'category', 'purchaseDate', 'purchaseCost', 'salvageValue', 'usefulLifeMonths',
+  'depreciationMethod', 'decliningBalanceRate', 'depreciationStartDate', 'paymentMethod'
+];
+
+const assetValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Asset name is required'),
+    field('category').isIn(ASSET_CATEGORIES).withMessage('Invalid asset category'),
+    field('purchaseDate').isISO8601().withMessage('Valid purchase date required'),
+    field('purchaseCost').isFloat({ min: 0 }).withMessage('Purchase cost must be a positive number'),
+    field('usefulLifeMonths').isInt({ min: 1 }).withMessage('Useful life must be at least one month'),
+    body('salvageValue').optional().isFloat({ min: 0 }).withMessage('Salvage value must be a positive number'),
+    body('depreciationMethod').optional().isIn(['straight_line', 'declining_balance']).withMessage('Invalid depreciation method'),
+    body('decliningBalanceRate').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Invalid declining balance rate'),
+    body('depreciationStartDate').optional({ nullable: true }).isISO8601().withMessage('Valid depreciation start date required'),
+    body('paymentMethod').optional({ nullable: true }).isIn(PAYMENT_METHODS).withMessage('Invalid payment method')
+  ];
+};
+
+const withBookValue = (asset) => ({
+  ...asset.toJSON(),
+  bookValue: asset.getBookValue()
+});
+
+// Get fixed asset register
+router.get('/', async (req, res) => {
+  try {
+    const { category, status } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+    if (category) whereClause.category = category;
+    if (status && status !== 'all') whereClause.status = status;
+
+    const assets = await models.FixedAsset.findAll({
+      where: whereClause,
+      order: [['purchaseDate', 'DESC']]
+    });
+
+    const held = assets.filter(asset => asset.status !== 'disposed');
+    const summary = {
+      count: held.length,
+      totalCost: held.reduce((sum, asset) => sum + parseFloat(asset.purchaseCost), 0),
+      accumulatedDepreciation: held.reduce((sum, asset) => sum + parseFloat(asset.accumulatedDepreciation), 0),
+      bookValue: held.reduce((sum, asset) => sum + asset.getBookValue(), 0)
+    };
+
+    res.json({
+      success: true,
+      data: {
+        assets: assets.map(withBookValue),
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fixed assets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fixed assets'
+    });
+  }
+});
+
+// Run depreciation for all active assets
+router.post('/depreciation/run', [
+  requireAdmin,
+  body('throughDate').optional().isISO8601().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const throughDate = req.body.throughDate || new Date().toISOString().slice(0, 10);
+    const result = await fixedAssetService.runDepreciation(req.user.companyId, throughDate, {
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Depreciation charged on ${result.assets.length} asset(s)`
+    });
+  } catch (error) {
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error running depreciation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run depreciation'
+    });
+  }
+});
+
+// Get single fixed asset with its depreciation schedule
+router.get('/:id', async (req, res) => {
+  try {
+    const asset = await models.FixedAsset.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [{ model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fixed asset not found'
+      });
+    }
+
+    const lastCharged = asset.lastDepreciationDate ? new Date(asset.lastDepreciationDate) : null;
+    const schedule = fixedAssetService.buildSchedule(asset).map(period => ({
+      ...period,
+      posted: !!lastCharged && period.date <= lastCharged
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        ...withBookValue(asset),
+        schedule
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fixed asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fixed asset'
+    });
+  }
+});
+
+// Create fixed asset
+router.post('/', [requireAdmin, ...assetValidation()], async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (parseFloat(req.body.salvageValue || 0) > parseFloat(req.body.purchaseCost)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Salvage value cannot exceed purchase cost'
+      });
+    }
+
+    const {
+      name, description, serialNumber, location, notes, category, purchaseDate, purchaseCost,
+      salvageValue, usefulLifeMonths, depreciationMethod, decliningBalanceRate,
+      depreciationStartDate, paymentMethod
+    } = req.body;
+
+    const asset = await models.FixedAsset.create({
+      companyId: req.user.companyId,
+      createdBy: req.user.id,
+      name,
+      description,
+      serialNumber,
+      location,
+      notes,
+      category,
+      purchaseDate,
+      purchaseCost,
+      salvageValue: salvageValue || 0,
+      usefulLifeMonths,
+      depreciationMethod: depreciationMethod || 'straight_line',
+      decliningBalanceRate: decliningBalanceRate || 2,
+      depreciationStartDate,
+      paymentMethod: paymentMethod || 'bank_transfer'
+    }, { transaction });
+
+    await ledgerService.postFixedAssetAcquisition(asset, { transaction });
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      data: withBookValue(asset),
+      message: 'Fixed asset created successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error creating fixed asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fixed asset'
+    });
+  }
+});
+
+// Update fixed asset
+router.put('/:id', [requireAdmin, ...assetValidation(true)], async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const asset = await models.FixedAsset.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      transaction
+    });
+
+    if (!asset) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Fixed asset not found'
+      });
+    }
+
+    const changesFinancials = FINANCIAL_FIELDS.some(field => req.body[field] !== undefined);
+    if (changesFinancials && (asset.lastDepreciationDate || asset.status === 'disposed')) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Cost and depreciation settings cannot be changed once depreciation has been charged'
+      });
+    }
+
+    const updates = {};
+    ['name', 'description', 'serialNumber', 'location', 'notes', ...FINANCIAL_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    await asset.update(updates, { transaction });
+
+    if (parseFloat(asset.salvageValue) > parseFloat(asset.purchaseCost)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Salvage value cannot exceed purchase cost'
+      });
+    }
+
+    if (changesFinancials) {
+      await ledgerService.postFixedAssetAcquisition(asset, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      data: withBookValue(asset),
+      message: 'Fixed asset updated successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error updating fixed asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fixed asset'
+    });
+  }
+});
+
+// Dispose of (sell or scrap) a fixed asset
+router.post('/:id/dispose', [
+  requireAdmin,
+  body('disposalDate').isISO8601().withMessage('Valid disposal date required'),
+  body('disposalAmount').optional().isFloat({ min: 0 }).withMessage('Disposal amount must be a positive number'),
+  body('disposalMethod').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method')
+], async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const asset = await models.FixedAsset.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      transaction
+    });
+
+    if (!asset) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Fixed asset not found'
+      });
+    }
+
+    if (asset.status === 'disposed') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Fixed asset has already been disposed of'
+      });
+    }
+
+    if (new Date(req.body.disposalDate) < new Date(asset.purchaseDate)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Disposal date cannot be before the purchase date'
+      });
+    }
+
+    await fixedAssetService.disposeAsset(asset, {
+      disposalDate: req.body.disposalDate,
+      disposalAmount: req.body.disposalAmount || 0,
+      disposalMethod: req.body.disposalMethod || 'bank_transfer'
+    }, { transaction, userId: req.user.id });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      data: withBookValue(asset),
+      message: 'Fixed asset disposed successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error disposing fixed asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dispose fixed asset'
+    });
+  }
+});
+
+// Delete fixed asset (only before any depreciation has been charged)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const asset = await models.FixedAsset.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      transaction
+    });
+
+    if (!asset) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Fixed asset not found'
+      });
+    }
+
+    if (asset.lastDepreciationDate || asset.status === 'disposed') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Assets with depreciation history cannot be deleted. Dispose of the asset instead.'
+      });
+    }
+
+    await ledgerService.voidSourceEntries(asset.companyId, 'fixed_asset', asset.id, { transaction });
+    await asset.destroy({ transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Fixed asset deleted successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error instanceof periodCloseService.PeriodLockedError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error deleting fixed asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete fixed asset'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@ const { body, validationResult } = require('express-validator');
 const { models } = require('../database');
 const { Op } = require('sequelize');
 const { authMiddleware } = require('../middleware/auth');
+const { PeriodLockedError } = require('../services/periodCloseService');
+const emailService = require('../services/emailService');
+const stockService = require('../services/stockService');
+const serialService = require('../services/serialService');
+const promotionService = require('../services/promotionService');
 const router = express.Router();
 
 // Apply auth middleware to all routes
@@ -84,6 +89,7 @@ router.post('/', [
   body('items.*.quantity').isNumeric().withMessage('Quantity must be a number'),
   body('items.*.unitPrice').isNumeric().withMessage('Unit price must be a number'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('couponCode').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Coupon code must be up to 50 characters'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -91,11 +97,13 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { customerId, items, notes, gstEnabled, gstRate, dueDate } = req.body;
+    const { customerId, items, notes, gstEnabled, gstRate, dueDate, couponCode } = req.body;
 
     // Calculate totals
     let subtotal = 0;
     const invoiceItems = [];
+    const invoiceProducts = [];
+    const listedSerials = [];
 
     for (const item of items) {
       const product = await models.Product.findOne({
@@ -106,53 +114,82 @@ router.post('/', [
         return res.status(404).json({ error: `Product with ID ${item.productId} not found` });
       }
 
-      const lineTotal = item.quantity * item.unitPrice;
-      subtotal += lineTotal;
+      // Serialized products are invoiced by serial number; the units are
+      // taken out of stock when the invoice is issued
+      let serialNumbers = null;
+      if (product.trackInventory && product.trackSerials) {
+        serialNumbers = await serialService.checkMovement(product, -item.quantity, item.serialNumbers, { type: 'sale' });
+        const repeated = serialNumbers.find(serial => listedSerials.includes(`${product.id}:${serial}`));
+        if (repeated) {
+          return res.status(400).json({ error: `Serial number ${repeated} of ${product.name} is listed more than once` });
+        }
+        serialNumbers.forEach(serial => listedSerials.push(`${product.id}:${serial}`));
+      }
 
       invoiceItems.push({
         productId: item.productId,
         quantity: item.quantity,
         unitPrice: item.unitPrice,
-        lineTotal
+        serialNumbers
       });
+      invoiceProducts.push(product);
     }
 
+    // Promotions for invoices are applied at the invoiced prices; each line
+    // keeps the promotion it got
+    const promotions = await promotionService.apply(req.user.companyId, invoiceItems.map((item, index) => ({
+      product: invoiceProducts[index],
+      quantity: item.quantity,
+      unitPrice: item.unitPrice
+    })), { channel: 'invoice', couponCode });
+
+    invoiceItems.forEach((item, index) => {
+      const { promotion, discountAmount } = promotions.lines[index];
+      item.discountAmount = discountAmount;
+      item.promotionId = promotion ? promotion.id : null;
+      item.promotionName = promotion ? promotion.name : null;
+      item.lineTotal = item.quantity * item.unitPrice - discountAmount;
+      subtotal += item.lineTotal;
+    });
+
     const gstAmount = gstEnabled ? (subtotal * (gstRate / 100)) : 0;
     const total = subtotal + gstAmount;
 
-    // Generate invoice number
-    const lastInvoice = await models.Invoice.findOne({
-      where: { companyId: req.user.companyId },
-      order: [['createdAt', 'DESC']]
-    });
-
-    const invoiceNumber = lastInvoice 
-      ? `INV-${String(parseInt(lastInvoice.invoiceNumber.split('-')[1]) + 1).padStart(4, '0')}`
-      : 'INV-0001';
-
-    // Create invoice
-    const invoice = await models.Invoice.create({
-      invoiceNumber,
-      customerId,
-      companyId: req.user.companyId,
-      createdBy: req.user.id,
-      issueDate: new Date(),
-      dueDate: new Date(dueDate),
-      subtotal,
-      gstEnabled,
-      gstRate: gstEnabled ? gstRate : 0,
-      gstAmount,
-      total,
-      status: 'draft',
-      notes
-    });
+    // The invoice and its lines are saved together. Promotions count against
+    // their usage limits once the invoice is issued (see the Invoice model).
+    const transaction = await models.sequelize.transaction();
+    let invoice;
+
+    try {
+      const invoiceNumber = await models.Invoice.generateInvoiceNumber(req.user.companyId, { transaction });
+
+      invoice = await models.Invoice.create({
+        invoiceNumber,
+        customerId,
+        companyId: req.user.companyId,
+        createdBy: req.user.id,
+        issueDate: new Date(),
+        dueDate: new Date(dueDate),
+        subtotal,
+        gstEnabled,
+        gstRate: gstEnabled ? gstRate : 0,
+        gstAmount,
+        total,
+        status: 'draft',
+        notes
+      }, { transaction });
+
+      for (const item of invoiceItems) {
+        await models.InvoiceItem.create({
+          ...item,
+          invoiceId: invoice.id
+        }, { transaction });
+      }
 
-    // Create invoice items
-    for (const item of invoiceItems) {
-      await models.InvoiceItem.create({
-        ...item,
-        invoiceId: invoice.id
-      });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
 
     // Fetch complete invoice with associations
@@ -167,6 +204,9 @@ router.post('/', [
 
     res.status(201).json(completeInvoice);
   } catch (error) {
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating invoice:', error);
     res.status(500).json({ error: 'Failed to create invoice' });
   }
@@ -187,6 +227,12 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot update paid invoices' });
     }
 
+    if (req.body.status !== undefined && !stockService.isIssued(invoice) &&
+        stockService.isIssued({ type: invoice.type, status: req.body.status })) {
+      await stockService.checkInvoiceStock(invoice);
+      await promotionService.checkInvoiceUsage(invoice);
+    }
+
     await invoice.update(req.body);
     
     const updatedInvoice = await models.Invoice.findByPk(invoice.id, {
@@ -200,6 +246,9 @@ router.put('/:id', async (req, res) => {
 
     res.json(updatedInvoice);
   } catch (error) {
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating invoice:', error);
     res.status(500).json({ error: 'Failed to update invoice' });
   }
@@ -223,6 +272,9 @@ router.delete('/:id', async (req, res) => {
     await invoice.destroy();
     res.json({ message: 'Invoice deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting invoice:', error);
     res.status(500).json({ error: 'Failed to delete invoice' });
   }
@@ -252,9 +304,112 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
 
     res.json(updatedInvoice);
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error converting quote to invoice:', error);
     res.status(500).json({ error: 'Failed to convert quote to invoice' });
   }
 });
 
+// Stop or restart payment reminders (and late fees) for an invoice
+router.patch('/:id/reminders', [
+  body('paused').isBoolean().withMessage('Paused must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await models.Invoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const paused = req.body.paused === true || req.body.paused === 'true';
+    await invoice.update({ remindersPaused: paused });
+
+    res.json({
+      message: `Payment reminders ${paused ? 'stopped' : 'restarted'} for invoice ${invoice.invoiceNumber}`,
+      invoice
+    });
+  } catch (error) {
+    console.error('Error updating invoice reminders:', error);
+    res.status(500).json({ error: 'Failed to update invoice reminders' });
+  }
+});
+
+// Email invoice or quote to the customer as a PDF
+router.post('/:id/send', [
+  body('email').optional().isEmail().withMessage('Valid recipient email is required'),
+  body('cc').optional().isEmail().withMessage('Valid CC email is required'),
+  body('subject').optional().isLength({ max: 500 }).withMessage('Subject is too long'),
+  body('message').optional().isString().withMessage('Message must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await models.Invoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // Sending a draft issues it, so its serialized units must still be in stock
+    if (invoice.status === 'draft') {
+      await stockService.checkInvoiceStock(invoice);
+    }
+
+    const { email, cc, subject, message } = req.body;
+    const result = await emailService.sendInvoice(invoice.id, {
+      to: email,
+      cc,
+      subject,
+      message,
+      sentBy: req.user.id
+    });
+
+    res.json({
+      message: `${invoice.type === 'quote' ? 'Quote' : 'Invoice'} sent to ${result.delivery.recipient}`,
+      invoice: result.invoice,
+      delivery: result.delivery
+    });
+  } catch (error) {
+    // Validation (400), closed period (409) and SMTP (502) failures
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending invoice:', error);
+    res.status(500).json({ error: 'Failed to send invoice' });
+  }
+});
+
+// Get email delivery log for an invoice
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const invoice = await models.Invoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const deliveries = await emailService.getDeliveries(req.user.companyId, invoice.type, invoice.id);
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching invoice deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery log' });
+  }
+});
+
 module.exports = router;
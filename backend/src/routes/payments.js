@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { models } = require('../database');
 const { authMiddleware } = require('../middleware/auth');
+const periodCloseService = require('../services/periodCloseService');
+const { PeriodLockedError } = periodCloseService;
 const router = express.Router();
 
 // Mock PayPal service (replace with actual implementation when needed)
@@ -126,7 +128,7 @@ router.post('/', [
     }
 
     // Check if payment amount is valid
-    const remainingBalance = invoice.total - invoice.paidAmount;
+    const remainingBalance = invoice.getTotalDue() - invoice.paidAmount;
     if (amount > remainingBalance) {
       return res.status(400).json({ 
         error: 'Payment amount exceeds remaining balance',
@@ -150,7 +152,7 @@ router.post('/', [
     const newPaidAmount = invoice.paidAmount + parseFloat(amount);
     const updateData = { paidAmount: newPaidAmount };
 
-    if (newPaidAmount >= invoice.total) {
+    if (newPaidAmount >= invoice.getTotalDue()) {
       updateData.status = 'paid';
       updateData.paidAt = new Date();
     } else {
@@ -171,6 +173,9 @@ router.post('/', [
 
     res.status(201).json(completePayment);
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating payment:', error);
     res.status(500).json({ error: 'Failed to create payment' });
   }
@@ -197,6 +202,11 @@ router.put('/:id', [
       return res.status(404).json({ error: 'Payment not found' });
     }
 
+    // Check the period before touching the invoice totals
+    if (['amount', 'method', 'date', 'status', 'invoiceId'].some(field => req.body[field] !== undefined)) {
+      await periodCloseService.assertOpen(req.user.companyId, [payment.date, req.body.date]);
+    }
+
     const oldAmount = payment.amount;
     const newAmount = req.body.amount ? parseFloat(req.body.amount) : oldAmount;
 
@@ -207,10 +217,10 @@ router.put('/:id', [
       const newPaidAmount = invoice.paidAmount + amountDifference;
 
       // Check if new amount is valid
-      if (newPaidAmount > invoice.total) {
+      if (newPaidAmount > invoice.getTotalDue()) {
         return res.status(400).json({ 
           error: 'Updated payment amount would exceed invoice total',
-          maxAmount: invoice.total - (invoice.paidAmount - oldAmount)
+          maxAmount: invoice.getTotalDue() - (invoice.paidAmount - oldAmount)
         });
       }
 
@@ -220,7 +230,7 @@ router.put('/:id', [
 
       // Update invoice
       const invoiceUpdateData = { paidAmount: newPaidAmount };
-      if (newPaidAmount >= invoice.total) {
+      if (newPaidAmount >= invoice.getTotalDue()) {
         invoiceUpdateData.status = 'paid';
         invoiceUpdateData.paidAt = new Date();
       } else if (newPaidAmount > 0) {
@@ -247,6 +257,9 @@ router.put('/:id', [
 
     res.json(updatedPayment);
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating payment:', error);
     res.status(500).json({ error: 'Failed to update payment' });
   }
@@ -264,6 +277,9 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Payment not found' });
     }
 
+    // Check the period before touching the invoice totals
+    await periodCloseService.assertOpen(req.user.companyId, payment.date);
+
     const invoice = payment.Invoice;
     const paymentAmount = payment.amount;
 
@@ -275,7 +291,7 @@ router.delete('/:id', async (req, res) => {
       invoiceUpdateData.paidAmount = 0;
       invoiceUpdateData.status = invoice.status === 'paid' ? 'sent' : invoice.status;
       invoiceUpdateData.paidAt = null;
-    } else if (newPaidAmount < invoice.total) {
+    } else if (newPaidAmount < invoice.getTotalDue()) {
       invoiceUpdateData.status = 'partially_paid';
       invoiceUpdateData.paidAt = null;
     }
@@ -285,6 +301,9 @@ router.delete('/:id', async (req, res) => {
 
     res.json({ message: 'Payment deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting payment:', error);
     res.status(500).json({ error: 'Failed to delete payment' });
   }
@@ -343,7 +362,7 @@ router.get('/invoice/:invoiceId', async (req, res) => {
         totalPaid: payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0),
         paymentCount: payments.length,
         invoiceTotal: parseFloat(invoice.total),
-        remainingBalance: parseFloat(invoice.total) - parseFloat(invoice.paidAmount)
+        remainingBalance: invoice.getTotalDue() - parseFloat(invoice.paidAmount)
       }
     });
   } catch (error) {
@@ -420,7 +439,7 @@ router.post('/paypal/capture-order', async (req, res) => {
           const newPaidAmount = invoice.paidAmount + amount;
           await invoice.update({
             paidAmount: newPaidAmount,
-            status: newPaidAmount >= invoice.total ? 'paid' : 'partially_paid'
+            status: newPaidAmount >= invoice.getTotalDue() ? 'paid' : 'partially_paid'
           });
         }
       }
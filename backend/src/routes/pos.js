@@ -1,9 +1,22 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { models, sequelize } = require('../database');
+const { Op } = require('sequelize');
 const { authMiddleware } = require('../middleware/auth');
 const { requireActiveSubscription, requirePOSFeature, trackUsage } = require('../middleware/subscription');
 const PDFService = require('../services/PDFService');
+const ledgerService = require('../services/ledgerService');
+const emailService = require('../services/emailService');
+const stockService = require('../services/stockService');
+const batchService = require('../services/batchService');
+const serialService = require('../services/serialService');
+const shiftService = require('../services/shiftService');
+const tenderService = require('../services/tenderService');
+const heldSaleService = require('../services/heldSaleService');
+const promotionService = require('../services/promotionService');
+const variantService = require('../services/variantService');
+const bundleService = require('../services/bundleService');
+const { PeriodLockedError } = require('../services/periodCloseService');
 const BarcodeUtils = require('../utils/barcodeUtils');
 const router = express.Router();
 
@@ -23,6 +36,17 @@ const cashierMiddleware = (req, res, next) => {
   next();
 };
 
+// Owners and admins manage every cashier's shifts; cashiers see their own
+const isManager = (user) => ['owner', 'admin'].includes(user.role);
+
+const findShift = (req) => models.POSShift.findOne({
+  where: {
+    id: req.params.id,
+    companyId: req.user.companyId,
+    ...(isManager(req.user) ? {} : { cashierId: req.user.id })
+  }
+});
+
 // Get products for POS (filterable by barcode, categories, etc.)
 router.get('/products', cashierMiddleware, async (req, res) => {
   try {
@@ -49,27 +73,95 @@ router.get('/products', cashierMiddleware, async (req, res) => {
         { sku: { [sequelize.Op.like]: `%${search}%` } }
       ];
     }
-    if (barcode) whereClause.barcode = barcode;
+    if (barcode) {
+      whereClause.barcode = barcode;
+    } else {
+      // Variants are offered under their parent
+      whereClause.parentProductId = null;
+    }
     // For inStock filter, we'll handle it after the query for simplicity
     
     const products = await models.Product.findAndCountAll({
       where: whereClause,
-      order: [['name', 'ASC']],
+      include: [
+        {
+          model: models.Product,
+          as: 'variants',
+          where: { isActive: true },
+          required: false
+        },
+        {
+          model: models.BundleComponent,
+          as: 'components',
+          required: false,
+          include: [{ model: models.Product, as: 'component' }]
+        }
+      ],
+      order: [['name', 'ASC'], [{ model: models.Product, as: 'variants' }, 'name', 'ASC']],
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      distinct: true
     });
     
-    // Add POS-specific data to products
-    let posProducts = products.rows.map(product => ({
-      ...product.toJSON(),
-      stockInfo: {
+    // Stock in expired lots is not for sale
+    const batchTracked = products.rows
+      .flatMap(product => [product, ...(product.variants || [])])
+      .filter(product => product.trackInventory && product.trackBatches);
+    const sellable = await batchService.getSellableQuantities(batchTracked.map(product => product.id));
+
+    const stockInfoFor = (product) => {
+      if (sellable[product.id] !== undefined) {
+        return {
+          available: sellable[product.id] > 0,
+          quantity: sellable[product.id],
+          expiredQuantity: product.stockQuantity - sellable[product.id],
+          lowStock: sellable[product.id] <= product.lowStockThreshold
+        };
+      }
+
+      // A bundle can be sold as many times as its scarcest component allows
+      if (bundleService.isBundle(product)) {
+        const quantity = bundleService.getAvailability(product.components || []);
+        return {
+          available: quantity === null || quantity > 0,
+          quantity,
+          lowStock: quantity !== null && quantity <= product.lowStockThreshold
+        };
+      }
+
+      return {
         available: product.trackInventory ? product.stockQuantity > 0 : true,
         quantity: product.stockQuantity,
         lowStock: product.trackInventory && product.stockQuantity <= product.lowStockThreshold
-      },
-      posReady: product.trackInventory ? product.stockQuantity > 0 : true,
-      suggestedQuantity: 1
-    }));
+      };
+    };
+
+    // Add POS-specific data to products; one with variants is available
+    // while any of its variants is, and is sold by choosing one of them
+    let posProducts = products.rows.map(product => {
+      const variants = (product.variants || []).map(variant => ({
+        ...variant.toJSON(),
+        stockInfo: stockInfoFor(variant),
+        posReady: stockInfoFor(variant).available
+      }));
+      const stockInfo = variants.length > 0
+        ? {
+          available: variants.some(variant => variant.stockInfo.available),
+          quantity: variants.reduce((sum, variant) => sum + (variant.stockInfo.quantity || 0), 0),
+          lowStock: variants.some(variant => variant.stockInfo.lowStock)
+        }
+        : stockInfoFor(product);
+
+      return {
+        ...product.toJSON(),
+        variants,
+        hasVariants: variants.length > 0,
+        isBundle: bundleService.isBundle(product),
+        stockInfo,
+        posReady: stockInfo.available,
+        suggestedQuantity: 1
+      };
+    });
     
     // Apply inStock filter after mapping
     if (inStock === 'true' || inStock === true) {
@@ -159,8 +251,8 @@ router.get('/scan/:barcode', cashierMiddleware, async (req, res) => {
   try {
     const { barcode } = req.params;
     
-    // Validate barcode format first
-    const barcodeInfo = BarcodeUtils.detectBarcodeType(barcode);
+    // Validate barcode format, then find the product carrying it
+    const { barcodeInfo, product } = await stockService.findByBarcode(req.user.companyId, barcode);
     if (!barcodeInfo.validation.valid) {
       return res.status(400).json({
         success: false,
@@ -169,15 +261,6 @@ router.get('/scan/:barcode', cashierMiddleware, async (req, res) => {
       });
     }
 
-    // Find product by barcode
-    const product = await models.Product.findOne({
-      where: { 
-        barcode: barcode,
-        companyId: req.user.companyId,
-        isActive: true 
-      }
-    });
-
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -193,6 +276,25 @@ router.get('/scan/:barcode', cashierMiddleware, async (req, res) => {
       });
     }
 
+    // A parent's own barcode cannot say which variant was picked up
+    const variants = await variantService.getVariants(product);
+    if (!product.parentProductId && variants.length > 0) {
+      return res.status(200).json({
+        success: true,
+        warning: `Choose a variant of ${product.name}`,
+        data: {
+          ...product.toJSON(),
+          hasVariants: true,
+          variants,
+          barcodeInfo: {
+            type: barcodeInfo.type,
+            formatted: BarcodeUtils.formatBarcodeForDisplay(barcode, barcodeInfo.type)
+          },
+          posReady: false
+        }
+      });
+    }
+
     // Check stock availability
     const stockInfo = {
       available: product.trackInventory ? product.stockQuantity > 0 : true,
@@ -487,6 +589,7 @@ router.get('/sales', async (req, res) => {
       startDate, 
       endDate, 
       cashierId, 
+      shiftId,
       status = 'completed',
       paymentMethod 
     } = req.query;
@@ -497,11 +600,12 @@ router.get('/sales', async (req, res) => {
     // Add filters
     if (status && status !== 'all') whereClause.status = status;
     if (cashierId) whereClause.cashierId = cashierId;
+    if (shiftId) whereClause.shiftId = shiftId;
     if (paymentMethod) whereClause.paymentMethod = paymentMethod;
     
     if (startDate && endDate) {
       whereClause.date = {
-        [sequelize.Op.between]: [new Date(startDate), new Date(endDate)]
+        [Op.between]: [new Date(startDate), new Date(endDate)]
       };
     }
 
@@ -573,8 +677,17 @@ router.get('/sales/:id', async (req, res) => {
             model: models.Product,
             attributes: ['id', 'name', 'sku', 'unit']
           }]
+        },
+        {
+          model: models.POSSalePayment,
+          as: 'payments'
+        },
+        {
+          model: models.POSRefund,
+          as: 'refunds'
         }
-      ]
+      ],
+      order: [[{ model: models.POSSalePayment, as: 'payments' }, 'sortOrder', 'ASC']]
     });
 
     if (!sale) {
@@ -597,15 +710,51 @@ router.get('/sales/:id', async (req, res) => {
   }
 });
 
-// Create new POS sale
+// A sale as returned once created: cashier, items and tenders
+const findCompleteSale = (id) => models.POSSale.findByPk(id, {
+  include: [
+    {
+      model: models.User,
+      as: 'Cashier',
+      attributes: ['id', 'firstName', 'lastName']
+    },
+    {
+      model: models.POSSaleItem,
+      as: 'items',
+      include: [{
+        model: models.Product,
+        attributes: ['id', 'name', 'sku']
+      }]
+    },
+    {
+      model: models.POSSalePayment,
+      as: 'payments'
+    }
+  ],
+  order: [[{ model: models.POSSalePayment, as: 'payments' }, 'sortOrder', 'ASC']]
+});
+
+// Create new POS sale. Sales rung up offline are synced here too: they carry
+// the register's clientSaleId, offline: true, soldAt and the shift and
+// cashier they were rung up under.
 router.post('/sales', [
   cashierMiddleware,
   trackUsage('pos_transaction'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.productId').notEmpty().withMessage('Product ID is required'),
   body('items.*.quantity').isNumeric().withMessage('Quantity must be a number'),
-  body('paymentMethod').isIn(['cash', 'card', 'bank_transfer', 'mobile_payment', 'mixed']).withMessage('Invalid payment method'),
-  body('amountTendered').optional().isNumeric().withMessage('Amount tendered must be a number')
+  body('paymentMethod').if(body('payments').not().exists()).isIn(['cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card', 'mixed']).withMessage('Invalid payment method'),
+  body('amountTendered').optional().isNumeric().withMessage('Amount tendered must be a number'),
+  body('payments').optional().isArray({ min: 1 }).withMessage('At least one tender is required'),
+  body('payments.*.tender').isIn(['cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card']).withMessage('Invalid tender'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be a positive number'),
+  body('payments.*.amountTendered').optional({ nullable: true }).isNumeric().withMessage('Amount tendered must be a number'),
+  body('clientSaleId').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Client sale ID must be a string of up to 100 characters'),
+  body('offline').optional().isBoolean().withMessage('Offline must be true or false'),
+  body('soldAt').optional().isISO8601().withMessage('Sold at must be a date'),
+  body('shiftId').optional().isUUID().withMessage('Invalid shift'),
+  body('cashierId').optional().isUUID().withMessage('Invalid cashier'),
+  body('couponCode').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Coupon code must be up to 50 characters')
 ], async (req, res) => {
   const transaction = await sequelize.transaction();
   
@@ -623,16 +772,112 @@ router.post('/sales', [
       paymentMethod,
       paymentDetails = {},
       amountTendered,
+      payments,
       customerId,
       customerInfo = {},
       notes,
-      deviceInfo = {}
+      deviceInfo = {},
+      clientSaleId,
+      offline = false,
+      soldAt,
+      shiftId,
+      cashierId,
+      couponCode
     } = req.body;
 
-    // Validate and prepare sale items
+    // A register retrying a sale it already sent gets the recorded sale back
+    if (clientSaleId) {
+      const existing = await models.POSSale.findOne({
+        where: { companyId: req.user.companyId, clientSaleId },
+        attributes: ['id']
+      });
+      if (existing) {
+        await transaction.rollback();
+        return res.json({
+          success: true,
+          data: await findCompleteSale(existing.id),
+          duplicate: true,
+          message: 'POS sale already recorded'
+        });
+      }
+    }
+
+    // Every sale is rung up in the cashier's open shift. An offline sale
+    // belongs to the shift and cashier it was rung up under, even if that
+    // shift has closed since; it is synced by that cashier or a manager.
+    let shift;
+    if (offline && shiftId) {
+      shift = await models.POSShift.findOne({ where: { id: shiftId, companyId: req.user.companyId } });
+      if (!shift) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'The shift this sale was rung up in was not found'
+        });
+      }
+      if (!cashierId) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Give the cashier an offline sale was rung up by'
+        });
+      }
+      if (cashierId !== shift.cashierId) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'The sale\'s cashier did not work the shift it was rung up in'
+        });
+      }
+      if (shift.cashierId !== req.user.id && !isManager(req.user)) {
+        await transaction.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'Only the shift\'s cashier or a manager can sync sales into it'
+        });
+      }
+    } else {
+      shift = await shiftService.getOpenShift(req.user.companyId, req.user.id);
+      if (!shift) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Open a shift before making sales'
+        });
+      }
+    }
+
+    // An offline sale is let through short of stock, so it must be one the
+    // register actually queued: identified, and rung up during its shift
+    if (offline) {
+      const saleTime = soldAt ? new Date(soldAt) : null;
+      if (!clientSaleId || !saleTime) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'An offline sale needs the register\'s clientSaleId and the time it was sold'
+        });
+      }
+      if (saleTime > new Date() || saleTime < new Date(shift.openedAt) ||
+        (shift.closedAt && saleTime > new Date(shift.closedAt))) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `The sale was not rung up during shift ${shift.shiftNumber}`
+        });
+      }
+    }
+
+    // Validate and prepare sale items. A sale rung up offline has already
+    // happened, so stock it sold that is no longer on hand is reported as a
+    // conflict rather than refused.
     const saleItems = [];
+    const saleProducts = [];
+    const scannedSerials = [];
+    const stockConflicts = [];
     let subtotal = 0;
     let totalTaxAmount = 0;
+    let totalDiscount = 0;
 
     for (const item of items) {
       const product = await models.Product.findOne({
@@ -647,15 +892,62 @@ router.post('/sales', [
         });
       }
 
-      // Check stock availability
-      if (product.trackInventory && product.stockQuantity < item.quantity) {
+      if (await variantService.hasVariants(product)) {
         await transaction.rollback();
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Required: ${item.quantity}`
+          message: `Choose a variant of ${product.name} to sell`
+        });
+      }
+
+      // Check stock availability; a bundle needs enough of every component,
+      // and stock in expired lots cannot be sold
+      let available = product.trackInventory ? product.stockQuantity : null;
+      if (bundleService.isBundle(product)) {
+        available = bundleService.getAvailability(await bundleService.getComponents(product));
+      } else if (product.trackInventory && product.trackBatches) {
+        available = await batchService.getSellableQuantity(product);
+        if (!offline && available < item.quantity && available < product.stockQuantity) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for ${product.name}. Available: ${available}, Required: ${item.quantity}; ${product.stockQuantity - available} more are in expired lots and cannot be sold`
+          });
+        }
+      }
+      if (available !== null && available < item.quantity) {
+        if (!offline) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for ${product.name}. Available: ${available}, Required: ${item.quantity}`
+          });
+        }
+        stockConflicts.push({
+          productId: product.id,
+          productName: product.name,
+          quantity: parseFloat(item.quantity),
+          available: Math.max(0, available),
+          shortfall: parseFloat(item.quantity) - Math.max(0, available)
         });
       }
 
+      // A serialized product needs the serial of every unit sold, each in stock
+      // and scanned only once in the sale
+      let serialNumbers = null;
+      if (product.trackInventory && product.trackSerials) {
+        serialNumbers = await serialService.checkMovement(product, -item.quantity, item.serialNumbers, { type: 'sale' });
+        const repeated = serialNumbers.find(serial => scannedSerials.includes(`${product.id}:${serial}`));
+        if (repeated) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Serial number ${repeated} of ${product.name} is scanned more than once`
+          });
+        }
+        serialNumbers.forEach(serial => scannedSerials.push(`${product.id}:${serial}`));
+      }
+
       const quantity = parseFloat(item.quantity);
       const originalPrice = parseFloat(product.price);
       // Get tax rate from company (default to 10% if not found)
@@ -682,12 +974,51 @@ router.post('/sales', [
         discountType,
         discountValue,
         taxRate,
+        serialNumbers,
         notes: item.notes
       };
 
       saleItems.push(saleItem);
+      saleProducts.push(product);
+    }
+
+    // Promotions apply to lines not discounted by hand, as at the time of
+    // sale; each line stores the promotion it got as a fixed discount. An
+    // offline sale has already happened, so a coupon no longer valid is
+    // dropped rather than refused.
+    const promotionLines = saleItems.map((saleItem, index) => ({
+      product: saleProducts[index],
+      quantity: saleItem.quantity,
+      unitPrice: saleItem.originalPrice,
+      excluded: saleItem.discountType !== 'none'
+    }));
+    const promotionOptions = {
+      channel: 'pos',
+      at: offline && soldAt ? new Date(soldAt) : new Date(),
+      transaction
+    };
+    let promotions;
+    try {
+      promotions = await promotionService.apply(req.user.companyId, promotionLines, { ...promotionOptions, couponCode });
+    } catch (error) {
+      if (!offline || !error.status) throw error;
+      promotions = await promotionService.apply(req.user.companyId, promotionLines, promotionOptions);
+      promotions.couponApplied = false;
+    }
+
+    saleItems.forEach((saleItem, index) => {
+      const { promotion, discountAmount: promotionDiscount } = promotions.lines[index];
+      if (promotion) {
+        Object.assign(saleItem, {
+          discountType: 'fixed',
+          discountValue: promotionDiscount,
+          promotionId: promotion.id,
+          promotionName: promotion.name
+        });
+      }
 
       // Calculate line totals (will be done in model hooks)
+      const { originalPrice, quantity, discountType, discountValue, taxRate } = saleItem;
       const discountAmount = discountType === 'percentage' 
         ? (originalPrice * quantity * discountValue) / 100
         : discountType === 'fixed' ? discountValue : 0;
@@ -697,24 +1028,35 @@ router.post('/sales', [
       
       subtotal += lineSubtotal;
       totalTaxAmount += lineTax;
-    }
+      totalDiscount += discountAmount;
+    });
 
     const total = subtotal + totalTaxAmount;
 
+    // Tenders must cover the total exactly; only cash can give change
+    const tendered = tenderService.checkPayments(total, { payments, paymentMethod, amountTendered });
+
     // Create POS sale
     const posSale = await models.POSSale.create({
       companyId: req.user.companyId,
-      cashierId: req.user.id,
+      cashierId: shift.cashierId,
       subtotal,
       taxAmount: totalTaxAmount,
+      discountAmount: totalDiscount,
       total,
-      paymentMethod,
+      paymentMethod: tendered.paymentMethod,
       paymentDetails,
-      amountTendered: paymentMethod === 'cash' ? amountTendered : null,
+      amountTendered: tendered.amountTendered,
+      changeGiven: tendered.changeGiven,
       customerId,
       customerInfo,
       notes,
-      deviceInfo
+      deviceInfo,
+      shiftId: shift.id,
+      ...(offline && soldAt ? { date: new Date(soldAt) } : {}),
+      clientSaleId: clientSaleId || null,
+      syncedAt: offline ? new Date() : null,
+      stockConflicts: stockConflicts.length > 0 ? stockConflicts : null
     }, { transaction });
 
     // Create sale items
@@ -723,40 +1065,53 @@ router.post('/sales', [
       const saleItem = await models.POSSaleItem.create({
         saleId: posSale.id,
         ...item
-      }, { transaction });
+      }, { transaction, userId: shift.cashierId, reference: posSale.saleNumber });
       
       createdItems.push(saleItem);
     }
 
-    await transaction.commit();
+    await tenderService.savePayments(posSale, tendered.lines, { transaction });
+    await promotionService.recordUsage(promotions.promotions, { transaction });
 
-    // Fetch complete sale data
-    const completeSale = await models.POSSale.findByPk(posSale.id, {
-      include: [
-        {
-          model: models.User,
-          as: 'Cashier',
-          attributes: ['id', 'firstName', 'lastName']
-        },
-        {
-          model: models.POSSaleItem,
-          as: 'items',
-          include: [{
-            model: models.Product,
-            attributes: ['id', 'name', 'sku']
-          }]
-        }
-      ]
-    });
+    // Post revenue, tax and cost of goods to the general ledger
+    await ledgerService.postPOSSale(posSale, { transaction });
+
+    await transaction.commit();
 
     res.status(201).json({
       success: true,
-      data: completeSale,
-      message: 'POS sale created successfully'
+      data: await findCompleteSale(posSale.id),
+      conflicts: stockConflicts,
+      promotions: promotions.promotions.map(promotion => ({ id: promotion.id, name: promotion.name, type: promotion.type })),
+      couponApplied: promotions.couponApplied,
+      message: stockConflicts.length > 0
+        ? `POS sale synced; ${stockConflicts.map(conflict => conflict.productName).join(', ')} sold beyond stock on hand`
+        : 'POS sale created successfully'
     });
 
   } catch (error) {
     await transaction.rollback();
+    // The same offline sale synced twice at once: the first one recorded wins
+    if (error.name === 'SequelizeUniqueConstraintError' && req.body.clientSaleId) {
+      const existing = await models.POSSale.findOne({
+        where: { companyId: req.user.companyId, clientSaleId: req.body.clientSaleId },
+        attributes: ['id']
+      });
+      if (existing) {
+        return res.json({
+          success: true,
+          data: await findCompleteSale(existing.id),
+          duplicate: true,
+          message: 'POS sale already recorded'
+        });
+      }
+    }
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating POS sale:', error);
     res.status(500).json({
       success: false,
@@ -765,18 +1120,22 @@ router.post('/sales', [
   }
 });
 
-// Process refund
+// Process refund. Each line is restocked or written off; the money goes back
+// through one tender (the sale's own unless refundMethod says otherwise).
 router.post('/sales/:id/refund', [
   cashierMiddleware,
   body('items').isArray({ min: 1 }).withMessage('At least one item to refund is required'),
   body('items.*.saleItemId').notEmpty().withMessage('Sale item ID is required'),
-  body('items.*.quantity').isNumeric().withMessage('Refund quantity must be a number')
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Refund quantity must be a positive number'),
+  body('items.*.disposition').optional().isIn(['restock', 'write_off']).withMessage('Disposition must be restock or write_off'),
+  body('refundMethod').optional().isIn(['cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card']).withMessage('Invalid refund method')
 ], async (req, res) => {
   const transaction = await sequelize.transaction();
   
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await transaction.rollback();
       return res.status(400).json({
         success: false,
         errors: errors.array()
@@ -787,7 +1146,8 @@ router.post('/sales/:id/refund', [
 
     const sale = await models.POSSale.findOne({
       where: { id: req.params.id, companyId: req.user.companyId },
-      include: [{ model: models.POSSaleItem, as: 'items' }]
+      include: [{ model: models.POSSaleItem, as: 'items' }],
+      transaction
     });
 
     if (!sale) {
@@ -798,7 +1158,36 @@ router.post('/sales/:id/refund', [
       });
     }
 
-    let refundAmount = 0;
+    if (!['completed', 'partially_refunded'].includes(sale.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `A ${sale.status.replace('_', ' ')} sale cannot be refunded`
+      });
+    }
+
+    const refundMethod = req.body.refundMethod || sale.paymentMethod;
+    if (refundMethod === 'mixed') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a refund method for a sale paid with mixed tenders'
+      });
+    }
+
+    // A cash refund is paid out of the drawer of the processing cashier's shift
+    const shift = await shiftService.getOpenShift(req.user.companyId, req.user.id, { transaction });
+    if (refundMethod === 'cash' && !shift) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Open a shift to pay a cash refund from the drawer'
+      });
+    }
+
+    const refundItems = [];
+    let refundTotal = 0;
+    let refundTax = 0;
 
     for (const refundItem of items) {
       const saleItem = sale.items.find(item => item.id === refundItem.saleItemId);
@@ -811,8 +1200,17 @@ router.post('/sales/:id/refund', [
         });
       }
 
+      if (refundItems.some(line => line.saleItemId === saleItem.id)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `${saleItem.productName} is listed more than once`
+        });
+      }
+
       const refundQuantity = parseFloat(refundItem.quantity);
-      const availableQuantity = saleItem.quantity - saleItem.refundedQuantity;
+      const soldQuantity = parseFloat(saleItem.quantity);
+      const availableQuantity = soldQuantity - (parseFloat(saleItem.refundedQuantity) || 0);
 
       if (refundQuantity > availableQuantity) {
         await transaction.rollback();
@@ -822,32 +1220,141 @@ router.post('/sales/:id/refund', [
         });
       }
 
-      // Calculate refund amount for this item
-      const refundPerUnit = saleItem.lineTotal / saleItem.quantity;
-      refundAmount += refundPerUnit * refundQuantity;
+      // Serialized units come back by serial: the ones named, or every unit
+      // of the line not yet returned when the whole remainder is refunded
+      let serialNumbers = null;
+      if (saleItem.serialNumbers && saleItem.serialNumbers.length > 0) {
+        const outstanding = await serialService.getSoldSerials(req.user.companyId, {
+          sourceType: 'pos_sale',
+          sourceId: sale.id,
+          productId: saleItem.productId
+        }, { transaction });
+        const lineSerials = saleItem.serialNumbers.filter(serial => outstanding.includes(serial));
+
+        serialNumbers = refundItem.serialNumbers !== undefined
+          ? serialService.normalize(refundItem.serialNumbers)
+          : (refundQuantity === lineSerials.length ? lineSerials : []);
+        const unknown = serialNumbers.find(serial => !lineSerials.includes(serial));
+        if (unknown || serialNumbers.length !== refundQuantity) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: unknown
+              ? `Serial number ${unknown} was not sold on this line of ${saleItem.productName} or has already been returned`
+              : `Give the serial number of each ${saleItem.productName} returned`
+          });
+        }
+      }
+
+      // The refunded share of the line, including its tax
+      const lineTotal = Math.round(parseFloat(saleItem.lineTotal) / soldQuantity * refundQuantity * 100) / 100;
+      const taxAmount = Math.round(parseFloat(saleItem.taxAmount) / soldQuantity * refundQuantity * 100) / 100;
+      refundTotal += lineTotal;
+      refundTax += taxAmount;
+
+      refundItems.push({
+        saleItemId: saleItem.id,
+        productId: saleItem.productId,
+        productName: saleItem.productName,
+        quantity: refundQuantity,
+        unitPrice: parseFloat(saleItem.unitPrice),
+        taxAmount,
+        lineTotal,
+        disposition: refundItem.disposition || 'restock',
+        serialNumbers
+      });
+    }
+
+    refundTotal = Math.round(refundTotal * 100) / 100;
+    refundTax = Math.round(refundTax * 100) / 100;
+
+    const refund = await models.POSRefund.create({
+      companyId: sale.companyId,
+      saleId: sale.id,
+      processedBy: req.user.id,
+      shiftId: shift ? shift.id : null,
+      refundMethod,
+      subtotal: Math.round((refundTotal - refundTax) * 100) / 100,
+      taxAmount: refundTax,
+      total: refundTotal,
+      items: refundItems,
+      reason
+    }, { transaction });
+
+    const refundLines = [];
+    for (const line of refundItems) {
+      const saleItem = sale.items.find(item => item.id === line.saleItemId);
+      const totalRefunded = (parseFloat(saleItem.refundedQuantity) || 0) + line.quantity;
+      const restockQuantity = line.disposition === 'restock' ? line.quantity : 0;
 
-      // Update sale item
       await saleItem.update({
-        isRefunded: refundQuantity === availableQuantity,
-        refundedQuantity: saleItem.refundedQuantity + refundQuantity
+        isRefunded: totalRefunded >= parseFloat(saleItem.quantity),
+        refundedQuantity: totalRefunded,
+        restockedQuantity: (parseFloat(saleItem.restockedQuantity) || 0) + restockQuantity,
+        refundedAt: new Date()
       }, { transaction });
+
+      // Written-off goods stay out of stock; their cost remains in COGS.
+      // A bundle returns the components it was sold with.
+      const product = restockQuantity > 0 && await models.Product.findByPk(saleItem.productId, { transaction });
+      if (line.serialNumbers && restockQuantity === 0) {
+        const returned = await models.Product.findByPk(saleItem.productId, { transaction });
+        await serialService.writeOff(returned, line.serialNumbers, {
+          sourceType: 'pos_refund',
+          sourceId: refund.id,
+          reference: refund.refundNumber,
+          transaction
+        });
+      }
+      if (product && saleItem.bundleComponents) {
+        await bundleService.restock(saleItem.bundleComponents, restockQuantity, {
+          sourceType: 'pos_refund',
+          sourceId: refund.id,
+          reference: refund.refundNumber,
+          userId: req.user.id,
+          skipLedger: true, // Returned cost is posted with the refund entry
+          transaction
+        });
+      } else if (product && product.trackInventory) {
+        await stockService.adjustStock(product, restockQuantity, {
+          type: 'refund',
+          sourceType: 'pos_refund',
+          sourceId: refund.id,
+          reference: refund.refundNumber,
+          userId: req.user.id,
+          unitCost: saleItem.unitCost, // Back into stock at the cost it was sold at
+          // and into the lots it was sold from
+          batches: product.trackBatches
+            ? await batchService.getSoldBatches(req.user.companyId, { sourceType: 'pos_sale', sourceId: sale.id, productId: product.id }, { transaction })
+            : null,
+          serials: line.serialNumbers,
+          skipLedger: true, // Returned cost is posted with the refund entry
+          transaction
+        });
+      }
+
+      refundLines.push({ saleItem, quantity: line.quantity, restockQuantity });
     }
 
     // Update sale status
-    const allItemsRefunded = sale.items.every(item => 
-      item.quantity === (item.refundedQuantity + (items.find(ri => ri.saleItemId === item.id)?.quantity || 0))
+    const allItemsRefunded = sale.items.every(item =>
+      parseFloat(item.refundedQuantity) >= parseFloat(item.quantity)
     );
 
     const newStatus = allItemsRefunded ? 'refunded' : 'partially_refunded';
     await sale.update({ status: newStatus }, { transaction });
 
+    await ledgerService.postPOSRefund(sale, refundLines, { transaction, userId: req.user.id, refund });
+
     await transaction.commit();
 
     res.json({
       success: true,
       data: {
         saleId: sale.id,
-        refundAmount,
+        refund,
+        refundAmount: refundTotal,
+        cashDrawerImpact: parseFloat(refund.cashDrawerImpact),
         status: newStatus
       },
       message: 'Refund processed successfully'
@@ -855,6 +1362,12 @@ router.post('/sales/:id/refund', [
 
   } catch (error) {
     await transaction.rollback();
+    if (error instanceof PeriodLockedError || error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error processing refund:', error);
     res.status(500).json({
       success: false,
@@ -863,56 +1376,495 @@ router.post('/sales/:id/refund', [
   }
 });
 
-// Get daily sales report
-router.get('/reports/daily', async (req, res) => {
+// Get refunds
+router.get('/refunds', async (req, res) => {
   try {
-    const { date, cashierId } = req.query;
-    const reportDate = date ? new Date(date) : new Date();
-    
-    const startDate = new Date(reportDate);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(reportDate);
-    endDate.setHours(23, 59, 59, 999);
-
-    const whereClause = {
-      companyId: req.user.companyId,
-      date: { [sequelize.Op.between]: [startDate, endDate] },
-      status: { [sequelize.Op.in]: ['completed', 'refunded', 'partially_refunded'] }
-    };
+    const { saleId, refundMethod, startDate, endDate } = req.query;
+    const whereClause = { companyId: req.user.companyId };
 
-    if (cashierId) whereClause.cashierId = cashierId;
+    if (saleId) whereClause.saleId = saleId;
+    if (refundMethod) whereClause.refundMethod = refundMethod;
+    if (startDate && endDate) {
+      whereClause.date = {
+        [Op.between]: [new Date(startDate), new Date(endDate)]
+      };
+    }
 
-    // Get sales summary
-    const salesSummary = await models.POSSale.findAll({
+    const refunds = await models.POSRefund.findAll({
       where: whereClause,
-      attributes: [
-        'paymentMethod',
-        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-        [sequelize.fn('SUM', sequelize.col('total')), 'totalAmount'],
-        [sequelize.fn('SUM', sequelize.col('taxAmount')), 'totalTax']
+      include: [
+        {
+          model: models.POSSale,
+          attributes: ['id', 'saleNumber', 'date', 'total', 'paymentMethod']
+        },
+        {
+          model: models.User,
+          as: 'ProcessedBy',
+          attributes: ['id', 'firstName', 'lastName']
+        }
       ],
-      group: ['paymentMethod'],
-      raw: true
+      order: [['date', 'DESC']]
     });
 
-    // Get hourly sales
-    const hourlySales = await sequelize.query(`
-      SELECT 
-        strftime('%H', date) as hour,
-        COUNT(*) as sales_count,
-        SUM(total) as total_amount
-      FROM pos_sales 
-      WHERE companyId = :companyId 
-        AND date BETWEEN :startDate AND :endDate
-        AND status IN ('completed', 'refunded', 'partially_refunded')
-        ${cashierId ? 'AND cashierId = :cashierId' : ''}
-      GROUP BY strftime('%H', date)
-      ORDER BY hour
-    `, {
-      replacements: { 
-        companyId: req.user.companyId, 
-        startDate: startDate.toISOString(), 
+    res.json({
+      success: true,
+      data: refunds
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// Shifts, newest first
+router.get('/shifts', cashierMiddleware, async (req, res) => {
+  try {
+    const { status, cashierId, startDate, endDate, limit = 50 } = req.query;
+    const whereClause = { companyId: req.user.companyId };
+
+    if (status) whereClause.status = status;
+    if (!isManager(req.user)) {
+      whereClause.cashierId = req.user.id;
+    } else if (cashierId) {
+      whereClause.cashierId = cashierId;
+    }
+    if (startDate && endDate) {
+      whereClause.openedAt = {
+        [Op.between]: [new Date(startDate), new Date(`${endDate}T23:59:59.999Z`)]
+      };
+    }
+
+    const shifts = await models.POSShift.findAll({
+      where: whereClause,
+      attributes: { exclude: ['report'] },
+      include: [{ model: models.User, as: 'Cashier', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['openedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: shifts
+    });
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shifts'
+    });
+  }
+});
+
+// The cashier's open shift, if any. Expected takings are left out so the
+// count at close stays blind.
+router.get('/shifts/current', cashierMiddleware, async (req, res) => {
+  try {
+    const shift = await shiftService.getOpenShift(req.user.companyId, req.user.id);
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error fetching current shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current shift'
+    });
+  }
+});
+
+// Open a shift with the cash counted into the drawer
+router.post('/shifts', [
+  cashierMiddleware,
+  body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be a non-negative number'),
+  body('registerName').optional().isLength({ max: 100 }).withMessage('Register name is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shift = await shiftService.open(req.user.companyId, req.user.id, {
+      openingFloat: req.body.openingFloat,
+      registerName: req.body.registerName || null,
+      notes: req.body.notes || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: shift,
+      message: `Shift ${shift.shiftNumber} opened`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error opening shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open shift'
+    });
+  }
+});
+
+// Cash drop to the safe or payout from the drawer during a shift
+router.post('/shifts/:id/cash-movements', [
+  cashierMiddleware,
+  body('type').isIn(['drop', 'payout']).withMessage('Type must be drop or payout'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shift = await findShift(req);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const movement = await shiftService.recordCashMovement(shift, {
+      type: req.body.type,
+      amount: req.body.amount,
+      reason: req.body.reason || null,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: movement,
+      message: req.body.type === 'drop' ? 'Cash drop recorded' : 'Payout recorded'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error recording cash movement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record cash movement'
+    });
+  }
+});
+
+// X report of an open shift (managers only, since it shows the takings the
+// cashier counts blind) or the Z report of a closed one
+router.get('/shifts/:id/report', cashierMiddleware, async (req, res) => {
+  try {
+    const shift = await findShift(req);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.status === 'open' && !isManager(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The X report of an open shift is only available to managers'
+      });
+    }
+
+    const report = shift.report || await shiftService.getReport(shift);
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        postCloseAdjustment: await shiftService.getPostCloseAdjustment(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shift report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shift report'
+    });
+  }
+});
+
+// Close a shift with a blind count per tender ({ counts: { cash, card, ... } });
+// returns the Z report
+router.post('/shifts/:id/close', [
+  cashierMiddleware,
+  body('counts').isObject().withMessage('Counts by tender are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shift = await findShift(req);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    await shiftService.close(shift, {
+      counts: req.body.counts,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: shift.report,
+      message: `Shift ${shift.shiftNumber} closed`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error closing shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close shift'
+    });
+  }
+});
+
+// Held sales: carts parked while the customer fetches another item, which any
+// register in the company can resume until they expire
+router.get('/held-sales', cashierMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await heldSaleService.list(req.user.companyId)
+    });
+  } catch (error) {
+    console.error('Error fetching held sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch held sales'
+    });
+  }
+});
+
+// Park the cart. No stock is checked or taken until the sale is completed.
+router.post('/held-sales', [
+  cashierMiddleware,
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+  body('items.*.discountType').optional().isIn(['none', 'percentage', 'fixed']).withMessage('Invalid discount type'),
+  body('items.*.discountValue').optional().isFloat({ min: 0 }).withMessage('Discount must be a non-negative number'),
+  body('label').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Label must be up to 100 characters'),
+  body('customerId').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid customer ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { items, label, customerId, notes, deviceInfo } = req.body;
+    const heldSale = await heldSaleService.hold(req.user.companyId, req.user.id, {
+      items,
+      label: label ? label.trim() : null,
+      customerId: customerId || null,
+      notes,
+      deviceInfo
+    });
+
+    res.status(201).json({
+      success: true,
+      data: heldSale,
+      message: 'Sale held'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error holding sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold sale'
+    });
+  }
+});
+
+// Resume a held sale into this register's cart. It is removed as it is
+// resumed, so it cannot be rung up twice.
+router.post('/held-sales/:id/resume', cashierMiddleware, async (req, res) => {
+  try {
+    const heldSale = await heldSaleService.resume(req.user.companyId, req.params.id);
+
+    res.json({
+      success: true,
+      data: heldSale,
+      message: heldSale.missingProductIds.length > 0
+        ? `Sale resumed; ${heldSale.missingProductIds.length} product(s) no longer exist and were left out`
+        : 'Sale resumed'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error resuming held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume held sale'
+    });
+  }
+});
+
+router.delete('/held-sales/:id', cashierMiddleware, async (req, res) => {
+  try {
+    await heldSaleService.discard(req.user.companyId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Held sale discarded'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error discarding held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard held sale'
+    });
+  }
+});
+
+// Offline sales that sold stock no longer on hand by the time they synced,
+// most recently synced first, for the stock to be counted or corrected
+router.get('/sync/conflicts', cashierMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate, limit = 50 } = req.query;
+    const whereClause = {
+      companyId: req.user.companyId,
+      stockConflicts: { [Op.ne]: null }
+    };
+
+    if (!isManager(req.user)) whereClause.cashierId = req.user.id;
+    if (startDate && endDate) {
+      whereClause.syncedAt = {
+        [Op.between]: [new Date(startDate), new Date(`${endDate}T23:59:59.999Z`)]
+      };
+    }
+
+    const sales = await models.POSSale.findAll({
+      where: whereClause,
+      attributes: ['id', 'saleNumber', 'clientSaleId', 'date', 'syncedAt', 'total', 'stockConflicts', 'cashierId'],
+      include: [{ model: models.User, as: 'Cashier', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['syncedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: sales
+    });
+  } catch (error) {
+    console.error('Error fetching sync conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync conflicts'
+    });
+  }
+});
+
+// Get daily sales report
+router.get('/reports/daily', async (req, res) => {
+  try {
+    const { date, cashierId } = req.query;
+    const reportDate = date ? new Date(date) : new Date();
+    
+    const startDate = new Date(reportDate);
+    startDate.setHours(0, 0, 0, 0);
+    
+    const endDate = new Date(reportDate);
+    endDate.setHours(23, 59, 59, 999);
+
+    const whereClause = {
+      companyId: req.user.companyId,
+      date: { [Op.between]: [startDate, endDate] },
+      status: { [Op.in]: ['completed', 'refunded', 'partially_refunded'] }
+    };
+
+    if (cashierId) whereClause.cashierId = cashierId;
+
+    // Get sales summary
+    const salesSummary = await models.POSSale.findAll({
+      where: whereClause,
+      attributes: [
+        'paymentMethod',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('total')), 'totalAmount'],
+        [sequelize.fn('SUM', sequelize.col('taxAmount')), 'totalTax']
+      ],
+      group: ['paymentMethod'],
+      raw: true
+    });
+
+    // Takings by tender, with split sales counted under each tender they used
+    const tenderSales = await models.POSSale.findAll({
+      where: whereClause,
+      attributes: ['id', 'paymentMethod', 'total'],
+      include: [{ model: models.POSSalePayment, as: 'payments', attributes: ['tender', 'amount'] }]
+    });
+
+    // Get hourly sales
+    const hourlySales = await sequelize.query(`
+      SELECT 
+        strftime('%H', date) as hour,
+        COUNT(*) as sales_count,
+        SUM(total) as total_amount
+      FROM pos_sales 
+      WHERE companyId = :companyId 
+        AND date BETWEEN :startDate AND :endDate
+        AND status IN ('completed', 'refunded', 'partially_refunded')
+        ${cashierId ? 'AND cashierId = :cashierId' : ''}
+      GROUP BY strftime('%H', date)
+      ORDER BY hour
+    `, {
+      replacements: { 
+        companyId: req.user.companyId, 
+        startDate: startDate.toISOString(), 
         endDate: endDate.toISOString(),
         ...(cashierId && { cashierId })
       },
@@ -946,10 +1898,54 @@ router.get('/reports/daily', async (req, res) => {
       type: sequelize.QueryTypes.SELECT
     });
 
+    // Refunds paid out on the day, by tender
+    const refundWhere = {
+      companyId: req.user.companyId,
+      date: { [Op.between]: [startDate, endDate] }
+    };
+    if (cashierId) refundWhere.processedBy = cashierId;
+
+    const refundSummary = await models.POSRefund.findAll({
+      where: refundWhere,
+      attributes: [
+        'refundMethod',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('total')), 'totalAmount'],
+        [sequelize.fn('SUM', sequelize.col('cashDrawerImpact')), 'cashDrawerImpact']
+      ],
+      group: ['refundMethod'],
+      raw: true
+    });
+
     // Calculate totals
     const totalSales = salesSummary.reduce((sum, item) => sum + parseFloat(item.totalAmount || 0), 0);
     const totalTransactions = salesSummary.reduce((sum, item) => sum + parseInt(item.count || 0), 0);
     const totalTax = salesSummary.reduce((sum, item) => sum + parseFloat(item.totalTax || 0), 0);
+    const totalRefunds = refundSummary.reduce((sum, item) => sum + parseFloat(item.totalAmount || 0), 0);
+    const tenders = tenderService.summarize(tenderSales).map(row => {
+      const refunded = refundSummary.find(item => item.refundMethod === row.tender);
+      const refunds = parseFloat(refunded?.totalAmount || 0);
+      return {
+        tender: row.tender,
+        salesCount: row.count,
+        sales: row.total,
+        refundCount: parseInt(refunded?.count || 0),
+        refunds,
+        net: Math.round((row.total - refunds) * 100) / 100
+      };
+    });
+    refundSummary
+      .filter(item => !tenders.some(row => row.tender === item.refundMethod))
+      .forEach(item => tenders.push({
+        tender: item.refundMethod,
+        salesCount: 0,
+        sales: 0,
+        refundCount: parseInt(item.count || 0),
+        refunds: parseFloat(item.totalAmount || 0),
+        net: -parseFloat(item.totalAmount || 0)
+      }));
+    const cashSales = tenders.find(row => row.tender === 'cash')?.sales || 0;
+    const cashRefundImpact = refundSummary.reduce((sum, item) => sum + parseFloat(item.cashDrawerImpact || 0), 0);
 
     res.json({
       success: true,
@@ -959,9 +1955,18 @@ router.get('/reports/daily', async (req, res) => {
           totalSales,
           totalTransactions,
           totalTax,
-          averageTransaction: totalTransactions > 0 ? totalSales / totalTransactions : 0
+          averageTransaction: totalTransactions > 0 ? totalSales / totalTransactions : 0,
+          totalRefunds,
+          netSales: totalSales - totalRefunds
         },
         paymentMethods: salesSummary,
+        tenders,
+        refunds: refundSummary,
+        cashDrawer: {
+          cashSales,
+          cashRefunds: -cashRefundImpact,
+          net: cashSales + cashRefundImpact
+        },
         hourlySales,
         topProducts
       }
@@ -976,33 +1981,105 @@ router.get('/reports/daily', async (req, res) => {
   }
 });
 
+// Sale with the details printed on a receipt
+const findReceiptSale = (saleId, companyId) => models.POSSale.findOne({
+  where: { id: saleId, companyId },
+  include: [
+    {
+      model: models.User,
+      as: 'Cashier',
+      attributes: ['id', 'firstName', 'lastName']
+    },
+    {
+      model: models.Customer,
+      required: false
+    },
+    {
+      model: models.POSSaleItem,
+      as: 'items',
+      include: [{
+        model: models.Product,
+        attributes: ['id', 'name', 'sku', 'unit']
+      }]
+    },
+    {
+      model: models.POSSalePayment,
+      as: 'payments'
+    }
+  ],
+  order: [[{ model: models.POSSalePayment, as: 'payments' }, 'sortOrder', 'ASC']]
+});
+
+// Requested receipt template, else the company's (or global) default, else the built-in one
+const findReceiptTemplate = async (companyId, templateId) => {
+  const where = {
+    type: { [Op.in]: ['receipt', 'pos'] },
+    [Op.or]: templateId
+      ? [{ companyId }, { isGlobal: true }]
+      : [{ companyId, isDefault: true }, { isGlobal: true, isDefault: true }]
+  };
+  if (templateId) where.id = templateId;
+
+  const template = await models.Template.findOne({
+    where,
+    order: [['isGlobal', 'ASC']] // Prefer company template over global
+  });
+
+  if (template || templateId) return template;
+
+  return {
+    htmlTemplate: PDFService.getDefaultReceiptTemplate(),
+    cssStyles: PDFService.getDefaultReceiptStyles()
+  };
+};
+
+const buildReceiptData = (sale, company) => ({
+  sale_number: sale.saleNumber,
+  cashier_name: `${sale.Cashier.firstName} ${sale.Cashier.lastName}`,
+  payment_method: sale.paymentMethod,
+  amount_tendered: sale.amountTendered,
+  change_given: sale.changeGiven,
+  split_payment: (sale.payments || []).length > 1,
+  payments: (sale.payments || []).map(payment => ({
+    tender: payment.tender.replace('_', ' '),
+    amount: payment.amount,
+    reference: payment.reference
+  })),
+  receipt_timestamp: sale.date,
+  terminal_id: sale.deviceInfo.terminalId || 'POS-01',
+  transaction_id: sale.id,
+
+  // Standard document data
+  document_number: sale.saleNumber,
+  document_date: sale.date,
+  subtotal: sale.subtotal,
+  tax_amount: sale.taxAmount,
+  total_amount: sale.total,
+  items: sale.items.map(item => ({
+    name: item.productName,
+    quantity: item.quantity,
+    price: item.unitPrice,
+    lineTotal: item.lineTotal,
+    promotion: item.promotionName
+  })),
+
+  // Company info
+  company_name: company.name,
+  company_address: company.address,
+  company_phone: company.phone,
+  company_email: company.email,
+
+  // Customer info
+  customer_name: sale.Customer?.name || sale.customerInfo?.name || 'Walk-in Customer',
+  customer_phone: sale.Customer?.phone || sale.customerInfo?.phone || ''
+});
+
 // Generate receipt PDF
 router.get('/sales/:id/receipt', async (req, res) => {
   try {
     const { templateId } = req.query;
 
-    const sale = await models.POSSale.findOne({
-      where: { id: req.params.id, companyId: req.user.companyId },
-      include: [
-        {
-          model: models.User,
-          as: 'Cashier',
-          attributes: ['id', 'firstName', 'lastName']
-        },
-        {
-          model: models.Customer,
-          required: false
-        },
-        {
-          model: models.POSSaleItem,
-          as: 'items',
-          include: [{
-            model: models.Product,
-            attributes: ['id', 'name', 'sku', 'unit']
-          }]
-        }
-      ]
-    });
+    const sale = await findReceiptSale(req.params.id, req.user.companyId);
 
     if (!sale) {
       return res.status(404).json({
@@ -1012,31 +2089,7 @@ router.get('/sales/:id/receipt', async (req, res) => {
     }
 
     // Get receipt template
-    let template;
-    if (templateId) {
-      template = await models.Template.findOne({
-        where: { 
-          id: templateId, 
-          type: { [sequelize.Op.in]: ['receipt', 'pos'] },
-          [sequelize.Op.or]: [
-            { companyId: req.user.companyId },
-            { isGlobal: true }
-          ]
-        }
-      });
-    } else {
-      // Get default receipt template
-      template = await models.Template.findOne({
-        where: {
-          type: { [sequelize.Op.in]: ['receipt', 'pos'] },
-          [sequelize.Op.or]: [
-            { companyId: req.user.companyId, isDefault: true },
-            { isGlobal: true, isDefault: true }
-          ]
-        },
-        order: [['isGlobal', 'ASC']] // Prefer company template over global
-      });
-    }
+    const template = await findReceiptTemplate(req.user.companyId, templateId);
 
     if (!template) {
       return res.status(404).json({
@@ -1048,43 +2101,8 @@ router.get('/sales/:id/receipt', async (req, res) => {
     // Get company info
     const company = await models.Company.findByPk(req.user.companyId);
 
-    // Prepare receipt data
-    const receiptData = {
-      sale_number: sale.saleNumber,
-      cashier_name: `${sale.Cashier.firstName} ${sale.Cashier.lastName}`,
-      payment_method: sale.paymentMethod,
-      amount_tendered: sale.amountTendered,
-      change_given: sale.changeGiven,
-      receipt_timestamp: sale.date,
-      terminal_id: sale.deviceInfo.terminalId || 'POS-01',
-      transaction_id: sale.id,
-
-      // Standard document data
-      document_number: sale.saleNumber,
-      document_date: sale.date,
-      subtotal: sale.subtotal,
-      tax_amount: sale.taxAmount,
-      total_amount: sale.total,
-      items: sale.items.map(item => ({
-        name: item.productName,
-        quantity: item.quantity,
-        price: item.unitPrice,
-        lineTotal: item.lineTotal
-      })),
-
-      // Company info
-      company_name: company.name,
-      company_address: company.address,
-      company_phone: company.phone,
-      company_email: company.email,
-
-      // Customer info
-      customer_name: sale.Customer?.name || sale.customerInfo?.name || 'Walk-in Customer',
-      customer_phone: sale.Customer?.phone || sale.customerInfo?.phone || ''
-    };
-
     // Generate PDF receipt
-    const pdfBuffer = await PDFService.generatePDF(template, receiptData);
+    const pdfBuffer = await PDFService.generatePDF(template, buildReceiptData(sale, company));
 
     // Update receipt printed status
     await sale.update({ receiptPrinted: true });
@@ -1102,4 +2120,147 @@ router.get('/sales/:id/receipt', async (req, res) => {
   }
 });
 
+// Refund receipt: the sale's receipt details with the refunded lines and tender
+const buildRefundReceiptData = (refund, sale, company) => ({
+  ...buildReceiptData(sale, company),
+  is_refund: true,
+  refund_number: refund.refundNumber,
+  original_sale_number: sale.saleNumber,
+  refund_method: refund.refundMethod,
+  refund_reason: refund.reason,
+  sale_number: refund.refundNumber,
+  cashier_name: refund.ProcessedBy
+    ? `${refund.ProcessedBy.firstName} ${refund.ProcessedBy.lastName}`
+    : `${sale.Cashier.firstName} ${sale.Cashier.lastName}`,
+  payment_method: refund.refundMethod,
+  amount_tendered: null,
+  change_given: null,
+  receipt_timestamp: refund.date,
+  transaction_id: refund.id,
+
+  document_number: refund.refundNumber,
+  document_date: refund.date,
+  subtotal: refund.subtotal,
+  tax_amount: refund.taxAmount,
+  total_amount: refund.total,
+  items: refund.items.map(line => ({
+    name: line.disposition === 'write_off' ? `${line.productName} (written off)` : line.productName,
+    quantity: line.quantity,
+    price: line.unitPrice,
+    lineTotal: line.lineTotal
+  }))
+});
+
+// Generate refund receipt PDF
+router.get('/refunds/:id/receipt', async (req, res) => {
+  try {
+    const { templateId } = req.query;
+
+    const refund = await models.POSRefund.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [{
+        model: models.User,
+        as: 'ProcessedBy',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const sale = await findReceiptSale(refund.saleId, req.user.companyId);
+    const template = await findReceiptTemplate(req.user.companyId, templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt template found'
+      });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    const pdfBuffer = await PDFService.generatePDF(template, buildRefundReceiptData(refund, sale, company));
+
+    await refund.update({ receiptPrinted: true });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="refund-${refund.refundNumber}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Error generating refund receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate refund receipt'
+    });
+  }
+});
+
+// Email receipt PDF to the customer
+router.post('/sales/:id/email-receipt', [
+  cashierMiddleware,
+  body('email').optional().isEmail().withMessage('Valid recipient email is required'),
+  body('templateId').optional().isUUID().withMessage('Invalid template')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sale = await findReceiptSale(req.params.id, req.user.companyId);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'POS sale not found'
+      });
+    }
+
+    const template = await findReceiptTemplate(req.user.companyId, req.body.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt template found'
+      });
+    }
+
+    const company = await models.Company.findByPk(req.user.companyId);
+    const pdfBuffer = await PDFService.generatePDF(template, buildReceiptData(sale, company));
+
+    const delivery = await emailService.sendReceipt(sale, {
+      to: req.body.email,
+      sentBy: req.user.id,
+      pdfBuffer
+    });
+
+    res.json({
+      success: true,
+      message: `Receipt sent to ${delivery.recipient}`,
+      data: delivery
+    });
+  } catch (error) {
+    // Validation (400) and SMTP (502) failures
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error emailing receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to email receipt'
+    });
+  }
+});
+
 module.exports = router;
@@ -8,6 +8,11 @@ const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
 const BarcodeUtils = require('../utils/barcodeUtils');
+const stockService = require('../services/stockService');
+const variantService = require('../services/variantService');
+const bundleService = require('../services/bundleService');
+const batchService = require('../services/batchService');
+const serialService = require('../services/serialService');
 const router = express.Router();
 
 // Apply auth middleware to all routes
@@ -33,7 +38,7 @@ const upload = multer({
 // Get all products for a company
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 50, search, category, isActive = 'true' } = req.query;
+    const { page = 1, limit = 50, search, category, isActive = 'true', includeVariants } = req.query;
     const offset = (page - 1) * limit;
     
     const whereClause = { companyId: req.user.companyId };
@@ -41,6 +46,11 @@ router.get('/', async (req, res) => {
     if (isActive !== 'all') {
       whereClause.isActive = isActive === 'true';
     }
+
+    // Variants are listed under their parent unless asked for on their own
+    if (includeVariants !== 'true') {
+      whereClause.parentProductId = null;
+    }
     
     if (search) {
       whereClause[models.sequelize.Op.or] = [
@@ -56,9 +66,24 @@ router.get('/', async (req, res) => {
 
     const products = await models.Product.findAndCountAll({
       where: whereClause,
-      order: [['name', 'ASC']],
+      include: [
+        {
+          model: models.Product,
+          as: 'variants',
+          required: false,
+          ...(isActive !== 'all' ? { where: { isActive: isActive === 'true' } } : {})
+        },
+        {
+          model: models.BundleComponent,
+          as: 'components',
+          required: false,
+          include: [{ model: models.Product, as: 'component', attributes: ['id', 'name', 'sku', 'unit', 'cost', 'stockQuantity', 'trackInventory'] }]
+        }
+      ],
+      order: [['name', 'ASC'], [{ model: models.Product, as: 'variants' }, 'name', 'ASC']],
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      distinct: true
     });
 
     res.json({
@@ -99,6 +124,37 @@ router.get('/low-stock', async (req, res) => {
   }
 });
 
+// Lots that have expired or expire within ?days= days (default 30)
+router.get('/near-expiry', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({ error: 'Days must be a non-negative number' });
+    }
+
+    const report = await batchService.getNearExpiry(req.user.companyId, { days, productId: req.query.productId });
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching near-expiry batches:', error);
+    res.status(500).json({ error: 'Failed to fetch near-expiry batches' });
+  }
+});
+
+// Warranty lookup: the sale, customer and date a serial number went out with
+router.get('/serials/:serialNumber', async (req, res) => {
+  try {
+    const units = await serialService.lookup(req.user.companyId, req.params.serialNumber);
+    if (units.length === 0) {
+      return res.status(404).json({ error: 'Serial number not found' });
+    }
+
+    res.json({ serialNumber: req.params.serialNumber, units });
+  } catch (error) {
+    console.error('Error looking up serial number:', error);
+    res.status(500).json({ error: 'Failed to look up serial number' });
+  }
+});
+
 // Get product categories
 router.get('/categories', async (req, res) => {
   try {
@@ -240,17 +296,68 @@ router.get('/search/barcode/:pattern', async (req, res) => {
   }
 });
 
+// Compare on-hand quantities with the stock movement ledger
+router.get('/stock-reconciliation', async (req, res) => {
+  try {
+    const reconciliation = await stockService.getReconciliation(req.user.companyId, {
+      mismatchedOnly: req.query.mismatched === 'true'
+    });
+
+    res.json(reconciliation);
+  } catch (error) {
+    console.error('Error reconciling stock:', error);
+    res.status(500).json({ error: 'Failed to reconcile stock' });
+  }
+});
+
+// Bring the stock ledger in line with on-hand quantities
+router.post('/stock-reconciliation', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can reconcile stock' });
+    }
+
+    const movements = await stockService.reconcile(req.user.companyId, {
+      productId: req.body.productId,
+      userId: req.user.id
+    });
+
+    res.json({
+      message: `Recorded ${movements.length} reconciling stock movement${movements.length === 1 ? '' : 's'}`,
+      movements
+    });
+  } catch (error) {
+    console.error('Error reconciling stock:', error);
+    res.status(500).json({ error: 'Failed to reconcile stock' });
+  }
+});
+
 // Get single product
 router.get('/:id', async (req, res) => {
   try {
     const product = await models.Product.findOne({
-      where: { id: req.params.id, companyId: req.user.companyId }
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [
+        { model: models.Product, as: 'variants', required: false },
+        { model: models.Product, as: 'parent', attributes: ['id', 'name', 'sku', 'variantOptions'] },
+        { model: models.BundleComponent, as: 'components', required: false, include: [{ model: models.Product, as: 'component' }] }
+      ],
+      order: [[{ model: models.Product, as: 'variants' }, 'name', 'ASC']]
     });
 
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // A bundle's availability and cost come from its components
+    if (bundleService.isBundle(product)) {
+      return res.json({
+        ...product.toJSON(),
+        availableQuantity: bundleService.getAvailability(product.components),
+        componentCost: bundleService.getComponentCost(product.components)
+      });
+    }
+
     res.json(product);
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -265,6 +372,9 @@ router.post('/', [
   body('cost').optional().isNumeric().withMessage('Cost must be a number'),
   body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
   body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low stock threshold must be a non-negative integer'),
+  body('productType').optional().isIn(['standard', 'bundle']).withMessage('Product type must be standard or bundle'),
+  body('expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+  body('trackSerials').optional().isBoolean().withMessage('Track serial numbers must be true or false'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -272,11 +382,41 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // lotNumber and expiryDate describe the opening stock of a batch-tracked product
+    const { components, lotNumber, expiryDate, ...fields } = req.body;
     const productData = {
-      ...req.body,
+      ...fields,
       companyId: req.user.companyId
     };
 
+    // Variants are created through /:id/variants
+    delete productData.parentProductId;
+    delete productData.variantAttributes;
+
+    if (productData.variantOptions !== undefined) {
+      productData.variantOptions = variantService.normalizeOptions(productData.variantOptions);
+    }
+
+    // A bundle holds no stock of its own; its recipe is checked before it is created
+    if (productData.productType === 'bundle') {
+      if (productData.variantOptions?.length > 0) {
+        return res.status(400).json({ error: 'A bundle cannot have variants' });
+      }
+      await bundleService.resolveComponents(req.user.companyId, components);
+      productData.trackInventory = false;
+      productData.stockQuantity = 0;
+    }
+
+    if (productData.trackBatches && (productData.productType === 'bundle' || productData.trackInventory === false)) {
+      return res.status(400).json({ error: 'Only products that track inventory can track batches' });
+    }
+    if (productData.trackSerials && (productData.productType === 'bundle' || productData.trackInventory === false)) {
+      return res.status(400).json({ error: 'Only products that track inventory can track serial numbers' });
+    }
+    if (expiryDate && !lotNumber) {
+      return res.status(400).json({ error: 'Give a lot number for stock with an expiry date' });
+    }
+
     // Check for duplicate SKU within the company
     if (productData.sku) {
       const existingProduct = await models.Product.findOne({
@@ -291,9 +431,19 @@ router.post('/', [
       }
     }
 
-    const product = await models.Product.create(productData);
+    const product = await models.Product.create(productData, {
+      userId: req.user.id,
+      lot: { lotNumber, expiryDate }
+    });
+    if (bundleService.isBundle(product)) {
+      await bundleService.setComponents(product, components);
+    }
+
     res.status(201).json(product);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating product:', error);
     res.status(500).json({ error: 'Failed to create product' });
   }
@@ -305,6 +455,9 @@ router.put('/:id', [
   body('price').optional().isNumeric().withMessage('Price must be a number'),
   body('cost').optional().isNumeric().withMessage('Cost must be a number'),
   body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('productType').optional().isIn(['standard', 'bundle']).withMessage('Product type must be standard or bundle'),
+  body('trackBatches').optional().isBoolean().withMessage('Track batches must be true or false'),
+  body('trackSerials').optional().isBoolean().withMessage('Track serial numbers must be true or false'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -335,9 +488,126 @@ router.put('/:id', [
       }
     }
 
-    await product.update(req.body);
+    // A changed stock count goes through the stock ledger as an adjustment;
+    // a variant's place under its parent is managed through /:id/variants
+    const { stockQuantity, components, ...changes } = req.body;
+    delete changes.parentProductId;
+    delete changes.variantAttributes;
+
+    const becomesBundle = changes.productType === 'bundle' && !bundleService.isBundle(product);
+    const isBundle = (changes.productType || product.productType) === 'bundle';
+
+    if (changes.variantOptions !== undefined) {
+      if (product.parentProductId) {
+        return res.status(400).json({ error: 'A variant cannot have variant options of its own' });
+      }
+      changes.variantOptions = variantService.normalizeOptions(changes.variantOptions);
+      if (isBundle && changes.variantOptions.length > 0) {
+        return res.status(400).json({ error: 'A bundle cannot have variants' });
+      }
+      await variantService.checkOptions(product, changes.variantOptions);
+    }
+
+    // Turning a product into a bundle: its own stock has to be gone first,
+    // since from then on only its components are stocked
+    if (becomesBundle) {
+      if (product.parentProductId || await variantService.hasVariants(product)) {
+        return res.status(400).json({ error: 'A product with variants cannot be a bundle' });
+      }
+      if (product.trackInventory && product.stockQuantity > 0) {
+        return res.status(400).json({ error: `Adjust the ${product.stockQuantity} ${product.name} in stock to zero before making it a bundle` });
+      }
+      if (components === undefined) {
+        return res.status(400).json({ error: 'A bundle needs at least one component' });
+      }
+      changes.trackInventory = false;
+    }
+
+    if (components !== undefined) {
+      if (!isBundle) {
+        return res.status(400).json({ error: 'Only bundles have components' });
+      }
+      await bundleService.resolveComponents(req.user.companyId, components, { bundleId: product.id });
+    }
+
+    const trackBatches = changes.trackBatches !== undefined
+      ? changes.trackBatches === true || changes.trackBatches === 'true'
+      : product.trackBatches;
+    const tracksInventory = changes.trackInventory !== undefined ? changes.trackInventory : product.trackInventory;
+    if (trackBatches && (isBundle || !tracksInventory)) {
+      return res.status(400).json({ error: 'Only products that track inventory can track batches' });
+    }
+
+    // Serials recorded while tracking was on are kept for warranty lookups
+    // when it is turned off
+    const trackSerials = changes.trackSerials !== undefined
+      ? changes.trackSerials === true || changes.trackSerials === 'true'
+      : product.trackSerials;
+    if (trackSerials && (isBundle || !tracksInventory)) {
+      return res.status(400).json({ error: 'Only products that track inventory can track serial numbers' });
+    }
+    if (trackSerials && !product.trackSerials) {
+      const bundled = await models.BundleComponent.count({ where: { componentId: product.id } });
+      if (bundled > 0) {
+        return res.status(400).json({ error: `${product.name} is part of a bundle; serialized products must be sold on their own` });
+      }
+    }
+
+    // Stock in lots or serial numbers has to say which lots or units changed,
+    // so it is adjusted through adjust-stock rather than edited here
+    const stockChanged = stockQuantity !== undefined && parseInt(stockQuantity) !== (product.stockQuantity || 0);
+    if (stockChanged && tracksInventory && trackSerials) {
+      return res.status(400).json({ error: `${product.name} is tracked by serial number; adjust its stock with the serial numbers that come in or go out` });
+    }
+    if (stockChanged && tracksInventory && trackBatches) {
+      return res.status(400).json({ error: `${product.name} is tracked by lot; adjust its stock against the lots it affects` });
+    }
+
+    const renamed = changes.name !== undefined && changes.name !== product.name;
+    const wasBundle = bundleService.isBundle(product);
+    const batchTrackingChanged = trackBatches !== product.trackBatches;
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      await product.update({ ...changes, trackBatches, trackSerials }, { transaction });
+
+      if (batchTrackingChanged) {
+        await batchService.setTracking(product, trackBatches, { transaction });
+      }
+
+      if (renamed && !product.parentProductId) {
+        await variantService.renameVariants(product, { transaction });
+      }
+
+      if (components !== undefined) {
+        await bundleService.setComponents(product, components, { transaction });
+      } else if (wasBundle && !isBundle) {
+        await models.BundleComponent.destroy({ where: { bundleId: product.id }, transaction });
+      }
+
+      // Bundles are never stocked themselves, so a stock count for one is ignored
+      if (stockQuantity !== undefined && product.trackInventory) {
+        await stockService.adjustStock(product, parseInt(stockQuantity) - (product.stockQuantity || 0), {
+          type: 'adjustment',
+          userId: req.user.id,
+          notes: 'Stock quantity edited on product',
+          transaction
+        });
+      } else if (stockQuantity !== undefined && !isBundle) {
+        await product.update({ stockQuantity }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
     res.json(product);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating product:', error);
     res.status(500).json({ error: 'Failed to update product' });
   }
@@ -354,6 +624,19 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const bundleCount = await models.BundleComponent.count({ where: { componentId: product.id } });
+    if (bundleCount > 0) {
+      return res.status(400).json({ error: `${product.name} is a component of ${bundleCount} bundle${bundleCount === 1 ? '' : 's'}; remove it from them first` });
+    }
+
+    // A product with variants is kept, along with them, for their sales history
+    const variants = await variantService.getVariants(product, { includeInactive: true });
+    if (variants.length > 0) {
+      await models.Product.update({ isActive: false }, { where: { parentProductId: product.id } });
+      await product.update({ isActive: false });
+      return res.json({ message: 'Product and its variants deactivated successfully' });
+    }
+
     // Check if product is used in any invoices
     const invoiceItemCount = await models.InvoiceItem.count({
       where: { productId: req.params.id }
@@ -415,7 +698,8 @@ router.post('/bulk-upload', upload.single('file'), async (req, res) => {
         ...product,
         companyId: req.user.companyId
       })),
-      { ignoreDuplicates: true, returning: true }
+      // Run the create hooks so opening stock is recorded for each product
+      { ignoreDuplicates: true, returning: true, individualHooks: true, userId: req.user.id }
     );
 
     res.json({
@@ -793,7 +1077,12 @@ router.post('/bulk-generate-barcodes', async (req, res) => {
 // Adjust stock for product (used when creating invoices)
 router.patch('/:id/adjust-stock', async (req, res) => {
   try {
-    const { quantity, operation } = req.body; // operation: 'add' or 'subtract'
+    const { quantity, operation, type = 'adjustment', reference, notes } = req.body; // operation: 'add' or 'subtract'
+    // Batch-tracked products: stock added goes into lotNumber/expiryDate,
+    // stock subtracted comes from batchId or else the lot expiring first
+    const { lotNumber, expiryDate, batchId } = req.body;
+    // Serialized products: the serial of each unit added or removed
+    const { serialNumbers } = req.body;
 
     if (!['add', 'subtract'].includes(operation)) {
       return res.status(400).json({ error: 'Invalid operation. Use "add" or "subtract"' });
@@ -803,6 +1092,14 @@ router.patch('/:id/adjust-stock', async (req, res) => {
       return res.status(400).json({ error: 'Quantity must be a positive number' });
     }
 
+    if (!['adjustment', 'purchase_receipt', 'transfer', 'write_off'].includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Use "adjustment", "purchase_receipt", "transfer" or "write_off"' });
+    }
+
+    if ((type === 'write_off' && operation !== 'subtract') || (type === 'purchase_receipt' && operation !== 'add')) {
+      return res.status(400).json({ error: `A ${type.replace('_', ' ')} cannot ${operation} stock` });
+    }
+
     const product = await models.Product.findOne({
       where: { id: req.params.id, companyId: req.user.companyId }
     });
@@ -811,30 +1108,295 @@ router.patch('/:id/adjust-stock', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    if (!product.trackInventory) {
-      return res.status(400).json({ error: 'Inventory tracking is not enabled for this product' });
+    if (expiryDate && isNaN(Date.parse(expiryDate))) {
+      return res.status(400).json({ error: 'Expiry date must be a valid date' });
     }
 
-    const newQuantity = operation === 'add' 
-      ? product.stockQuantity + parseInt(quantity)
-      : product.stockQuantity - parseInt(quantity);
-
-    if (newQuantity < 0) {
-      return res.status(400).json({ error: 'Insufficient stock quantity' });
+    let batches = null;
+    if (batchId) {
+      const batch = product.trackBatches && await models.ProductBatch.findOne({
+        where: { id: batchId, productId: product.id }
+      });
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+      if (operation === 'subtract' && batch.quantity < parseInt(quantity)) {
+        return res.status(400).json({ error: `Lot ${batch.lotNumber || '(no lot)'} holds only ${batch.quantity}` });
+      }
+      batches = [{ batchId, quantity: parseInt(quantity) }];
     }
 
-    await product.update({ stockQuantity: newQuantity });
+    const change = operation === 'add' ? parseInt(quantity) : -parseInt(quantity);
+    const movement = await stockService.adjustStock(product, change, {
+      type,
+      userId: req.user.id,
+      reference,
+      notes,
+      lot: { lotNumber, expiryDate: expiryDate ? String(expiryDate).slice(0, 10) : null },
+      batches,
+      serials: serialNumbers
+    });
+
     res.json({ 
       message: 'Stock quantity updated successfully',
       product,
-      previousQuantity: product.stockQuantity,
-      newQuantity
+      movement,
+      previousQuantity: movement.quantityBefore,
+      newQuantity: movement.quantityAfter
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error adjusting stock:', error);
     res.status(500).json({ error: 'Failed to adjust stock quantity' });
   }
 });
 
+// Variants of a product
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variants = await variantService.getVariants(product, { includeInactive: req.query.isActive === 'all' });
+    res.json({ product, variantOptions: product.variantOptions || [], variants });
+  } catch (error) {
+    console.error('Error fetching variants:', error);
+    res.status(500).json({ error: 'Failed to fetch variants' });
+  }
+});
+
+// Create a variant from one value of each of the product's options
+router.post('/:id/variants', [
+  body('attributes').isObject().withMessage('Variant attributes are required'),
+  body('price').optional({ checkFalsy: true }).isNumeric().withMessage('Price must be a number'),
+  body('cost').optional({ checkFalsy: true }).isNumeric().withMessage('Cost must be a number'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variant = await variantService.createVariant(product, req.body, { userId: req.user.id });
+    res.status(201).json(variant);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating variant:', error);
+    res.status(500).json({ error: 'Failed to create variant' });
+  }
+});
+
+// Create every option combination that has no variant yet
+router.post('/:id/variants/generate', async (req, res) => {
+  try {
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (product.parentProductId) {
+      return res.status(400).json({ error: 'A variant cannot have variants of its own' });
+    }
+
+    const variants = await variantService.generateVariants(product, { userId: req.user.id });
+    res.status(201).json({
+      message: `Created ${variants.length} variant${variants.length === 1 ? '' : 's'}`,
+      variants
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error generating variants:', error);
+    res.status(500).json({ error: 'Failed to generate variants' });
+  }
+});
+
+// Update a variant's SKU, barcode, price, stock or options
+router.put('/:id/variants/:variantId', [
+  body('price').optional().isNumeric().withMessage('Price must be a number'),
+  body('cost').optional().isNumeric().withMessage('Cost must be a number'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+    const variant = product && await models.Product.findOne({
+      where: { id: req.params.variantId, parentProductId: product.id }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    await variantService.updateVariant(product, variant, req.body, { userId: req.user.id });
+    res.json(variant);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating variant:', error);
+    res.status(500).json({ error: 'Failed to update variant' });
+  }
+});
+
+// Deactivate a variant; its sales and stock history stay with it
+router.delete('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const variant = await models.Product.findOne({
+      where: { id: req.params.variantId, parentProductId: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    await variant.update({ isActive: false });
+    res.json({ message: 'Variant deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating variant:', error);
+    res.status(500).json({ error: 'Failed to deactivate variant' });
+  }
+});
+
+// Stock movement history for a product
+router.get('/:id/movements', async (req, res) => {
+  try {
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { type, startDate, endDate, limit } = req.query;
+    const movements = await stockService.getMovements(req.user.companyId, product.id, { type, startDate, endDate, limit });
+    const [reconciliation] = await stockService.getReconciliation(req.user.companyId, { productId: product.id });
+
+    res.json({ product, movements, reconciliation: reconciliation || null });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
+  }
+});
+
+// Lots of a batch-tracked product, in the order they are sold from
+router.get('/:id/batches', async (req, res) => {
+  try {
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const batches = await batchService.getBatches(product, { includeEmpty: req.query.includeEmpty === 'true' });
+    res.json({
+      product,
+      batches: batches.map(batch => ({ ...batch.toJSON(), expired: batchService.isExpired(batch) })),
+      sellableQuantity: batches.filter(batch => !batchService.isExpired(batch)).reduce((sum, batch) => sum + batch.quantity, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+// Correct a lot's number or expiry date; its quantity changes through stock adjustments
+router.put('/:id/batches/:batchId', [
+  body('lotNumber').optional().notEmpty().withMessage('Lot number cannot be empty'),
+  body('expiryDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await models.ProductBatch.findOne({
+      where: { id: req.params.batchId, productId: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const changes = {};
+    if (req.body.lotNumber !== undefined) {
+      changes.lotNumber = String(req.body.lotNumber).trim();
+      const existing = await models.ProductBatch.findOne({
+        where: { productId: batch.productId, lotNumber: changes.lotNumber }
+      });
+      if (existing && existing.id !== batch.id) {
+        return res.status(400).json({ error: `Lot ${changes.lotNumber} already exists for this product` });
+      }
+    }
+    if (req.body.expiryDate !== undefined) {
+      changes.expiryDate = req.body.expiryDate || null;
+    }
+    if ((changes.lotNumber === undefined ? batch.lotNumber : changes.lotNumber) === null && changes.expiryDate) {
+      return res.status(400).json({ error: 'Give a lot number for stock with an expiry date' });
+    }
+
+    await batch.update(changes);
+    res.json(batch);
+  } catch (error) {
+    console.error('Error updating batch:', error);
+    res.status(500).json({ error: 'Failed to update batch' });
+  }
+});
+
+// Serial numbers recorded for a product, optionally by ?status=
+router.get('/:id/serials', async (req, res) => {
+  try {
+    const product = await models.Product.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const serials = await serialService.getSerials(product, { status: req.query.status });
+    res.json({
+      product,
+      serials,
+      unserializedQuantity: product.trackSerials ? await serialService.getUnserializedQuantity(product) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching serial numbers:', error);
+    res.status(500).json({ error: 'Failed to fetch serial numbers' });
+  }
+});
+
 module.exports = router;
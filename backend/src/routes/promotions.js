@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const promotionService = require('../services/promotionService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+function findPromotion(req) {
+  return models.Promotion.findOne({
+    where: { id: req.params.id, companyId: req.user.companyId }
+  });
+}
+
+function handleError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+const promotionValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Promotion name is required'),
+    field('type').isIn(promotionService.getTypes()).withMessage('Invalid promotion type'),
+    body('channel').optional().isIn(promotionService.getChannels()).withMessage('Channel must be all, pos or invoice'),
+    body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+    body('startsAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid start date required'),
+    body('endsAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date required'),
+    body('productIds').optional({ nullable: true }).isArray().withMessage('Products must be a list'),
+    body('categories').optional({ nullable: true }).isArray().withMessage('Categories must be a list'),
+    body('rules').optional().isObject().withMessage('Rules must be an object'),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('usageLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1')
+  ];
+};
+
+// Settings a promotion is saved with, checked against its type's rules
+async function promotionAttributes(req, existing = null) {
+  const data = existing ? { ...existing.toJSON(), ...req.body } : req.body;
+  const checked = await promotionService.checkPromotion(req.user.companyId, data);
+
+  return {
+    ...checked,
+    name: data.name,
+    description: data.description || null,
+    channel: data.channel || 'all',
+    isActive: data.isActive !== undefined ? data.isActive : true,
+    priority: parseInt(data.priority) || 0,
+    usageLimit: data.usageLimit ? parseInt(data.usageLimit) : null
+  };
+}
+
+// Get all promotions for a company
+router.get('/', async (req, res) => {
+  try {
+    const { type, active } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+    if (type) whereClause.type = type;
+    if (active !== undefined) whereClause.isActive = active === 'true';
+
+    const promotions = await models.Promotion.findAll({
+      where: whereClause,
+      order: [['isActive', 'DESC'], ['priority', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json(promotions);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch promotions');
+  }
+});
+
+// Discount given by each promotion on POS sales and invoices
+router.get('/report', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    res.json(await promotionService.getReport(req.user.companyId, { startDate, endDate }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch promotion report');
+  }
+});
+
+// Promotions a cart or invoice would get, for the register to show before
+// the sale is made. Prices are the products' own unless given.
+router.post('/preview', [
+  body('items').isArray().withMessage('Items must be a list'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+  body('channel').optional().isIn(['pos', 'invoice']).withMessage('Channel must be pos or invoice')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, channel = 'pos', couponCode } = req.body;
+    const products = await models.Product.findAll({
+      where: { id: [...new Set(items.map(item => item.productId))], companyId: req.user.companyId }
+    });
+
+    const lines = items.map(item => {
+      const product = products.find(candidate => candidate.id === item.productId);
+      if (!product) {
+        const error = new Error(`Product with ID ${item.productId} not found`);
+        error.status = 404;
+        throw error;
+      }
+      return {
+        product,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice !== undefined ? item.unitPrice : product.price,
+        excluded: !!item.discountType && item.discountType !== 'none'
+      };
+    });
+
+    const result = await promotionService.apply(req.user.companyId, lines, { channel, couponCode });
+
+    res.json({
+      items: result.lines.map((line, index) => ({
+        productId: items[index].productId,
+        promotion: line.promotion ? { id: line.promotion.id, name: line.promotion.name, type: line.promotion.type } : null,
+        discountAmount: line.discountAmount
+      })),
+      totalDiscount: Math.round(result.lines.reduce((sum, line) => sum + line.discountAmount, 0) * 100) / 100,
+      couponApplied: result.couponApplied
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to preview promotions');
+  }
+});
+
+// Get single promotion
+router.get('/:id', async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    res.json(promotion);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch promotion');
+  }
+});
+
+// Create promotion
+router.post('/', [requireAdmin, ...promotionValidation()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await models.Promotion.create({
+      ...(await promotionAttributes(req)),
+      companyId: req.user.companyId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(promotion);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ error: 'Another promotion already uses this coupon code' });
+    }
+    handleError(res, error, 'Failed to create promotion');
+  }
+});
+
+// Update promotion. Sales and invoices it already applied to keep their discount.
+router.put('/:id', [requireAdmin, ...promotionValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await findPromotion(req);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    await promotion.update(await promotionAttributes(req, promotion));
+
+    res.json(promotion);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ error: 'Another promotion already uses this coupon code' });
+    }
+    handleError(res, error, 'Failed to update promotion');
+  }
+});
+
+// Delete a promotion that has not been used; one that has is kept for
+// reporting and can be deactivated instead
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const used = await models.POSSaleItem.count({ where: { promotionId: promotion.id } }) +
+      await models.InvoiceItem.count({ where: { promotionId: promotion.id } });
+    if (used > 0) {
+      return res.status(400).json({ error: 'This promotion has been applied to sales; deactivate it instead' });
+    }
+
+    await promotion.destroy();
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete promotion');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware } = require('../middleware/auth');
+const { PeriodLockedError } = require('../services/periodCloseService');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const ORDER_FIELDS = ['supplierId', 'orderDate', 'expectedDate', 'notes'];
+
+const orderValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('supplierId').notEmpty().withMessage('Supplier is required'),
+    field('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a whole number of at least 1'),
+    body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('items.*.taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+    body('orderDate').optional().isISO8601().withMessage('Valid order date is required'),
+    body('expectedDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid expected date is required')
+  ];
+};
+
+function findOrder(req, options = {}) {
+  return models.PurchaseOrder.findOne({
+    where: { id: req.params.id, companyId: req.user.companyId },
+    ...options
+  });
+}
+
+// Purchase order with its lines, supplier, bill and the stock it brought in
+async function loadOrder(id) {
+  const order = await models.PurchaseOrder.findByPk(id, {
+    include: [
+      {
+        model: models.PurchaseOrderItem,
+        as: 'items',
+        include: [{ model: models.Product, attributes: ['id', 'name', 'sku', 'unit', 'stockQuantity', 'cost', 'trackBatches', 'trackSerials'] }]
+      },
+      { model: models.Supplier },
+      { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] },
+      { model: models.Expense, attributes: ['id', 'expenseNumber', 'date', 'dueDate', 'status'] }
+    ],
+    order: [[{ model: models.PurchaseOrderItem, as: 'items' }, 'createdAt', 'ASC']]
+  });
+
+  const receipts = await models.StockMovement.findAll({
+    where: { sourceType: 'purchase_order', sourceId: id },
+    include: [
+      { model: models.Product, attributes: ['id', 'name', 'sku'] },
+      { model: models.User, attributes: ['id', 'firstName', 'lastName'] }
+    ],
+    order: [['createdAt', 'ASC']]
+  });
+
+  return { ...order.toJSON(), receipts };
+}
+
+function handleError(res, error, message) {
+  if (error instanceof PeriodLockedError || error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Get all purchase orders for a company
+router.get('/', async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+    if (status) whereClause.status = status;
+    if (supplierId) whereClause.supplierId = supplierId;
+
+    const orders = await models.PurchaseOrder.findAll({
+      where: whereClause,
+      include: [
+        { model: models.Supplier, attributes: ['id', 'name'] },
+        { model: models.Expense, attributes: ['id', 'expenseNumber', 'status'] }
+      ],
+      order: [['orderDate', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    res.json(orders);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch purchase orders');
+  }
+});
+
+// Get single purchase order
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch purchase order');
+  }
+});
+
+// Create draft purchase order
+router.post('/', orderValidation(), async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await models.Supplier.findOne({
+      where: { id: req.body.supplierId, companyId: req.user.companyId },
+      transaction
+    });
+
+    if (!supplier) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const values = {};
+    ORDER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) values[field] = req.body[field] || null;
+    });
+
+    const order = await models.PurchaseOrder.create({
+      ...values,
+      orderDate: values.orderDate || new Date(),
+      companyId: req.user.companyId,
+      createdBy: req.user.id,
+      poNumber: await models.PurchaseOrder.generatePONumber(req.user.companyId, { transaction }),
+      status: 'draft'
+    }, { transaction });
+
+    await purchaseOrderService.setItems(order, req.body.items, { transaction });
+
+    await transaction.commit();
+
+    res.status(201).json(await loadOrder(order.id));
+  } catch (error) {
+    await transaction.rollback();
+    handleError(res, error, 'Failed to create purchase order');
+  }
+});
+
+// Update purchase order. Only drafts can be changed.
+router.put('/:id', orderValidation(true), async (req, res) => {
+  const transaction = await models.sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findOrder(req, { transaction });
+
+    if (!order) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'Only draft purchase orders can be edited' });
+    }
+
+    if (req.body.supplierId) {
+      const supplier = await models.Supplier.findOne({
+        where: { id: req.body.supplierId, companyId: req.user.companyId },
+        transaction
+      });
+
+      if (!supplier) {
+        await transaction.rollback();
+        return res.status(404).json({ error: 'Supplier not found' });
+      }
+    }
+
+    const updates = {};
+    ORDER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+    });
+    if (updates.orderDate === null) delete updates.orderDate;
+
+    await order.update(updates, { transaction });
+
+    if (req.body.items) {
+      await purchaseOrderService.setItems(order, req.body.items, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    await transaction.rollback();
+    handleError(res, error, 'Failed to update purchase order');
+  }
+});
+
+// Delete purchase order. Only drafts can be deleted; sent orders are cancelled.
+router.delete('/:id', async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be deleted' });
+    }
+
+    await models.PurchaseOrderItem.destroy({ where: { purchaseOrderId: order.id } });
+    await order.destroy();
+
+    res.json({ message: 'Purchase order deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete purchase order');
+  }
+});
+
+// Mark a draft purchase order as sent to the supplier
+router.post('/:id/send', async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be sent' });
+    }
+
+    await order.update({ status: 'sent', sentAt: new Date() });
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to send purchase order');
+  }
+});
+
+// Receive goods against a purchase order, in full or in part
+router.post('/:id/receive', [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.itemId').notEmpty().withMessage('Purchase order line is required'),
+  body('items.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be a whole number'),
+  body('items.*.expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (!req.body.items.some(item => parseInt(item.quantity) > 0)) {
+      return res.status(400).json({ error: 'Enter a quantity for at least one line' });
+    }
+
+    await purchaseOrderService.receive(order, req.body.items, {
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to receive purchase order');
+  }
+});
+
+// Close a partially received purchase order; the rest will not be delivered
+router.post('/:id/close', async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    await purchaseOrderService.close(order);
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to close purchase order');
+  }
+});
+
+// Cancel a purchase order before anything has been received
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (!['draft', 'sent'].includes(order.status)) {
+      return res.status(400).json({ error: 'Only draft or sent purchase orders can be cancelled' });
+    }
+
+    await order.update({ status: 'cancelled' });
+
+    res.json(await loadOrder(order.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel purchase order');
+  }
+});
+
+// Bill a received purchase order as an expense payable to the supplier
+router.post('/:id/convert-to-expense', [
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid due date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const expense = await purchaseOrderService.convertToExpense(order, {
+      userId: req.user.id,
+      date: req.body.date || new Date(),
+      dueDate: req.body.dueDate || null,
+      reference: req.body.reference
+    });
+
+    res.status(201).json({
+      message: `Purchase order ${order.poNumber} billed as expense ${expense.expenseNumber}`,
+      expense,
+      purchaseOrder: await loadOrder(order.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to bill purchase order');
+  }
+});
+
+module.exports = router;
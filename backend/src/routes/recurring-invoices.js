@@ -0,0 +1,503 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { PeriodLockedError } = require('../services/periodCloseService');
+const recurringInvoiceService = require('../services/recurringInvoiceService');
+const stripeService = require('../services/StripeService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// The card charged by autoCharge is only saved through the card setup routes
+const SCHEDULE_FIELDS = [
+  'name', 'customerId', 'templateId', 'interval', 'intervalCount', 'startDate', 'endDate',
+  'paymentTermsDays', 'autoSend', 'items', 'gstEnabled', 'gstRate', 'notes', 'termsAndConditions',
+  'autoCharge'
+];
+
+// Charging a customer's card automatically is for owners and admins to turn on
+const canManageAutoCharge = (user) => ['owner', 'admin'].includes(user.role);
+
+const scheduleValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('customerId').notEmpty().withMessage('Customer is required'),
+    field('interval').isIn(['weekly', 'monthly', 'quarterly', 'yearly']).withMessage('Invalid billing interval'),
+    field('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('intervalCount').optional().isInt({ min: 1, max: 52 }).withMessage('Interval count must be between 1 and 52'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+    body('paymentTermsDays').optional().isInt({ min: 0, max: 365 }).withMessage('Payment terms must be between 0 and 365 days'),
+    body('autoSend').optional().isBoolean().withMessage('Auto-send must be true or false'),
+    body('autoCharge').optional().isBoolean().withMessage('Auto-charge must be true or false'),
+    body('gstRate').optional().isFloat({ min: 0, max: 100 }).withMessage('GST rate must be between 0 and 100'),
+    body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').optional().notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').optional().isFloat({ min: 0.01 }).withMessage('Quantity must be a positive number'),
+    body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a number'),
+    body('sourceInvoiceId').optional().isUUID().withMessage('Invalid source invoice')
+  ];
+};
+
+// Line items, template and tax settings of an existing invoice
+async function cloneInvoice(invoiceId, companyId) {
+  const invoice = await models.Invoice.findOne({
+    where: { id: invoiceId, companyId },
+    include: [{ model: models.InvoiceItem, as: 'items' }]
+  });
+
+  if (!invoice) return null;
+
+  return {
+    customerId: invoice.customerId,
+    templateId: invoice.templateId,
+    gstEnabled: invoice.gstEnabled,
+    gstRate: invoice.gstRate,
+    notes: invoice.notes,
+    termsAndConditions: invoice.termsAndConditions,
+    items: invoice.items.map(item => ({
+      productId: item.productId,
+      description: item.description,
+      quantity: parseFloat(item.quantity),
+      unitPrice: parseFloat(item.unitPrice)
+    }))
+  };
+}
+
+// Check a schedule's customer and products belong to the company
+async function validateSchedule(schedule, companyId) {
+  const customer = await models.Customer.findOne({ where: { id: schedule.customerId, companyId } });
+  if (!customer) return 'Customer not found';
+
+  if (!schedule.items || schedule.items.length === 0) return 'At least one item is required';
+
+  const productIds = [...new Set(schedule.items.map(item => item.productId))];
+  const productCount = await models.Product.count({ where: { id: productIds, companyId } });
+  if (productCount !== productIds.length) return 'One or more products were not found';
+
+  if (schedule.endDate && schedule.endDate < schedule.startDate) return 'End date cannot be before the start date';
+
+  if (schedule.autoCharge && (!schedule.stripeCustomerId || !schedule.stripePaymentMethodId)) {
+    return 'Save a card for this recurring invoice before turning on automatic payment';
+  }
+
+  return null;
+}
+
+// Get all recurring invoices for a company
+router.get('/', async (req, res) => {
+  try {
+    const { status, customerId } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+    if (status) whereClause.status = status;
+    if (customerId) whereClause.customerId = customerId;
+
+    const schedules = await models.RecurringInvoice.findAll({
+      where: whereClause,
+      include: [{ model: models.Customer, attributes: ['id', 'name', 'email'] }],
+      order: [['nextRunDate', 'ASC'], ['createdAt', 'DESC']]
+    });
+
+    res.json(schedules.map(schedule => ({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    })));
+  } catch (error) {
+    console.error('Error fetching recurring invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring invoices' });
+  }
+});
+
+// Get single recurring invoice with the invoices it generated
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [
+        { model: models.Customer },
+        {
+          model: models.Invoice,
+          as: 'invoices',
+          attributes: ['id', 'invoiceNumber', 'issueDate', 'dueDate', 'total', 'paidAmount', 'status']
+        }
+      ],
+      order: [[{ model: models.Invoice, as: 'invoices' }, 'issueDate', 'DESC']]
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    res.json({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    });
+  } catch (error) {
+    console.error('Error fetching recurring invoice:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring invoice' });
+  }
+});
+
+// Create recurring invoice, from line items or by cloning an existing invoice
+router.post('/', scheduleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let source = {};
+    if (req.body.sourceInvoiceId) {
+      source = await cloneInvoice(req.body.sourceInvoiceId, req.user.companyId);
+      if (!source) {
+        return res.status(404).json({ error: 'Source invoice not found' });
+      }
+    }
+
+    const values = { interval: 'monthly', ...source };
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    });
+
+    if (!values.startDate) {
+      return res.status(400).json({ error: 'Valid start date is required' });
+    }
+
+    if (values.autoCharge && !canManageAutoCharge(req.user)) {
+      return res.status(403).json({ error: 'Only owners and admins can turn on automatic payment' });
+    }
+
+    const validationError = await validateSchedule(values, req.user.companyId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!values.name) {
+      const customer = await models.Customer.findByPk(values.customerId, { attributes: ['name'] });
+      values.name = `${customer.name} - ${values.interval} billing`;
+    }
+
+    const schedule = await models.RecurringInvoice.create({
+      ...values,
+      companyId: req.user.companyId,
+      createdBy: req.user.id,
+      nextRunDate: values.startDate.slice(0, 10)
+    });
+
+    res.status(201).json({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    });
+  } catch (error) {
+    console.error('Error creating recurring invoice:', error);
+    res.status(500).json({ error: 'Failed to create recurring invoice' });
+  }
+});
+
+// Update recurring invoice. Changes apply to invoices generated from now on.
+router.put('/:id', scheduleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return res.status(400).json({ error: `Cannot update a ${schedule.status} recurring invoice` });
+    }
+
+    const updates = {};
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.autoCharge && !schedule.autoCharge && !canManageAutoCharge(req.user)) {
+      return res.status(403).json({ error: 'Only owners and admins can turn on automatic payment' });
+    }
+
+    // A saved card belongs to the customer it was set up for
+    if (updates.customerId && updates.customerId !== schedule.customerId) {
+      updates.stripeCustomerId = null;
+      updates.stripePaymentMethodId = null;
+      if (updates.autoCharge === undefined) updates.autoCharge = false;
+    }
+
+    const validationError = await validateSchedule({ ...schedule.toJSON(), ...updates }, req.user.companyId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // The first run moves with the start date until an invoice has been issued
+    if (updates.startDate && schedule.invoiceCount === 0) {
+      updates.nextRunDate = updates.startDate.slice(0, 10);
+    }
+
+    await schedule.update(updates);
+
+    res.json({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    });
+  } catch (error) {
+    console.error('Error updating recurring invoice:', error);
+    res.status(500).json({ error: 'Failed to update recurring invoice' });
+  }
+});
+
+// Start saving the customer's card for automatic payment. The card details go
+// from the browser straight to Stripe, confirmed with the returned client secret.
+router.post('/:id/card/setup', requireAdmin, async (req, res) => {
+  try {
+    if (!stripeService.isInitialized()) {
+      return res.status(503).json({ error: 'Stripe is not configured' });
+    }
+
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [{ model: models.Customer }]
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return res.status(400).json({ error: `Cannot save a card for a ${schedule.status} recurring invoice` });
+    }
+
+    if (!schedule.stripeCustomerId) {
+      const customer = await stripeService.createCustomer({
+        email: schedule.Customer.email,
+        name: schedule.Customer.name,
+        metadata: {
+          companyId: schedule.companyId,
+          customerId: schedule.customerId,
+          recurringInvoiceId: schedule.id
+        }
+      });
+      if (!customer.success) {
+        return res.status(502).json({ error: `Stripe customer could not be created: ${customer.error}` });
+      }
+      await schedule.update({ stripeCustomerId: customer.data.customerId, stripePaymentMethodId: null });
+    }
+
+    const setupIntent = await stripeService.createSetupIntent({
+      customerId: schedule.stripeCustomerId,
+      metadata: {
+        companyId: schedule.companyId,
+        recurringInvoiceId: schedule.id
+      }
+    });
+    if (!setupIntent.success) {
+      return res.status(502).json({ error: `Card setup could not be started: ${setupIntent.error}` });
+    }
+
+    res.status(201).json({
+      clientSecret: setupIntent.data.clientSecret,
+      setupIntentId: setupIntent.data.setupIntentId
+    });
+  } catch (error) {
+    console.error('Error starting card setup:', error);
+    res.status(500).json({ error: 'Failed to start card setup' });
+  }
+});
+
+// Save the card from a completed setup intent. Only an intent made by the
+// setup route for this schedule's Stripe customer is accepted.
+router.post('/:id/card', [
+  requireAdmin,
+  body('setupIntentId').notEmpty().withMessage('Setup intent is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!stripeService.isInitialized()) {
+      return res.status(503).json({ error: 'Stripe is not configured' });
+    }
+
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    const result = await stripeService.getSetupIntent(req.body.setupIntentId);
+    if (!result.success) {
+      return res.status(400).json({ error: `Setup intent could not be retrieved: ${result.error}` });
+    }
+
+    const setupIntent = result.data;
+    if (!schedule.stripeCustomerId || setupIntent.customerId !== schedule.stripeCustomerId ||
+      setupIntent.metadata?.recurringInvoiceId !== schedule.id) {
+      return res.status(400).json({ error: 'Setup intent does not belong to this recurring invoice' });
+    }
+
+    if (setupIntent.status !== 'succeeded' || !setupIntent.paymentMethodId) {
+      return res.status(400).json({ error: 'Card setup has not been completed' });
+    }
+
+    await schedule.update({ stripePaymentMethodId: setupIntent.paymentMethodId });
+
+    res.json({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    });
+  } catch (error) {
+    console.error('Error saving card:', error);
+    res.status(500).json({ error: 'Failed to save card' });
+  }
+});
+
+// Remove the saved card, which also turns off automatic payment
+router.delete('/:id/card', requireAdmin, async (req, res) => {
+  try {
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    await schedule.update({ stripePaymentMethodId: null, autoCharge: false });
+
+    res.json({
+      ...schedule.toJSON(),
+      total: schedule.getTotal()
+    });
+  } catch (error) {
+    console.error('Error removing card:', error);
+    res.status(500).json({ error: 'Failed to remove card' });
+  }
+});
+
+// Pause, resume or cancel a recurring invoice
+router.patch('/:id/status', [
+  body('action').isIn(['pause', 'resume', 'cancel']).withMessage('Action must be pause, resume or cancel')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return res.status(400).json({ error: `Recurring invoice is already ${schedule.status}` });
+    }
+
+    const { action } = req.body;
+
+    if (action === 'pause') {
+      await schedule.update({ status: 'paused' });
+    } else if (action === 'resume') {
+      // Runs missed while paused are skipped, not billed in arrears
+      const today = new Date().toISOString().slice(0, 10);
+      let nextRunDate = schedule.nextRunDate;
+      while (nextRunDate && nextRunDate < today) {
+        nextRunDate = recurringInvoiceService.getNextRunDate(schedule, nextRunDate);
+      }
+      await schedule.update({ status: 'active', nextRunDate });
+    } else {
+      await schedule.update({ status: 'cancelled', nextRunDate: null });
+    }
+
+    res.json({
+      message: `Recurring invoice ${action === 'cancel' ? 'cancelled' : `${action}d`} successfully`,
+      recurringInvoice: schedule
+    });
+  } catch (error) {
+    console.error('Error updating recurring invoice status:', error);
+    res.status(500).json({ error: 'Failed to update recurring invoice status' });
+  }
+});
+
+// Issue the next invoice now instead of waiting for its run date
+router.post('/:id/run', async (req, res) => {
+  try {
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    if (schedule.status !== 'active') {
+      return res.status(400).json({ error: 'Only active recurring invoices can be run' });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const issueDate = schedule.nextRunDate && schedule.nextRunDate < today ? schedule.nextRunDate : today;
+    const invoice = await recurringInvoiceService.generateInvoice(schedule, issueDate);
+
+    const completeInvoice = await models.Invoice.findByPk(invoice.id, {
+      include: [
+        { model: models.Customer },
+        { model: models.InvoiceItem, as: 'items', include: [
+          { model: models.Product }
+        ]},
+        { model: models.Payment }
+      ]
+    });
+
+    res.status(201).json({
+      invoice: completeInvoice,
+      recurringInvoice: schedule
+    });
+  } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error running recurring invoice:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Delete recurring invoice (only before it has issued any invoices)
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await models.RecurringInvoice.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring invoice not found' });
+    }
+
+    if (schedule.invoiceCount > 0) {
+      return res.status(400).json({ error: 'Recurring invoices that have issued invoices cannot be deleted. Cancel it instead.' });
+    }
+
+    await schedule.destroy();
+    res.json({ message: 'Recurring invoice deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recurring invoice:', error);
+    res.status(500).json({ error: 'Failed to delete recurring invoice' });
+  }
+});
+
+module.exports = router;
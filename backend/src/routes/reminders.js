@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware } = require('../middleware/auth');
+const paymentReminderService = require('../services/paymentReminderService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Get reminder schedule and late fee settings
+router.get('/settings', async (req, res) => {
+  try {
+    const company = await models.Company.findByPk(req.user.companyId);
+    res.json(paymentReminderService.getSettings(company));
+  } catch (error) {
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder settings' });
+  }
+});
+
+// Update reminder schedule and late fee settings
+router.put('/settings', [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('schedule').optional().isArray({ max: 10 }).withMessage('Schedule must be a list of up to 10 steps'),
+  body('schedule.*').optional().isInt({ min: -60, max: 365 }).withMessage('Reminder steps must be between 60 days before and 365 days after the due date'),
+  body('lateFee.enabled').optional().isBoolean().withMessage('Late fee enabled must be true or false'),
+  body('lateFee.type').optional().isIn(['fixed', 'percentage']).withMessage('Late fee type must be fixed or percentage'),
+  body('lateFee.amount').optional().isFloat({ min: 0 }).withMessage('Late fee amount must be a positive number'),
+  body('lateFee.afterDays').optional().isInt({ min: 0, max: 365 }).withMessage('Late fee days must be between 0 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can change reminder settings' });
+    }
+
+    const { enabled, schedule, lateFee } = req.body;
+
+    if (lateFee?.type === 'percentage' && parseFloat(lateFee.amount) > 100) {
+      return res.status(400).json({ error: 'Late fee percentage cannot exceed 100' });
+    }
+
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = enabled === true || enabled === 'true';
+    if (schedule !== undefined) changes.schedule = schedule;
+    if (lateFee !== undefined) {
+      changes.lateFee = {};
+      if (lateFee.enabled !== undefined) changes.lateFee.enabled = lateFee.enabled === true || lateFee.enabled === 'true';
+      if (lateFee.type !== undefined) changes.lateFee.type = lateFee.type;
+      if (lateFee.amount !== undefined) changes.lateFee.amount = parseFloat(lateFee.amount);
+      if (lateFee.afterDays !== undefined) changes.lateFee.afterDays = parseInt(lateFee.afterDays);
+    }
+
+    const settings = await paymentReminderService.updateSettings(req.user.companyId, changes);
+    res.json(settings);
+  } catch (error) {
+    console.error('Error updating reminder settings:', error);
+    res.status(500).json({ error: 'Failed to update reminder settings' });
+  }
+});
+
+// Get reminder log
+router.get('/', async (req, res) => {
+  try {
+    const { invoiceId, customerId, status, limit } = req.query;
+
+    const reminders = await paymentReminderService.getReminders(req.user.companyId, {
+      invoiceId,
+      customerId,
+      status,
+      limit
+    });
+
+    res.json(reminders);
+  } catch (error) {
+    console.error('Error fetching payment reminders:', error);
+    res.status(500).json({ error: 'Failed to fetch payment reminders' });
+  }
+});
+
+// Run reminders now instead of waiting for the daily run
+router.post('/run', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can run payment reminders' });
+    }
+
+    const summary = await paymentReminderService.runDueReminders(req.user.companyId);
+
+    res.json({
+      message: `${summary.sent} reminder(s) sent`,
+      summary
+    });
+  } catch (error) {
+    console.error('Error running payment reminders:', error);
+    res.status(500).json({ error: 'Failed to run payment reminders' });
+  }
+});
+
+module.exports = router;
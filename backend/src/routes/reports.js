@@ -2,6 +2,8 @@ const express = require('express');
 const { models } = require('../database');
 const { authMiddleware } = require('../middleware/auth');
 const { Op } = require('sequelize');
+const payablesService = require('../services/payablesService');
+const costingService = require('../services/costingService');
 const fs = require('fs');
 const path = require('path');
 const router = express.Router();
@@ -261,7 +263,8 @@ router.get('/profit-loss', async (req, res) => {
       },
       attributes: [
         'category',
-        [models.sequelize.fn('SUM', models.sequelize.col('amount')), 'amount']
+        // Net of GST, which is claimed back as input tax
+        [models.sequelize.fn('SUM', models.sequelize.literal('CASE WHEN "taxInclusive" THEN "amount" - "taxAmount" ELSE "amount" END')), 'amount']
       ],
       group: ['category'],
       raw: true
@@ -509,17 +512,22 @@ router.get('/inventory', async (req, res) => {
       raw: true
     });
 
+    // Stock is valued from its cost layers rather than today's product cost
+    const valuation = await costingService.getValuation(companyId, { category });
+
     // Combine product and sales data
     const inventoryReport = products.map(product => {
       const sales = salesData.find(s => s.productId === product.id) || { soldQuantity: 0, salesAmount: 0 };
-      
+      const valued = valuation.products.find(row => row.productId === product.id);
+
       return {
         ...product.toJSON(),
         last30Days: {
           soldQuantity: parseFloat(sales.soldQuantity || 0),
           salesAmount: parseFloat(sales.salesAmount || 0)
         },
-        inventoryValue: product.stockQuantity * product.cost,
+        inventoryValue: valued ? valued.value : 0,
+        averageCost: valued ? valued.averageCost : parseFloat(product.cost) || 0,
         isLowStock: product.trackInventory && product.stockQuantity <= product.lowStockThreshold
       };
     });
@@ -534,7 +542,7 @@ router.get('/inventory', async (req, res) => {
     };
 
     // Category breakdown
-    const categoryBreakdown = products.reduce((acc, product) => {
+    const categoryBreakdown = inventoryReport.reduce((acc, product) => {
       const category = product.category || 'Uncategorized';
       if (!acc[category]) {
         acc[category] = {
@@ -544,7 +552,7 @@ router.get('/inventory', async (req, res) => {
         };
       }
       acc[category].count++;
-      acc[category].stockValue += product.stockQuantity * product.cost;
+      acc[category].stockValue += product.inventoryValue;
       if (product.trackInventory && product.stockQuantity <= product.lowStockThreshold) {
         acc[category].lowStockCount++;
       }
@@ -553,6 +561,7 @@ router.get('/inventory', async (req, res) => {
 
     res.json({
       summary,
+      valuationMethod: valuation.valuationMethod,
       products: inventoryReport,
       lowStock: inventoryReport.filter(p => p.isLowStock),
       topMoving: inventoryReport.sort((a, b) => b.last30Days.salesAmount - a.last30Days.salesAmount).slice(0, 10),
@@ -673,6 +682,41 @@ router.get('/receivables', async (req, res) => {
   }
 });
 
+// Get payables report: what is owed to suppliers, aged like receivables
+router.get('/payables', async (req, res) => {
+  try {
+    const { overdue, supplierId, asOfDate } = req.query;
+
+    const payables = await payablesService.getPayables(req.user.companyId, {
+      supplierId,
+      overdue: overdue === 'true',
+      asOfDate: asOfDate || new Date()
+    });
+
+    res.json(payables);
+  } catch (error) {
+    console.error('Error generating payables report:', error);
+    res.status(500).json({ error: 'Failed to generate payables report' });
+  }
+});
+
+// Get inventory valuation as of a date (end of today by default)
+router.get('/inventory-valuation', async (req, res) => {
+  try {
+    const { asOfDate, category } = req.query;
+
+    const valuation = await costingService.getValuation(req.user.companyId, {
+      asOfDate: asOfDate || new Date(),
+      category
+    });
+
+    res.json(valuation);
+  } catch (error) {
+    console.error('Error generating inventory valuation:', error);
+    res.status(500).json({ error: 'Failed to generate inventory valuation' });
+  }
+});
+
 // Get customers report
 router.get('/customers', async (req, res) => {
   try {
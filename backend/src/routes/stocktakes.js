@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware } = require('../middleware/auth');
+const { PeriodLockedError } = require('../services/periodCloseService');
+const stocktakeService = require('../services/stocktakeService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+function findStocktake(req) {
+  return models.Stocktake.findOne({
+    where: { id: req.params.id, companyId: req.user.companyId }
+  });
+}
+
+// Stocktake with its counted lines and their variances
+async function loadStocktake(id) {
+  const stocktake = await models.Stocktake.findByPk(id, {
+    include: [
+      { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] },
+      { model: models.User, as: 'Poster', attributes: ['id', 'firstName', 'lastName'] }
+    ]
+  });
+
+  const { lines, summary } = await stocktakeService.getVariances(stocktake);
+  return { ...stocktake.toJSON(), lines, summary };
+}
+
+function handleError(res, error, message) {
+  if (error instanceof PeriodLockedError || error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Get all stocktakes for a company
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+    if (status) whereClause.status = status;
+
+    const stocktakes = await models.Stocktake.findAll({
+      where: whereClause,
+      include: [
+        { model: models.User, as: 'Creator', attributes: ['id', 'firstName', 'lastName'] },
+        { model: models.StocktakeLine, as: 'lines', attributes: ['id'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(stocktakes.map(stocktake => {
+      const { lines, ...values } = stocktake.toJSON();
+      return { ...values, productsCounted: lines.length };
+    }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch stocktakes');
+  }
+});
+
+// Get single stocktake with its variance review
+router.get('/:id', async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch stocktake');
+  }
+});
+
+// Start a new count
+router.post('/', async (req, res) => {
+  try {
+    const stocktake = await models.Stocktake.create({
+      companyId: req.user.companyId,
+      createdBy: req.user.id,
+      stocktakeNumber: await models.Stocktake.generateStocktakeNumber(req.user.companyId),
+      name: req.body.name || null,
+      notes: req.body.notes || null,
+      status: 'counting'
+    });
+
+    res.status(201).json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to create stocktake');
+  }
+});
+
+// Rename an open count or change its notes
+router.put('/:id', async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({ error: 'Only open stocktakes can be edited' });
+    }
+
+    const updates = {};
+    ['name', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+    });
+
+    await stocktake.update(updates);
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to update stocktake');
+  }
+});
+
+// Count a product by scanning its barcode; each scan adds to the count
+router.post('/:id/scan', [
+  body('barcode').notEmpty().withMessage('Barcode is required'),
+  body('quantity').optional().isInt().withMessage('Quantity must be a whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    const { line, product } = await stocktakeService.scan(stocktake, String(req.body.barcode).trim(), {
+      quantity: req.body.quantity ?? 1,
+      userId: req.user.id
+    });
+
+    res.json({
+      message: `${product.name}: ${line.countedQuantity} counted`,
+      line,
+      product: { id: product.id, name: product.name, sku: product.sku, stockQuantity: product.stockQuantity }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to record scan');
+  }
+});
+
+// Enter the counted quantity of a product directly
+router.put('/:id/lines/:productId', [
+  body('countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be a whole number of at least 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    await stocktakeService.count(stocktake, req.params.productId, req.body.countedQuantity, {
+      mode: 'set',
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to update count');
+  }
+});
+
+// Remove a product counted by mistake
+router.delete('/:id/lines/:lineId', async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({ error: `Counts cannot be changed on a ${stocktake.status} stocktake` });
+    }
+
+    const deleted = await models.StocktakeLine.destroy({
+      where: { id: req.params.lineId, stocktakeId: stocktake.id }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Stocktake line not found' });
+    }
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to remove count');
+  }
+});
+
+// Post the count: stock on hand is adjusted to the counted quantities
+router.post('/:id/post', async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can post stocktakes' });
+    }
+
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    await stocktakeService.post(stocktake, { userId: req.user.id });
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to post stocktake');
+  }
+});
+
+// Abandon an open count; stock is not changed
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    await stocktakeService.cancel(stocktake);
+
+    res.json(await loadStocktake(stocktake.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel stocktake');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { models } = require('../database');
+const { authMiddleware } = require('../middleware/auth');
+const payablesService = require('../services/payablesService');
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const SUPPLIER_FIELDS = [
+  'name', 'contactName', 'email', 'phone', 'address', 'taxId', 'paymentTerms',
+  'bankName', 'bankAccountName', 'bankAccountNumber', 'bankSwiftCode', 'notes', 'isActive'
+];
+
+// Contact and payment details shared by create and update
+const detailValidation = [
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+  body('taxId').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Tax ID is too long'),
+  body('paymentTerms').optional().isInt({ min: 0, max: 365 }).withMessage('Payment terms must be between 0 and 365 days'),
+  body('bankSwiftCode').optional({ nullable: true }).isLength({ max: 20 }).withMessage('SWIFT code is too long')
+];
+
+// Get all suppliers for a company
+router.get('/', async (req, res) => {
+  try {
+    const { search, isActive = 'true' } = req.query;
+
+    const whereClause = { companyId: req.user.companyId };
+
+    if (isActive !== 'all') {
+      whereClause.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      whereClause[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { contactName: { [Op.like]: `%${search}%` } },
+        { email: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const suppliers = await models.Supplier.findAll({
+      where: whereClause,
+      order: [['name', 'ASC']]
+    });
+
+    const { supplierPayables } = await payablesService.getPayables(req.user.companyId);
+
+    res.json(suppliers.map(supplier => {
+      const payable = supplierPayables.find(item => item.supplierId === supplier.id);
+      return {
+        ...supplier.toJSON(),
+        outstandingAmount: payable?.totalOutstanding || 0,
+        overdueAmount: payable?.overdueAmount || 0
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+// Get single supplier with its purchase orders, unpaid bills and payments
+router.get('/:id', async (req, res) => {
+  try {
+    const supplier = await models.Supplier.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: [
+        {
+          model: models.PurchaseOrder,
+          attributes: ['id', 'poNumber', 'status', 'orderDate', 'total', 'expenseId']
+        },
+        {
+          model: models.SupplierPayment,
+          as: 'payments',
+          include: [{ model: models.Expense, attributes: ['id', 'expenseNumber', 'description'] }]
+        }
+      ],
+      order: [
+        [models.PurchaseOrder, 'orderDate', 'DESC'],
+        [{ model: models.SupplierPayment, as: 'payments' }, 'date', 'DESC']
+      ]
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const payables = await payablesService.getPayables(req.user.companyId, { supplierId: supplier.id });
+
+    res.json({
+      ...supplier.toJSON(),
+      summary: payables.summary,
+      aging: payables.aging,
+      outstandingBills: payables.outstandingBills
+    });
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({ error: 'Failed to fetch supplier' });
+  }
+});
+
+// Create new supplier
+router.post('/', [
+  body('name').notEmpty().withMessage('Supplier name is required'),
+  ...detailValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) values[field] = req.body[field] === '' ? null : req.body[field];
+    });
+
+    const supplier = await models.Supplier.create({
+      ...values,
+      companyId: req.user.companyId
+    });
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    res.status(500).json({ error: 'Failed to create supplier' });
+  }
+});
+
+// Update supplier
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Supplier name cannot be empty'),
+  ...detailValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await models.Supplier.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const updates = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] === '' ? null : req.body[field];
+    });
+
+    await supplier.update(updates);
+    res.json(supplier);
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    res.status(500).json({ error: 'Failed to update supplier' });
+  }
+});
+
+// Delete supplier (soft delete when it has purchase orders or expenses)
+router.delete('/:id', async (req, res) => {
+  try {
+    const supplier = await models.Supplier.findOne({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const [orderCount, expenseCount] = await Promise.all([
+      models.PurchaseOrder.count({ where: { supplierId: supplier.id } }),
+      models.Expense.count({ where: { supplierId: supplier.id } })
+    ]);
+
+    if (orderCount > 0 || expenseCount > 0) {
+      await supplier.update({ isActive: false });
+      res.json({ message: 'Supplier deactivated successfully (has existing purchase orders or expenses)' });
+    } else {
+      await supplier.destroy();
+      res.json({ message: 'Supplier deleted successfully' });
+    }
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({ error: 'Failed to delete supplier' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { sequelize, initializeDatabase, models } = require('../database');
+const ledgerService = require('../services/ledgerService');
+
+async function rebuildLedger() {
+  try {
+    console.log('🔄 Initializing database...');
+    await initializeDatabase();
+    console.log('✅ Database initialized.');
+
+    // Optionally limit to one company: --company <id>
+    const args = process.argv.slice(2);
+    const companyIndex = args.findIndex(arg => arg === '--company' || arg === '-c');
+    const where = companyIndex >= 0 ? { id: args[companyIndex + 1] } : {};
+
+    const companies = await models.Company.findAll({ where, attributes: ['id', 'name'] });
+
+    for (const company of companies) {
+      console.log(`📒 Rebuilding ledger for ${company.name}...`);
+      const counts = await ledgerService.rebuildCompanyLedger(company.id);
+      console.log('   Posted:', counts);
+    }
+
+    console.log(`✅ Rebuilt ledger for ${companies.length} compan${companies.length === 1 ? 'y' : 'ies'}.`);
+  } catch (error) {
+    console.error('❌ Ledger rebuild failed:', error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+rebuildLedger();
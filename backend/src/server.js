@@ -10,17 +10,30 @@ const companyRoutes = require('./routes/companies');
 const customerRoutes = require('./routes/customers');
 const productRoutes = require('./routes/products');
 const invoiceRoutes = require('./routes/invoices');
+const recurringInvoiceRoutes = require('./routes/recurring-invoices');
+const reminderRoutes = require('./routes/reminders');
 const paymentRoutes = require('./routes/payments');
 const expenseRoutes = require('./routes/expenses');
 const reportRoutes = require('./routes/reports');
 const financialReportRoutes = require('./routes/financial-reports');
+const accountingRoutes = require('./routes/accounting');
+const fixedAssetRoutes = require('./routes/fixed-assets');
 const uploadRoutes = require('./routes/uploads');
 const portalRoutes = require('./routes/portal');
 const templateRoutes = require('./routes/templates');
 const posRoutes = require('./routes/pos');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchase-orders');
+const stocktakeRoutes = require('./routes/stocktakes');
+const promotionRoutes = require('./routes/promotions');
 const bmlRoutes = require('./routes/bml');
 const superAdminRoutes = require('./routes/super-admin');
 const subscriptionRoutes = require('./routes/subscriptions');
+const schedulerService = require('./services/schedulerService');
+const fixedAssetService = require('./services/fixedAssetService');
+const recurringExpenseService = require('./services/recurringExpenseService');
+const recurringInvoiceService = require('./services/recurringInvoiceService');
+const paymentReminderService = require('./services/paymentReminderService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -62,11 +75,19 @@ app.use('/api/companies', companyRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/reminders', reminderRoutes);
 app.use('/api/payments/bml', bmlRoutes); // Mount BML before generic payments
 app.use('/api/payments', paymentRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/promotions', promotionRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/financial-reports', financialReportRoutes);
+app.use('/api/accounting', accountingRoutes);
+app.use('/api/fixed-assets', fixedAssetRoutes);
 app.use('/api/uploads', uploadRoutes);
 app.use('/api/portal', portalRoutes);
 app.use('/api/templates', templateRoutes);
@@ -121,6 +142,15 @@ async function startServer() {
       console.log(`🚀 BoliBooks API server running on port ${PORT}`);
       console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Background jobs
+    const DAY = 24 * 60 * 60 * 1000;
+    schedulerService.register('depreciation', DAY, () => fixedAssetService.runScheduledDepreciation());
+    schedulerService.register('recurring-expenses', DAY, () => recurringExpenseService.generateDueExpenses());
+    schedulerService.register('recurring-invoices', DAY, () => recurringInvoiceService.runDueSchedules());
+    schedulerService.register('payment-reminders', DAY, () => paymentReminderService.runDueReminders());
+    schedulerService.start();
+
     return server;
   } catch (error) {
     console.error('Failed to start server:', error);
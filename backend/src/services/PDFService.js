@@ -269,6 +269,69 @@ class PDFService {
     }
   }
 
+  // Generate PDF for a tabular report ({ title, subtitle, summary, sections })
+  async generateReportPDF(report) {
+    let page = null;
+
+    try {
+      const browser = await this.initBrowser();
+
+      const formatCell = (value, type) => {
+        if (value === null || value === undefined) return '';
+        if (type === 'currency') {
+          return parseFloat(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        }
+        if (type === 'date') return new Date(value).toLocaleDateString('en-US', { timeZone: 'UTC' });
+        return String(value);
+      };
+
+      const templateData = {
+        ...report,
+        summary: (report.summary || []).map(item => ({
+          label: item.label,
+          value: formatCell(item.value, item.type || 'currency')
+        })),
+        sections: (report.sections || []).map(section => ({
+          title: section.title,
+          columns: section.columns,
+          rows: section.rows.map(row => section.columns.map(column => ({
+            value: formatCell(row[column.key], column.type),
+            numeric: column.type === 'currency'
+          })))
+        })),
+        generatedAt: new Date()
+      };
+
+      const html = Handlebars.compile(this.getDefaultReportTemplate())(templateData);
+      const fullHtml = this.createFullHTML(html, this.getDefaultReportStyles());
+
+      page = await browser.newPage();
+      await page.setContent(fullHtml, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+
+      return await page.pdf({
+        format: 'A4',
+        landscape: report.landscape || false,
+        margin: {
+          top: '15mm',
+          right: '15mm',
+          bottom: '15mm',
+          left: '15mm'
+        },
+        printBackground: true
+      });
+    } catch (error) {
+      console.error('Error generating report PDF:', error);
+      throw new Error('Failed to generate PDF: ' + error.message);
+    } finally {
+      if (page) {
+        await page.close();
+      }
+    }
+  }
+
   // Create full HTML document with CSS
   createFullHTML(bodyHtml, css) {
     return `
@@ -1016,7 +1079,13 @@ class PDFService {
           {{#if company_email}}<p>{{company_email}}</p>{{/if}}
         </div>
         <div class="receipt-info">
+          {{#if is_refund}}
+          <h2>REFUND</h2>
+          <p><strong>Refund #:</strong> {{refund_number}}</p>
+          <p><strong>Original Receipt #:</strong> {{original_sale_number}}</p>
+          {{else}}
           <p><strong>Receipt #:</strong> {{sale_number}}</p>
+          {{/if}}
           <p><strong>Date:</strong> {{formatDate receipt_timestamp}}</p>
           <p><strong>Cashier:</strong> {{cashier_name}}</p>
           <p><strong>Terminal:</strong> {{terminal_id}}</p>
@@ -1044,6 +1113,9 @@ class PDFService {
           <span class="item-price">{{currency this.price}}</span>
           <span class="item-total">{{currency this.lineTotal}}</span>
         </div>
+        {{#if this.promotion}}
+        <div class="item-promotion">{{this.promotion}}</div>
+        {{/if}}
         {{/each}}
       </section>
 
@@ -1063,7 +1135,38 @@ class PDFService {
           <span><strong>{{currency total_amount}}</strong></span>
         </div>
         
-        {{#if amount_tendered}}
+        {{#if is_refund}}
+        <div class="payment-info">
+          <div class="total-line">
+            <span>Refunded to {{refund_method}}:</span>
+            <span>{{currency total_amount}}</span>
+          </div>
+          {{#if refund_reason}}<p>Reason: {{refund_reason}}</p>{{/if}}
+        </div>
+        {{/if}}
+
+        {{#if split_payment}}
+        <div class="payment-info">
+          {{#each payments}}
+          <div class="total-line">
+            <span>{{this.tender}}{{#if this.reference}} ({{this.reference}}){{/if}}:</span>
+            <span>{{currency this.amount}}</span>
+          </div>
+          {{/each}}
+          {{#if amount_tendered}}
+          <div class="total-line">
+            <span>Cash Tendered:</span>
+            <span>{{currency amount_tendered}}</span>
+          </div>
+          {{/if}}
+          {{#if change_given}}
+          <div class="total-line">
+            <span>Change:</span>
+            <span>{{currency change_given}}</span>
+          </div>
+          {{/if}}
+        </div>
+        {{else if amount_tendered}}
         <div class="payment-info">
           <div class="total-line">
             <span>{{payment_method}} Tendered:</span>
@@ -1187,6 +1290,12 @@ class PDFService {
       text-align: right;
     }
 
+    .item-promotion {
+      font-size: 9px;
+      font-style: italic;
+      margin: -2px 0 2px 8px;
+    }
+
     .receipt-totals {
       margin-top: 8px;
       border-top: 1px dashed #000;
@@ -1242,6 +1351,72 @@ class PDFService {
     }
     `;
   }
+  // Default layout for tabular reports (financial statements, tax returns)
+  getDefaultReportTemplate() {
+    return `
+      <div class="report">
+        <div class="report-header">
+          <h1>{{title}}</h1>
+          {{#if companyName}}<div class="company-name">{{companyName}}</div>{{/if}}
+          {{#if subtitle}}<div class="subtitle">{{subtitle}}</div>{{/if}}
+        </div>
+
+        {{#if summary.length}}
+        <table class="summary">
+          {{#each summary}}
+          <tr>
+            <td>{{label}}</td>
+            <td class="numeric">{{value}}</td>
+          </tr>
+          {{/each}}
+        </table>
+        {{/if}}
+
+        {{#each sections}}
+        <div class="section">
+          <h2>{{title}}</h2>
+          <table>
+            <thead>
+              <tr>
+                {{#each columns}}<th>{{header}}</th>{{/each}}
+              </tr>
+            </thead>
+            <tbody>
+              {{#each rows}}
+              <tr>
+                {{#each this}}<td{{#if numeric}} class="numeric"{{/if}}>{{value}}</td>{{/each}}
+              </tr>
+              {{else}}
+              <tr><td class="empty" colspan="{{columns.length}}">No entries</td></tr>
+              {{/each}}
+            </tbody>
+          </table>
+        </div>
+        {{/each}}
+
+        <div class="footer">Generated {{formatDate generatedAt}}</div>
+      </div>
+    `;
+  }
+
+  getDefaultReportStyles() {
+    return `
+      .report { font-size: 11px; }
+      .report-header { margin-bottom: 16px; }
+      .report-header h1 { font-size: 20px; color: #1f2937; }
+      .company-name { font-size: 13px; font-weight: bold; }
+      .subtitle { color: #6b7280; }
+      .summary { width: 60%; margin-bottom: 20px; }
+      .summary td { padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+      .section { margin-bottom: 20px; }
+      .section h2 { font-size: 14px; margin-bottom: 6px; color: #1f2937; }
+      th { background: #f3f4f6; text-align: left; padding: 6px 8px; border-bottom: 2px solid #d1d5db; }
+      td { padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+      .numeric { text-align: right; white-space: nowrap; }
+      .empty { text-align: center; color: #9ca3af; }
+      .footer { margin-top: 20px; color: #9ca3af; font-size: 9px; }
+    `;
+  }
 }
 
 // Export singleton instance
@@ -94,6 +94,48 @@ class StripeService {
     }
   }
 
+  // Charge a customer's saved card without them present (recurring billing).
+  // Retrying with the same idempotencyKey returns the first charge instead of
+  // charging again.
+  async chargeSavedPaymentMethod({ customerId, paymentMethodId, amount, currency = 'usd', description, metadata = {}, idempotencyKey }) {
+    if (!this.initialized) {
+      throw new Error('Stripe service not initialized');
+    }
+
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // Convert to cents
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: paymentMethodId,
+        off_session: true,
+        confirm: true,
+        description,
+        metadata
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return {
+        success: paymentIntent.status === 'succeeded',
+        data: {
+          paymentIntentId: paymentIntent.id,
+          amount: paymentIntent.amount / 100,
+          currency: paymentIntent.currency,
+          status: paymentIntent.status
+        },
+        error: paymentIntent.status === 'succeeded' ? undefined : `Payment ${paymentIntent.status}`
+      };
+    } catch (error) {
+      console.error('Stripe off-session charge error:', error);
+      return {
+        success: false,
+        error: error.message,
+        type: error.type || 'stripe_error',
+        // Card declines still create a payment intent
+        data: error.raw?.payment_intent ? { paymentIntentId: error.raw.payment_intent.id } : undefined
+      };
+    }
+  }
+
   // Create a customer for subscription billing
   async createCustomer({ email, name, description, metadata = {} }) {
     if (!this.initialized) {
@@ -127,6 +169,67 @@ class StripeService {
     }
   }
 
+  // Start saving a card to a customer for later off-session charges
+  async createSetupIntent({ customerId, metadata = {} }) {
+    if (!this.initialized) {
+      throw new Error('Stripe service not initialized');
+    }
+
+    try {
+      const setupIntent = await this.stripe.setupIntents.create({
+        customer: customerId,
+        usage: 'off_session',
+        payment_method_types: ['card'],
+        metadata
+      });
+
+      return {
+        success: true,
+        data: {
+          clientSecret: setupIntent.client_secret,
+          setupIntentId: setupIntent.id,
+          status: setupIntent.status
+        }
+      };
+    } catch (error) {
+      console.error('Stripe setup intent creation error:', error);
+      return {
+        success: false,
+        error: error.message,
+        type: error.type || 'stripe_error'
+      };
+    }
+  }
+
+  // Retrieve setup intent details
+  async getSetupIntent(setupIntentId) {
+    if (!this.initialized) {
+      throw new Error('Stripe service not initialized');
+    }
+
+    try {
+      const setupIntent = await this.stripe.setupIntents.retrieve(setupIntentId);
+
+      return {
+        success: true,
+        data: {
+          id: setupIntent.id,
+          status: setupIntent.status,
+          customerId: setupIntent.customer,
+          paymentMethodId: setupIntent.payment_method,
+          metadata: setupIntent.metadata
+        }
+      };
+    } catch (error) {
+      console.error('Stripe setup intent retrieval error:', error);
+      return {
+        success: false,
+        error: error.message,
+        type: error.type || 'stripe_error'
+      };
+    }
+  }
+
   // Create a subscription
   async createSubscription({ customerId, priceId, metadata = {} }) {
     if (!this.initialized) {
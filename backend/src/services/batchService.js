@@ -0,0 +1,258 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+// YYYY-MM-DD, `days` from today
+function dateFromToday(days = 0) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// First expiry, first out: the lot expiring soonest first, lots that do not
+// expire last, and the oldest receipt first among equals
+function byExpiry(a, b) {
+  if (a.expiryDate !== b.expiryDate) {
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate < b.expiryDate ? -1 : 1;
+  }
+  return new Date(a.receivedAt) - new Date(b.receivedAt);
+}
+
+class BatchService {
+  /**
+   * A lot can be sold up to and including its expiry date
+   */
+  isExpired(batch, asOfDate = dateFromToday()) {
+    return Boolean(batch.expiryDate) && batch.expiryDate < asOfDate;
+  }
+
+  /**
+   * A product's lots in the order they are sold from
+   */
+  async getBatches(product, { includeEmpty = false, transaction } = {}) {
+    const where = { productId: product.id };
+    if (!includeEmpty) where.quantity = { [Op.gt]: 0 };
+
+    const batches = await models.ProductBatch.findAll({ where, transaction });
+    return batches.sort(byExpiry);
+  }
+
+  /**
+   * Stock that can still be sold: everything not in an expired lot
+   */
+  async getSellableQuantity(product, options = {}) {
+    const batches = await this.getBatches(product, options);
+    return batches
+      .filter(batch => !this.isExpired(batch))
+      .reduce((sum, batch) => sum + batch.quantity, 0);
+  }
+
+  /**
+   * Sellable quantity of several batch-tracked products at once, by product id
+   */
+  async getSellableQuantities(productIds, { transaction } = {}) {
+    const quantities = {};
+    if (productIds.length === 0) return quantities;
+
+    const batches = await models.ProductBatch.findAll({
+      where: {
+        productId: productIds,
+        quantity: { [Op.gt]: 0 },
+        [Op.or]: [{ expiryDate: null }, { expiryDate: { [Op.gte]: dateFromToday() } }]
+      },
+      attributes: ['productId', 'quantity'],
+      transaction
+    });
+
+    productIds.forEach(id => { quantities[id] = 0; });
+    batches.forEach(batch => { quantities[batch.productId] += batch.quantity; });
+    return quantities;
+  }
+
+  /**
+   * Check stock can be received into a lot before any stock moves: stock
+   * with an expiry needs a lot number, and a lot number already in use must
+   * keep its expiry. Returns the existing lot, if any.
+   */
+  async checkLot(product, { lotNumber = null, expiryDate = null } = {}, { transaction } = {}) {
+    const lot = lotNumber ? String(lotNumber).trim() : null;
+    if (!lot && expiryDate) {
+      throw invalidRequest('Give a lot number for stock with an expiry date');
+    }
+
+    const existing = await models.ProductBatch.findOne({
+      where: { productId: product.id, lotNumber: lot },
+      transaction
+    });
+    if (existing && expiryDate && existing.expiryDate && existing.expiryDate !== expiryDate) {
+      throw invalidRequest(`Lot ${lot} of ${product.name} already expires on ${existing.expiryDate}`);
+    }
+
+    return existing;
+  }
+
+  /**
+   * The lot stock is received into. Stock without a lot number goes into the
+   * product's unlotted batch.
+   */
+  async findOrCreateBatch(product, { lotNumber = null, expiryDate = null } = {}, { transaction } = {}) {
+    const lot = lotNumber ? String(lotNumber).trim() : null;
+    const expiry = expiryDate || null;
+
+    const existing = await this.checkLot(product, { lotNumber: lot, expiryDate: expiry }, { transaction });
+    if (existing) {
+      if (expiry && !existing.expiryDate) {
+        await existing.update({ expiryDate: expiry }, { transaction });
+      }
+      return existing;
+    }
+
+    return models.ProductBatch.create({
+      companyId: product.companyId,
+      productId: product.id,
+      lotNumber: lot,
+      expiryDate: expiry
+    }, { transaction });
+  }
+
+  /**
+   * Apply a change in a product's stock to its lots. Units named in `batches`
+   * ([{ batchId, quantity }]) are moved first, e.g. a refund back into the
+   * lots it was sold from. Any other stock coming in goes into `lot`, and any
+   * other stock going out comes from the lots expiring first, skipping
+   * expired lots when excludeExpired is set (sales).
+   * Returns the lots used: [{ batchId, lotNumber, expiryDate, quantity }].
+   */
+  async applyMovement(product, quantityChange, { lot = null, batches = null, excludeExpired = false, transaction } = {}) {
+    const direction = quantityChange < 0 ? -1 : 1;
+    let remaining = Math.abs(parseInt(quantityChange) || 0);
+    const used = [];
+
+    const move = async (batch, quantity) => {
+      await batch.update({ quantity: batch.quantity + direction * quantity }, { transaction });
+      used.push({ batchId: batch.id, lotNumber: batch.lotNumber, expiryDate: batch.expiryDate, quantity });
+      remaining -= quantity;
+    };
+
+    for (const entry of batches || []) {
+      if (remaining === 0) break;
+
+      const batch = await models.ProductBatch.findOne({
+        where: { id: entry.batchId, productId: product.id },
+        transaction
+      });
+      if (!batch) {
+        throw invalidRequest(`Lot not found for ${product.name}`, 404);
+      }
+
+      const limit = direction < 0 ? batch.quantity : Infinity;
+      const quantity = Math.min(remaining, parseInt(entry.quantity) || 0, limit);
+      if (quantity > 0) await move(batch, quantity);
+    }
+
+    if (remaining > 0 && direction > 0) {
+      await move(await this.findOrCreateBatch(product, lot || {}, { transaction }), remaining);
+    }
+
+    if (remaining > 0 && direction < 0) {
+      for (const batch of await this.getBatches(product, { transaction })) {
+        if (remaining === 0) break;
+        if (excludeExpired && this.isExpired(batch)) continue;
+        await move(batch, Math.min(remaining, batch.quantity));
+      }
+    }
+
+    return used;
+  }
+
+  /**
+   * Start or stop tracking a product's lots. Stock on hand when tracking
+   * starts is held unlotted; when it stops, the lots are discarded.
+   */
+  async setTracking(product, enabled, { transaction } = {}) {
+    await models.ProductBatch.destroy({ where: { productId: product.id }, transaction });
+
+    if (enabled && product.stockQuantity > 0) {
+      const batch = await this.findOrCreateBatch(product, {}, { transaction });
+      await batch.update({ quantity: product.stockQuantity }, { transaction });
+    }
+  }
+
+  /**
+   * The lots a document's sale movements took a product from, so a return
+   * can put the units back where they came from
+   */
+  async getSoldBatches(companyId, { sourceType, sourceId, productId }, { transaction } = {}) {
+    const movements = await models.StockMovement.findAll({
+      where: { companyId, sourceType, sourceId, productId, type: 'sale' },
+      attributes: ['batches'],
+      transaction
+    });
+
+    const sold = {};
+    movements.forEach(movement => {
+      (movement.batches || []).forEach(entry => {
+        sold[entry.batchId] = (sold[entry.batchId] || 0) + entry.quantity;
+      });
+    });
+
+    return Object.entries(sold).map(([batchId, quantity]) => ({ batchId, quantity }));
+  }
+
+  /**
+   * Lots with stock that have expired or expire within `days` days, soonest
+   * first, valued at the product's cost
+   */
+  async getNearExpiry(companyId, { days = 30, productId } = {}) {
+    const today = dateFromToday();
+    const where = {
+      companyId,
+      quantity: { [Op.gt]: 0 },
+      expiryDate: { [Op.ne]: null, [Op.lte]: dateFromToday(days) }
+    };
+    if (productId) where.productId = productId;
+
+    const batches = await models.ProductBatch.findAll({
+      where,
+      include: [{
+        model: models.Product,
+        where: { isActive: true },
+        attributes: ['id', 'name', 'sku', 'barcode', 'unit', 'cost']
+      }],
+      order: [['expiryDate', 'ASC']]
+    });
+
+    const rows = batches.map(batch => ({
+      batchId: batch.id,
+      productId: batch.productId,
+      productName: batch.Product.name,
+      sku: batch.Product.sku,
+      unit: batch.Product.unit,
+      lotNumber: batch.lotNumber,
+      expiryDate: batch.expiryDate,
+      daysToExpiry: Math.round((new Date(batch.expiryDate) - new Date(today)) / 86400000),
+      expired: this.isExpired(batch, today),
+      quantity: batch.quantity,
+      value: round(batch.quantity * (parseFloat(batch.Product.cost) || 0))
+    }));
+
+    const expired = rows.filter(row => row.expired);
+    return {
+      asOfDate: today,
+      days,
+      summary: {
+        expiredLots: expired.length,
+        expiredQuantity: expired.reduce((sum, row) => sum + row.quantity, 0),
+        expiredValue: round(expired.reduce((sum, row) => sum + row.value, 0)),
+        expiringLots: rows.length - expired.length,
+        expiringQuantity: rows.filter(row => !row.expired).reduce((sum, row) => sum + row.quantity, 0),
+        expiringValue: round(rows.filter(row => !row.expired).reduce((sum, row) => sum + row.value, 0))
+      },
+      batches: rows
+    };
+  }
+}
+
+module.exports = new BatchService();
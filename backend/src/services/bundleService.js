@@ -0,0 +1,183 @@
+const { models } = require('../database');
+const stockService = require('./stockService');
+const { round, roundUnitCost, invalidRequest } = require('../utils/serviceUtils');
+
+class BundleService {
+  isBundle(product) {
+    return product?.productType === 'bundle';
+  }
+
+  /**
+   * A bundle's recipe, with each component product loaded
+   */
+  getComponents(bundle, { transaction } = {}) {
+    return models.BundleComponent.findAll({
+      where: { bundleId: bundle.id },
+      include: [{ model: models.Product, as: 'component' }],
+      order: [[{ model: models.Product, as: 'component' }, 'name', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Replace a bundle's recipe. components: [{ productId, quantity }]
+   */
+  async setComponents(bundle, components, { transaction } = {}) {
+    if (!this.isBundle(bundle)) {
+      throw invalidRequest(`${bundle.name} is not a bundle`);
+    }
+
+    const rows = await this.resolveComponents(bundle.companyId, components, { bundleId: bundle.id, transaction });
+
+    await models.BundleComponent.destroy({ where: { bundleId: bundle.id }, transaction });
+    await models.BundleComponent.bulkCreate(rows.map(row => ({ ...row, bundleId: bundle.id })), { transaction });
+
+    return this.getComponents(bundle, { transaction });
+  }
+
+  /**
+   * Check a recipe before it is saved: every component is a stocked product
+   * of the company (not a bundle, a product sold through its variants, nor a
+   * serialized product, whose units are scanned when sold) listed once with a whole quantity. Returns [{ componentId, quantity }].
+   */
+  async resolveComponents(companyId, components, { bundleId = null, transaction } = {}) {
+    if (!Array.isArray(components) || components.length === 0) {
+      throw invalidRequest('A bundle needs at least one component');
+    }
+
+    const variantService = require('./variantService');
+    const rows = [];
+
+    for (const component of components) {
+      const quantity = parseInt(component.quantity);
+      if (!component.productId) {
+        throw invalidRequest('Choose a product for every component');
+      }
+      if (isNaN(quantity) || quantity < 1 || String(quantity) !== String(component.quantity).trim()) {
+        throw invalidRequest('Component quantities must be whole numbers of at least 1');
+      }
+      if (bundleId && component.productId === bundleId) {
+        throw invalidRequest('A bundle cannot contain itself');
+      }
+
+      const product = await models.Product.findOne({
+        where: { id: component.productId, companyId },
+        transaction
+      });
+      if (!product) {
+        throw invalidRequest('Component product not found', 404);
+      }
+      if (rows.some(row => row.componentId === product.id)) {
+        throw invalidRequest(`${product.name} is listed more than once`);
+      }
+      if (this.isBundle(product)) {
+        throw invalidRequest(`${product.name} is a bundle; bundles cannot contain other bundles`);
+      }
+      if (await variantService.hasVariants(product, { transaction })) {
+        throw invalidRequest(`Choose which variant of ${product.name} goes in the bundle`);
+      }
+      if (product.trackSerials) {
+        throw invalidRequest(`${product.name} is serialized and must be sold on its own`);
+      }
+
+      rows.push({ componentId: product.id, quantity });
+    }
+
+    return rows;
+  }
+
+  /**
+   * How many bundles can be made from stock on hand: limited by the scarcest
+   * tracked component. null when no component tracks inventory.
+   */
+  getAvailability(components) {
+    const tracked = components.filter(line => line.component && line.component.trackInventory);
+    if (tracked.length === 0) return null;
+
+    return Math.max(0, Math.min(...tracked.map(line => Math.floor((line.component.stockQuantity || 0) / line.quantity))));
+  }
+
+  /**
+   * Cost of one bundle at its components' current cost
+   */
+  getComponentCost(components) {
+    return round(components.reduce((sum, line) => (
+      sum + (line.component?.trackInventory ? (parseFloat(line.component.cost) || 0) * line.quantity : 0)
+    ), 0));
+  }
+
+  /**
+   * Take the components of `quantity` bundles out of stock. Returns what was
+   * taken per bundle ({ productId, productName, quantity, unitCost }) and the
+   * total cost, with any shortfall costed at the component's current cost.
+   */
+  async consume(bundle, quantity, {
+    sourceType = null,
+    sourceId = null,
+    reference = null,
+    userId = null,
+    allowShortfall = false,
+    skipLedger = false,
+    transaction
+  } = {}) {
+    const components = await this.getComponents(bundle, { transaction });
+    const taken = [];
+    let costAmount = 0;
+
+    for (const line of components) {
+      const product = line.component;
+      const needed = Math.round(line.quantity * quantity);
+      let cost = 0;
+
+      if (product.trackInventory && needed > 0) {
+        const movement = await stockService.adjustStock(product, -needed, {
+          type: 'sale',
+          sourceType,
+          sourceId,
+          reference,
+          userId,
+          notes: `Component of ${bundle.name}`,
+          allowShortfall,
+          skipLedger,
+          transaction
+        });
+        const removed = movement ? -movement.quantityChange : 0;
+        cost = (movement ? -parseFloat(movement.totalCost) : 0) + (needed - removed) * (parseFloat(product.cost) || 0);
+      }
+
+      taken.push({
+        productId: product.id,
+        productName: product.name,
+        quantity: line.quantity,
+        unitCost: needed > 0 ? roundUnitCost(cost / needed) : 0
+      });
+      costAmount += cost;
+    }
+
+    return { components: taken, costAmount: round(costAmount) };
+  }
+
+  /**
+   * Return the components of `quantity` bundles to stock, at the cost they
+   * were taken out at. components is what consume() returned.
+   */
+  async restock(components, quantity, { sourceType = null, sourceId = null, reference = null, userId = null, skipLedger = false, transaction } = {}) {
+    for (const line of components || []) {
+      const product = await models.Product.findByPk(line.productId, { transaction });
+      if (!product || !product.trackInventory) continue;
+
+      await stockService.adjustStock(product, Math.round(line.quantity * quantity), {
+        type: 'refund',
+        sourceType,
+        sourceId,
+        reference,
+        userId,
+        unitCost: line.unitCost,
+        skipLedger,
+        transaction
+      });
+    }
+  }
+}
+
+module.exports = new BundleService();
@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const { round, roundUnitCost } = require('../utils/serviceUtils');
+
+// How stock leaving is costed (Company.settings.inventoryValuation)
+const VALUATION_METHODS = ['fifo', 'weighted_average'];
+const DEFAULT_VALUATION_METHOD = 'weighted_average';
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+class CostingService {
+  getValuationMethods() {
+    return VALUATION_METHODS;
+  }
+
+  async getValuationMethod(companyId, options = {}) {
+    const company = await models.Company.findByPk(companyId, {
+      attributes: ['settings'],
+      transaction: options.transaction
+    });
+    const method = company?.settings?.inventoryValuation;
+    return VALUATION_METHODS.includes(method) ? method : DEFAULT_VALUATION_METHOD;
+  }
+
+  /**
+   * Layers still holding stock, oldest first
+   */
+  getOpenLayers(productId, options = {}) {
+    return models.CostLayer.findAll({
+      where: { productId, remainingQuantity: { [Op.gt]: 0 } },
+      order: [['receivedAt', 'ASC'], ['createdAt', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Stock on hand from before costing was tracked gets one layer at the
+   * product's cost, so it is used up before anything received later
+   */
+  async seedLayers(product, quantityOnHand, options = {}) {
+    if (quantityOnHand <= 0) return;
+
+    const existing = await models.CostLayer.count({
+      where: { productId: product.id },
+      transaction: options.transaction
+    });
+    if (existing > 0) return;
+
+    await models.CostLayer.create({
+      companyId: product.companyId,
+      productId: product.id,
+      receivedAt: product.createdAt || new Date(),
+      quantity: quantityOnHand,
+      remainingQuantity: quantityOnHand,
+      unitCost: parseFloat(product.cost) || 0
+    }, { transaction: options.transaction });
+  }
+
+  /**
+   * Cost a change to a product's stock. Stock coming in opens a layer at
+   * unitCost (the product's cost if not given); stock going out uses up the
+   * open layers, and any shortfall is costed at the product's cost.
+   * Returns { unitCost, totalCost }, signed like quantityChange.
+   */
+  async applyMovement(product, quantityChange, { quantityBefore = 0, unitCost = null, movementId = null, date = new Date(), transaction } = {}) {
+    const quantity = Math.abs(parseInt(quantityChange) || 0);
+    if (quantity === 0) {
+      return { unitCost: 0, totalCost: 0 };
+    }
+
+    await this.seedLayers(product, quantityBefore, { transaction });
+
+    if (quantityChange > 0) {
+      const cost = roundUnitCost(unitCost !== null && unitCost !== undefined ? unitCost : product.cost);
+      await this.receive(product, quantity, cost, { movementId, date, transaction });
+      return { unitCost: cost, totalCost: round(quantity * cost) };
+    }
+
+    const totalCost = await this.issue(product, quantity, { transaction });
+    return { unitCost: roundUnitCost(-totalCost / quantity), totalCost: -totalCost };
+  }
+
+  async receive(product, quantity, unitCost, { movementId = null, date = new Date(), transaction } = {}) {
+    const method = await this.getValuationMethod(product.companyId, { transaction });
+    let layerQuantity = quantity;
+    let layerCost = unitCost;
+
+    if (method === 'weighted_average') {
+      const open = await this.getOpenLayers(product.id, { transaction });
+      const onHand = open.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+      const value = open.reduce((sum, layer) => sum + layer.remainingQuantity * parseFloat(layer.unitCost), 0);
+
+      layerQuantity = onHand + quantity;
+      layerCost = roundUnitCost((value + quantity * unitCost) / layerQuantity);
+
+      for (const layer of open) {
+        await layer.update({ remainingQuantity: 0 }, { transaction });
+      }
+    }
+
+    return models.CostLayer.create({
+      companyId: product.companyId,
+      productId: product.id,
+      stockMovementId: movementId,
+      receivedAt: date,
+      quantity,
+      remainingQuantity: layerQuantity,
+      unitCost: layerCost
+    }, { transaction });
+  }
+
+  /**
+   * Use up `quantity` units from the oldest layers; returns their cost
+   */
+  async issue(product, quantity, { transaction } = {}) {
+    const open = await this.getOpenLayers(product.id, { transaction });
+    let remaining = quantity;
+    let cost = 0;
+
+    for (const layer of open) {
+      if (remaining === 0) break;
+
+      const taken = Math.min(remaining, layer.remainingQuantity);
+      cost += taken * parseFloat(layer.unitCost);
+      remaining -= taken;
+      await layer.update({ remainingQuantity: layer.remainingQuantity - taken }, { transaction });
+    }
+
+    cost += remaining * (parseFloat(product.cost) || 0);
+    return round(cost);
+  }
+
+  /**
+   * Quantity and value of stock on hand at the end of asOfDate, from the
+   * stock ledger. Movements recorded before stock was costed are valued at
+   * the product's current cost.
+   */
+  async getValuation(companyId, { asOfDate = new Date(), category, productId } = {}) {
+    const asOf = toDateString(asOfDate);
+
+    const where = { companyId, trackInventory: true };
+    if (category) where.category = category;
+    if (productId) where.id = productId;
+
+    const products = await models.Product.findAll({
+      where,
+      attributes: ['id', 'name', 'sku', 'category', 'unit', 'cost', 'isActive'],
+      order: [['name', 'ASC']]
+    });
+
+    const totals = await models.StockMovement.findAll({
+      where: {
+        companyId,
+        productId: products.map(product => product.id),
+        createdAt: { [Op.lte]: new Date(`${asOf}T23:59:59.999Z`) }
+      },
+      attributes: [
+        'productId',
+        [models.sequelize.fn('SUM', models.sequelize.col('quantityChange')), 'quantity'],
+        [models.sequelize.fn('SUM', models.sequelize.col('totalCost')), 'value'],
+        [models.sequelize.fn('SUM', models.sequelize.literal('CASE WHEN "totalCost" IS NULL THEN "quantityChange" ELSE 0 END')), 'uncostedQuantity']
+      ],
+      group: ['productId'],
+      raw: true
+    });
+
+    const rows = products
+      .map(product => {
+        const total = totals.find(row => row.productId === product.id);
+        const quantity = parseInt(total?.quantity) || 0;
+        const uncostedQuantity = parseInt(total?.uncostedQuantity) || 0;
+        const value = round((parseFloat(total?.value) || 0) + uncostedQuantity * (parseFloat(product.cost) || 0));
+
+        return {
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          category: product.category || 'Uncategorized',
+          unit: product.unit,
+          isActive: product.isActive,
+          quantity,
+          value,
+          averageCost: quantity > 0 ? roundUnitCost(value / quantity) : 0,
+          estimated: uncostedQuantity !== 0
+        };
+      })
+      .filter(row => row.quantity !== 0 || row.value !== 0);
+
+    const categories = {};
+    rows.forEach(row => {
+      if (!categories[row.category]) {
+        categories[row.category] = { category: row.category, products: 0, quantity: 0, value: 0 };
+      }
+      categories[row.category].products++;
+      categories[row.category].quantity += row.quantity;
+      categories[row.category].value = round(categories[row.category].value + row.value);
+    });
+
+    return {
+      asOfDate: asOf,
+      valuationMethod: await this.getValuationMethod(companyId),
+      summary: {
+        totalProducts: rows.length,
+        totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+        totalValue: round(rows.reduce((sum, row) => sum + row.value, 0)),
+        estimatedProducts: rows.filter(row => row.estimated).length
+      },
+      categoryBreakdown: Object.values(categories).sort((a, b) => b.value - a.value),
+      products: rows
+    };
+  }
+}
+
+module.exports = new CostingService();
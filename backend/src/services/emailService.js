@@ -0,0 +1,300 @@
+const nodemailer = require('nodemailer');
+const Handlebars = require('handlebars');
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const pdfService = require('./PDFService');
+const periodCloseService = require('./periodCloseService');
+const promotionService = require('./promotionService');
+const { invalidRequest } = require('../utils/serviceUtils');
+
+// Subject and body used when the company has not customised them. Placeholders:
+// companyName, customerName, documentNumber, total, dueDate, date, balanceDue, daysOverdue
+const DEFAULT_MESSAGES = {
+  invoice: {
+    subject: 'Invoice {{documentNumber}} from {{companyName}}',
+    body: 'Dear {{customerName}},\n\nPlease find attached invoice {{documentNumber}} for {{total}}, due on {{dueDate}}.\n\nThank you for your business.\n\n{{companyName}}'
+  },
+  quote: {
+    subject: 'Quote {{documentNumber}} from {{companyName}}',
+    body: 'Dear {{customerName}},\n\nPlease find attached quote {{documentNumber}} for {{total}}.\n\nWe look forward to hearing from you.\n\n{{companyName}}'
+  },
+  receipt: {
+    subject: 'Your receipt {{documentNumber}} from {{companyName}}',
+    body: 'Dear {{customerName}},\n\nThank you for your purchase. Your receipt {{documentNumber}} for {{total}} is attached.\n\n{{companyName}}'
+  },
+  // Payment reminders, before or on the due date
+  reminder: {
+    subject: 'Reminder: invoice {{documentNumber}} is due on {{dueDate}}',
+    body: 'Dear {{customerName}},\n\nThis is a friendly reminder that invoice {{documentNumber}} has a balance of {{balanceDue}} due on {{dueDate}}. A copy is attached.\n\nIf you have already paid, please disregard this message.\n\n{{companyName}}'
+  },
+  // Payment reminders after the due date
+  overdue: {
+    subject: 'Overdue: invoice {{documentNumber}} is {{daysOverdue}} days past due',
+    body: 'Dear {{customerName}},\n\nInvoice {{documentNumber}} was due on {{dueDate}} and has an outstanding balance of {{balanceDue}}. A copy is attached.\n\nPlease arrange payment at your earliest convenience, or contact us if there is a problem.\n\n{{companyName}}'
+  }
+};
+
+function formatAmount(amount, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(parseFloat(amount) || 0);
+}
+
+function formatDate(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+class EmailService {
+  /**
+   * SMTP settings for a company: its own (Company.settings.smtp) or the
+   * server-wide SMTP_* environment settings
+   */
+  getSmtpSettings(company) {
+    const smtp = company.settings?.smtp;
+    if (smtp?.host) {
+      return smtp;
+    }
+
+    if (process.env.SMTP_HOST) {
+      return {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASS
+      };
+    }
+
+    return null;
+  }
+
+  createTransport(smtp) {
+    return nodemailer.createTransport({
+      host: smtp.host,
+      port: parseInt(smtp.port) || 587,
+      secure: !!smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    });
+  }
+
+  /**
+   * Render the subject and body for a message type (see DEFAULT_MESSAGES) from
+   * the company's templates (Company.settings.emailTemplates), with optional overrides
+   */
+  renderMessage(company, messageType, context, overrides = {}) {
+    const custom = company.settings?.emailTemplates?.[messageType] || {};
+    const subject = overrides.subject || custom.subject || DEFAULT_MESSAGES[messageType].subject;
+    const body = overrides.message || custom.body || DEFAULT_MESSAGES[messageType].body;
+
+    return {
+      subject: Handlebars.compile(subject, { noEscape: true })(context),
+      text: Handlebars.compile(body, { noEscape: true })(context)
+    };
+  }
+
+  /**
+   * Email a rendered document and record the attempt in the delivery log.
+   * Throws (status 502) when the SMTP server rejects the message.
+   */
+  async sendDocument(company, { documentType, documentId, messageType = documentType, to, cc, context, subject, message, attachment, sentBy = null }) {
+    const smtp = this.getSmtpSettings(company);
+    if (!smtp) {
+      throw invalidRequest('Email is not configured. Add SMTP settings for the company first.');
+    }
+
+    if (!to) {
+      throw invalidRequest('Recipient email address is required');
+    }
+
+    const rendered = this.renderMessage(company, messageType, context, { subject, message });
+    const fromEmail = smtp.fromEmail || company.email || smtp.user;
+    const delivery = {
+      companyId: company.id,
+      documentType,
+      documentId,
+      recipient: to,
+      cc: cc || null,
+      subject: rendered.subject,
+      attachmentName: attachment?.filename || null,
+      sentBy
+    };
+
+    try {
+      const info = await this.createTransport(smtp).sendMail({
+        from: { name: smtp.fromName || company.name, address: fromEmail },
+        replyTo: company.email || undefined,
+        to,
+        cc: cc || undefined,
+        subject: rendered.subject,
+        text: rendered.text,
+        attachments: attachment ? [{ ...attachment, contentType: 'application/pdf' }] : []
+      });
+
+      return models.EmailDelivery.create({ ...delivery, status: 'sent', messageId: info.messageId });
+    } catch (error) {
+      await models.EmailDelivery.create({ ...delivery, status: 'failed', error: error.message });
+
+      const sendError = new Error(`Failed to send email: ${error.message}`);
+      sendError.status = 502;
+      throw sendError;
+    }
+  }
+
+  /**
+   * Template an invoice or quote is printed with: its own, else the company's
+   * (or global) default for the type, else the built-in default
+   */
+  async getDocumentTemplate(invoice) {
+    const where = {
+      type: invoice.type,
+      isActive: true,
+      [Op.or]: [
+        { companyId: invoice.companyId },
+        { isGlobal: true }
+      ]
+    };
+
+    const template = (invoice.templateId && await models.Template.findOne({ where: { ...where, id: invoice.templateId } })) ||
+      await models.Template.findOne({
+        where: { ...where, isDefault: true },
+        order: [['isGlobal', 'ASC']] // Prefer company template over global
+      });
+
+    if (template) return template;
+
+    return invoice.type === 'quote'
+      ? { htmlTemplate: pdfService.getDefaultQuoteTemplate(), cssStyles: pdfService.getDefaultQuoteStyles() }
+      : { htmlTemplate: pdfService.getDefaultInvoiceTemplate(), cssStyles: pdfService.getDefaultInvoiceStyles() };
+  }
+
+  /**
+   * Email an invoice or quote as a PDF, to the customer unless `to` is given.
+   * A draft invoice is marked as sent. Payment reminders pass a reminder
+   * messageType and leave the invoice's sent status alone.
+   */
+  async sendInvoice(invoiceId, { to, cc, subject, message, messageType, sentBy = null } = {}) {
+    const invoice = await models.Invoice.findByPk(invoiceId, {
+      include: [
+        { model: models.Customer },
+        { model: models.InvoiceItem, as: 'items', include: [{ model: models.Product, attributes: ['name'] }] }
+      ]
+    });
+    const company = await models.Company.findByPk(invoice.companyId);
+    const recipient = to || invoice.Customer?.email;
+
+    if (!recipient) {
+      throw invalidRequest('Customer has no email address. Provide a recipient email.');
+    }
+
+    if (invoice.status === 'cancelled') {
+      throw invalidRequest('Cancelled invoices cannot be sent');
+    }
+
+    const isReminder = !!messageType && messageType !== invoice.type;
+
+    // Sending a draft issues it, which a closed period does not allow
+    if (invoice.status === 'draft' && !isReminder) {
+      await periodCloseService.assertOpen(invoice.companyId, invoice.issueDate);
+      if (invoice.type !== 'quote') {
+        await promotionService.checkInvoiceUsage(invoice);
+      }
+    }
+
+    const template = await this.getDocumentTemplate(invoice);
+    const pdfBuffer = await pdfService.generatePDF(template, {
+      ...invoice.toJSON(),
+      number: invoice.invoiceNumber,
+      date: invoice.issueDate,
+      company: company.toJSON(),
+      customer: invoice.Customer?.toJSON(),
+      items: invoice.items.map(item => ({
+        name: item.Product?.name || item.description,
+        description: item.description,
+        quantity: item.quantity,
+        price: item.unitPrice
+      })),
+      taxAmount: invoice.gstAmount,
+      taxRate: invoice.gstRate,
+      balanceDue: invoice.getTotalDue() - parseFloat(invoice.paidAmount || 0),
+      currency: company.currency
+    });
+
+    if (template.id) {
+      await template.increment('usageCount');
+    }
+
+    const delivery = await this.sendDocument(company, {
+      documentType: invoice.type,
+      documentId: invoice.id,
+      messageType: messageType || invoice.type,
+      to: recipient,
+      cc,
+      subject,
+      message,
+      sentBy,
+      context: {
+        companyName: company.name,
+        customerName: invoice.Customer?.name || '',
+        documentNumber: invoice.invoiceNumber,
+        total: formatAmount(invoice.total, company.currency),
+        dueDate: formatDate(invoice.dueDate),
+        date: formatDate(invoice.issueDate),
+        balanceDue: formatAmount(invoice.getTotalDue() - parseFloat(invoice.paidAmount || 0), company.currency),
+        daysOverdue: Math.max(0, Math.floor((Date.now() - new Date(invoice.dueDate)) / (24 * 60 * 60 * 1000)))
+      },
+      attachment: {
+        filename: `${invoice.type}-${invoice.invoiceNumber}.pdf`,
+        content: pdfBuffer
+      }
+    });
+
+    if (!isReminder) {
+      await invoice.update({
+        sentAt: new Date(),
+        ...(invoice.status === 'draft' ? { status: 'sent' } : {})
+      });
+    }
+
+    return { invoice, delivery };
+  }
+
+  /**
+   * Email a POS receipt PDF (rendered by the caller) to the customer
+   */
+  async sendReceipt(sale, { to, cc, subject, message, sentBy = null, pdfBuffer }) {
+    const company = await models.Company.findByPk(sale.companyId);
+
+    return this.sendDocument(company, {
+      documentType: 'receipt',
+      documentId: sale.id,
+      to: to || sale.Customer?.email || sale.customerInfo?.email,
+      cc,
+      subject,
+      message,
+      sentBy,
+      context: {
+        companyName: company.name,
+        customerName: sale.Customer?.name || sale.customerInfo?.name || 'Customer',
+        documentNumber: sale.saleNumber,
+        total: formatAmount(sale.total, company.currency),
+        date: formatDate(sale.date)
+      },
+      attachment: {
+        filename: `receipt-${sale.saleNumber}.pdf`,
+        content: pdfBuffer
+      }
+    });
+  }
+
+  /**
+   * Delivery log for a document, newest first
+   */
+  async getDeliveries(companyId, documentType, documentId) {
+    return models.EmailDelivery.findAll({
+      where: { companyId, documentType, documentId },
+      include: [{ model: models.User, as: 'Sender', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = new EmailService();
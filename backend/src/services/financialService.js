@@ -1,171 +1,149 @@
 const { models, sequelize } = require('../database');
 const { Op } = require('sequelize');
+const ledgerService = require('./ledgerService');
+
+// "Jan 2026" for a month, "Jan 2026 - Mar 2026" for longer periods
+function formatFilingPeriod(startDate, endDate) {
+  const label = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  const start = label(startDate);
+  const end = label(endDate);
+  return start === end ? start : `${start} - ${end}`;
+}
 
 class FinancialService {
   /**
-   * Calculate current assets for balance sheet
+   * Roll ledger balances of one account subtype up into statement lines
    */
-  async calculateCurrentAssets(companyId, asOfDate) {
-    const asOf = new Date(asOfDate);
-    
-    // Cash and cash equivalents (from payments and cash transactions)
-    const cashBalance = await this.getCashBalance(companyId, asOfDate);
-    
-    // Accounts receivable (unpaid invoices)
-    const receivables = await models.Invoice.sum('total', {
-      where: {
-        companyId,
-        status: ['sent', 'overdue'],
-        date: { [Op.lte]: asOf }
-      }
-    }) || 0;
-
-    // Inventory value (products at cost price)
-    const inventory = await models.Product.sum(
-      sequelize.literal('quantity * costPrice'),
-      {
-        where: {
-          companyId,
-          isActive: true,
-          createdAt: { [Op.lte]: asOf }
-        }
-      }
-    ) || 0;
+  summarizeBalances(balances, subtype, lineKeys) {
+    const breakdown = lineKeys.reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+    const accounts = [];
 
-    // Prepaid expenses and other current assets
-    const prepaidExpenses = await models.Expense.sum('amount', {
-      where: {
-        companyId,
-        category: 'Prepaid',
-        date: { [Op.lte]: asOf }
-      }
-    }) || 0;
+    balances
+      .filter(({ account }) => account.subtype === subtype)
+      .forEach(({ account, balance }) => {
+        const key = Object.prototype.hasOwnProperty.call(breakdown, account.reportKey) ? account.reportKey : 'other';
+        breakdown[key] = (breakdown[key] || 0) + balance;
 
-    const breakdown = {
-      cash: cashBalance,
-      accountsReceivable: receivables,
-      inventory: inventory,
-      prepaidExpenses: prepaidExpenses,
-      other: 0
-    };
+        if (balance !== 0) {
+          accounts.push({ id: account.id, code: account.code, name: account.name, balance });
+        }
+      });
 
     return {
       breakdown,
+      accounts,
       total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
     };
   }
 
   /**
-   * Calculate fixed assets for balance sheet
+   * Start of the fiscal year containing a date, from Company.fiscalYearStart (MM-DD)
    */
-  async calculateFixedAssets(companyId, asOfDate) {
-    // For now, return simplified fixed assets
-    // In a full implementation, this would include equipment, buildings, etc.
-    const breakdown = {
-      equipment: 0,
-      furniture: 0,
-      buildings: 0,
-      vehicles: 0,
-      lessAccumulatedDepreciation: 0
-    };
+  async getFiscalYearStart(companyId, date) {
+    const company = await models.Company.findByPk(companyId, { attributes: ['fiscalYearStart'] });
+    const [month, day] = (company?.fiscalYearStart || '01-01').split('-').map(Number);
+    const reference = new Date(date);
+
+    const start = new Date(reference.getFullYear(), (month || 1) - 1, day || 1);
+    if (start > reference) {
+      start.setFullYear(start.getFullYear() - 1);
+    }
 
-    return {
-      breakdown,
-      total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
-    };
+    return start;
   }
 
   /**
-   * Calculate current liabilities for balance sheet
+   * Net income (revenue less expenses) posted between two dates
    */
-  async calculateCurrentLiabilities(companyId, asOfDate) {
-    const asOf = new Date(asOfDate);
+  async calculateNetIncome(companyId, startDate, endDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    return this.netIncomeFromBalances(balances);
+  }
 
-    // Accounts payable (unpaid expenses)
-    const payables = await models.Expense.sum('amount', {
-      where: {
-        companyId,
-        status: 'pending',
-        date: { [Op.lte]: asOf }
-      }
-    }) || 0;
+  netIncomeFromBalances(balances) {
+    return balances.reduce((sum, { account, balance }) => {
+      if (account.type === 'revenue') return sum + balance;
+      if (account.type === 'expense') return sum - balance;
+      return sum;
+    }, 0);
+  }
 
-    // Accrued expenses
-    const accruedExpenses = await models.Expense.sum('amount', {
-      where: {
-        companyId,
-        category: 'Accrued',
-        date: { [Op.lte]: asOf }
-      }
-    }) || 0;
+  /**
+   * Calculate current assets for balance sheet
+   */
+  async calculateCurrentAssets(companyId, asOfDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    return this.summarizeBalances(balances, 'current_asset', [
+      'cash', 'accountsReceivable', 'inventory', 'prepaidExpenses', 'other'
+    ]);
+  }
 
-    const breakdown = {
-      accountsPayable: payables,
-      accruedExpenses: accruedExpenses,
-      shortTermDebt: 0,
-      taxesPayable: 0,
-      other: 0
-    };
+  /**
+   * Calculate fixed assets for balance sheet
+   */
+  async calculateFixedAssets(companyId, asOfDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    return this.summarizeBalances(balances, 'fixed_asset', [
+      'equipment', 'furniture', 'buildings', 'vehicles', 'other', 'lessAccumulatedDepreciation'
+    ]);
+  }
 
-    return {
-      breakdown,
-      total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
-    };
+  /**
+   * Calculate current liabilities for balance sheet
+   */
+  async calculateCurrentLiabilities(companyId, asOfDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    return this.summarizeBalances(balances, 'current_liability', [
+      'accountsPayable', 'accruedExpenses', 'shortTermDebt', 'taxesPayable', 'other'
+    ]);
   }
 
   /**
    * Calculate long-term liabilities
    */
   async calculateLongTermLiabilities(companyId, asOfDate) {
-    // For now, return simplified long-term liabilities
-    const breakdown = {
-      longTermDebt: 0,
-      mortgages: 0,
-      deferredTax: 0,
-      other: 0
-    };
-
-    return {
-      breakdown,
-      total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
-    };
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    return this.summarizeBalances(balances, 'long_term_liability', [
+      'longTermDebt', 'mortgages', 'deferredTax', 'other'
+    ]);
   }
 
   /**
    * Calculate equity
    */
   async calculateEquity(companyId, asOfDate) {
-    const asOf = new Date(asOfDate);
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    const equity = this.summarizeBalances(balances, 'equity', [
+      'ownersEquity', 'drawings', 'retainedEarnings', 'other'
+    ]);
 
-    // Calculate retained earnings (accumulated profits)
-    const retainedEarnings = await this.calculateRetainedEarnings(companyId, asOf);
+    // Profit not yet closed to retained earnings
+    const fiscalYearStart = await this.getFiscalYearStart(companyId, asOfDate);
+    const priorYearsEarnings = await this.calculateRetainedEarnings(companyId, asOfDate);
+    const currentYearEarnings = await this.calculateNetIncome(companyId, fiscalYearStart, asOfDate);
 
     const breakdown = {
-      ownersEquity: 10000, // Initial capital - would be stored in database
-      retainedEarnings: retainedEarnings,
-      currentYearEarnings: 0 // Current year would be calculated separately
+      ...equity.breakdown,
+      retainedEarnings: equity.breakdown.retainedEarnings + priorYearsEarnings,
+      currentYearEarnings
     };
 
     return {
       breakdown,
+      accounts: equity.accounts,
       total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
     };
   }
 
   /**
-   * Calculate retained earnings
+   * Calculate retained earnings (net income of all fiscal years before the one containing asOfDate)
    */
   async calculateRetainedEarnings(companyId, asOfDate) {
-    const startOfTime = new Date('2020-01-01'); // Company inception
-    const endOfLastYear = new Date(new Date(asOfDate).getFullYear() - 1, 11, 31);
-
-    if (endOfLastYear < startOfTime) return 0;
+    const fiscalYearStart = await this.getFiscalYearStart(companyId, asOfDate);
+    const endOfLastYear = new Date(fiscalYearStart.getTime() - 1);
 
-    // Calculate cumulative net income up to last year
-    const revenue = await this.calculateRevenue(companyId, startOfTime.toISOString(), endOfLastYear.toISOString());
-    const expenses = await this.calculateTotalExpenses(companyId, startOfTime.toISOString(), endOfLastYear.toISOString());
-    
-    return revenue.total - expenses.total;
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate: endOfLastYear });
+    return this.netIncomeFromBalances(balances);
   }
 
   /**
@@ -203,11 +181,15 @@ class FinancialService {
   async calculateIndirectCashFlow(companyId, startDate, endDate) {
     // Start with net income
     const revenue = await this.calculateRevenue(companyId, startDate, endDate);
+    const otherIncome = await this.calculateOtherIncome(companyId, startDate, endDate);
     const expenses = await this.calculateTotalExpenses(companyId, startDate, endDate);
-    const netIncome = revenue.total - expenses.total;
+    const netIncome = revenue.total + otherIncome.total - expenses.total;
 
     // Adjustments for non-cash items
-    const depreciation = 0; // Would be calculated from fixed assets
+    const periodBalances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    const depreciation = periodBalances
+      .filter(({ account }) => account.systemKey === 'depreciation_expense')
+      .reduce((sum, { balance }) => sum + balance, 0);
     const changesInWorkingCapital = await this.calculateWorkingCapitalChanges(companyId, startDate, endDate);
 
     const breakdown = {
@@ -272,191 +254,129 @@ class FinancialService {
   }
 
   /**
-   * Calculate investing cash flow
+   * Calculate investing cash flow (fixed asset purchases and disposal proceeds)
    */
   async calculateInvestingCashFlow(companyId, startDate, endDate) {
-    // Purchase of equipment, investments, etc.
-    const capitalExpenditures = await models.Expense.sum('amount', {
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+
+    // Additions to fixed asset cost accounts, including manual entries
+    const capitalExpenditures = balances
+      .filter(({ account }) => account.subtype === 'fixed_asset' && account.systemKey !== 'accumulated_depreciation')
+      .reduce((sum, { debit }) => sum + debit, 0);
+
+    const disposals = await models.FixedAsset.sum('disposalAmount', {
       where: {
         companyId,
-        date: { [Op.between]: [startDate, endDate] },
-        category: 'Capital Equipment'
+        status: 'disposed',
+        disposalDate: { [Op.between]: [new Date(startDate), ledgerService.endOfDay(endDate)] }
       }
     }) || 0;
 
     const breakdown = {
       capitalExpenditures: -capitalExpenditures,
       investments: 0,
-      disposals: 0,
+      disposals,
       other: 0
     };
 
     return {
       breakdown,
-      total: -capitalExpenditures
+      total: disposals - capitalExpenditures
     };
   }
 
   /**
-   * Calculate financing cash flow
+   * Calculate financing cash flow from movements on debt and owner equity accounts
    */
   async calculateFinancingCashFlow(companyId, startDate, endDate) {
-    // Loans, equity, distributions
-    const loanProceeds = await models.Payment.sum('amount', {
-      where: {
-        companyId,
-        date: { [Op.between]: [startDate, endDate] },
-        type: 'inflow',
-        category: 'Loans'
-      }
-    }) || 0;
-
-    const loanPayments = await models.Payment.sum('amount', {
-      where: {
-        companyId,
-        date: { [Op.between]: [startDate, endDate] },
-        type: 'outflow',
-        category: 'Loan Payments'
-      }
-    }) || 0;
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
 
     const breakdown = {
-      loanProceeds,
-      loanPayments: -loanPayments,
+      loanProceeds: 0,
+      loanPayments: 0,
       equityInvestments: 0,
       distributions: 0,
       other: 0
     };
 
+    balances.forEach(({ account, debit, credit }) => {
+      const isDebt = account.subtype === 'long_term_liability' || account.reportKey === 'shortTermDebt';
+
+      if (isDebt) {
+        breakdown.loanProceeds += credit;
+        breakdown.loanPayments -= debit;
+      } else if (account.reportKey === 'drawings') {
+        breakdown.distributions += credit - debit;
+      } else if (account.subtype === 'equity' && !['retained_earnings', 'opening_balance_equity'].includes(account.systemKey)) {
+        // Owner capital and custom equity accounts
+        breakdown.equityInvestments += credit - debit;
+      }
+    });
+
     return {
       breakdown,
-      total: loanProceeds - loanPayments
+      total: Object.values(breakdown).reduce((sum, val) => sum + val, 0)
     };
   }
 
   /**
    * Calculate working capital changes
+   * (increase in non-cash current assets less increase in current liabilities)
    */
   async calculateWorkingCapitalChanges(companyId, startDate, endDate) {
-    // Simplified calculation - changes in receivables and payables
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    // Beginning working capital
-    const beginningReceivables = await models.Invoice.sum('total', {
-      where: {
-        companyId,
-        status: ['sent', 'overdue'],
-        date: { [Op.lt]: start }
-      }
-    }) || 0;
+    const workingCapital = async (asOfDate) => {
+      const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+      return balances.reduce((sum, { account, balance }) => {
+        if (account.subtype === 'current_asset' && account.reportKey !== 'cash') return sum + balance;
+        if (account.subtype === 'current_liability' && account.reportKey !== 'shortTermDebt') return sum - balance;
+        return sum;
+      }, 0);
+    };
 
-    // Ending working capital
-    const endingReceivables = await models.Invoice.sum('total', {
-      where: {
-        companyId,
-        status: ['sent', 'overdue'],
-        date: { [Op.lte]: end }
-      }
-    }) || 0;
+    const beginning = await workingCapital(new Date(new Date(startDate).getTime() - 1));
+    const ending = await workingCapital(endDate);
 
-    return endingReceivables - beginningReceivables;
+    return ending - beginning;
   }
 
   /**
    * Get cash balance at a specific date
    */
   async getCashBalance(companyId, date) {
-    const inflows = await models.Payment.sum('amount', {
-      where: {
-        companyId,
-        type: 'inflow',
-        date: { [Op.lte]: date }
-      }
-    }) || 0;
-
-    const outflows = await models.Payment.sum('amount', {
-      where: {
-        companyId,
-        type: 'outflow',
-        date: { [Op.lte]: date }
-      }
-    }) || 0;
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate: date });
 
-    return inflows - outflows;
+    return balances
+      .filter(({ account }) => account.subtype === 'current_asset' && account.reportKey === 'cash')
+      .reduce((sum, { balance }) => sum + balance, 0);
   }
 
   /**
-   * Calculate trial balance
+   * Calculate trial balance from the general ledger
    */
   async calculateTrialBalance(companyId, asOfDate) {
-    const accounts = [];
-    
-    // Assets
-    const currentAssets = await this.calculateCurrentAssets(companyId, asOfDate);
-    const fixedAssets = await this.calculateFixedAssets(companyId, asOfDate);
-    
-    // Add asset accounts
-    Object.entries(currentAssets.breakdown).forEach(([name, amount]) => {
-      if (amount !== 0) {
-        accounts.push({
-          accountName: `Current Assets - ${name}`,
-          accountType: 'Asset',
-          debit: amount,
-          credit: 0
-        });
-      }
-    });
-
-    Object.entries(fixedAssets.breakdown).forEach(([name, amount]) => {
-      if (amount !== 0) {
-        accounts.push({
-          accountName: `Fixed Assets - ${name}`,
-          accountType: 'Asset',
-          debit: amount,
-          credit: 0
-        });
-      }
-    });
-
-    // Liabilities
-    const currentLiabilities = await this.calculateCurrentLiabilities(companyId, asOfDate);
-    const longTermLiabilities = await this.calculateLongTermLiabilities(companyId, asOfDate);
-    
-    Object.entries(currentLiabilities.breakdown).forEach(([name, amount]) => {
-      if (amount !== 0) {
-        accounts.push({
-          accountName: `Current Liabilities - ${name}`,
-          accountType: 'Liability',
-          debit: 0,
-          credit: amount
-        });
-      }
-    });
-
-    Object.entries(longTermLiabilities.breakdown).forEach(([name, amount]) => {
-      if (amount !== 0) {
-        accounts.push({
-          accountName: `Long-term Liabilities - ${name}`,
-          accountType: 'Liability',
-          debit: 0,
-          credit: amount
-        });
-      }
-    });
+    const balances = await ledgerService.getAccountBalances(companyId, { asOfDate });
+    const accountTypeNames = {
+      asset: 'Asset',
+      liability: 'Liability',
+      equity: 'Equity',
+      revenue: 'Revenue',
+      expense: 'Expense'
+    };
 
-    // Equity
-    const equity = await this.calculateEquity(companyId, asOfDate);
-    Object.entries(equity.breakdown).forEach(([name, amount]) => {
-      if (amount !== 0) {
-        accounts.push({
-          accountName: `Equity - ${name}`,
-          accountType: 'Equity',
-          debit: 0,
-          credit: amount
-        });
-      }
-    });
+    const accounts = balances
+      .filter(({ debit, credit }) => Math.abs(debit - credit) >= 0.005)
+      .sort((a, b) => a.account.code.localeCompare(b.account.code))
+      .map(({ account, debit, credit }) => {
+        const net = Math.round((debit - credit) * 100) / 100;
+        return {
+          accountId: account.id,
+          accountCode: account.code,
+          accountName: account.name,
+          accountType: accountTypeNames[account.type],
+          debit: net > 0 ? net : 0,
+          credit: net < 0 ? -net : 0
+        };
+      });
 
     // Calculate totals
     const totalDebits = accounts.reduce((sum, acc) => sum + acc.debit, 0);
@@ -725,115 +645,237 @@ class FinancialService {
     return await this.getCashBalance(companyId, new Date().toISOString());
   }
 
-  // Include the existing calculateRevenue, calculateCOGS, and calculateOperatingExpenses methods
-  async calculateRevenue(companyId, startDate, endDate) {
-    const invoices = await models.Invoice.findAll({
+  /**
+   * Number of posted entries of the given source types in a period
+   */
+  async countEntries(companyId, sourceTypes, startDate, endDate) {
+    return models.JournalEntry.count({
       where: {
         companyId,
-        date: {
-          [Op.between]: [startDate, endDate]
-        },
-        status: 'paid'
-      },
-      attributes: ['total', 'subTotal', 'taxAmount', 'date']
+        status: 'posted',
+        sourceType: sourceTypes,
+        date: { [Op.between]: [new Date(startDate), ledgerService.endOfDay(endDate)] }
+      }
     });
+  }
 
-    const breakdown = {
-      sales: 0,
-      services: 0,
-      other: 0
-    };
-
-    const total = invoices.reduce((sum, invoice) => {
-      breakdown.sales += invoice.subTotal; // Simplification
-      return sum + invoice.total;
-    }, 0);
+  /**
+   * Calculate operating revenue for a period from the ledger
+   */
+  async calculateRevenue(companyId, startDate, endDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    const { breakdown, accounts, total } = this.summarizeBalances(balances, 'operating_revenue', [
+      'sales', 'services', 'other'
+    ]);
+    const count = await this.countEntries(companyId, ['invoice', 'pos_sale'], startDate, endDate);
 
     return {
       total,
       breakdown,
-      count: invoices.length,
-      average: invoices.length > 0 ? total / invoices.length : 0
+      accounts,
+      count,
+      average: count > 0 ? total / count : 0
     };
   }
 
   async calculateCOGS(companyId, startDate, endDate) {
-    const salesData = await models.Invoice.findAll({
-      where: {
-        companyId,
-        date: {
-          [Op.between]: [startDate, endDate]
-        },
-        status: 'paid'
-      },
-      include: [{
-        model: models.InvoiceItem,
-        include: [{
-          model: models.Product,
-          attributes: ['costPrice']
-        }]
-      }]
-    });
-
-    let total = 0;
-    const breakdown = {
-      materials: 0,
-      labor: 0,
-      overhead: 0
-    };
-
-    salesData.forEach(invoice => {
-      invoice.InvoiceItems?.forEach(item => {
-        const cost = (item.Product?.costPrice || 0) * item.quantity;
-        total += cost;
-        breakdown.materials += cost; // Simplification
-      });
-    });
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    const { breakdown, accounts, total } = this.summarizeBalances(balances, 'cost_of_sales', [
+      'materials', 'labor', 'overhead', 'other'
+    ]);
 
     return {
       total,
       breakdown,
+      accounts,
       margin: total > 0 ? ((await this.calculateRevenue(companyId, startDate, endDate)).total - total) / total * 100 : 0
     };
   }
 
+  /**
+   * Operating expenses by category. Expenses are posted net of GST, so the
+   * input tax claimed back is not counted as a cost.
+   */
   async calculateOperatingExpenses(companyId, startDate, endDate) {
-    const expenses = await models.Expense.findAll({
-      where: {
-        companyId,
-        date: {
-          [Op.between]: [startDate, endDate]
-        }
-      },
-      attributes: ['amount', 'category', 'date']
-    });
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
 
     const breakdown = {};
-    const total = expenses.reduce((sum, expense) => {
-      const category = expense.category || 'Other';
-      if (!breakdown[category]) {
-        breakdown[category] = 0;
-      }
-      breakdown[category] += expense.amount;
-      return sum + expense.amount;
-    }, 0);
+    const total = balances
+      .filter(({ account, balance }) => account.subtype === 'operating_expense' && balance !== 0)
+      .reduce((sum, { account, balance }) => {
+        const category = account.reportKey || account.name;
+        breakdown[category] = (breakdown[category] || 0) + balance;
+        return sum + balance;
+      }, 0);
 
     return {
       total,
       breakdown,
-      count: expenses.length
+      count: await this.countEntries(companyId, ['expense'], startDate, endDate)
     };
   }
 
   async calculateOtherExpenses(companyId, startDate, endDate) {
-    // This would include interest expenses, investment losses, etc.
-    // For now, return zero as it requires additional data structure
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    const { breakdown, total } = this.summarizeBalances(balances, 'other_expense', [
+      'interest', 'investments', 'other'
+    ]);
+
+    return { total, breakdown };
+  }
+
+  async calculateOtherIncome(companyId, startDate, endDate) {
+    const balances = await ledgerService.getAccountBalances(companyId, { startDate, endDate });
+    const { breakdown, total } = this.summarizeBalances(balances, 'other_income', [
+      'interest', 'investments', 'other'
+    ]);
+
+    return { total, breakdown };
+  }
+  /**
+   * Posted lines on a tax account in a period, each with the taxable amount
+   * from the rest of its journal entry
+   */
+  async getTaxLines(companyId, systemKey, startDate, endDate) {
+    const account = await ledgerService.getSystemAccount(companyId, systemKey);
+    const isOutput = systemKey === 'gst_payable';
+
+    const lines = await models.JournalLine.findAll({
+      where: { accountId: account.id },
+      include: [{
+        model: models.JournalEntry,
+        as: 'entry',
+        where: {
+          companyId,
+          status: 'posted',
+          date: { [Op.between]: [new Date(startDate), ledgerService.endOfDay(endDate)] }
+        },
+        include: [{
+          model: models.JournalLine,
+          as: 'lines',
+          include: [{ model: models.Account, attributes: ['id', 'type', 'subtype', 'systemKey'] }]
+        }]
+      }],
+      order: [[{ model: models.JournalEntry, as: 'entry' }, 'date', 'ASC']]
+    });
+
+    // Sales are measured by revenue lines, purchases by what was expensed or capitalised
+    const isTaxableLine = (line) => {
+      const { type, subtype, systemKey: key } = line.Account || {};
+      if (isOutput) return type === 'revenue';
+      return type === 'expense' || key === 'inventory' ||
+        (subtype === 'fixed_asset' && key !== 'accumulated_depreciation');
+    };
+
+    return lines.map(line => {
+      const sign = isOutput ? -1 : 1;
+      const taxableAmount = line.entry.lines
+        .filter(isTaxableLine)
+        .reduce((sum, entryLine) => sum + sign * (parseFloat(entryLine.debit) - parseFloat(entryLine.credit)), 0);
+
+      return {
+        id: line.id,
+        date: line.entry.date,
+        entryId: line.entry.id,
+        entryNumber: line.entry.entryNumber,
+        sourceType: line.entry.sourceType,
+        sourceId: line.entry.sourceId,
+        reference: line.entry.reference,
+        description: line.entry.description,
+        taxableAmount: Math.round(taxableAmount * 100) / 100,
+        taxAmount: Math.round(sign * (parseFloat(line.debit) - parseFloat(line.credit)) * 100) / 100
+      };
+    });
+  }
+
+  /**
+   * Split a date range into filing periods (monthly, quarterly or annually)
+   */
+  getFilingPeriods(startDate, endDate, frequency = 'quarterly') {
+    const monthsPerPeriod = { monthly: 1, quarterly: 3, annually: 12 }[frequency] || 3;
+    const end = ledgerService.endOfDay(endDate);
+    const periods = [];
+    let start = new Date(startDate);
+
+    while (start <= end) {
+      const next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + monthsPerPeriod, start.getUTCDate()));
+      const periodEnd = new Date(Math.min(next.getTime() - 1, end.getTime()));
+
+      periods.push({
+        startDate: start.toISOString().slice(0, 10),
+        endDate: periodEnd.toISOString().slice(0, 10),
+        start,
+        end: periodEnd
+      });
+
+      start = next;
+    }
+
+    return periods;
+  }
+
+  /**
+   * GST return: output tax on sales less input tax on purchases, per filing period
+   */
+  async calculateGstReturn(companyId, startDate, endDate, { frequency = 'quarterly' } = {}) {
+    const company = await models.Company.findByPk(companyId, {
+      attributes: ['name', 'taxId', 'gstEnabled', 'gstRate', 'currency']
+    });
+
+    const outputLines = await this.getTaxLines(companyId, 'gst_payable', startDate, endDate);
+    const inputLines = await this.getTaxLines(companyId, 'gst_receivable', startDate, endDate);
+    const revenue = await this.calculateRevenue(companyId, startDate, endDate);
+
+    const sum = (lines, field) => Math.round(lines.reduce((total, line) => total + line[field], 0) * 100) / 100;
+    const inPeriod = (period) => (line) => new Date(line.date) >= period.start && new Date(line.date) <= period.end;
+
+    const periods = this.getFilingPeriods(startDate, endDate, frequency).map(period => {
+      const output = outputLines.filter(inPeriod(period));
+      const input = inputLines.filter(inPeriod(period));
+      const outputTax = sum(output, 'taxAmount');
+      const inputTax = sum(input, 'taxAmount');
+
+      return {
+        startDate: period.startDate,
+        endDate: period.endDate,
+        name: formatFilingPeriod(period.startDate, period.endDate),
+        taxableSales: sum(output, 'taxableAmount'),
+        outputTax,
+        taxablePurchases: sum(input, 'taxableAmount'),
+        inputTax,
+        netPayable: Math.round((outputTax - inputTax) * 100) / 100
+      };
+    });
+
+    const taxableSales = sum(outputLines, 'taxableAmount');
+    const outputTax = sum(outputLines, 'taxAmount');
+    const inputTax = sum(inputLines, 'taxAmount');
+    const netPayable = Math.round((outputTax - inputTax) * 100) / 100;
+
     return {
-      total: 0,
-      breakdown: {
-        interest: 0,
-        investments: 0,
-        other: 0
+      company: {
+        name: company?.name,
+        taxId: company?.taxId,
+        gstEnabled: company?.gstEnabled,
+        gstRate: parseFloat(company?.gstRate) || 0,
+        currency: company?.currency
+      },
+      period: { startDate, endDate },
+      frequency,
+      summary: {
+        totalSales: revenue.total,
+        taxableSales,
+        exemptSales: Math.max(0, Math.round((revenue.total - taxableSales) * 100) / 100),
+        outputTax,
+        taxablePurchases: sum(inputLines, 'taxableAmount'),
+        inputTax,
+        netPayable,
+        position: netPayable >= 0 ? 'payable' : 'refundable'
+      },
+      periods,
+      details: {
+        output: outputLines,
+        input: inputLines
       }
     };
   }
@@ -0,0 +1,189 @@
+const { models } = require('../database');
+const { Op } = require('sequelize');
+const ledgerService = require('./ledgerService');
+const periodCloseService = require('./periodCloseService');
+const { round } = require('../utils/serviceUtils');
+
+// Last day of a month (UTC midnight), the date depreciation is charged on
+function monthEnd(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
+
+class FixedAssetService {
+  /**
+   * Full depreciation schedule for an asset, one row per month of useful life.
+   * The first charge falls at the end of the month depreciation starts in.
+   */
+  buildSchedule(asset) {
+    const cost = round(asset.purchaseCost);
+    const salvage = round(asset.salvageValue);
+    const months = parseInt(asset.usefulLifeMonths) || 0;
+    const depreciable = round(cost - salvage);
+    const start = new Date(asset.depreciationStartDate || asset.purchaseDate);
+    const schedule = [];
+
+    if (months <= 0 || depreciable <= 0) {
+      return schedule;
+    }
+
+    const straightLineCharge = depreciable / months;
+    const decliningRate = (parseFloat(asset.decliningBalanceRate) || 2) / months;
+    let accumulated = 0;
+
+    for (let index = 0; index < months; index++) {
+      const bookValue = cost - accumulated;
+      const remaining = round(depreciable - accumulated);
+      let charge;
+
+      if (index === months - 1) {
+        // Final month brings the asset down to its salvage value
+        charge = remaining;
+      } else if (asset.depreciationMethod === 'declining_balance') {
+        // Switch to straight-line over the remaining life once that charges more
+        const decliningCharge = bookValue * decliningRate;
+        const straightLineRemaining = remaining / (months - index);
+        charge = Math.min(round(Math.max(decliningCharge, straightLineRemaining)), remaining);
+      } else {
+        charge = Math.min(round(straightLineCharge), remaining);
+      }
+
+      if (charge <= 0) break;
+
+      accumulated = round(accumulated + charge);
+      schedule.push({
+        period: index + 1,
+        date: monthEnd(start.getUTCFullYear(), start.getUTCMonth() + index),
+        depreciation: charge,
+        accumulatedDepreciation: accumulated,
+        bookValue: round(cost - accumulated)
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Post every month of depreciation due on an asset up to throughDate
+   * that has not been charged yet. Returns the amount charged.
+   */
+  async depreciateAsset(asset, throughDate, options = {}) {
+    if (asset.status !== 'active') {
+      return 0;
+    }
+
+    const lastCharged = asset.lastDepreciationDate ? new Date(asset.lastDepreciationDate) : null;
+    const due = this.buildSchedule(asset).filter(period =>
+      period.date <= ledgerService.endOfDay(throughDate) && (!lastCharged || period.date > lastCharged)
+    );
+
+    // A charge falling in a closed accounting period would change its books
+    await periodCloseService.assertOpen(asset.companyId, due.map(period => period.date), options);
+
+    let charged = 0;
+    for (const period of due) {
+      await ledgerService.postDepreciation(asset, period.depreciation, period.date, options);
+      charged = round(charged + period.depreciation);
+    }
+
+    if (due.length > 0) {
+      const last = due[due.length - 1];
+      const fullyDepreciated = last.bookValue <= round(asset.salvageValue);
+
+      await asset.update({
+        accumulatedDepreciation: last.accumulatedDepreciation,
+        lastDepreciationDate: last.date,
+        status: fullyDepreciated ? 'fully_depreciated' : 'active'
+      }, { transaction: options.transaction });
+    }
+
+    return charged;
+  }
+
+  /**
+   * Monthly depreciation run for a company
+   */
+  async runDepreciation(companyId, throughDate = new Date(), options = {}) {
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const assets = await models.FixedAsset.findAll({
+        where: {
+          companyId,
+          status: 'active',
+          purchaseDate: { [Op.lte]: ledgerService.endOfDay(throughDate) }
+        },
+        transaction
+      });
+
+      const results = [];
+      for (const asset of assets) {
+        const amount = await this.depreciateAsset(asset, throughDate, { transaction, userId: options.userId });
+        if (amount > 0) {
+          results.push({
+            id: asset.id,
+            assetNumber: asset.assetNumber,
+            name: asset.name,
+            depreciation: amount,
+            bookValue: asset.getBookValue()
+          });
+        }
+      }
+
+      await transaction.commit();
+
+      return {
+        throughDate,
+        assets: results,
+        totalDepreciation: round(results.reduce((sum, result) => sum + result.depreciation, 0))
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Depreciation run for every company, through the end of last month
+   */
+  async runScheduledDepreciation() {
+    const now = new Date();
+    const throughDate = monthEnd(now.getUTCFullYear(), now.getUTCMonth() - 1);
+
+    const companyIds = await models.FixedAsset.findAll({
+      where: { status: 'active' },
+      attributes: ['companyId'],
+      group: ['companyId'],
+      raw: true
+    });
+
+    for (const { companyId } of companyIds) {
+      try {
+        await this.runDepreciation(companyId, throughDate);
+      } catch (error) {
+        console.error(`Depreciation run failed for company ${companyId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Dispose of an asset: charge depreciation up to the disposal date,
+   * then book the proceeds and gain or loss
+   */
+  async disposeAsset(asset, { disposalDate, disposalAmount = 0, disposalMethod }, options = {}) {
+    await periodCloseService.assertOpen(asset.companyId, disposalDate, options);
+    await this.depreciateAsset(asset, disposalDate, options);
+
+    await asset.update({
+      status: 'disposed',
+      disposalDate,
+      disposalAmount,
+      disposalMethod
+    }, { transaction: options.transaction });
+
+    await ledgerService.postFixedAssetDisposal(asset, options);
+
+    return asset;
+  }
+}
+
+module.exports = new FixedAssetService();
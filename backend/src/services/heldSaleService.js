@@ -0,0 +1,172 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const serialService = require('./serialService');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+// How long a parked cart is kept, in minutes, unless the company sets its own
+const DEFAULT_EXPIRY_MINUTES = 240;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+class HeldSaleService {
+  getMaxExpiryMinutes() {
+    return MAX_EXPIRY_MINUTES;
+  }
+
+  async getExpiryMinutes(companyId) {
+    const company = await models.Company.findByPk(companyId, { attributes: ['settings'] });
+    const minutes = parseInt(company?.settings?.posHeldSaleExpiryMinutes);
+    return minutes > 0 && minutes <= MAX_EXPIRY_MINUTES ? minutes : DEFAULT_EXPIRY_MINUTES;
+  }
+
+  /**
+   * Drop held sales past their expiry. Nothing was reserved for them, so
+   * there is no stock to put back.
+   */
+  purgeExpired(companyId) {
+    return models.POSHeldSale.destroy({
+      where: { companyId, expiresAt: { [Op.lte]: new Date() } }
+    });
+  }
+
+  /**
+   * Held sales any register in the company can resume, oldest first
+   */
+  async list(companyId) {
+    await this.purgeExpired(companyId);
+
+    return models.POSHeldSale.findAll({
+      where: { companyId },
+      include: [
+        { model: models.User, as: 'HeldBy', attributes: ['id', 'firstName', 'lastName'] },
+        { model: models.Customer, attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Park a cart. Its products must belong to the company, but stock is
+   * neither checked nor taken: that happens when the resumed sale completes.
+   */
+  async hold(companyId, userId, { items, label = null, customerId = null, notes = null, deviceInfo = {} }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw invalidRequest('Cannot hold an empty cart');
+    }
+
+    if (customerId) {
+      const customer = await models.Customer.findOne({ where: { id: customerId, companyId }, attributes: ['id'] });
+      if (!customer) {
+        throw invalidRequest('Customer not found', 404);
+      }
+    }
+
+    const products = await models.Product.findAll({
+      where: { id: [...new Set(items.map(item => item.productId))], companyId },
+      attributes: ['id', 'name', 'price']
+    });
+
+    let subtotal = 0;
+    const lines = items.map(item => {
+      const product = products.find(candidate => candidate.id === item.productId);
+      if (!product) {
+        throw invalidRequest(`Product with ID ${item.productId} not found`, 404);
+      }
+
+      const quantity = parseFloat(item.quantity);
+      if (!(quantity > 0)) {
+        throw invalidRequest(`Quantity of ${product.name} must be a positive number`);
+      }
+
+      const discountType = item.discountType || 'none';
+      const discountValue = parseFloat(item.discountValue || 0);
+      const price = parseFloat(product.price) * quantity;
+      subtotal += price - (discountType === 'percentage'
+        ? (price * discountValue) / 100
+        : discountType === 'fixed' ? discountValue : 0);
+
+      return {
+        productId: product.id,
+        quantity,
+        serialNumbers: serialService.normalize(item.serialNumbers),
+        discountType,
+        discountValue,
+        notes: item.notes || null
+      };
+    });
+
+    const minutes = await this.getExpiryMinutes(companyId);
+
+    return models.POSHeldSale.create({
+      companyId,
+      heldBy: userId,
+      label,
+      customerId,
+      items: lines,
+      itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal: round(subtotal),
+      notes,
+      deviceInfo,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+  }
+
+  /**
+   * Take a held sale back into a cart, on this or any other register. It is
+   * removed as it is claimed, so two registers cannot both resume it. Lines
+   * come back with the product as it is now, for current prices and stock;
+   * a product deleted since is left out and reported.
+   */
+  async resume(companyId, id) {
+    const heldSale = await models.POSHeldSale.findOne({
+      where: { id, companyId, expiresAt: { [Op.gt]: new Date() } },
+      include: [{ model: models.Customer, attributes: ['id', 'name'] }]
+    });
+    if (!heldSale) {
+      throw invalidRequest('Held sale not found or expired', 404);
+    }
+
+    const claimed = await models.POSHeldSale.destroy({ where: { id: heldSale.id } });
+    if (claimed === 0) {
+      throw invalidRequest('Held sale has already been resumed', 404);
+    }
+
+    const products = await models.Product.findAll({
+      where: { id: heldSale.items.map(item => item.productId), companyId }
+    });
+
+    const items = [];
+    const missing = [];
+    heldSale.items.forEach(item => {
+      const product = products.find(candidate => candidate.id === item.productId);
+      if (product) {
+        items.push({ ...item, product });
+      } else {
+        missing.push(item.productId);
+      }
+    });
+
+    return {
+      id: heldSale.id,
+      label: heldSale.label,
+      customerId: heldSale.customerId,
+      customer: heldSale.Customer,
+      notes: heldSale.notes,
+      heldBy: heldSale.heldBy,
+      heldAt: heldSale.createdAt,
+      items,
+      missingProductIds: missing
+    };
+  }
+
+  /**
+   * Discard a held sale without selling it
+   */
+  async discard(companyId, id) {
+    const discarded = await models.POSHeldSale.destroy({ where: { id, companyId } });
+    if (discarded === 0) {
+      throw invalidRequest('Held sale not found', 404);
+    }
+  }
+}
+
+module.exports = new HeldSaleService();
@@ -0,0 +1,866 @@
+const { models } = require('../database');
+const { Op } = require('sequelize');
+const tenderService = require('./tenderService');
+const { round } = require('../utils/serviceUtils');
+
+// Chart of accounts created for every company on first posting.
+// systemKey identifies accounts the ledger posts to automatically,
+// reportKey is the financial statement line the account rolls up into.
+const DEFAULT_ACCOUNTS = [
+  // Current assets
+  { code: '1000', name: 'Cash on Hand', type: 'asset', subtype: 'current_asset', systemKey: 'cash', reportKey: 'cash' },
+  { code: '1010', name: 'Bank Account', type: 'asset', subtype: 'current_asset', systemKey: 'bank', reportKey: 'cash' },
+  { code: '1020', name: 'Card & Online Payments Clearing', type: 'asset', subtype: 'current_asset', systemKey: 'card_clearing', reportKey: 'cash' },
+  { code: '1100', name: 'Accounts Receivable', type: 'asset', subtype: 'current_asset', systemKey: 'accounts_receivable', reportKey: 'accountsReceivable' },
+  { code: '1200', name: 'Inventory', type: 'asset', subtype: 'current_asset', systemKey: 'inventory', reportKey: 'inventory' },
+  { code: '1300', name: 'Prepaid Expenses', type: 'asset', subtype: 'current_asset', systemKey: 'prepaid_expenses', reportKey: 'prepaidExpenses' },
+  { code: '1350', name: 'GST Receivable', type: 'asset', subtype: 'current_asset', systemKey: 'gst_receivable', reportKey: 'other' },
+
+  // Fixed assets
+  { code: '1500', name: 'Equipment', type: 'asset', subtype: 'fixed_asset', systemKey: 'equipment', reportKey: 'equipment' },
+  { code: '1510', name: 'Furniture & Fixtures', type: 'asset', subtype: 'fixed_asset', systemKey: 'furniture', reportKey: 'furniture' },
+  { code: '1520', name: 'Buildings', type: 'asset', subtype: 'fixed_asset', systemKey: 'buildings', reportKey: 'buildings' },
+  { code: '1530', name: 'Vehicles', type: 'asset', subtype: 'fixed_asset', systemKey: 'vehicles', reportKey: 'vehicles' },
+  { code: '1540', name: 'Other Fixed Assets', type: 'asset', subtype: 'fixed_asset', systemKey: 'other_fixed_assets', reportKey: 'other' },
+  { code: '1590', name: 'Accumulated Depreciation', type: 'asset', subtype: 'fixed_asset', systemKey: 'accumulated_depreciation', reportKey: 'lessAccumulatedDepreciation' },
+
+  // Current liabilities
+  { code: '2000', name: 'Accounts Payable', type: 'liability', subtype: 'current_liability', systemKey: 'accounts_payable', reportKey: 'accountsPayable' },
+  { code: '2100', name: 'Accrued Expenses', type: 'liability', subtype: 'current_liability', systemKey: 'accrued_expenses', reportKey: 'accruedExpenses' },
+  { code: '2200', name: 'GST Payable', type: 'liability', subtype: 'current_liability', systemKey: 'gst_payable', reportKey: 'taxesPayable' },
+  { code: '2300', name: 'Short-term Loans', type: 'liability', subtype: 'current_liability', systemKey: 'short_term_debt', reportKey: 'shortTermDebt' },
+  { code: '2400', name: 'Gift Cards Outstanding', type: 'liability', subtype: 'current_liability', systemKey: 'gift_cards', reportKey: 'other' },
+
+  // Long-term liabilities
+  { code: '2500', name: 'Long-term Loans', type: 'liability', subtype: 'long_term_liability', systemKey: 'long_term_debt', reportKey: 'longTermDebt' },
+  { code: '2510', name: 'Mortgages', type: 'liability', subtype: 'long_term_liability', systemKey: 'mortgages', reportKey: 'mortgages' },
+
+  // Equity
+  { code: '3000', name: "Owner's Capital", type: 'equity', subtype: 'equity', systemKey: 'owner_capital', reportKey: 'ownersEquity' },
+  { code: '3100', name: "Owner's Drawings", type: 'equity', subtype: 'equity', systemKey: 'owner_drawings', reportKey: 'drawings' },
+  { code: '3200', name: 'Retained Earnings', type: 'equity', subtype: 'equity', systemKey: 'retained_earnings', reportKey: 'retainedEarnings' },
+  { code: '3900', name: 'Opening Balance Equity', type: 'equity', subtype: 'equity', systemKey: 'opening_balance_equity', reportKey: 'ownersEquity' },
+
+  // Revenue
+  { code: '4000', name: 'Sales Revenue', type: 'revenue', subtype: 'operating_revenue', systemKey: 'sales_revenue', reportKey: 'sales' },
+  { code: '4100', name: 'Service Revenue', type: 'revenue', subtype: 'operating_revenue', systemKey: 'service_revenue', reportKey: 'services' },
+  { code: '4900', name: 'Other Income', type: 'revenue', subtype: 'other_income', systemKey: 'other_income', reportKey: 'other' },
+  { code: '4910', name: 'Gain on Disposal of Assets', type: 'revenue', subtype: 'other_income', systemKey: 'gain_on_disposal', reportKey: 'investments' },
+
+  // Cost of sales
+  { code: '5000', name: 'Cost of Goods Sold', type: 'expense', subtype: 'cost_of_sales', systemKey: 'cogs', reportKey: 'materials' },
+  { code: '5100', name: 'Inventory Adjustments', type: 'expense', subtype: 'cost_of_sales', systemKey: 'inventory_adjustments', reportKey: 'overhead' },
+
+  // Operating expenses (one per Expense category)
+  { code: '6000', name: 'Rent', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_rent', reportKey: 'Rent' },
+  { code: '6010', name: 'Utilities', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_utilities', reportKey: 'Utilities' },
+  { code: '6020', name: 'Salaries', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_salaries', reportKey: 'Salaries' },
+  { code: '6030', name: 'Supplies', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_supplies', reportKey: 'Supplies' },
+  { code: '6040', name: 'Marketing', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_marketing', reportKey: 'Marketing' },
+  { code: '6050', name: 'Travel', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_travel', reportKey: 'Travel' },
+  { code: '6060', name: 'Insurance', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_insurance', reportKey: 'Insurance' },
+  { code: '6070', name: 'Professional Services', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_professional_services', reportKey: 'Professional Services' },
+  { code: '6080', name: 'Equipment Expense', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_equipment', reportKey: 'Equipment' },
+  { code: '6090', name: 'Software', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_software', reportKey: 'Software' },
+  { code: '6100', name: 'Maintenance', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_maintenance', reportKey: 'Maintenance' },
+  { code: '6110', name: 'Office Expenses', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_office_expenses', reportKey: 'Office Expenses' },
+  { code: '6120', name: 'Telecommunications', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_telecommunications', reportKey: 'Telecommunications' },
+  { code: '6190', name: 'Other Expenses', type: 'expense', subtype: 'operating_expense', systemKey: 'expense_other', reportKey: 'Other' },
+  { code: '6500', name: 'Depreciation Expense', type: 'expense', subtype: 'operating_expense', systemKey: 'depreciation_expense', reportKey: 'Depreciation' },
+
+  // Other expenses
+  { code: '7000', name: 'Interest Expense', type: 'expense', subtype: 'other_expense', systemKey: 'interest_expense', reportKey: 'interest' },
+  { code: '7100', name: 'Bank & Processing Fees', type: 'expense', subtype: 'other_expense', systemKey: 'bank_fees', reportKey: 'other' },
+  { code: '7200', name: 'Loss on Disposal of Assets', type: 'expense', subtype: 'other_expense', systemKey: 'loss_on_disposal', reportKey: 'investments' }
+];
+
+// Which asset account receives money for each payment method
+const PAYMENT_METHOD_ACCOUNTS = {
+  cash: 'cash',
+  check: 'bank',
+  bank_transfer: 'bank',
+  card: 'card_clearing',
+  stripe: 'card_clearing',
+  paypal: 'card_clearing',
+  bml: 'card_clearing',
+  online: 'card_clearing',
+  mobile_payment: 'card_clearing',
+  gift_card: 'gift_cards',
+  mixed: 'card_clearing',
+  on_account: 'accounts_payable',
+  other: 'bank'
+};
+
+// Fixed asset category -> cost account
+const FIXED_ASSET_ACCOUNTS = {
+  equipment: 'equipment',
+  furniture: 'furniture',
+  buildings: 'buildings',
+  vehicles: 'vehicles',
+  other: 'other_fixed_assets'
+};
+
+const POSTED_INVOICE_STATUSES = ['sent', 'paid', 'overdue', 'partially_paid'];
+
+// Stock movements whose cost is posted by their source document rather than
+// as an inventory adjustment
+const SELF_POSTING_STOCK_SOURCES = ['pos_sale', 'pos_refund', 'purchase_order'];
+
+// Date-only period ends (YYYY-MM-DD) include the whole day
+function endOfDay(date) {
+  const end = new Date(date);
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  return end;
+}
+
+class LedgerService {
+  endOfDay(date) {
+    return endOfDay(date);
+  }
+
+  getDefaultAccounts() {
+    return DEFAULT_ACCOUNTS;
+  }
+
+  getPaymentAccountKey(method) {
+    return PAYMENT_METHOD_ACCOUNTS[method] || 'bank';
+  }
+
+  getExpenseAccountKey(category) {
+    const key = `expense_${String(category || 'Other').toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+    return DEFAULT_ACCOUNTS.some(account => account.systemKey === key) ? key : 'expense_other';
+  }
+
+  /**
+   * Create any missing default accounts for a company and return all of its accounts
+   */
+  async ensureChartOfAccounts(companyId, options = {}) {
+    const { transaction } = options;
+
+    const accounts = await models.Account.findAll({
+      where: { companyId },
+      transaction
+    });
+
+    const existingKeys = new Set(accounts.map(account => account.systemKey).filter(Boolean));
+    const existingCodes = new Set(accounts.map(account => account.code));
+    const missing = DEFAULT_ACCOUNTS.filter(account => !existingKeys.has(account.systemKey));
+
+    if (missing.length === 0) {
+      return accounts;
+    }
+
+    // Another posting may be creating the same accounts at once; whichever
+    // lands second skips them and reads back what is there
+    await models.Account.bulkCreate(
+      missing.map(account => ({
+        ...account,
+        // A custom account may already use the default code
+        code: existingCodes.has(account.code) ? `${account.code}-S` : account.code,
+        companyId,
+        isSystem: true
+      })),
+      { transaction, ignoreDuplicates: true }
+    );
+
+    return models.Account.findAll({
+      where: { companyId },
+      transaction
+    });
+  }
+
+  /**
+   * Resolve a system account (e.g. 'cash', 'accounts_receivable') for a company
+   */
+  async getSystemAccount(companyId, systemKey, options = {}) {
+    const accounts = await this.ensureChartOfAccounts(companyId, options);
+    return accounts.find(account => account.systemKey === systemKey) || null;
+  }
+
+  /**
+   * Validate and resolve entry lines. Lines may reference an account by
+   * accountId or by systemKey. Zero lines are dropped.
+   */
+  async resolveLines(companyId, lines, options = {}) {
+    const accounts = await this.ensureChartOfAccounts(companyId, options);
+    const resolved = [];
+
+    for (const line of lines) {
+      const debit = round(line.debit);
+      const credit = round(line.credit);
+
+      if (debit < 0 || credit < 0) {
+        throw new Error('Journal line amounts cannot be negative');
+      }
+
+      if (debit === 0 && credit === 0) continue;
+
+      const account = line.accountId
+        ? accounts.find(acc => acc.id === line.accountId)
+        : accounts.find(acc => acc.systemKey === line.systemKey);
+
+      if (!account) {
+        throw new Error(`Account ${line.accountId || line.systemKey} not found`);
+      }
+
+      resolved.push({
+        accountId: account.id,
+        description: line.description || null,
+        debit,
+        credit
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Post a balanced journal entry. Returns null when every line is zero.
+   */
+  async postEntry(entryData, options = {}) {
+    const { transaction } = options;
+    const { companyId, lines = [], ...entryFields } = entryData;
+
+    const resolvedLines = await this.resolveLines(companyId, lines, options);
+
+    if (resolvedLines.length === 0) {
+      return null;
+    }
+
+    const totalDebits = round(resolvedLines.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredits = round(resolvedLines.reduce((sum, line) => sum + line.credit, 0));
+
+    if (Math.abs(totalDebits - totalCredits) >= 0.01) {
+      throw new Error(`Journal entry is not balanced: debits ${totalDebits.toFixed(2)}, credits ${totalCredits.toFixed(2)}`);
+    }
+
+    const entry = await models.JournalEntry.create({
+      ...entryFields,
+      companyId,
+      status: 'posted',
+      totalAmount: totalDebits
+    }, { transaction });
+
+    await models.JournalLine.bulkCreate(
+      resolvedLines.map(line => ({ ...line, journalEntryId: entry.id })),
+      { transaction }
+    );
+
+    return entry;
+  }
+
+  /**
+   * Void every posted entry generated by a source document
+   */
+  async voidSourceEntries(companyId, sourceType, sourceId, options = {}) {
+    const { transaction } = options;
+
+    const [count] = await models.JournalEntry.update(
+      { status: 'void' },
+      {
+        where: { companyId, sourceType, sourceId, status: 'posted' },
+        transaction
+      }
+    );
+
+    return count;
+  }
+
+  /**
+   * Keep a single posted entry in sync with its source document.
+   * Existing entries are voided and a new one posted only when the lines change.
+   */
+  async replaceSourceEntry(entryData, options = {}) {
+    const { transaction } = options;
+    const { companyId, sourceType, sourceId } = entryData;
+
+    const existing = await models.JournalEntry.findAll({
+      where: { companyId, sourceType, sourceId, status: 'posted' },
+      include: [{ model: models.JournalLine, as: 'lines' }],
+      transaction
+    });
+
+    const resolvedLines = await this.resolveLines(companyId, entryData.lines || [], options);
+
+    if (existing.length === 1 && this.linesMatch(existing[0], resolvedLines, entryData.date)) {
+      return existing[0];
+    }
+
+    if (existing.length > 0) {
+      await this.voidSourceEntries(companyId, sourceType, sourceId, options);
+    }
+
+    return this.postEntry({ ...entryData, lines: resolvedLines }, options);
+  }
+
+  linesMatch(entry, resolvedLines, date) {
+    if (date && new Date(entry.date).getTime() !== new Date(date).getTime()) {
+      return false;
+    }
+
+    const signature = lines => lines
+      .map(line => `${line.accountId}:${round(line.debit).toFixed(2)}:${round(line.credit).toFixed(2)}`)
+      .sort()
+      .join('|');
+
+    return signature(entry.lines || []) === signature(resolvedLines);
+  }
+
+  /**
+   * Cost of the product lines on a document, at current product cost
+   */
+  costOfItems(items) {
+    return round(items.reduce((sum, item) => {
+      const product = item.Product;
+      if (!product || !product.trackInventory) return sum;
+      return sum + (parseFloat(product.cost) || 0) * (parseFloat(item.quantity) || 0);
+    }, 0));
+  }
+
+  /**
+   * Cost of `quantity` units of a POS sale line, at the cost recorded when it
+   * was sold. Lines sold before that was recorded fall back to current cost.
+   */
+  costOfSaleItem(item, quantity = parseFloat(item.quantity) || 0, product = item.Product) {
+    if (item.costAmount !== null && item.costAmount !== undefined) {
+      const itemQuantity = parseFloat(item.quantity) || 1;
+      return round(parseFloat(item.costAmount) * quantity / itemQuantity);
+    }
+    return this.costOfItems([{ Product: product, quantity }]);
+  }
+
+  /**
+   * Invoice issued: Dr Accounts Receivable, Cr Sales Revenue and GST Payable.
+   * Invoices do not move stock, so cost is recognised when stock is adjusted
+   * (bundle components an invoice takes out are posted as adjustments).
+   */
+  async postInvoice(invoice, options = {}) {
+    if (invoice.type === 'quote' || !POSTED_INVOICE_STATUSES.includes(invoice.status)) {
+      return this.voidSourceEntries(invoice.companyId, 'invoice', invoice.id, options);
+    }
+
+    const total = round(invoice.total);
+    const tax = round(invoice.gstAmount);
+
+    return this.replaceSourceEntry({
+      companyId: invoice.companyId,
+      date: invoice.issueDate,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      sourceType: 'invoice',
+      sourceId: invoice.id,
+      reference: invoice.invoiceNumber,
+      createdBy: invoice.createdBy,
+      lines: [
+        { systemKey: 'accounts_receivable', debit: total },
+        { systemKey: 'sales_revenue', credit: round(total - tax) },
+        { systemKey: 'gst_payable', credit: tax }
+      ]
+    }, options);
+  }
+
+  /**
+   * Late fee charged on an overdue invoice: Dr Accounts Receivable, Cr Other Income.
+   * Posted on the day it was charged, apart from the invoice entry.
+   */
+  async postLateFee(invoice, options = {}) {
+    const fee = round(invoice.lateFeeAmount);
+
+    if (invoice.type === 'quote' || !fee || !invoice.lateFeeDate || !POSTED_INVOICE_STATUSES.includes(invoice.status)) {
+      return this.voidSourceEntries(invoice.companyId, 'late_fee', invoice.id, options);
+    }
+
+    return this.replaceSourceEntry({
+      companyId: invoice.companyId,
+      date: invoice.lateFeeDate,
+      description: `Late fee on invoice ${invoice.invoiceNumber}`,
+      sourceType: 'late_fee',
+      sourceId: invoice.id,
+      reference: invoice.invoiceNumber,
+      createdBy: invoice.createdBy,
+      lines: [
+        { systemKey: 'accounts_receivable', debit: fee },
+        { systemKey: 'other_income', credit: fee }
+      ]
+    }, options);
+  }
+
+  /**
+   * Customer payment against an invoice: Dr Cash/Bank, Cr Accounts Receivable
+   */
+  async postPayment(payment, options = {}) {
+    if (!payment.invoiceId || payment.status !== 'completed' || payment.deletedAt) {
+      return this.voidSourceEntries(payment.companyId, 'payment', payment.id, options);
+    }
+
+    const amount = round(payment.amount);
+
+    return this.replaceSourceEntry({
+      companyId: payment.companyId,
+      date: payment.date,
+      description: `Payment received${payment.reference ? ` (${payment.reference})` : ''}`,
+      sourceType: 'payment',
+      sourceId: payment.id,
+      reference: payment.reference,
+      createdBy: payment.createdBy,
+      lines: [
+        { systemKey: this.getPaymentAccountKey(payment.method), debit: amount },
+        { systemKey: 'accounts_receivable', credit: amount }
+      ]
+    }, options);
+  }
+
+  /**
+   * Payment to a supplier for an expense bought on account:
+   * Dr Accounts Payable, Cr Cash/Bank
+   */
+  async postSupplierPayment(payment, options = {}) {
+    const amount = round(payment.amount);
+
+    return this.replaceSourceEntry({
+      companyId: payment.companyId,
+      date: payment.date,
+      description: `Payment to supplier${payment.reference ? ` (${payment.reference})` : ''}`,
+      sourceType: 'supplier_payment',
+      sourceId: payment.id,
+      reference: payment.reference,
+      createdBy: payment.createdBy,
+      lines: [
+        { systemKey: 'accounts_payable', debit: amount },
+        { systemKey: this.getPaymentAccountKey(payment.method), credit: amount }
+      ]
+    }, options);
+  }
+
+  /**
+   * Approved expense: Dr expense account for its category (net of GST),
+   * Dr GST Receivable, Cr Cash/Bank for the total paid (Accounts Payable when
+   * bought on account). Stock bought for resale is debited to Inventory.
+   */
+  async postExpense(expense, options = {}) {
+    if (expense.status !== 'approved') {
+      return this.voidSourceEntries(expense.companyId, 'expense', expense.id, options);
+    }
+
+    const tax = round(expense.taxAmount);
+    const total = round(expense.getTotalAmount());
+    const debitKey = expense.category === 'Inventory' ? 'inventory' : this.getExpenseAccountKey(expense.category);
+
+    return this.replaceSourceEntry({
+      companyId: expense.companyId,
+      date: expense.date,
+      description: `Expense ${expense.expenseNumber || ''} ${expense.description || ''}`.trim(),
+      sourceType: 'expense',
+      sourceId: expense.id,
+      reference: expense.expenseNumber,
+      createdBy: expense.createdBy,
+      lines: [
+        { systemKey: debitKey, debit: round(total - tax) },
+        { systemKey: 'gst_receivable', debit: tax },
+        { systemKey: this.getPaymentAccountKey(expense.paymentMethod), credit: total }
+      ]
+    }, options);
+  }
+
+  /**
+   * POS sale: Dr Cash/Clearing, Cr Sales Revenue and GST Payable,
+   * plus Dr COGS / Cr Inventory for stocked products
+   */
+  async postPOSSale(sale, options = {}) {
+    const { transaction } = options;
+
+    if (sale.status === 'cancelled') {
+      return this.voidSourceEntries(sale.companyId, 'pos_sale', sale.id, options);
+    }
+
+    const items = await models.POSSaleItem.findAll({
+      where: { saleId: sale.id },
+      include: [{ model: models.Product, attributes: ['id', 'cost', 'trackInventory'] }],
+      transaction
+    });
+
+    const payments = await models.POSSalePayment.findAll({
+      where: { saleId: sale.id },
+      attributes: ['tender', 'amount'],
+      transaction
+    });
+
+    const total = round(sale.total);
+    const tax = round(sale.taxAmount);
+    const cost = round(items.reduce((sum, item) => sum + this.costOfSaleItem(item), 0));
+
+    // Each tender is debited to its own account: cash to the till, card to
+    // clearing, gift cards against what is owed on them
+    const received = {};
+    tenderService.getSaleTenders({ payments, paymentMethod: sale.paymentMethod, total }).forEach(({ tender, amount }) => {
+      const key = this.getPaymentAccountKey(tender);
+      received[key] = round((received[key] || 0) + amount);
+    });
+
+    return this.replaceSourceEntry({
+      companyId: sale.companyId,
+      date: sale.date,
+      description: `POS sale ${sale.saleNumber}`,
+      sourceType: 'pos_sale',
+      sourceId: sale.id,
+      reference: sale.saleNumber,
+      createdBy: sale.cashierId,
+      lines: [
+        ...Object.entries(received).map(([systemKey, amount]) => ({ systemKey, debit: amount })),
+        { systemKey: 'sales_revenue', credit: round(total - tax) },
+        { systemKey: 'gst_payable', credit: tax },
+        { systemKey: 'cogs', debit: cost },
+        { systemKey: 'inventory', credit: cost }
+      ]
+    }, options);
+  }
+
+  /**
+   * POS refund: reverses revenue and tax against the refund tender, and COGS for
+   * any quantity returned to stock. refundLines: [{ saleItem, quantity, restockQuantity }]
+   * options.refund (the POSRefund) gives the tender, date and number; refunds
+   * made before those were recorded are paid back with the sale's tender.
+   */
+  async postPOSRefund(sale, refundLines, options = {}) {
+    const { transaction, refund } = options;
+    let revenue = 0;
+    let tax = 0;
+    let cost = 0;
+
+    for (const { saleItem, quantity, restockQuantity = 0 } of refundLines) {
+      const itemQuantity = parseFloat(saleItem.quantity) || 1;
+      const ratio = quantity / itemQuantity;
+      const lineTax = (parseFloat(saleItem.taxAmount) || 0) * ratio;
+      const lineTotal = (parseFloat(saleItem.lineTotal) || 0) * ratio;
+
+      revenue += lineTotal - lineTax;
+      tax += lineTax;
+
+      if (restockQuantity > 0) {
+        const product = await models.Product.findByPk(saleItem.productId, {
+          attributes: ['id', 'cost', 'trackInventory'],
+          transaction
+        });
+        cost += this.costOfSaleItem(saleItem, restockQuantity, product);
+      }
+    }
+
+    revenue = round(revenue);
+    tax = round(tax);
+    cost = round(cost);
+
+    return this.postEntry({
+      companyId: sale.companyId,
+      date: refund?.date || options.date || new Date(),
+      description: refund
+        ? `Refund ${refund.refundNumber} for POS sale ${sale.saleNumber}`
+        : `Refund for POS sale ${sale.saleNumber}`,
+      sourceType: 'pos_refund',
+      sourceId: refund?.id || sale.id,
+      reference: refund?.refundNumber || sale.saleNumber,
+      createdBy: options.userId || refund?.processedBy,
+      lines: [
+        { systemKey: 'sales_revenue', debit: revenue },
+        { systemKey: 'gst_payable', debit: tax },
+        { systemKey: this.getPaymentAccountKey(refund?.refundMethod || sale.paymentMethod), credit: round(revenue + tax) },
+        { systemKey: 'inventory', debit: cost },
+        { systemKey: 'cogs', credit: cost }
+      ]
+    }, options);
+  }
+
+  /**
+   * Stock counted in or written off outside of a sale, valued at options.value
+   * (the cost of the stock movement) or else the product's current cost.
+   * Opening stock is credited to Opening Balance Equity, later changes to Inventory Adjustments.
+   */
+  async postInventoryAdjustment(product, quantityChange, options = {}) {
+    if (!product.trackInventory || !quantityChange) {
+      return null;
+    }
+
+    const value = options.value !== undefined && !isNaN(options.value)
+      ? round(options.value)
+      : round(Math.abs(quantityChange) * (parseFloat(product.cost) || 0));
+    const counterKey = options.opening ? 'opening_balance_equity' : 'inventory_adjustments';
+    const increase = quantityChange > 0;
+
+    return this.postEntry({
+      companyId: product.companyId,
+      date: options.date || new Date(),
+      description: `${options.opening ? 'Opening stock' : 'Stock adjustment'} for ${product.name} (${quantityChange > 0 ? '+' : ''}${quantityChange})`,
+      sourceType: 'inventory',
+      sourceId: product.id,
+      reference: product.sku,
+      createdBy: options.userId,
+      lines: [
+        { systemKey: 'inventory', debit: increase ? value : 0, credit: increase ? 0 : value },
+        { systemKey: counterKey, debit: increase ? 0 : value, credit: increase ? value : 0 }
+      ]
+    }, options);
+  }
+
+  /**
+   * Fixed asset purchase: Dr asset account for its category, Cr Cash/Bank (or Accounts Payable)
+   */
+  async postFixedAssetAcquisition(asset, options = {}) {
+    const cost = round(asset.purchaseCost);
+
+    return this.replaceSourceEntry({
+      companyId: asset.companyId,
+      date: asset.purchaseDate,
+      description: `Purchase of fixed asset ${asset.assetNumber || ''} ${asset.name}`.replace(/\s+/g, ' '),
+      sourceType: 'fixed_asset',
+      sourceId: asset.id,
+      reference: asset.assetNumber,
+      createdBy: asset.createdBy,
+      lines: [
+        { systemKey: FIXED_ASSET_ACCOUNTS[asset.category] || 'other_fixed_assets', debit: cost },
+        { systemKey: this.getPaymentAccountKey(asset.paymentMethod), credit: cost }
+      ]
+    }, options);
+  }
+
+  /**
+   * Monthly depreciation charge: Dr Depreciation Expense, Cr Accumulated Depreciation
+   */
+  async postDepreciation(asset, amount, date, options = {}) {
+    const value = round(amount);
+    const period = new Date(date).toISOString().slice(0, 7);
+
+    return this.postEntry({
+      companyId: asset.companyId,
+      date,
+      description: `Depreciation ${period} for ${asset.assetNumber || ''} ${asset.name}`.replace(/\s+/g, ' '),
+      sourceType: 'depreciation',
+      sourceId: asset.id,
+      reference: asset.assetNumber,
+      createdBy: options.userId,
+      lines: [
+        { systemKey: 'depreciation_expense', debit: value },
+        { systemKey: 'accumulated_depreciation', credit: value }
+      ]
+    }, options);
+  }
+
+  /**
+   * Asset disposal: removes cost and accumulated depreciation, books proceeds
+   * and the gain or loss against book value
+   */
+  async postFixedAssetDisposal(asset, options = {}) {
+    const cost = round(asset.purchaseCost);
+    const accumulated = round(asset.accumulatedDepreciation);
+    const proceeds = round(asset.disposalAmount);
+    const gain = round(proceeds - (cost - accumulated));
+
+    return this.replaceSourceEntry({
+      companyId: asset.companyId,
+      date: asset.disposalDate,
+      description: `Disposal of fixed asset ${asset.assetNumber || ''} ${asset.name}`.replace(/\s+/g, ' '),
+      sourceType: 'asset_disposal',
+      sourceId: asset.id,
+      reference: asset.assetNumber,
+      createdBy: options.userId,
+      lines: [
+        { systemKey: this.getPaymentAccountKey(asset.disposalMethod), debit: proceeds },
+        { systemKey: 'accumulated_depreciation', debit: accumulated },
+        { systemKey: 'loss_on_disposal', debit: gain < 0 ? -gain : 0 },
+        { systemKey: FIXED_ASSET_ACCOUNTS[asset.category] || 'other_fixed_assets', credit: cost },
+        { systemKey: 'gain_on_disposal', credit: gain > 0 ? gain : 0 }
+      ]
+    }, options);
+  }
+
+  /**
+   * Sum posted debits and credits per account.
+   * Pass asOfDate for balances, or startDate/endDate for period activity.
+   */
+  async getAccountBalances(companyId, { asOfDate, startDate, endDate, transaction } = {}) {
+    const accounts = await this.ensureChartOfAccounts(companyId, { transaction });
+
+    const entryWhere = { companyId, status: 'posted' };
+    if (startDate && endDate) {
+      entryWhere.date = { [Op.between]: [new Date(startDate), endOfDay(endDate)] };
+    } else if (asOfDate) {
+      entryWhere.date = { [Op.lte]: endOfDay(asOfDate) };
+    }
+
+    const totals = await models.JournalLine.findAll({
+      include: [{
+        model: models.JournalEntry,
+        as: 'entry',
+        where: entryWhere,
+        attributes: []
+      }],
+      attributes: [
+        'accountId',
+        [models.sequelize.fn('SUM', models.sequelize.col('debit')), 'totalDebit'],
+        [models.sequelize.fn('SUM', models.sequelize.col('credit')), 'totalCredit']
+      ],
+      group: ['accountId'],
+      raw: true,
+      transaction
+    });
+
+    return accounts.map(account => {
+      const row = totals.find(total => total.accountId === account.id) || {};
+      const debit = round(row.totalDebit);
+      const credit = round(row.totalCredit);
+      const balance = account.getNormalBalance() === 'debit'
+        ? round(debit - credit)
+        : round(credit - debit);
+
+      return { account, debit, credit, balance };
+    });
+  }
+
+  /**
+   * Repost every automatic entry for a company from its source documents.
+   * Manual entries are left untouched.
+   */
+  async rebuildCompanyLedger(companyId) {
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      await this.ensureChartOfAccounts(companyId, { transaction });
+
+      await models.JournalEntry.update(
+        { status: 'void' },
+        {
+          where: { companyId, status: 'posted', sourceType: { [Op.ne]: 'manual' } },
+          transaction
+        }
+      );
+
+      const options = { transaction };
+      const counts = { invoices: 0, payments: 0, supplierPayments: 0, expenses: 0, posSales: 0, refunds: 0, products: 0, stockAdjustments: 0, fixedAssets: 0 };
+
+      const sales = await models.POSSale.findAll({
+        where: { companyId },
+        include: [
+          { model: models.POSSaleItem, as: 'items' },
+          { model: models.POSRefund, as: 'refunds' }
+        ],
+        transaction
+      });
+
+      // Stock comes from the stock ledger. Movements from invoices, stocktakes
+      // and manual changes are reposted as the adjustments they were. Opening
+      // stock is what a product held before its first movement, plus opening
+      // and reconciliation movements, which no document posts. POS sales made
+      // before a product's first movement are already out of that quantity,
+      // so their cost is still posted against it.
+      const movements = await models.StockMovement.findAll({
+        where: { companyId },
+        order: [['createdAt', 'ASC']],
+        transaction
+      });
+      const openingQuantities = {};
+      const adjustments = [];
+      movements.forEach(movement => {
+        if (!(movement.productId in openingQuantities)) {
+          openingQuantities[movement.productId] = movement.quantityBefore;
+        }
+
+        if (movement.type === 'opening' || movement.sourceType === 'reconciliation') {
+          openingQuantities[movement.productId] += movement.quantityChange;
+        } else if (!SELF_POSTING_STOCK_SOURCES.includes(movement.sourceType)) {
+          adjustments.push(movement);
+        }
+      });
+
+      const products = await models.Product.findAll({ where: { companyId }, transaction });
+      for (const product of products) {
+        const openingQuantity = openingQuantities[product.id] ?? (product.stockQuantity || 0);
+        if (await this.postInventoryAdjustment(product, openingQuantity, { ...options, opening: true, date: product.createdAt })) {
+          counts.products++;
+        }
+      }
+
+      for (const movement of adjustments) {
+        const product = products.find(row => row.id === movement.productId);
+        const posted = product && await this.postInventoryAdjustment(product, movement.quantityChange, {
+          ...options,
+          date: movement.createdAt,
+          userId: movement.userId,
+          value: movement.totalCost !== null ? Math.abs(parseFloat(movement.totalCost)) : undefined
+        });
+        if (posted) counts.stockAdjustments++;
+      }
+
+      const invoices = await models.Invoice.findAll({ where: { companyId }, transaction });
+      for (const invoice of invoices) {
+        if (await this.postInvoice(invoice, options)) counts.invoices++;
+        await this.postLateFee(invoice, options);
+      }
+
+      const payments = await models.Payment.findAll({ where: { companyId }, transaction });
+      for (const payment of payments) {
+        if (await this.postPayment(payment, options)) counts.payments++;
+      }
+
+      const expenses = await models.Expense.findAll({ where: { companyId }, transaction });
+      for (const expense of expenses) {
+        if (await this.postExpense(expense, options)) counts.expenses++;
+      }
+
+      const supplierPayments = await models.SupplierPayment.findAll({ where: { companyId }, transaction });
+      for (const payment of supplierPayments) {
+        if (await this.postSupplierPayment(payment, options)) counts.supplierPayments++;
+      }
+
+      for (const sale of sales) {
+        if (await this.postPOSSale(sale, options)) counts.posSales++;
+
+        for (const refund of sale.refunds) {
+          const refundLines = refund.items.map(line => ({
+            saleItem: sale.items.find(item => item.id === line.saleItemId),
+            quantity: parseFloat(line.quantity),
+            restockQuantity: line.disposition === 'restock' ? parseFloat(line.quantity) : 0
+          }));
+          if (await this.postPOSRefund(sale, refundLines, { ...options, refund })) counts.refunds++;
+        }
+
+        // Refunds made before they were recorded individually
+        const refundLines = sale.refunds.length > 0 ? [] : sale.items
+          .filter(item => parseFloat(item.refundedQuantity) > 0)
+          .map(item => ({
+            saleItem: item,
+            quantity: parseFloat(item.refundedQuantity),
+            restockQuantity: parseFloat(item.restockedQuantity) || 0
+          }));
+
+        if (refundLines.length > 0) {
+          const refundDate = refundLines[0].saleItem.refundedAt || sale.updatedAt;
+          if (await this.postPOSRefund(sale, refundLines, { ...options, date: refundDate })) counts.refunds++;
+        }
+      }
+
+      // Fixed assets: purchase, the depreciation already charged, and any disposal
+      const fixedAssetService = require('./fixedAssetService');
+      const assets = await models.FixedAsset.findAll({ where: { companyId }, transaction });
+      for (const asset of assets) {
+        if (await this.postFixedAssetAcquisition(asset, options)) counts.fixedAssets++;
+
+        const charged = fixedAssetService.buildSchedule(asset)
+          .filter(period => asset.lastDepreciationDate && period.date <= new Date(asset.lastDepreciationDate));
+        for (const period of charged) {
+          await this.postDepreciation(asset, period.depreciation, period.date, options);
+        }
+
+        if (asset.status === 'disposed') {
+          await this.postFixedAssetDisposal(asset, options);
+        }
+      }
+
+      await transaction.commit();
+      return counts;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const value = new Date(`${toDateString(date)}T00:00:00.000Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return toDateString(value);
+}
+
+// Whole days from one date to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+  return Math.round((new Date(`${toDateString(to)}T00:00:00.000Z`) - new Date(`${toDateString(from)}T00:00:00.000Z`)) / DAY_MS);
+}
+
+class PayablesService {
+  /**
+   * Fill in an expense's supplier details: vendor name and tax ID from the
+   * supplier directory, and a due date from its payment terms when bought on
+   * account. `values` are the expense fields after the change.
+   */
+  async applySupplier(values, companyId, options = {}) {
+    if (!values.supplierId) {
+      if (values.paymentMethod === 'on_account') {
+        throw invalidRequest('A supplier is required for expenses bought on account');
+      }
+      return values;
+    }
+
+    const supplier = await models.Supplier.findOne({
+      where: { id: values.supplierId, companyId },
+      transaction: options.transaction
+    });
+
+    if (!supplier) {
+      throw invalidRequest('Supplier not found', 404);
+    }
+
+    const result = { ...values };
+    if (!result.vendor) result.vendor = supplier.name;
+    if (!result.supplierTaxId && supplier.taxId) result.supplierTaxId = supplier.taxId.slice(0, 50);
+    if (result.paymentMethod === 'on_account' && !result.dueDate) {
+      result.dueDate = addDays(result.date || new Date(), supplier.paymentTerms ?? 30);
+    }
+
+    return result;
+  }
+
+  /**
+   * Pay (part of) an expense bought on account
+   */
+  async recordPayment(expense, { amount, date = new Date(), method = 'bank_transfer', reference = null, notes = null, userId = null }) {
+    if (expense.paymentMethod !== 'on_account' || !expense.supplierId) {
+      throw invalidRequest('Only expenses bought on account from a supplier can be paid later');
+    }
+
+    if (expense.status !== 'approved') {
+      throw invalidRequest('Expense must be approved before it is paid');
+    }
+
+    const payment = round(amount);
+    const balanceDue = expense.getBalanceDue();
+    if (payment <= 0) {
+      throw invalidRequest('Payment amount must be greater than zero');
+    }
+    if (payment > balanceDue) {
+      throw invalidRequest(`Payment amount cannot exceed the balance due of ${balanceDue.toFixed(2)}`);
+    }
+
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const supplierPayment = await models.SupplierPayment.create({
+        companyId: expense.companyId,
+        supplierId: expense.supplierId,
+        expenseId: expense.id,
+        createdBy: userId,
+        amount: payment,
+        date: toDateString(date),
+        method,
+        reference,
+        notes
+      }, { transaction });
+
+      await expense.update({ paidAmount: round(parseFloat(expense.paidAmount) + payment) }, { transaction });
+
+      await transaction.commit();
+      return supplierPayment;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a payment made in error; the amount is owed again
+   */
+  async deletePayment(payment) {
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const expense = await models.Expense.findByPk(payment.expenseId, { transaction });
+      await payment.destroy({ transaction });
+      await expense.update({ paidAmount: Math.max(0, round(parseFloat(expense.paidAmount) - parseFloat(payment.amount))) }, { transaction });
+
+      await transaction.commit();
+      return expense;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * What the company owes its suppliers, aged by due date like the
+   * receivables report
+   */
+  async getPayables(companyId, { supplierId, overdue = false, asOfDate = new Date() } = {}) {
+    const asOf = toDateString(asOfDate);
+
+    const where = {
+      companyId,
+      paymentMethod: 'on_account',
+      status: 'approved'
+    };
+    if (supplierId) where.supplierId = supplierId;
+    if (overdue) where.dueDate = { [Op.lt]: asOf };
+
+    const expenses = await models.Expense.findAll({
+      where,
+      include: [{ model: models.Supplier, attributes: ['id', 'name', 'email', 'phone', 'paymentTerms'] }],
+      order: [['dueDate', 'ASC']]
+    });
+
+    const aging = {
+      current: 0,      // not yet due
+      thirtyDays: 0,   // 1-30 days overdue
+      sixtyDays: 0,    // 31-60 days
+      ninetyDays: 0    // 60+ days
+    };
+    const suppliers = {};
+    const outstandingBills = [];
+
+    expenses.forEach(expense => {
+      const balance = expense.getBalanceDue();
+      if (balance <= 0) return;
+
+      const dueDate = expense.dueDate || toDateString(expense.date);
+      const daysDue = daysBetween(dueDate, asOf);
+
+      if (daysDue <= 0) {
+        aging.current += balance;
+      } else if (daysDue <= 30) {
+        aging.thirtyDays += balance;
+      } else if (daysDue <= 60) {
+        aging.sixtyDays += balance;
+      } else {
+        aging.ninetyDays += balance;
+      }
+
+      outstandingBills.push({
+        id: expense.id,
+        expenseNumber: expense.expenseNumber,
+        supplierId: expense.supplierId,
+        supplierName: expense.Supplier?.name || expense.vendor,
+        description: expense.description,
+        reference: expense.reference,
+        date: expense.date,
+        dueDate,
+        total: expense.getTotalAmount(),
+        paidAmount: round(expense.paidAmount),
+        balanceAmount: balance,
+        daysDue,
+        isOverdue: daysDue > 0
+      });
+
+      const key = expense.supplierId || expense.vendor;
+      if (!suppliers[key]) {
+        suppliers[key] = {
+          supplierId: expense.supplierId,
+          supplierName: expense.Supplier?.name || expense.vendor,
+          supplierEmail: expense.Supplier?.email || null,
+          billCount: 0,
+          totalOutstanding: 0,
+          overdueAmount: 0
+        };
+      }
+      suppliers[key].billCount++;
+      suppliers[key].totalOutstanding = round(suppliers[key].totalOutstanding + balance);
+      if (daysDue > 0) suppliers[key].overdueAmount = round(suppliers[key].overdueAmount + balance);
+    });
+
+    Object.keys(aging).forEach(bucket => { aging[bucket] = round(aging[bucket]); });
+    const overdueBills = outstandingBills.filter(bill => bill.isOverdue);
+
+    return {
+      asOfDate: asOf,
+      summary: {
+        totalOutstanding: round(outstandingBills.reduce((sum, bill) => sum + bill.balanceAmount, 0)),
+        totalBills: outstandingBills.length,
+        overdueAmount: round(overdueBills.reduce((sum, bill) => sum + bill.balanceAmount, 0)),
+        overdueCount: overdueBills.length
+      },
+      aging,
+      outstandingBills,
+      supplierPayables: Object.values(suppliers).sort((a, b) => b.totalOutstanding - a.totalOutstanding)
+    };
+  }
+}
+
+module.exports = new PayablesService();
@@ -0,0 +1,239 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const emailService = require('./emailService');
+const { round } = require('../utils/serviceUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder schedule used until a company configures its own (Company.settings.reminders).
+// Steps are days relative to the due date: -3 is three days before, 7 a week after.
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  schedule: [-3, 0, 7, 14, 30],
+  lateFee: {
+    enabled: false,
+    type: 'fixed', // fixed | percentage (of the outstanding balance)
+    amount: 0,
+    afterDays: 30
+  }
+};
+
+// Invoices that can still be chased for payment
+const OPEN_STATUSES = ['sent', 'overdue', 'partially_paid'];
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Whole days from one date to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+  return Math.round((new Date(`${toDateString(to)}T00:00:00.000Z`) - new Date(`${toDateString(from)}T00:00:00.000Z`)) / DAY_MS);
+}
+
+class PaymentReminderService {
+  getSettings(company) {
+    const settings = company.settings?.reminders || {};
+
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      lateFee: { ...DEFAULT_SETTINGS.lateFee, ...(settings.lateFee || {}) }
+    };
+  }
+
+  async updateSettings(companyId, changes) {
+    const company = await models.Company.findByPk(companyId);
+    const current = this.getSettings(company);
+
+    const reminders = {
+      ...current,
+      ...changes,
+      lateFee: { ...current.lateFee, ...(changes.lateFee || {}) }
+    };
+    reminders.schedule = [...new Set(reminders.schedule.map(step => parseInt(step)))].sort((a, b) => a - b);
+
+    await company.update({ settings: { ...(company.settings || {}), reminders } });
+    return reminders;
+  }
+
+  /**
+   * Flip sent invoices past their due date to overdue
+   */
+  async markOverdue(companyId, asOfDate = new Date()) {
+    const invoices = await models.Invoice.findAll({
+      where: {
+        companyId,
+        type: 'invoice',
+        status: 'sent',
+        dueDate: { [Op.lt]: toDateString(asOfDate) }
+      }
+    });
+
+    for (const invoice of invoices) {
+      await invoice.update({ status: 'overdue' });
+    }
+
+    return invoices.length;
+  }
+
+  /**
+   * Charge the company's late fee once an invoice is far enough overdue.
+   * Each invoice is charged at most one late fee.
+   */
+  async applyLateFee(invoice, settings, asOfDate = new Date()) {
+    const { lateFee } = settings;
+    const daysOverdue = daysBetween(invoice.dueDate, asOfDate);
+
+    if (!lateFee.enabled || parseFloat(invoice.lateFeeAmount) > 0 || daysOverdue < lateFee.afterDays) {
+      return null;
+    }
+
+    const outstanding = parseFloat(invoice.total) - parseFloat(invoice.paidAmount || 0);
+    const fee = round(lateFee.type === 'percentage'
+      ? outstanding * (parseFloat(lateFee.amount) / 100)
+      : lateFee.amount);
+
+    if (fee <= 0) return null;
+
+    await invoice.update({ lateFeeAmount: fee, lateFeeDate: toDateString(asOfDate) });
+    return fee;
+  }
+
+  /**
+   * Email one reminder step for an invoice and record it. A failed step is
+   * retried on the next run.
+   */
+  async sendReminder(invoice, offsetDays) {
+    const [reminder] = await models.PaymentReminder.findOrCreate({
+      where: { invoiceId: invoice.id, offsetDays },
+      defaults: {
+        companyId: invoice.companyId,
+        customerId: invoice.customerId,
+        status: 'failed'
+      }
+    });
+
+    const balanceDue = round(invoice.getTotalDue() - parseFloat(invoice.paidAmount || 0));
+
+    try {
+      const { delivery } = await emailService.sendInvoice(invoice.id, {
+        messageType: offsetDays > 0 ? 'overdue' : 'reminder'
+      });
+
+      return reminder.update({
+        status: 'sent',
+        recipient: delivery.recipient,
+        balanceDue,
+        emailDeliveryId: delivery.id,
+        error: null,
+        sentAt: new Date()
+      });
+    } catch (error) {
+      return reminder.update({
+        status: 'failed',
+        recipient: invoice.Customer?.email || null,
+        balanceDue,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * One dunning run for a company: mark overdue invoices, charge late fees and
+   * send the latest reminder step each open invoice has reached
+   */
+  async runForCompany(company, asOfDate = new Date()) {
+    const asOf = toDateString(asOfDate);
+    const summary = { overdue: 0, lateFees: 0, sent: 0, failed: 0 };
+
+    summary.overdue = await this.markOverdue(company.id, asOf);
+
+    const settings = this.getSettings(company);
+    if (!settings.enabled || settings.schedule.length === 0) {
+      return summary;
+    }
+
+    // Earliest step decides how far ahead of the due date reminders start
+    const lead = Math.max(0, -settings.schedule[0]);
+    const invoices = await models.Invoice.findAll({
+      where: {
+        companyId: company.id,
+        type: 'invoice',
+        status: OPEN_STATUSES,
+        dueDate: { [Op.lte]: new Date(new Date(`${asOf}T23:59:59.999Z`).getTime() + lead * DAY_MS) }
+      },
+      include: [
+        { model: models.Customer },
+        { model: models.PaymentReminder, as: 'reminders' }
+      ],
+      order: [['dueDate', 'ASC']]
+    });
+
+    for (const invoice of invoices) {
+      if (invoice.remindersPaused || invoice.Customer?.remindersPaused) continue;
+      if (invoice.getTotalDue() - parseFloat(invoice.paidAmount || 0) <= 0) continue;
+
+      const days = daysBetween(invoice.dueDate, asOf);
+
+      if (await this.applyLateFee(invoice, settings, asOf)) {
+        summary.lateFees++;
+      }
+
+      // Only the latest step reached is sent; earlier missed steps are skipped
+      const step = settings.schedule.filter(offset => offset <= days).pop();
+      if (step === undefined) continue;
+
+      const previous = invoice.reminders.find(reminder => reminder.offsetDays === step);
+      if (previous?.status === 'sent') continue;
+
+      const reminder = await this.sendReminder(invoice, step);
+      summary[reminder.status === 'sent' ? 'sent' : 'failed']++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run dunning for one company or every company
+   */
+  async runDueReminders(companyId = null, asOfDate = new Date()) {
+    const companies = await models.Company.findAll({ where: companyId ? { id: companyId } : {} });
+    const results = {};
+
+    for (const company of companies) {
+      try {
+        results[company.id] = await this.runForCompany(company, asOfDate);
+      } catch (error) {
+        console.error(`Payment reminders failed for company ${company.id}:`, error);
+      }
+    }
+
+    return companyId ? results[companyId] : results;
+  }
+
+  /**
+   * Reminder log, newest first
+   */
+  async getReminders(companyId, { invoiceId, customerId, status, limit = 100 } = {}) {
+    const where = { companyId };
+    if (invoiceId) where.invoiceId = invoiceId;
+    if (customerId) where.customerId = customerId;
+    if (status) where.status = status;
+
+    return models.PaymentReminder.findAll({
+      where,
+      include: [
+        { model: models.Invoice, attributes: ['id', 'invoiceNumber', 'dueDate', 'total', 'lateFeeAmount', 'status'] },
+        { model: models.Customer, attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['updatedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+  }
+}
+
+module.exports = new PaymentReminderService();
@@ -0,0 +1,231 @@
+const { models } = require('../database');
+const { invalidRequest } = require('../utils/serviceUtils');
+
+/**
+ * Raised when a document dated inside a closed accounting period is created,
+ * changed or deleted
+ */
+class PeriodLockedError extends Error {
+  constructor(closedThrough, message) {
+    super(message || `The accounting period is closed through ${closedThrough}. Reopen the period to make changes.`);
+    this.name = 'PeriodLockedError';
+    this.status = 409;
+    this.closedThrough = closedThrough;
+  }
+}
+
+// Documents covered by period close. A closed document can still change any
+// field not listed, and move between its open statuses (e.g. sent -> paid).
+const DOCUMENT_RULES = {
+  Invoice: {
+    dateField: 'issueDate',
+    lockedFields: [
+      'customerId', 'type', 'issueDate', 'subtotal', 'gstEnabled', 'gstRate', 'gstAmount',
+      'discountType', 'discountValue', 'discountAmount', 'total'
+    ],
+    openStatuses: ['sent', 'paid', 'overdue', 'partially_paid']
+  },
+  Expense: {
+    dateField: 'date',
+    lockedFields: ['category', 'amount', 'currency', 'date', 'paymentMethod', 'taxRate', 'taxAmount', 'taxInclusive'],
+    openStatuses: []
+  },
+  POSSale: {
+    dateField: 'date',
+    lockedFields: ['subtotal', 'taxAmount', 'discountAmount', 'total', 'date', 'paymentMethod'],
+    // Refunds are booked in the period they happen
+    openStatuses: ['completed', 'refunded', 'partially_refunded']
+  },
+  Payment: {
+    dateField: 'date',
+    lockedFields: ['invoiceId', 'amount', 'method', 'date'],
+    openStatuses: []
+  },
+  SupplierPayment: {
+    dateField: 'date',
+    lockedFields: ['expenseId', 'amount', 'method', 'date'],
+    openStatuses: []
+  },
+  // Depreciation and disposal are checked against their own dates when posted
+  FixedAsset: {
+    dateField: 'purchaseDate',
+    lockedFields: [
+      'category', 'purchaseDate', 'purchaseCost', 'salvageValue', 'usefulLifeMonths',
+      'depreciationMethod', 'decliningBalanceRate', 'depreciationStartDate', 'paymentMethod'
+    ],
+    openStatuses: ['active', 'fully_depreciated', 'disposed']
+  }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+}
+
+class PeriodCloseService {
+  /**
+   * Date the company's books are closed through (YYYY-MM-DD), or null
+   */
+  async getClosedThrough(companyId, options = {}) {
+    const latest = await models.PeriodClose.findOne({
+      where: { companyId },
+      order: [['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+
+    return latest ? latest.closedThrough : null;
+  }
+
+  async isLocked(companyId, date, options = {}) {
+    const closedThrough = await this.getClosedThrough(companyId, options);
+    return !!closedThrough && !!date && toDateString(date) <= closedThrough;
+  }
+
+  /**
+   * Throw PeriodLockedError if any of the dates falls in a closed period
+   */
+  async assertOpen(companyId, dates, options = {}) {
+    const closedThrough = await this.getClosedThrough(companyId, options);
+    if (!closedThrough) return;
+
+    const locked = [].concat(dates).filter(Boolean).some(date => toDateString(date) <= closedThrough);
+    if (locked) {
+      throw new PeriodLockedError(closedThrough);
+    }
+  }
+
+  /**
+   * Model hook guard (see DOCUMENT_RULES). A document dated in a closed period
+   * cannot be created or deleted, and can only be updated when none of its
+   * locked fields change.
+   */
+  async guardDocument(document, options = {}) {
+    const { dateField, lockedFields, openStatuses } = DOCUMENT_RULES[document.constructor.name];
+    const companyId = document.companyId;
+
+    if (options.isDestroy || document.isNewRecord) {
+      return this.assertOpen(companyId, document[dateField], options);
+    }
+
+    const changedFields = lockedFields.filter(field => document.changed(field));
+
+    if (document.changed('status')) {
+      const previousStatus = document.previous('status');
+      if (!openStatuses.includes(previousStatus) || !openStatuses.includes(document.status)) {
+        changedFields.push('status');
+      }
+    }
+
+    if (changedFields.length === 0) return;
+
+    return this.assertOpen(companyId, [document.previous(dateField), document[dateField]], options);
+  }
+
+  /**
+   * Fiscal months of the fiscal year containing a date, from Company.fiscalYearStart (MM-DD)
+   */
+  async getFiscalPeriods(companyId, date = new Date()) {
+    const company = await models.Company.findByPk(companyId, { attributes: ['fiscalYearStart'] });
+    const [startMonth, startDay] = (company?.fiscalYearStart || '01-01').split('-').map(Number);
+    const reference = toDateString(date);
+
+    let year = parseInt(reference.slice(0, 4));
+    if (reference < `${year}-${pad(startMonth)}-${pad(startDay)}`) {
+      year -= 1;
+    }
+
+    const periods = [];
+    for (let index = 0; index < 12; index++) {
+      const start = new Date(Date.UTC(year, startMonth - 1 + index, startDay));
+      const end = new Date(Date.UTC(year, startMonth + index, startDay - 1));
+
+      periods.push({
+        period: index + 1,
+        fiscalYear: year,
+        quarter: Math.floor(index / 3) + 1,
+        startDate: toDateString(start),
+        endDate: toDateString(end)
+      });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Close the books through the end of a fiscal month
+   */
+  async closePeriod(companyId, closeDate, { userId, reason } = {}) {
+    const closedThrough = toDateString(closeDate);
+    const previousClosedThrough = await this.getClosedThrough(companyId);
+
+    const periods = await this.getFiscalPeriods(companyId, closedThrough);
+    if (!periods.some(period => period.endDate === closedThrough)) {
+      throw invalidRequest('Close date must be the last day of a fiscal period');
+    }
+
+    if (closedThrough >= toDateString(new Date())) {
+      throw invalidRequest('Only periods that have ended can be closed');
+    }
+
+    if (previousClosedThrough && closedThrough <= previousClosedThrough) {
+      throw invalidRequest(`Books are already closed through ${previousClosedThrough}`);
+    }
+
+    return models.PeriodClose.create({
+      companyId,
+      action: 'close',
+      closedThrough,
+      previousClosedThrough,
+      reason,
+      performedBy: userId
+    });
+  }
+
+  /**
+   * Reopen closed periods. reopenFrom is the first day to unlock;
+   * the books stay closed through the day before it.
+   */
+  async reopenPeriod(companyId, reopenFrom, { userId, reason } = {}) {
+    const previousClosedThrough = await this.getClosedThrough(companyId);
+
+    if (!previousClosedThrough) {
+      throw invalidRequest('No accounting periods are closed');
+    }
+
+    let closedThrough = null;
+    if (reopenFrom) {
+      const from = new Date(`${toDateString(reopenFrom)}T00:00:00.000Z`);
+      from.setUTCDate(from.getUTCDate() - 1);
+      closedThrough = toDateString(from);
+
+      if (closedThrough >= previousClosedThrough) {
+        throw invalidRequest(`Books are only closed through ${previousClosedThrough}`);
+      }
+
+      const periods = await this.getFiscalPeriods(companyId, closedThrough);
+      if (!periods.some(period => period.endDate === closedThrough)) {
+        throw invalidRequest('Periods can only be reopened from the start of a fiscal period');
+      }
+    }
+
+    return models.PeriodClose.create({
+      companyId,
+      action: 'reopen',
+      closedThrough,
+      previousClosedThrough,
+      reason,
+      performedBy: userId
+    });
+  }
+}
+
+const periodCloseService = new PeriodCloseService();
+periodCloseService.PeriodLockedError = PeriodLockedError;
+
+module.exports = periodCloseService;
@@ -0,0 +1,439 @@
+const { Op } = require('sequelize');
+const { models, sequelize } = require('../database');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'category_percentage', 'happy_hour', 'quantity_tier', 'coupon'];
+const CHANNELS = ['all', 'pos', 'invoice'];
+
+function percentage(value, label = 'Percentage') {
+  const number = parseFloat(value);
+  if (!(number > 0 && number <= 100)) {
+    throw invalidRequest(`${label} must be more than 0 and at most 100`);
+  }
+  return number;
+}
+
+// Minutes past midnight of an HH:MM time, or null when it is not one
+function toMinutes(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+class PromotionService {
+  getTypes() {
+    return PROMOTION_TYPES;
+  }
+
+  getChannels() {
+    return CHANNELS;
+  }
+
+  normalizeCouponCode(code) {
+    return code ? String(code).trim().toUpperCase() : null;
+  }
+
+  /**
+   * Check a promotion's settings before it is saved: the rules its type
+   * needs, a coupon code for coupons only, products of the company and an
+   * end after the start. Returns the settings tidied for saving.
+   */
+  async checkPromotion(companyId, data) {
+    const { type } = data;
+    if (!PROMOTION_TYPES.includes(type)) {
+      throw invalidRequest(`Invalid promotion type: ${type}`);
+    }
+
+    const productIds = Array.isArray(data.productIds) && data.productIds.length > 0 ? [...new Set(data.productIds)] : null;
+    const categories = Array.isArray(data.categories) && data.categories.length > 0
+      ? [...new Set(data.categories.map(category => String(category).trim()).filter(Boolean))]
+      : null;
+    const rules = data.rules || {};
+    let checkedRules;
+
+    switch (type) {
+      case 'buy_x_get_y': {
+        const buyQuantity = parseInt(rules.buyQuantity);
+        const getQuantity = parseInt(rules.getQuantity);
+        if (!(buyQuantity >= 1) || !(getQuantity >= 1)) {
+          throw invalidRequest('Buy and get quantities must be whole numbers of at least 1');
+        }
+        const discountPercentage = [undefined, null, ''].includes(rules.discountPercentage)
+          ? 100
+          : percentage(rules.discountPercentage, 'Discount on the items got');
+        checkedRules = { buyQuantity, getQuantity, discountPercentage };
+        break;
+      }
+      case 'category_percentage':
+        if (!categories) {
+          throw invalidRequest('Choose the categories the discount applies to');
+        }
+        checkedRules = { percentage: percentage(rules.percentage) };
+        break;
+      case 'happy_hour': {
+        const start = toMinutes(rules.startTime);
+        const end = toMinutes(rules.endTime);
+        if (start === null || end === null || start === end) {
+          throw invalidRequest('Happy hour needs different start and end times (HH:MM)');
+        }
+        const daysOfWeek = Array.isArray(rules.daysOfWeek) && rules.daysOfWeek.length > 0
+          ? [...new Set(rules.daysOfWeek.map(day => parseInt(day)))].sort()
+          : null;
+        if (daysOfWeek && daysOfWeek.some(day => !(day >= 0 && day <= 6))) {
+          throw invalidRequest('Days of the week run from 0 (Sunday) to 6 (Saturday)');
+        }
+        checkedRules = { percentage: percentage(rules.percentage), startTime: rules.startTime, endTime: rules.endTime, daysOfWeek };
+        break;
+      }
+      case 'quantity_tier': {
+        if (!Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+          throw invalidRequest('Give at least one quantity tier');
+        }
+        const tiers = rules.tiers.map(tier => {
+          const minQuantity = parseFloat(tier.minQuantity);
+          if (!(minQuantity > 0)) {
+            throw invalidRequest('Each tier needs a minimum quantity above 0');
+          }
+          return { minQuantity, percentage: percentage(tier.percentage, `Discount from ${minQuantity}`) };
+        }).sort((a, b) => a.minQuantity - b.minQuantity);
+        const repeated = tiers.find((tier, index) => index > 0 && tier.minQuantity === tiers[index - 1].minQuantity);
+        if (repeated) {
+          throw invalidRequest(`There is more than one tier from ${repeated.minQuantity}`);
+        }
+        checkedRules = { tiers };
+        break;
+      }
+      case 'coupon': {
+        const hasPercentage = ![undefined, null, ''].includes(rules.percentage);
+        const hasAmount = ![undefined, null, ''].includes(rules.amount);
+        if (hasPercentage === hasAmount) {
+          throw invalidRequest('A coupon takes off either a percentage or an amount');
+        }
+        if (hasAmount && !(parseFloat(rules.amount) > 0)) {
+          throw invalidRequest('Coupon amount must be a positive number');
+        }
+        checkedRules = hasAmount ? { amount: round(rules.amount) } : { percentage: percentage(rules.percentage) };
+        break;
+      }
+    }
+
+    const couponCode = this.normalizeCouponCode(data.couponCode);
+    if (type === 'coupon' && !couponCode) {
+      throw invalidRequest('A coupon needs a code');
+    }
+    if (type !== 'coupon' && couponCode) {
+      throw invalidRequest('Only coupon promotions have a code');
+    }
+
+    if (productIds) {
+      const found = await models.Product.count({ where: { id: productIds, companyId } });
+      if (found !== productIds.length) {
+        throw invalidRequest('One or more products were not found', 404);
+      }
+    }
+
+    const startsAt = data.startsAt ? new Date(data.startsAt) : null;
+    const endsAt = data.endsAt ? new Date(data.endsAt) : null;
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      throw invalidRequest('A promotion must end after it starts');
+    }
+
+    return { type, couponCode, productIds, categories, rules: checkedRules, startsAt, endsAt };
+  }
+
+  /**
+   * Whether a promotion covers a product; a variant is covered through its
+   * parent product as well as its own id
+   */
+  covers(promotion, product) {
+    const productIds = promotion.productIds || [];
+    const categories = promotion.categories || [];
+    return (productIds.length === 0 || productIds.includes(product.id) || productIds.includes(product.parentProductId)) &&
+      (categories.length === 0 || categories.includes(product.category));
+  }
+
+  /**
+   * Whether `at`, in the server's local time, falls in a happy hour. A
+   * happy hour ending before it starts runs past midnight.
+   */
+  inHappyHour(rules, at) {
+    if (rules.daysOfWeek && !rules.daysOfWeek.includes(at.getDay())) return false;
+
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    const start = toMinutes(rules.startTime);
+    const end = toMinutes(rules.endTime);
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Promotions that may apply to a sale or invoice made at `at` through
+   * `channel`: active, within their dates and under their usage limit, the
+   * highest priority first. A coupon is only included when its code is
+   * given; a code that is unknown, expired or used up is refused.
+   */
+  async getApplicable(companyId, { channel, at = new Date(), couponCode, transaction } = {}) {
+    const promotions = await models.Promotion.findAll({
+      where: {
+        companyId,
+        isActive: true,
+        channel: ['all', channel],
+        [Op.and]: [
+          { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: at } }] },
+          { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gt]: at } }] }
+        ]
+      },
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']],
+      transaction
+    });
+
+    const withinLimit = (promotion) => promotion.usageLimit === null || promotion.usageCount < promotion.usageLimit;
+    const code = this.normalizeCouponCode(couponCode);
+    if (code) {
+      const coupon = promotions.find(promotion => promotion.type === 'coupon' && promotion.couponCode === code);
+      if (!coupon) {
+        throw invalidRequest(`Coupon ${code} is not valid or has expired`);
+      }
+      if (!withinLimit(coupon)) {
+        throw invalidRequest(`Coupon ${code} has been used up`);
+      }
+    }
+
+    return promotions.filter(promotion => withinLimit(promotion) && (promotion.type !== 'coupon' || promotion.couponCode === code));
+  }
+
+  /**
+   * What one promotion would take off each line, before lines choose
+   * between promotions
+   */
+  getDiscounts(promotion, lines, at) {
+    const rules = promotion.rules || {};
+    const covered = lines.map(line => !line.excluded && this.covers(promotion, line.product));
+    const value = (line) => line.unitPrice * line.quantity;
+    const none = lines.map(() => 0);
+    const percentageOff = (percent) => lines.map((line, index) => (covered[index] ? value(line) * percent / 100 : 0));
+
+    switch (promotion.type) {
+      case 'category_percentage':
+        return percentageOff(rules.percentage);
+
+      case 'happy_hour':
+        return this.inHappyHour(rules, at) ? percentageOff(rules.percentage) : none;
+
+      // The tier is reached by the quantity of all covered lines together
+      case 'quantity_tier': {
+        const quantity = lines.reduce((sum, line, index) => sum + (covered[index] ? line.quantity : 0), 0);
+        const tier = (rules.tiers || []).filter(candidate => quantity >= candidate.minQuantity).pop();
+        return tier ? percentageOff(tier.percentage) : none;
+      }
+
+      // Whole units of covered lines are pooled; for every buyQuantity +
+      // getQuantity units, the cheapest getQuantity are discounted
+      case 'buy_x_get_y': {
+        const units = [];
+        lines.forEach((line, index) => {
+          if (!covered[index]) return;
+          for (let unit = 0; unit < Math.floor(line.quantity); unit++) {
+            units.push({ index, price: line.unitPrice });
+          }
+        });
+        const discounted = Math.floor(units.length / (rules.buyQuantity + rules.getQuantity)) * rules.getQuantity;
+        const discounts = [...none];
+        units.sort((a, b) => a.price - b.price).slice(0, discounted).forEach(unit => {
+          discounts[unit.index] += unit.price * (rules.discountPercentage ?? 100) / 100;
+        });
+        return discounts;
+      }
+
+      // An amount off is shared across the covered lines by value
+      case 'coupon': {
+        if (!rules.amount) return percentageOff(rules.percentage);
+
+        const eligible = lines.reduce((sum, line, index) => sum + (covered[index] ? value(line) : 0), 0);
+        const amount = Math.min(rules.amount, eligible);
+        const last = covered.lastIndexOf(true);
+        let shared = 0;
+        return lines.map((line, index) => {
+          if (!covered[index] || eligible === 0) return 0;
+          const share = index === last ? round(amount - shared) : round(amount * value(line) / eligible);
+          shared += share;
+          return share;
+        });
+      }
+
+      default:
+        return none;
+    }
+  }
+
+  /**
+   * Apply promotions to the lines of a sale or invoice
+   * ([{ product, quantity, unitPrice, excluded }]). Each line gets the one
+   * promotion that takes the most off it; excluded lines, e.g. discounted by
+   * hand, get none. A coupon is weighed last: a percentage coupon competes
+   * line by line, while an amount off is shared only across lines no other
+   * promotion discounts, so none of it is lost. Returns each line's
+   * { promotion, discountAmount } in order, the promotions applied and
+   * whether a coupon given was applied.
+   */
+  async apply(companyId, lines, { channel, at = new Date(), couponCode, transaction } = {}) {
+    const promotions = await this.getApplicable(companyId, { channel, at, couponCode, transaction });
+    const prices = lines.map(line => ({
+      ...line,
+      quantity: parseFloat(line.quantity) || 0,
+      unitPrice: parseFloat(line.unitPrice) || 0
+    }));
+
+    const best = prices.map(() => ({ promotion: null, discountAmount: 0 }));
+    const ordered = [
+      ...promotions.filter(promotion => promotion.type !== 'coupon'),
+      ...promotions.filter(promotion => promotion.type === 'coupon')
+    ];
+    for (const promotion of ordered) {
+      const lines = promotion.type === 'coupon' && promotion.rules?.amount
+        ? prices.map((line, index) => ({ ...line, excluded: line.excluded || best[index].promotion !== null }))
+        : prices;
+      this.getDiscounts(promotion, lines, at).forEach((amount, index) => {
+        const discountAmount = round(Math.min(amount, prices[index].unitPrice * prices[index].quantity));
+        if (discountAmount > best[index].discountAmount) {
+          best[index] = { promotion, discountAmount };
+        }
+      });
+    }
+
+    const applied = [...new Set(best.map(line => line.promotion).filter(Boolean))];
+    return {
+      lines: best,
+      promotions: applied,
+      couponApplied: couponCode ? applied.some(promotion => promotion.type === 'coupon') : null
+    };
+  }
+
+  /**
+   * Count a sale or invoice against the usage limits of the promotions
+   * applied to it
+   */
+  recordUsage(promotions, { transaction } = {}) {
+    if (promotions.length === 0) return null;
+    return models.Promotion.increment('usageCount', {
+      where: { id: promotions.map(promotion => promotion.id) },
+      transaction
+    });
+  }
+
+  /**
+   * Promotions that discounted lines of an invoice
+   */
+  async getInvoicePromotions(invoice, { transaction } = {}) {
+    const items = await models.InvoiceItem.findAll({
+      where: { invoiceId: invoice.id, promotionId: { [Op.ne]: null } },
+      attributes: ['promotionId'],
+      transaction
+    });
+    const ids = [...new Set(items.map(item => item.promotionId))];
+    return ids.length > 0 ? models.Promotion.findAll({ where: { id: ids }, transaction }) : [];
+  }
+
+  /**
+   * Before a draft invoice is issued: refuse it when one of its promotions
+   * reached its usage limit after the draft was made
+   */
+  async checkInvoiceUsage(invoice, { transaction } = {}) {
+    if (invoice.promotionUsageRecorded) return;
+
+    const promotions = await this.getInvoicePromotions(invoice, { transaction });
+    const usedUp = promotions.find(promotion => promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit);
+    if (usedUp) {
+      throw invalidRequest(usedUp.type === 'coupon'
+        ? `Coupon ${usedUp.couponCode} has been used up`
+        : `Promotion ${usedUp.name} has been used up`);
+    }
+  }
+
+  /**
+   * Count an invoice against the usage limits of its promotions when it is
+   * issued, once. Drafts use up nothing.
+   */
+  async recordInvoiceUsage(invoice, { transaction } = {}) {
+    if (invoice.promotionUsageRecorded) return;
+
+    await this.recordUsage(await this.getInvoicePromotions(invoice, { transaction }), { transaction });
+    await models.Invoice.update({ promotionUsageRecorded: true }, { where: { id: invoice.id }, transaction, hooks: false });
+    invoice.setDataValue('promotionUsageRecorded', true);
+  }
+
+  /**
+   * Discount given by each promotion on POS sales and issued invoices,
+   * optionally between two dates
+   */
+  async getReport(companyId, { startDate, endDate } = {}) {
+    const range = startDate && endDate
+      ? { [Op.between]: [new Date(startDate), new Date(`${endDate}T23:59:59.999Z`)] }
+      : null;
+
+    const totalsOf = (name) => [
+      'promotionId',
+      [sequelize.fn('COUNT', sequelize.col(`${name}.id`)), 'lines'],
+      [sequelize.fn('SUM', sequelize.col(`${name}.quantity`)), 'quantity'],
+      [sequelize.fn('SUM', sequelize.col(`${name}.discountAmount`)), 'discount']
+    ];
+
+    const posLines = await models.POSSaleItem.findAll({
+      attributes: totalsOf('POSSaleItem'),
+      where: { promotionId: { [Op.ne]: null } },
+      include: [{
+        model: models.POSSale,
+        attributes: [],
+        where: {
+          companyId,
+          status: { [Op.ne]: 'cancelled' },
+          ...(range ? { date: range } : {})
+        }
+      }],
+      group: ['promotionId'],
+      raw: true
+    });
+
+    const invoiceLines = await models.InvoiceItem.findAll({
+      attributes: totalsOf('InvoiceItem'),
+      where: { promotionId: { [Op.ne]: null } },
+      include: [{
+        model: models.Invoice,
+        attributes: [],
+        where: {
+          companyId,
+          type: 'invoice',
+          status: { [Op.notIn]: ['draft', 'cancelled'] },
+          ...(range ? { issueDate: range } : {})
+        }
+      }],
+      group: ['promotionId'],
+      raw: true
+    });
+
+    const promotions = await models.Promotion.findAll({
+      where: { companyId },
+      attributes: ['id', 'name', 'type', 'couponCode', 'isActive', 'usageCount'],
+      order: [['name', 'ASC']]
+    });
+
+    const totals = (row) => ({
+      lines: parseInt(row?.lines) || 0,
+      quantity: round(row?.quantity),
+      discount: round(row?.discount)
+    });
+
+    return promotions.map(promotion => {
+      const pos = totals(posLines.find(row => row.promotionId === promotion.id));
+      const invoice = totals(invoiceLines.find(row => row.promotionId === promotion.id));
+      return {
+        ...promotion.toJSON(),
+        pos,
+        invoice,
+        totalDiscount: round(pos.discount + invoice.discount)
+      };
+    });
+  }
+}
+
+module.exports = new PromotionService();
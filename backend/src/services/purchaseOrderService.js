@@ -0,0 +1,226 @@
+const { models } = require('../database');
+const stockService = require('./stockService');
+const costingService = require('./costingService');
+const recurringExpenseService = require('./recurringExpenseService');
+const payablesService = require('./payablesService');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+class PurchaseOrderService {
+  /**
+   * Totals of order lines [{ quantity, unitCost, taxRate }], or of the
+   * received part of them when receivedOnly is set
+   */
+  calculateTotals(items, { receivedOnly = false } = {}) {
+    let subtotal = 0;
+    let taxAmount = 0;
+
+    items.forEach(item => {
+      const quantity = receivedOnly ? item.receivedQuantity : item.quantity;
+      const lineTotal = round((parseInt(quantity) || 0) * (parseFloat(item.unitCost) || 0));
+      subtotal += lineTotal;
+      taxAmount += lineTotal * (parseFloat(item.taxRate) || 0) / 100;
+    });
+
+    subtotal = round(subtotal);
+    taxAmount = round(taxAmount);
+    return { subtotal, taxAmount, total: round(subtotal + taxAmount) };
+  }
+
+  /**
+   * Order lines checked against the company's products
+   */
+  async buildItems(companyId, items, options = {}) {
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await models.Product.findAll({
+      where: { id: productIds, companyId },
+      transaction: options.transaction
+    });
+
+    return items.map(item => {
+      const product = products.find(p => p.id === item.productId);
+      if (!product) {
+        throw invalidRequest(`Product with ID ${item.productId} not found`);
+      }
+
+      return {
+        productId: product.id,
+        description: item.description || product.name,
+        quantity: parseInt(item.quantity),
+        unitCost: item.unitCost !== undefined ? parseFloat(item.unitCost) : parseFloat(product.cost) || 0,
+        taxRate: parseFloat(item.taxRate) || 0
+      };
+    });
+  }
+
+  /**
+   * Replace an order's lines and recalculate its totals
+   */
+  async setItems(order, items, options = {}) {
+    const lines = await this.buildItems(order.companyId, items, options);
+
+    await models.PurchaseOrderItem.destroy({ where: { purchaseOrderId: order.id }, transaction: options.transaction });
+    for (const line of lines) {
+      await models.PurchaseOrderItem.create({ ...line, purchaseOrderId: order.id }, { transaction: options.transaction });
+    }
+
+    return order.update(this.calculateTotals(lines), { transaction: options.transaction });
+  }
+
+  /**
+   * Receive goods against an order: stock goes up by the delivered quantities,
+   * in a cost layer at the order's unit cost. Each product's cost becomes the
+   * weighted average of the stock on hand and the delivery, or under FIFO the
+   * latest purchase cost. lines: [{ itemId, quantity }], plus lotNumber and
+   * expiryDate for batch-tracked products and optionally the serialNumbers
+   * of serialized ones
+   */
+  async receive(order, lines, { userId = null, notes = null } = {}) {
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      throw invalidRequest(`Goods cannot be received on a ${order.status.replace('_', ' ')} purchase order`);
+    }
+
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const items = await models.PurchaseOrderItem.findAll({
+        where: { purchaseOrderId: order.id },
+        transaction
+      });
+      const valuationMethod = await costingService.getValuationMethod(order.companyId, { transaction });
+
+      for (const line of lines) {
+        const item = items.find(i => i.id === line.itemId);
+        if (!item) {
+          throw invalidRequest(`Purchase order line ${line.itemId} not found`);
+        }
+
+        const quantity = parseInt(line.quantity) || 0;
+        if (quantity <= 0) continue;
+
+        const outstanding = item.quantity - item.receivedQuantity;
+        if (quantity > outstanding) {
+          throw invalidRequest(`Cannot receive ${quantity} of ${item.description}. Outstanding: ${outstanding}`);
+        }
+
+        const product = await models.Product.findByPk(item.productId, { transaction });
+        const onHand = Math.max(0, product.stockQuantity || 0);
+        const cost = valuationMethod === 'weighted_average' && onHand + quantity > 0
+          ? round((onHand * (parseFloat(product.cost) || 0) + quantity * parseFloat(item.unitCost)) / (onHand + quantity))
+          : parseFloat(item.unitCost);
+
+        await product.update({ cost }, { transaction });
+
+        if (product.trackInventory) {
+          await stockService.adjustStock(product, quantity, {
+            type: 'purchase_receipt',
+            sourceType: 'purchase_order',
+            sourceId: order.id,
+            reference: order.poNumber,
+            userId,
+            notes,
+            unitCost: parseFloat(item.unitCost),
+            lot: { lotNumber: line.lotNumber, expiryDate: line.expiryDate || null },
+            serials: line.serialNumbers,
+            skipLedger: true, // Posted to Inventory when the order is billed
+            transaction
+          });
+        }
+
+        await item.update({ receivedQuantity: item.receivedQuantity + quantity }, { transaction });
+      }
+
+      const fullyReceived = items.every(item => item.receivedQuantity >= item.quantity);
+      await order.update({
+        status: fullyReceived ? 'received' : 'partially_received',
+        receivedAt: fullyReceived ? new Date() : order.receivedAt
+      }, { transaction });
+
+      await transaction.commit();
+      return order;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Close a partly delivered order: nothing more is expected, and only what
+   * arrived will be billed
+   */
+  async close(order) {
+    if (order.status !== 'partially_received') {
+      throw invalidRequest('Only partially received purchase orders can be closed');
+    }
+
+    return order.update({ status: 'received', receivedAt: new Date() });
+  }
+
+  /**
+   * Bill a received order: an Expense on account with the supplier for the
+   * received goods, capitalised to Inventory. Due on the supplier's payment
+   * terms unless a due date is given.
+   */
+  async convertToExpense(order, { userId, date = new Date(), dueDate, reference } = {}) {
+    if (order.status !== 'received') {
+      throw invalidRequest('Only received purchase orders can be billed');
+    }
+
+    if (order.expenseId) {
+      throw invalidRequest('This purchase order has already been billed');
+    }
+
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const items = await models.PurchaseOrderItem.findAll({
+        where: { purchaseOrderId: order.id },
+        transaction
+      });
+      const { subtotal, taxAmount } = this.calculateTotals(items, { receivedOnly: true });
+
+      if (subtotal <= 0) {
+        throw invalidRequest('Nothing has been received on this purchase order');
+      }
+
+      const approvalRequired = await recurringExpenseService.isApprovalRequired(order.companyId, { transaction });
+      const expenseDate = toDateString(date);
+
+      const values = await payablesService.applySupplier({
+        companyId: order.companyId,
+        createdBy: userId,
+        category: 'Inventory',
+        supplierId: order.supplierId,
+        description: `Goods received on purchase order ${order.poNumber}`,
+        amount: subtotal,
+        taxRate: round(taxAmount / subtotal * 100),
+        taxAmount,
+        taxInclusive: false,
+        date: expenseDate,
+        dueDate: dueDate ? toDateString(dueDate) : null,
+        paymentMethod: 'on_account',
+        reference: reference || order.poNumber,
+        status: approvalRequired ? 'pending' : 'approved'
+      }, order.companyId, { transaction });
+
+      const expense = await models.Expense.create(values, { transaction });
+
+      await order.update({ expenseId: expense.id }, { transaction });
+
+      await transaction.commit();
+      return expense;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,242 @@
+const { models } = require('../database');
+const { Op } = require('sequelize');
+const payablesService = require('./payablesService');
+const { invalidRequest } = require('../utils/serviceUtils');
+
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// Fields copied from the template onto each generated expense
+const TEMPLATE_FIELDS = [
+  'category', 'subcategory', 'vendor', 'supplierId', 'description', 'amount', 'currency', 'paymentMethod',
+  'taxRate', 'taxAmount', 'taxInclusive', 'supplierTaxId', 'tags', 'notes'
+];
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months to a date, keeping the series' day of month where the
+ * month has it (a series on the 31st falls on the 30th in April)
+ */
+function addMonths(date, months, anchorDay) {
+  const [year, month, day] = toDateString(date).split('-').map(Number);
+  const targetDay = anchorDay || day;
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, month - 1 + months, Math.min(targetDay, lastDay))));
+}
+
+class RecurringExpenseService {
+  /**
+   * Date of the occurrence after `date` in an expense's series
+   */
+  getNextDate(expense, date) {
+    const anchorDay = parseInt(toDateString(expense.date).slice(8, 10));
+    return addMonths(date, PERIOD_MONTHS[expense.recurringPeriod], anchorDay);
+  }
+
+  /**
+   * Model hook: set up (or stop) the series when a template's recurrence changes.
+   * A new series starts one period after the template's own date; a changed or
+   * restarted one continues after its latest occurrence, from today onwards.
+   */
+  async scheduleSeries(expense, options = {}) {
+    if (expense.isRecurring && PERIOD_MONTHS[expense.recurringPeriod]) {
+      let lastDate = expense.date;
+
+      if (!expense.isNewRecord) {
+        const latest = await models.Expense.max('date', {
+          where: { recurringTemplateId: expense.id },
+          transaction: options.transaction
+        });
+        if (latest) lastDate = latest;
+      }
+
+      let nextDate = this.getNextDate(expense, lastDate);
+      const today = toDateString(new Date());
+      while (!expense.isNewRecord && nextDate < today) {
+        nextDate = this.getNextDate(expense, nextDate);
+      }
+
+      expense.recurringStatus = 'active';
+      expense.nextRecurringDate = nextDate;
+      return;
+    }
+
+    if (expense.recurringStatus) {
+      expense.recurringStatus = 'ended';
+      expense.nextRecurringDate = null;
+    }
+  }
+
+  async isApprovalRequired(companyId, options = {}) {
+    const company = await models.Company.findByPk(companyId, {
+      attributes: ['settings'],
+      transaction: options.transaction
+    });
+    return !!company?.settings?.expenseApprovalRequired;
+  }
+
+  /**
+   * Create every occurrence of a template that is due on or before asOfDate
+   */
+  async generateForTemplate(template, asOfDate = new Date()) {
+    const asOf = toDateString(asOfDate);
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const approvalRequired = await this.isApprovalRequired(template.companyId, { transaction });
+      const generated = [];
+      let nextDate = template.nextRecurringDate;
+
+      while (nextDate && nextDate <= asOf) {
+        if (template.recurringEndDate && nextDate > template.recurringEndDate) {
+          break;
+        }
+
+        const values = TEMPLATE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: template[field] }), {});
+        // Bills on account fall due on the supplier's terms from each new date
+        const expense = await models.Expense.create(await payablesService.applySupplier({
+          ...values,
+          companyId: template.companyId,
+          createdBy: template.createdBy,
+          date: nextDate,
+          status: approvalRequired ? 'pending' : 'approved',
+          isRecurring: false,
+          recurringTemplateId: template.id
+        }, template.companyId, { transaction }), { transaction });
+
+        generated.push(expense);
+        nextDate = this.getNextDate(template, nextDate);
+      }
+
+      const ended = template.recurringEndDate && nextDate > template.recurringEndDate;
+      await template.update({
+        nextRecurringDate: ended ? null : nextDate,
+        recurringStatus: ended ? 'ended' : template.recurringStatus
+      }, { transaction });
+
+      await transaction.commit();
+      return generated;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Generate due recurring expenses, for one company or every company
+   */
+  async generateDueExpenses(companyId = null, asOfDate = new Date()) {
+    const where = {
+      isRecurring: true,
+      recurringStatus: 'active',
+      nextRecurringDate: { [Op.lte]: toDateString(asOfDate) }
+    };
+    if (companyId) where.companyId = companyId;
+
+    const templates = await models.Expense.findAll({ where });
+    const results = [];
+
+    for (const template of templates) {
+      try {
+        const generated = await this.generateForTemplate(template, asOfDate);
+        results.push(...generated);
+      } catch (error) {
+        console.error(`Recurring expense generation failed for ${template.expenseNumber}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Expenses active series will generate over the next `days` days
+   */
+  async getUpcoming(companyId, { days = 90 } = {}) {
+    const until = toDateString(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+
+    const templates = await models.Expense.findAll({
+      where: {
+        companyId,
+        isRecurring: true,
+        recurringStatus: 'active',
+        nextRecurringDate: { [Op.lte]: until }
+      },
+      order: [['nextRecurringDate', 'ASC']]
+    });
+
+    const upcoming = [];
+    templates.forEach(template => {
+      let date = template.nextRecurringDate;
+      while (date <= until && (!template.recurringEndDate || date <= template.recurringEndDate)) {
+        upcoming.push({
+          templateId: template.id,
+          expenseNumber: template.expenseNumber,
+          description: template.description,
+          vendor: template.vendor,
+          category: template.category,
+          amount: parseFloat(template.amount),
+          taxAmount: parseFloat(template.taxAmount) || 0,
+          recurringPeriod: template.recurringPeriod,
+          date
+        });
+        date = this.getNextDate(template, date);
+      }
+    });
+
+    return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Pause, resume or end a series. Resuming skips the occurrences that fell
+   * due while the series was paused.
+   */
+  async updateSeries(template, action, { endDate } = {}) {
+    if (!template.isRecurring || !template.recurringStatus) {
+      throw invalidRequest('Expense is not a recurring template');
+    }
+
+    if (template.recurringStatus === 'ended') {
+      throw invalidRequest('Recurring series has already ended');
+    }
+
+    switch (action) {
+      case 'pause':
+        return template.update({ recurringStatus: 'paused' });
+
+      case 'resume': {
+        const today = toDateString(new Date());
+        let nextDate = template.nextRecurringDate || this.getNextDate(template, template.date);
+        while (nextDate < today) {
+          nextDate = this.getNextDate(template, nextDate);
+        }
+        return template.update({ recurringStatus: 'active', nextRecurringDate: nextDate });
+      }
+
+      case 'end':
+        // With an end date the series keeps running until then
+        if (endDate && toDateString(endDate) >= toDateString(new Date())) {
+          return template.update({ recurringEndDate: toDateString(endDate) });
+        }
+        return template.update({
+          recurringStatus: 'ended',
+          recurringEndDate: toDateString(endDate || new Date()),
+          nextRecurringDate: null
+        });
+
+      default:
+        throw invalidRequest('Invalid recurring action');
+    }
+  }
+}
+
+module.exports = new RecurringExpenseService();
@@ -0,0 +1,313 @@
+const { models } = require('../database');
+const { Op } = require('sequelize');
+const stripeService = require('./StripeService');
+const emailService = require('./emailService');
+const { round } = require('../utils/serviceUtils');
+
+const INTERVAL_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// YYYY-MM-DD of a date, without timezone shifts for date-only strings
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const value = new Date(`${toDateString(date)}T00:00:00.000Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return toDateString(value);
+}
+
+class RecurringInvoiceService {
+  /**
+   * Run date after `date` for a schedule. Monthly and longer intervals keep
+   * the start date's day of month where the month has it.
+   */
+  getNextRunDate(schedule, date) {
+    const count = parseInt(schedule.intervalCount) || 1;
+
+    if (schedule.interval === 'weekly') {
+      return addDays(date, 7 * count);
+    }
+
+    const [year, month] = toDateString(date).split('-').map(Number);
+    const anchorDay = parseInt(toDateString(schedule.startDate).slice(8, 10));
+    const months = INTERVAL_MONTHS[schedule.interval] * count;
+    const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+
+    return toDateString(new Date(Date.UTC(year, month - 1 + months, Math.min(anchorDay, lastDay))));
+  }
+
+  /**
+   * Line items and totals of a schedule, priced as stored on the schedule
+   */
+  async buildInvoiceLines(schedule, options = {}) {
+    const productIds = [...new Set(schedule.items.map(item => item.productId))];
+    const products = await models.Product.findAll({
+      where: { id: productIds, companyId: schedule.companyId },
+      transaction: options.transaction
+    });
+
+    const items = schedule.items.map(item => {
+      const product = products.find(p => p.id === item.productId);
+      if (!product) {
+        throw new Error(`Product with ID ${item.productId} not found`);
+      }
+
+      return {
+        productId: item.productId,
+        description: item.description || product.name,
+        quantity: parseFloat(item.quantity),
+        unitPrice: parseFloat(item.unitPrice),
+        lineTotal: round(parseFloat(item.quantity) * parseFloat(item.unitPrice))
+      };
+    });
+
+    const subtotal = round(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const gstAmount = schedule.gstEnabled ? round(subtotal * (parseFloat(schedule.gstRate) / 100)) : 0;
+
+    return { items, subtotal, gstAmount, total: round(subtotal + gstAmount) };
+  }
+
+  /**
+   * Generate the invoice for one run of a schedule and move it to the next run.
+   * Afterwards emails it to the customer when auto-send is on, and charges the
+   * card on file when auto-charge is on. A catch-up run (one missed while the
+   * scheduler was not running) is left as a draft for the owner to review.
+   */
+  async generateInvoice(schedule, runDate = schedule.nextRunDate, { catchUp = false } = {}) {
+    const issueDate = toDateString(runDate);
+    const transaction = await models.sequelize.transaction();
+    let invoice;
+
+    try {
+      const { items, subtotal, gstAmount, total } = await this.buildInvoiceLines(schedule, { transaction });
+      const invoiceNumber = await models.Invoice.generateInvoiceNumber(schedule.companyId, { transaction });
+
+      invoice = await models.Invoice.create({
+        invoiceNumber,
+        companyId: schedule.companyId,
+        customerId: schedule.customerId,
+        createdBy: schedule.createdBy,
+        templateId: schedule.templateId,
+        recurringInvoiceId: schedule.id,
+        issueDate: new Date(issueDate),
+        dueDate: new Date(addDays(issueDate, schedule.paymentTermsDays)),
+        subtotal,
+        gstEnabled: schedule.gstEnabled,
+        gstRate: schedule.gstEnabled ? schedule.gstRate : 0,
+        gstAmount,
+        total,
+        balanceAmount: total,
+        status: 'draft', // Marked sent once emailed
+        notes: schedule.notes,
+        termsAndConditions: schedule.termsAndConditions
+      }, { transaction });
+
+      for (const item of items) {
+        await models.InvoiceItem.create({ ...item, invoiceId: invoice.id }, { transaction });
+      }
+
+      // An early run (issued before its scheduled date) still counts as that run
+      const nextRunDate = this.getNextRunDate(schedule, schedule.nextRunDate || issueDate);
+      const completed = schedule.endDate && nextRunDate > schedule.endDate;
+
+      await schedule.update({
+        lastRunDate: issueDate,
+        nextRunDate: completed ? null : nextRunDate,
+        status: completed ? 'completed' : schedule.status,
+        invoiceCount: schedule.invoiceCount + 1,
+        lastError: null
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      await schedule.reload();
+      await schedule.update({ lastError: error.message });
+      throw error;
+    }
+
+    if (catchUp) {
+      return invoice;
+    }
+
+    if (schedule.autoSend) {
+      await this.sendInvoice(schedule, invoice);
+    }
+
+    if (schedule.autoCharge) {
+      await this.chargeInvoice(schedule, invoice);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Email a generated invoice. A failed send is recorded on the schedule and
+   * leaves the invoice as a draft to send by hand.
+   */
+  async sendInvoice(schedule, invoice) {
+    try {
+      const { delivery } = await emailService.sendInvoice(invoice.id);
+      await invoice.reload();
+      return delivery;
+    } catch (error) {
+      await schedule.update({ lastError: `Email delivery failed: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Charge a generated invoice to the schedule's saved card. Failures are
+   * recorded on the schedule and leave the invoice open for manual payment.
+   * The charge is keyed on the schedule and invoice, so charging the same
+   * invoice again returns the first charge instead of taking the money twice.
+   */
+  async chargeInvoice(schedule, invoice) {
+    if (!schedule.stripeCustomerId || !schedule.stripePaymentMethodId) {
+      await schedule.update({ lastError: 'No card on file for automatic payment' });
+      return null;
+    }
+
+    if (!stripeService.isInitialized()) {
+      await schedule.update({ lastError: 'Stripe is not configured' });
+      return null;
+    }
+
+    const company = await models.Company.findByPk(schedule.companyId, { attributes: ['currency'] });
+    const currency = company?.currency || 'USD';
+    const amount = parseFloat(invoice.total);
+
+    // Check before charging so a successful charge can always be recorded
+    if (!models.Payment.getCurrencies().includes(currency)) {
+      await schedule.update({ lastError: `Automatic payment is not available in ${currency}` });
+      return null;
+    }
+
+    const result = await stripeService.chargeSavedPaymentMethod({
+      customerId: schedule.stripeCustomerId,
+      paymentMethodId: schedule.stripePaymentMethodId,
+      amount,
+      currency,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      metadata: {
+        invoiceId: invoice.id,
+        recurringInvoiceId: schedule.id,
+        companyId: schedule.companyId
+      },
+      idempotencyKey: `recurring-invoice-${schedule.id}-${invoice.id}`
+    });
+
+    const paymentIntentId = result.data?.paymentIntentId;
+
+    // Charging the same invoice again returns the first payment intent,
+    // which is already on record
+    if (paymentIntentId) {
+      const recorded = await models.Payment.findOne({ where: { stripePaymentIntentId: paymentIntentId } });
+      if (recorded) return recorded;
+    }
+
+    const values = {
+      invoiceId: invoice.id,
+      companyId: invoice.companyId,
+      customerId: invoice.customerId,
+      amount,
+      currency,
+      method: 'stripe',
+      date: new Date(),
+      reference: paymentIntentId,
+      description: `Automatic payment for invoice ${invoice.invoiceNumber}`,
+      status: result.success ? 'completed' : 'failed',
+      stripePaymentIntentId: paymentIntentId,
+      stripeCustomerId: schedule.stripeCustomerId,
+      paidAt: result.success ? new Date() : null,
+      metadata: result.success ? {} : { error: result.error }
+    };
+
+    // The payment and the invoice it pays are saved together
+    const transaction = await models.sequelize.transaction();
+    let payment;
+
+    try {
+      payment = await models.Payment.create(values, { transaction });
+      if (result.success) {
+        await invoice.update({ paidAmount: amount }, { transaction });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (!result.success) throw error;
+
+      // The customer has paid: keep the charge on record for review even
+      // though it could not be applied to the invoice
+      await invoice.reload();
+      await schedule.update({
+        lastError: `Card was charged (${paymentIntentId}) but the payment could not be applied to invoice ${invoice.invoiceNumber}: ${error.message}`
+      });
+      return models.Payment.create({
+        ...values,
+        status: 'processing',
+        paidAt: null,
+        metadata: { chargeSucceeded: true, recordError: error.message }
+      }, { hooks: false });
+    }
+
+    if (!result.success) {
+      await schedule.update({ lastError: `Automatic payment failed: ${result.error}` });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Generate invoices for every schedule due on or before asOfDate.
+   * Schedules that fell behind catch up one invoice per missed run; only the
+   * latest run is sent and charged, and the schedule notes the drafts left
+   * from the missed ones.
+   */
+  async runDueSchedules(companyId = null, asOfDate = new Date()) {
+    const asOf = toDateString(asOfDate);
+    const where = {
+      status: 'active',
+      nextRunDate: { [Op.lte]: asOf }
+    };
+    if (companyId) where.companyId = companyId;
+
+    const schedules = await models.RecurringInvoice.findAll({ where });
+    const invoices = [];
+
+    for (const schedule of schedules) {
+      const missed = [];
+
+      try {
+        while (schedule.status === 'active' && schedule.nextRunDate && schedule.nextRunDate <= asOf) {
+          // Runs followed by another due run are for periods already past
+          const following = this.getNextRunDate(schedule, schedule.nextRunDate);
+          const catchUp = following <= asOf && !(schedule.endDate && following > schedule.endDate);
+
+          const invoice = await this.generateInvoice(schedule, schedule.nextRunDate, { catchUp });
+          invoices.push(invoice);
+          if (catchUp) missed.push(invoice.invoiceNumber);
+        }
+      } catch (error) {
+        console.error(`Recurring invoice ${schedule.id} failed:`, error);
+      }
+
+      if (missed.length > 0) {
+        const note = `Missed runs generated as drafts to review: ${missed.join(', ')}`;
+        await schedule.update({ lastError: schedule.lastError ? `${note}. ${schedule.lastError}` : note });
+      }
+    }
+
+    return invoices;
+  }
+}
+
+module.exports = new RecurringInvoiceService();
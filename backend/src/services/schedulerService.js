@@ -0,0 +1,52 @@
+/**
+ * Minimal in-process scheduler for periodic background jobs
+ * (depreciation runs and the like). Jobs must be safe to run repeatedly.
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = [];
+    this.timers = [];
+  }
+
+  register(name, intervalMs, task) {
+    this.jobs.push({ name, intervalMs, task, running: false });
+  }
+
+  async runJob(job) {
+    // Skip if the previous run is still going
+    if (job.running) return;
+
+    job.running = true;
+    try {
+      await job.task();
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  start({ initialDelayMs = 60 * 1000 } = {}) {
+    this.stop();
+
+    this.jobs.forEach(job => {
+      const initial = setTimeout(() => this.runJob(job), initialDelayMs);
+      const interval = setInterval(() => this.runJob(job), job.intervalMs);
+
+      // Don't keep the process alive just for background jobs
+      initial.unref();
+      interval.unref();
+
+      this.timers.push(initial, interval);
+    });
+
+    console.log(`⏰ Scheduler started with ${this.jobs.length} job(s)`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = new SchedulerService();
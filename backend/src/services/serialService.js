@@ -0,0 +1,214 @@
+const { models } = require('../database');
+const { invalidRequest } = require('../utils/serviceUtils');
+
+class SerialService {
+  /**
+   * Serial numbers as entered: an array, or one string with a serial per line
+   * or separated by commas. Blank entries are dropped; repeats are refused.
+   */
+  normalize(serialNumbers) {
+    if (serialNumbers === undefined || serialNumbers === null) return [];
+
+    const list = (Array.isArray(serialNumbers) ? serialNumbers : String(serialNumbers).split(/[\n,]/))
+      .map(serial => String(serial).trim())
+      .filter(Boolean);
+
+    const repeated = list.find((serial, index) => list.indexOf(serial) !== index);
+    if (repeated) {
+      throw invalidRequest(`Serial number ${repeated} is listed more than once`);
+    }
+
+    return list;
+  }
+
+  /**
+   * Units of a serialized product in stock without a recorded serial, e.g.
+   * stock on hand when tracking started or received without serials
+   */
+  async getUnserializedQuantity(product, { transaction } = {}) {
+    const inStock = await models.SerialNumber.count({
+      where: { productId: product.id, status: 'in_stock' },
+      transaction
+    });
+    return Math.max(0, (product.stockQuantity || 0) - inStock);
+  }
+
+  /**
+   * Check a change in a serialized product's stock before any stock moves.
+   * A sale must name the serial of every unit sold; other removals name
+   * theirs unless unserialized stock covers them. A serial not yet on record
+   * is taken from unserialized stock. Stock received may name its serials,
+   * which must not already be in stock. Returns the serials, normalized.
+   */
+  async checkMovement(product, quantityChange, serialNumbers, { type, transaction } = {}) {
+    const serials = this.normalize(serialNumbers);
+    const quantity = Math.abs(parseInt(quantityChange) || 0);
+
+    if (quantity !== Math.abs(parseFloat(quantityChange))) {
+      throw invalidRequest(`${product.name} is serialized and moves in whole units`);
+    }
+    if (serials.length > 0 && serials.length !== quantity) {
+      throw invalidRequest(`${quantity} serial number${quantity === 1 ? '' : 's'} needed for ${product.name}, ${serials.length} given`);
+    }
+
+    const records = serials.length > 0
+      ? await models.SerialNumber.findAll({
+        where: { productId: product.id, serialNumber: serials },
+        transaction
+      })
+      : [];
+
+    if (quantityChange > 0) {
+      const inStock = records.find(record => record.status === 'in_stock');
+      if (inStock) {
+        throw invalidRequest(`Serial number ${inStock.serialNumber} of ${product.name} is already in stock`);
+      }
+      return serials;
+    }
+
+    if (serials.length === 0 && type === 'sale') {
+      throw invalidRequest(`Scan the serial number of each ${product.name} sold`);
+    }
+
+    for (const record of records) {
+      if (record.status === 'sold') {
+        throw invalidRequest(`Serial number ${record.serialNumber} of ${product.name} has already been sold` +
+          (record.reference ? ` (${record.reference})` : ''));
+      }
+      if (record.status === 'written_off') {
+        throw invalidRequest(`Serial number ${record.serialNumber} of ${product.name} has been written off`);
+      }
+    }
+
+    const unserialized = serials.length > 0 ? quantity - records.length : quantity;
+    if (unserialized > 0) {
+      const available = await this.getUnserializedQuantity(product, { transaction });
+      if (available < unserialized) {
+        throw invalidRequest(serials.length > 0
+          ? `Serial number ${serials.find(serial => !records.some(record => record.serialNumber === serial))} is not in stock for ${product.name}`
+          : `Give the serial numbers of the ${product.name} being removed`);
+      }
+    }
+
+    return serials;
+  }
+
+  /**
+   * Record a change in a serialized product's stock against its serials:
+   * units going out are marked sold (sales) or written off, units coming in
+   * are back in stock. Serials not yet on record are registered.
+   */
+  async applyMovement(product, quantityChange, serialNumbers, { type, sourceType = null, sourceId = null, reference = null, transaction } = {}) {
+    const serials = this.normalize(serialNumbers);
+    const now = new Date();
+
+    const changes = quantityChange > 0
+      ? { status: 'in_stock', sourceType: null, sourceId: null, reference: null, soldAt: null, receivedAt: now }
+      : {
+        status: type === 'sale' ? 'sold' : 'written_off',
+        sourceType,
+        sourceId,
+        reference,
+        soldAt: type === 'sale' ? now : null
+      };
+
+    for (const serialNumber of serials) {
+      const [record] = await models.SerialNumber.findOrCreate({
+        where: { productId: product.id, serialNumber },
+        defaults: { companyId: product.companyId },
+        transaction
+      });
+      await record.update(changes, { transaction });
+    }
+
+    return serials;
+  }
+
+  /**
+   * Returned units that are not put back in stock, e.g. a faulty unit
+   * refunded and written off
+   */
+  async writeOff(product, serialNumbers, { sourceType = null, sourceId = null, reference = null, transaction } = {}) {
+    const serials = this.normalize(serialNumbers);
+    if (serials.length === 0) return serials;
+
+    await models.SerialNumber.update(
+      { status: 'written_off', sourceType, sourceId, reference, soldAt: null },
+      { where: { productId: product.id, serialNumber: serials }, transaction }
+    );
+    return serials;
+  }
+
+  /**
+   * Serials of a product, most recently changed first
+   */
+  getSerials(product, { status } = {}) {
+    const where = { productId: product.id };
+    if (status) where.status = status;
+
+    return models.SerialNumber.findAll({ where, order: [['updatedAt', 'DESC']] });
+  }
+
+  /**
+   * Serials a document sold of a product and that have not come back since,
+   * so a return can put the same units back in stock
+   */
+  async getSoldSerials(companyId, { sourceType, sourceId, productId }, { transaction } = {}) {
+    const records = await models.SerialNumber.findAll({
+      where: { companyId, sourceType, sourceId, productId, status: 'sold' },
+      attributes: ['serialNumber'],
+      transaction
+    });
+    return records.map(record => record.serialNumber);
+  }
+
+  /**
+   * Warranty lookup: every unit carrying a serial number, with the sale or
+   * invoice it left on, the customer and the date
+   */
+  async lookup(companyId, serialNumber) {
+    const records = await models.SerialNumber.findAll({
+      where: { companyId, serialNumber: String(serialNumber).trim() },
+      include: [{ model: models.Product, attributes: ['id', 'name', 'sku', 'barcode'] }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    return Promise.all(records.map(async record => {
+      const result = {
+        serialNumber: record.serialNumber,
+        status: record.status,
+        product: record.Product,
+        receivedAt: record.receivedAt,
+        soldAt: record.soldAt,
+        sale: null,
+        customer: null
+      };
+
+      if (record.sourceType === 'pos_sale') {
+        const sale = await models.POSSale.findOne({
+          where: { id: record.sourceId, companyId },
+          include: [{ model: models.Customer, attributes: ['id', 'name', 'email', 'phone'] }]
+        });
+        if (sale) {
+          result.sale = { type: 'pos_sale', id: sale.id, number: sale.saleNumber, date: sale.date, status: sale.status, total: sale.total };
+          result.customer = sale.Customer || (sale.customerInfo && Object.keys(sale.customerInfo).length > 0 ? sale.customerInfo : null);
+        }
+      } else if (record.sourceType === 'invoice') {
+        const invoice = await models.Invoice.findOne({
+          where: { id: record.sourceId, companyId },
+          include: [{ model: models.Customer, attributes: ['id', 'name', 'email', 'phone'] }]
+        });
+        if (invoice) {
+          result.sale = { type: 'invoice', id: invoice.id, number: invoice.invoiceNumber, date: invoice.issueDate, status: invoice.status, total: invoice.total };
+          result.customer = invoice.Customer;
+        }
+      } else if (record.sourceType) {
+        result.sale = { type: record.sourceType, id: record.sourceId, number: record.reference };
+      }
+
+      return result;
+    }));
+  }
+}
+
+module.exports = new SerialService();
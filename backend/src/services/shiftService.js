@@ -0,0 +1,290 @@
+const { models, sequelize } = require('../database');
+const tenderService = require('./tenderService');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+// Tenders a POS sale or refund can be settled with; 'mixed' holds split sales
+// made before their tenders were recorded
+const TENDERS = [...tenderService.getTenders(), 'mixed'];
+
+class ShiftService {
+  getTenders() {
+    return TENDERS;
+  }
+
+  /**
+   * The shift a cashier is working, or null when they have none open
+   */
+  getOpenShift(companyId, cashierId, { transaction } = {}) {
+    return models.POSShift.findOne({
+      where: { companyId, cashierId, status: 'open' },
+      transaction
+    });
+  }
+
+  /**
+   * Start a shift with the cash counted into the drawer. A cashier works
+   * one shift at a time.
+   */
+  async open(companyId, cashierId, { openingFloat = 0, registerName = null, notes = null } = {}) {
+    const float = round(openingFloat);
+    if (float < 0) {
+      throw invalidRequest('Opening float cannot be negative');
+    }
+
+    const current = await this.getOpenShift(companyId, cashierId);
+    if (current) {
+      throw invalidRequest(`Shift ${current.shiftNumber} is still open; close it before opening another`);
+    }
+
+    return models.POSShift.create({
+      companyId,
+      cashierId,
+      registerName,
+      openingFloat: float,
+      notes
+    });
+  }
+
+  /**
+   * Take cash out of an open shift's drawer: a drop to the safe or a payout.
+   * No more can leave than the drawer should hold.
+   */
+  async recordCashMovement(shift, { type, amount, reason = null, userId }) {
+    if (shift.status !== 'open') {
+      throw invalidRequest(`Shift ${shift.shiftNumber} is closed`);
+    }
+    if (!['drop', 'payout'].includes(type)) {
+      throw invalidRequest('Cash movement type must be drop or payout');
+    }
+
+    const value = round(amount);
+    if (value <= 0) {
+      throw invalidRequest('Amount must be a positive number');
+    }
+
+    const { cash } = await this.getReport(shift);
+    if (value > cash.expected) {
+      throw invalidRequest(`The drawer should only hold ${cash.expected.toFixed(2)} in cash`);
+    }
+
+    return models.POSCashMovement.create({
+      companyId: shift.companyId,
+      shiftId: shift.id,
+      type,
+      amount: value,
+      reason,
+      userId
+    });
+  }
+
+  /**
+   * Sales of a shift, split into those on record when it closed and offline
+   * sales rung up in it that only synced after
+   */
+  async getSales(shift, { transaction } = {}) {
+    const sales = await models.POSSale.findAll({
+      where: { shiftId: shift.id, status: ['completed', 'refunded', 'partially_refunded'] },
+      attributes: ['id', 'paymentMethod', 'total', 'taxAmount', 'syncedAt'],
+      include: [{ model: models.POSSalePayment, as: 'payments', attributes: ['tender', 'amount'] }],
+      transaction
+    });
+
+    const late = (sale) => shift.closedAt && sale.syncedAt && new Date(sale.syncedAt) > new Date(shift.closedAt);
+    return {
+      sales: sales.filter(sale => !late(sale)),
+      lateSales: sales.filter(late)
+    };
+  }
+
+  /**
+   * X report of an open shift, or Z report of a closed one: sales and refunds
+   * by tender and the cash the drawer should hold (opening float plus cash
+   * sales, less cash refunds, drops and payouts), against the closing count
+   * once there is one. Sales synced after the close are left out; see
+   * getPostCloseAdjustment.
+   */
+  async getReport(shift, { transaction } = {}) {
+    const { sales } = await this.getSales(shift, { transaction });
+    const sold = tenderService.summarize(sales);
+
+    const refunds = await models.POSRefund.findAll({
+      where: { shiftId: shift.id },
+      attributes: [
+        'refundMethod',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('total')), 'total']
+      ],
+      group: ['refundMethod'],
+      raw: true,
+      transaction
+    });
+
+    const cashMovements = await models.POSCashMovement.findAll({
+      where: { shiftId: shift.id },
+      include: [{ model: models.User, attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+
+    const counted = shift.countedTenders || null;
+    const drops = round(cashMovements.filter(m => m.type === 'drop').reduce((sum, m) => sum + parseFloat(m.amount), 0));
+    const payouts = round(cashMovements.filter(m => m.type === 'payout').reduce((sum, m) => sum + parseFloat(m.amount), 0));
+
+    const tenders = TENDERS.map(tender => {
+      const taken = sold.find(row => row.tender === tender);
+      const refunded = refunds.find(row => row.refundMethod === tender);
+      const salesTotal = round(taken?.total);
+      const refundTotal = round(refunded?.total);
+      const expected = tender === 'cash'
+        ? round(parseFloat(shift.openingFloat) + salesTotal - refundTotal - drops - payouts)
+        : round(salesTotal - refundTotal);
+      const countedAmount = counted && counted[tender] !== undefined ? round(counted[tender]) : null;
+
+      return {
+        tender,
+        salesCount: taken?.count || 0,
+        sales: salesTotal,
+        refundCount: parseInt(refunded?.count) || 0,
+        refunds: refundTotal,
+        expected,
+        counted: countedAmount,
+        variance: countedAmount === null ? null : round(countedAmount - expected)
+      };
+    }).filter(row => row.tender === 'cash' || row.salesCount > 0 || row.refundCount > 0 || row.counted !== null);
+
+    const cash = tenders.find(row => row.tender === 'cash');
+
+    return {
+      type: shift.status === 'closed' ? 'Z' : 'X',
+      generatedAt: new Date(),
+      shift: {
+        id: shift.id,
+        shiftNumber: shift.shiftNumber,
+        registerName: shift.registerName,
+        cashierId: shift.cashierId,
+        status: shift.status,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt
+      },
+      summary: {
+        salesCount: sales.length,
+        salesTotal: round(sales.reduce((sum, sale) => sum + parseFloat(sale.total), 0)),
+        taxTotal: round(sales.reduce((sum, sale) => sum + (parseFloat(sale.taxAmount) || 0), 0)),
+        refundCount: tenders.reduce((sum, row) => sum + row.refundCount, 0),
+        refundTotal: round(tenders.reduce((sum, row) => sum + row.refunds, 0)),
+        netTotal: round(tenders.reduce((sum, row) => sum + row.sales - row.refunds, 0))
+      },
+      cash: {
+        openingFloat: round(shift.openingFloat),
+        sales: cash.sales,
+        refunds: cash.refunds,
+        drops,
+        payouts,
+        expected: cash.expected,
+        counted: cash.counted,
+        variance: cash.variance
+      },
+      tenders,
+      cashMovements: cashMovements.map(movement => ({
+        id: movement.id,
+        type: movement.type,
+        amount: round(movement.amount),
+        reason: movement.reason,
+        user: movement.User,
+        createdAt: movement.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Close a shift with a blind count of each tender: the cashier counts the
+   * drawer and card slips without seeing what is expected. Cash must be
+   * counted; other tenders not counted are taken as expected. The Z report
+   * is kept on the shift.
+   */
+  async close(shift, { counts = {}, notes, userId }) {
+    if (shift.status !== 'open') {
+      throw invalidRequest(`Shift ${shift.shiftNumber} is already closed`);
+    }
+    if (counts.cash === undefined || counts.cash === null || counts.cash === '') {
+      throw invalidRequest('Count the cash in the drawer to close the shift');
+    }
+
+    const countedTenders = {};
+    for (const [tender, amount] of Object.entries(counts)) {
+      if (!TENDERS.includes(tender)) {
+        throw invalidRequest(`Unknown tender: ${tender}`);
+      }
+      if (amount === undefined || amount === null || amount === '') continue;
+      if (isNaN(parseFloat(amount)) || parseFloat(amount) < 0) {
+        throw invalidRequest(`Counted ${tender.replace('_', ' ')} must be a non-negative number`);
+      }
+      countedTenders[tender] = round(amount);
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      const open = await this.getReport(shift, { transaction });
+      open.tenders.forEach(row => {
+        if (countedTenders[row.tender] === undefined) countedTenders[row.tender] = row.expected;
+      });
+
+      await shift.update({
+        status: 'closed',
+        closedAt: new Date(),
+        closedBy: userId,
+        countedTenders,
+        notes: notes !== undefined ? notes : shift.notes
+      }, { transaction });
+
+      await this.saveReport(shift, { transaction });
+
+      await transaction.commit();
+      return shift;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Offline sales rung up in a closed shift that synced after it closed, by
+   * tender. They are an adjustment to the shift rather than part of its Z
+   * report, which stays as it was counted. Null when there are none.
+   */
+  async getPostCloseAdjustment(shift) {
+    if (shift.status !== 'closed') return null;
+
+    const { lateSales } = await this.getSales(shift);
+    if (lateSales.length === 0) return null;
+
+    const tenders = tenderService.summarize(lateSales).map(row => ({
+      tender: row.tender,
+      salesCount: row.count,
+      sales: row.total
+    }));
+
+    return {
+      salesCount: lateSales.length,
+      salesTotal: round(lateSales.reduce((sum, sale) => sum + parseFloat(sale.total), 0)),
+      cash: round(tenders.find(row => row.tender === 'cash')?.sales),
+      tenders
+    };
+  }
+
+  /**
+   * Keep the Z report on a closed shift, with the expected cash and variance
+   * against its count
+   */
+  async saveReport(shift, { transaction } = {}) {
+    const report = await this.getReport(shift, { transaction });
+    return shift.update({
+      expectedCash: report.cash.expected,
+      countedCash: report.cash.counted,
+      cashVariance: report.cash.variance,
+      report
+    }, { transaction });
+  }
+}
+
+module.exports = new ShiftService();
@@ -0,0 +1,425 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const BarcodeUtils = require('../utils/barcodeUtils');
+const costingService = require('./costingService');
+const batchService = require('./batchService');
+const serialService = require('./serialService');
+const { roundUnitCost, invalidRequest } = require('../utils/serviceUtils');
+
+// Reasons a product's stock can change (StockMovement.type)
+const MOVEMENT_TYPES = ['opening', 'sale', 'refund', 'purchase_receipt', 'adjustment', 'transfer', 'write_off'];
+
+// Invoices that have been issued to the customer (see ledgerService)
+const ISSUED_INVOICE_STATUSES = ['sent', 'paid', 'overdue', 'partially_paid'];
+
+class StockService {
+  getMovementTypes() {
+    return MOVEMENT_TYPES;
+  }
+
+  /**
+   * Change a product's on-hand quantity and record why in the stock ledger.
+   * Taking more than is on hand fails, unless allowShortfall is set (sales),
+   * in which case stock stops at zero. Stock received is costed at unitCost,
+   * or the product's cost when not given.
+   *
+   * For batch-tracked products, stock received goes into `lot`
+   * ({ lotNumber, expiryDate }) and `batches` names the lots to move
+   * (see batchService.applyMovement). Sales never take expired lots.
+   *
+   * For serialized products, `serials` lists the serial number of each unit
+   * moved; sales must give them (see serialService.checkMovement).
+   */
+  async adjustStock(product, quantityChange, {
+    type = 'adjustment',
+    userId = null,
+    sourceType = null,
+    sourceId = null,
+    reference = null,
+    notes = null,
+    unitCost = null,
+    lot = null,
+    batches = null,
+    serials = null,
+    allowShortfall = false,
+    skipLedger = false,
+    transaction
+  } = {}) {
+    if (!MOVEMENT_TYPES.includes(type)) {
+      throw invalidRequest(`Invalid stock movement type: ${type}`);
+    }
+
+    if (!product.trackInventory) {
+      throw invalidRequest('Inventory tracking is not enabled for this product');
+    }
+
+    let change = parseInt(quantityChange) || 0;
+    const quantityBefore = product.stockQuantity || 0;
+
+    if (change > 0 && product.trackBatches && lot) {
+      await batchService.checkLot(product, lot, { transaction });
+    }
+
+    // Stock in expired lots cannot be sold, so it does not count as available
+    if (change < 0 && type === 'sale' && product.trackBatches) {
+      const sellable = await batchService.getSellableQuantity(product, { transaction });
+      if (sellable < -change) {
+        const expired = quantityBefore - sellable;
+        if (!allowShortfall) {
+          throw invalidRequest(`Insufficient stock for ${product.name}. Available: ${sellable}` +
+            (expired > 0 ? ` (${expired} more in expired lots)` : ''));
+        }
+        console.warn(`Warning: Only ${sellable} of ${product.name} could be sold from lots in date`);
+        change = -sellable;
+      }
+    }
+
+    if (change !== 0 && product.trackSerials) {
+      serials = await serialService.checkMovement(product, change, serials, { type, transaction });
+    }
+
+    if (change === 0) {
+      return null;
+    }
+
+    let quantityAfter = quantityBefore + change;
+
+    if (quantityAfter < 0) {
+      if (!allowShortfall) {
+        throw invalidRequest(`Insufficient stock for ${product.name}. Available: ${quantityBefore}`);
+      }
+      console.warn(`Warning: Stock for product ${product.name} went negative: ${quantityAfter}`);
+      quantityAfter = 0;
+    }
+
+    // The movement and its ledger entry are recorded here rather than by the
+    // product hook, so the entry carries the cost of the layers used
+    await product.update({ stockQuantity: quantityAfter }, {
+      transaction,
+      skipLedger: true,
+      skipStockMovement: true,
+      userId
+    });
+
+    const movement = await this.recordMovement(product, {
+      type,
+      quantityBefore,
+      quantityAfter,
+      userId,
+      sourceType,
+      sourceId,
+      reference,
+      notes,
+      unitCost,
+      lot,
+      batches,
+      serials
+    }, { transaction });
+
+    if (!skipLedger) {
+      const ledgerService = require('./ledgerService');
+      await ledgerService.postInventoryAdjustment(product, movement.quantityChange, {
+        transaction,
+        userId,
+        value: Math.abs(parseFloat(movement.totalCost))
+      });
+    }
+
+    return movement;
+  }
+
+  /**
+   * Active product carrying a scanned barcode, as looked up at the till and
+   * during stocktakes. product is null when the barcode is valid but unknown;
+   * check barcodeInfo.validation before relying on it.
+   */
+  async findByBarcode(companyId, barcode, options = {}) {
+    const barcodeInfo = BarcodeUtils.detectBarcodeType(barcode);
+    if (!barcodeInfo.validation.valid) {
+      return { barcodeInfo, product: null };
+    }
+
+    const product = await models.Product.findOne({
+      where: {
+        barcode,
+        companyId,
+        isActive: true
+      },
+      // A variant's barcode resolves to the variant itself; its parent is included for display
+      include: [{ model: models.Product, as: 'parent', attributes: ['id', 'name', 'variantOptions'] }],
+      transaction: options.transaction
+    });
+
+    return { barcodeInfo, product };
+  }
+
+  /**
+   * Write a stock ledger row for a change that has already been applied,
+   * costed from the product's cost layers and applied to its lots and serials.
+   * options.ledgerOnly writes the row alone, leaving lots, serials and cost
+   * layers as they are.
+   */
+  async recordMovement(product, { type, quantityBefore, quantityAfter, userId = null, sourceType = null, sourceId = null, reference = null, notes = null, unitCost = null, lot = null, batches = null, serials = null }, options = {}) {
+    const movementData = {
+      companyId: product.companyId,
+      productId: product.id,
+      type,
+      quantityChange: quantityAfter - quantityBefore,
+      quantityBefore,
+      quantityAfter,
+      userId,
+      sourceType,
+      sourceId,
+      reference,
+      notes
+    };
+
+    if (options.ledgerOnly) {
+      return models.StockMovement.create(movementData, { transaction: options.transaction });
+    }
+
+    const lots = product.trackBatches
+      ? await batchService.applyMovement(product, quantityAfter - quantityBefore, {
+        lot,
+        batches,
+        excludeExpired: type === 'sale',
+        transaction: options.transaction
+      })
+      : null;
+
+    const serialNumbers = product.trackSerials && serials && serials.length > 0
+      ? await serialService.applyMovement(product, quantityAfter - quantityBefore, serials, {
+        type,
+        sourceType,
+        sourceId,
+        reference,
+        transaction: options.transaction
+      })
+      : null;
+
+    const movement = await models.StockMovement.create({
+      ...movementData,
+      batches: lots,
+      serialNumbers
+    }, { transaction: options.transaction });
+
+    const cost = await costingService.applyMovement(product, movement.quantityChange, {
+      quantityBefore,
+      unitCost,
+      movementId: movement.id,
+      transaction: options.transaction
+    });
+
+    return movement.update(cost, { transaction: options.transaction });
+  }
+
+  isIssued(invoice) {
+    return invoice.type !== 'quote' && ISSUED_INVOICE_STATUSES.includes(invoice.status);
+  }
+
+  /**
+   * Invoice lines that move stock: bundles take their components and
+   * serialized products the units named on the line. Other products are
+   * adjusted by hand as before.
+   */
+  movesInvoiceStock(product) {
+    return product?.productType === 'bundle' || Boolean(product?.trackInventory && product.trackSerials);
+  }
+
+  /**
+   * Issued invoices take the stock of their lines out (see movesInvoiceStock),
+   * and give it back if the invoice is cancelled, returned to draft or deleted
+   */
+  async syncInvoiceStock(invoice, { transaction, released = false } = {}) {
+    const issued = !released && this.isIssued(invoice);
+
+    const movements = await models.StockMovement.findAll({
+      where: { companyId: invoice.companyId, sourceType: 'invoice', sourceId: invoice.id },
+      order: [['createdAt', 'DESC']],
+      transaction
+    });
+    const holding = movements.length > 0 && movements[0].type === 'sale';
+
+    if (issued && !holding) {
+      const items = await models.InvoiceItem.findAll({
+        where: { invoiceId: invoice.id },
+        include: [{ model: models.Product }],
+        transaction
+      });
+      for (const item of items.filter(line => this.movesInvoiceStock(line.Product))) {
+        await this.consumeInvoiceItem(invoice, item, item.Product, { transaction });
+      }
+    } else if (!issued && holding) {
+      const net = {};
+      movements.forEach(movement => {
+        if (!net[movement.productId]) net[movement.productId] = { quantity: 0, cost: 0 };
+        net[movement.productId].quantity += movement.quantityChange;
+        net[movement.productId].cost += parseFloat(movement.totalCost) || 0;
+      });
+
+      for (const [productId, { quantity, cost }] of Object.entries(net)) {
+        const product = quantity < 0 && await models.Product.findByPk(productId, { transaction });
+        if (!product || !product.trackInventory) continue;
+
+        const serials = product.trackSerials
+          ? await serialService.getSoldSerials(invoice.companyId, { sourceType: 'invoice', sourceId: invoice.id, productId }, { transaction })
+          : null;
+
+        await this.adjustStock(product, -quantity, {
+          type: 'refund',
+          sourceType: 'invoice',
+          sourceId: invoice.id,
+          reference: invoice.invoiceNumber,
+          userId: invoice.createdBy,
+          notes: `Invoice ${invoice.invoiceNumber} ${released ? 'deleted' : `marked ${invoice.status}`}`,
+          unitCost: roundUnitCost(cost / quantity),
+          serials,
+          transaction
+        });
+      }
+    }
+  }
+
+  /**
+   * Check before a draft invoice is issued that the serialized units on it
+   * are still in stock, since issuing it takes them out
+   */
+  async checkInvoiceStock(invoice, { transaction } = {}) {
+    if (invoice.type === 'quote') return;
+
+    const items = await models.InvoiceItem.findAll({
+      where: { invoiceId: invoice.id },
+      include: [{ model: models.Product }],
+      transaction
+    });
+    for (const item of items.filter(line => line.Product?.trackInventory && line.Product.trackSerials)) {
+      await serialService.checkMovement(item.Product, -parseFloat(item.quantity), item.serialNumbers, { type: 'sale', transaction });
+    }
+  }
+
+  /**
+   * Take one line of an issued invoice out of stock. Bundle lines are not
+   * refused for lack of stock; components stop at zero. Serialized lines
+   * must name units that are in stock.
+   */
+  consumeInvoiceItem(invoice, item, product, { transaction } = {}) {
+    const quantity = parseFloat(item.quantity) || 0;
+    const source = {
+      sourceType: 'invoice',
+      sourceId: invoice.id,
+      reference: invoice.invoiceNumber,
+      userId: invoice.createdBy,
+      transaction
+    };
+
+    if (product.productType === 'bundle') {
+      const bundleService = require('./bundleService');
+      return bundleService.consume(product, quantity, { ...source, allowShortfall: true });
+    }
+
+    return this.adjustStock(product, -quantity, { ...source, type: 'sale', serials: item.serialNumbers });
+  }
+
+  /**
+   * Movement history of a product, newest first
+   */
+  async getMovements(companyId, productId, { type, startDate, endDate, limit = 200 } = {}) {
+    const where = { companyId, productId };
+    if (type) where.type = type;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(`${endDate}T23:59:59.999Z`);
+    }
+
+    return models.StockMovement.findAll({
+      where,
+      include: [{ model: models.User, attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 200, 1000)
+    });
+  }
+
+  /**
+   * Compare on-hand quantities with the stock ledger. A difference means stock
+   * was changed without a movement being recorded (e.g. edited in the database).
+   */
+  async getReconciliation(companyId, { productId, mismatchedOnly = false, transaction } = {}) {
+    const where = { companyId, trackInventory: true };
+    if (productId) where.id = productId;
+
+    const products = await models.Product.findAll({
+      where,
+      attributes: ['id', 'name', 'sku', 'stockQuantity'],
+      order: [['name', 'ASC']],
+      transaction
+    });
+
+    const totals = await models.StockMovement.findAll({
+      where: { companyId, productId: products.map(product => product.id) },
+      attributes: [
+        'productId',
+        [models.sequelize.fn('SUM', models.sequelize.col('quantityChange')), 'ledgerQuantity'],
+        [models.sequelize.fn('COUNT', models.sequelize.col('id')), 'movementCount']
+      ],
+      group: ['productId'],
+      raw: true,
+      transaction
+    });
+
+    const rows = products.map(product => {
+      const total = totals.find(row => row.productId === product.id);
+      const ledgerQuantity = parseInt(total?.ledgerQuantity) || 0;
+
+      return {
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        stockQuantity: product.stockQuantity || 0,
+        ledgerQuantity,
+        difference: (product.stockQuantity || 0) - ledgerQuantity,
+        movementCount: parseInt(total?.movementCount) || 0
+      };
+    });
+
+    return mismatchedOnly ? rows.filter(row => row.difference !== 0) : rows;
+  }
+
+  /**
+   * Record a movement for each product whose ledger disagrees with its
+   * on-hand quantity, taking the on-hand quantity as correct. Products with
+   * no history yet (created before the stock ledger) get an opening movement.
+   * Only the ledger is corrected: lots, serials and cost layers are
+   * reconciled through their own flows.
+   */
+  async reconcile(companyId, { productId, userId = null } = {}) {
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const mismatches = await this.getReconciliation(companyId, { productId, mismatchedOnly: true, transaction });
+      const movements = [];
+
+      for (const row of mismatches) {
+        const product = await models.Product.findByPk(row.productId, { transaction });
+        movements.push(await this.recordMovement(product, {
+          type: row.movementCount === 0 ? 'opening' : 'adjustment',
+          quantityBefore: row.ledgerQuantity,
+          quantityAfter: row.stockQuantity,
+          userId,
+          sourceType: 'reconciliation',
+          notes: row.movementCount === 0
+            ? 'Opening balance recorded from on-hand quantity'
+            : `Ledger reconciled to on-hand quantity (difference ${row.difference > 0 ? '+' : ''}${row.difference})`
+        }, { transaction, ledgerOnly: true }));
+      }
+
+      await transaction.commit();
+      return movements;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new StockService();
@@ -0,0 +1,203 @@
+const { models } = require('../database');
+const stockService = require('./stockService');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+class StocktakeService {
+  /**
+   * Record a count for a product. Scans add to what has been counted so far;
+   * typing a quantity in replaces it (mode 'set').
+   */
+  async count(stocktake, productId, quantity, { mode = 'add', userId = null, notes } = {}) {
+    if (stocktake.status !== 'counting') {
+      throw invalidRequest(`Counts cannot be changed on a ${stocktake.status} stocktake`);
+    }
+
+    const amount = parseInt(quantity);
+    if (isNaN(amount) || (mode === 'set' ? amount < 0 : amount === 0)) {
+      throw invalidRequest(mode === 'set' ? 'Counted quantity cannot be negative' : 'Quantity must be a whole number other than zero');
+    }
+
+    const product = await models.Product.findOne({
+      where: { id: productId, companyId: stocktake.companyId }
+    });
+
+    if (!product) {
+      throw invalidRequest('Product not found', 404);
+    }
+
+    if (!product.trackInventory) {
+      throw invalidRequest(`Inventory tracking is not enabled for ${product.name}`);
+    }
+
+    const [line] = await models.StocktakeLine.findOrCreate({
+      where: { stocktakeId: stocktake.id, productId: product.id },
+      defaults: { countedQuantity: 0 }
+    });
+
+    const countedQuantity = mode === 'set' ? amount : line.countedQuantity + amount;
+    if (countedQuantity < 0) {
+      throw invalidRequest(`Counted quantity of ${product.name} cannot go below zero`);
+    }
+
+    await line.update({
+      countedQuantity,
+      countedBy: userId,
+      ...(notes !== undefined ? { notes } : {})
+    });
+
+    return { line, product };
+  }
+
+  /**
+   * Count one unit (or `quantity`) of the product carrying a scanned barcode
+   */
+  async scan(stocktake, barcode, { quantity = 1, userId = null } = {}) {
+    const { barcodeInfo, product } = await stockService.findByBarcode(stocktake.companyId, barcode);
+
+    if (!barcodeInfo.validation.valid) {
+      throw invalidRequest(`Invalid barcode: ${barcodeInfo.validation.error}`);
+    }
+
+    if (!product) {
+      throw invalidRequest(`No product found with barcode ${barcode}`, 404);
+    }
+
+    return this.count(stocktake, product.id, quantity, { mode: 'add', userId });
+  }
+
+  /**
+   * Counted against expected quantities, with the value of each difference at
+   * cost. Open stocktakes compare with stock on hand now; posted ones show the
+   * quantities and costs as they were when posted.
+   */
+  async getVariances(stocktake) {
+    const lines = await models.StocktakeLine.findAll({
+      where: { stocktakeId: stocktake.id },
+      include: [
+        { model: models.Product, attributes: ['id', 'name', 'sku', 'barcode', 'unit', 'stockQuantity', 'cost'] },
+        { model: models.User, as: 'Counter', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const frozen = stocktake.status === 'posted';
+    const rows = lines.map(line => {
+      const expectedQuantity = frozen ? line.expectedQuantity : (line.Product.stockQuantity || 0);
+      const unitCost = parseFloat(frozen ? line.unitCost : line.Product.cost) || 0;
+      const variance = line.countedQuantity - expectedQuantity;
+
+      return {
+        id: line.id,
+        productId: line.productId,
+        name: line.Product.name,
+        sku: line.Product.sku,
+        barcode: line.Product.barcode,
+        unit: line.Product.unit,
+        countedQuantity: line.countedQuantity,
+        expectedQuantity,
+        variance,
+        unitCost,
+        costImpact: round(variance * unitCost),
+        countedBy: line.Counter,
+        notes: line.notes,
+        updatedAt: line.updatedAt
+      };
+    });
+
+    const uncountedCount = frozen ? 0 : await models.Product.count({
+      where: { companyId: stocktake.companyId, trackInventory: true, isActive: true }
+    }) - rows.length;
+
+    const withVariance = rows.filter(row => row.variance !== 0);
+
+    return {
+      lines: rows,
+      summary: {
+        productsCounted: rows.length,
+        uncountedCount: Math.max(0, uncountedCount),
+        linesWithVariance: withVariance.length,
+        unitsOver: withVariance.filter(row => row.variance > 0).reduce((sum, row) => sum + row.variance, 0),
+        unitsShort: withVariance.filter(row => row.variance < 0).reduce((sum, row) => sum - row.variance, 0),
+        gainValue: round(withVariance.filter(row => row.costImpact > 0).reduce((sum, row) => sum + row.costImpact, 0)),
+        lossValue: round(withVariance.filter(row => row.costImpact < 0).reduce((sum, row) => sum - row.costImpact, 0)),
+        costImpact: round(rows.reduce((sum, row) => sum + row.costImpact, 0))
+      }
+    };
+  }
+
+  /**
+   * Set stock on hand to the counted quantities: one adjustment movement per
+   * product that differs, all in a single transaction. Products not counted
+   * are left as they are.
+   */
+  async post(stocktake, { userId = null } = {}) {
+    if (stocktake.status !== 'counting') {
+      throw invalidRequest(`A ${stocktake.status} stocktake cannot be posted`);
+    }
+
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      const lines = await models.StocktakeLine.findAll({
+        where: { stocktakeId: stocktake.id },
+        transaction
+      });
+
+      if (lines.length === 0) {
+        throw invalidRequest('Nothing has been counted on this stocktake');
+      }
+
+      let costImpact = 0;
+
+      for (const line of lines) {
+        const product = await models.Product.findByPk(line.productId, { transaction });
+        const expectedQuantity = product.stockQuantity || 0;
+        const variance = line.countedQuantity - expectedQuantity;
+        let unitCost = round(product.cost);
+
+        if (variance !== 0) {
+          const movement = await stockService.adjustStock(product, variance, {
+            type: 'adjustment',
+            sourceType: 'stocktake',
+            sourceId: stocktake.id,
+            reference: stocktake.stocktakeNumber,
+            userId,
+            notes: `Stocktake count: ${line.countedQuantity} counted, ${expectedQuantity} expected`,
+            transaction
+          });
+          // Losses are valued at the cost layers they used up
+          unitCost = Math.abs(parseFloat(movement.unitCost));
+          costImpact += parseFloat(movement.totalCost);
+        }
+
+        await line.update({ expectedQuantity, unitCost }, { transaction });
+      }
+
+      await stocktake.update({
+        status: 'posted',
+        postedBy: userId,
+        postedAt: new Date(),
+        costImpact: round(costImpact)
+      }, { transaction });
+
+      await transaction.commit();
+      return stocktake;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Abandon a count without touching stock
+   */
+  async cancel(stocktake) {
+    if (stocktake.status !== 'counting') {
+      throw invalidRequest(`A ${stocktake.status} stocktake cannot be cancelled`);
+    }
+
+    return stocktake.update({ status: 'cancelled' });
+  }
+}
+
+module.exports = new StocktakeService();
@@ -0,0 +1,137 @@
+const { models } = require('../database');
+const { round, invalidRequest } = require('../utils/serviceUtils');
+
+// Tenders a POS sale can be paid with, one POSSalePayment line each
+const TENDERS = ['cash', 'card', 'bank_transfer', 'mobile_payment', 'gift_card'];
+
+function label(tender) {
+  return tender.replace('_', ' ');
+}
+
+class TenderService {
+  getTenders() {
+    return TENDERS;
+  }
+
+  /**
+   * Check how a sale of `total` is paid before anything is saved. `payments`
+   * lists the tenders ([{ tender, amount, amountTendered, reference }]) and
+   * must sum to the total; only cash can be over-tendered, giving change.
+   * Without `payments` the sale is paid in full with `paymentMethod`.
+   * Returns the sale's paymentMethod ('mixed' for several tenders), cash
+   * tendered and change, and the tender lines to store.
+   */
+  checkPayments(total, { payments, paymentMethod, amountTendered } = {}) {
+    const saleTotal = round(total);
+
+    if (payments === undefined || payments === null) {
+      if (paymentMethod === 'mixed') {
+        throw invalidRequest('List the tenders of a split payment');
+      }
+      payments = [{ tender: paymentMethod, amount: saleTotal, amountTendered: paymentMethod === 'cash' ? amountTendered : null }];
+    }
+    if (!Array.isArray(payments) || payments.length === 0) {
+      throw invalidRequest('At least one tender is required');
+    }
+
+    const lines = payments.map((payment, index) => {
+      if (!TENDERS.includes(payment.tender)) {
+        throw invalidRequest(`Invalid tender: ${payment.tender}`);
+      }
+
+      const amount = round(payment.amount);
+      if (amount <= 0) {
+        throw invalidRequest(`The ${label(payment.tender)} amount must be a positive number`);
+      }
+
+      const line = {
+        tender: payment.tender,
+        amount,
+        amountTendered: null,
+        changeGiven: null,
+        reference: payment.reference ? String(payment.reference).trim() : null,
+        sortOrder: index
+      };
+
+      const tendered = payment.amountTendered;
+      if (tendered !== undefined && tendered !== null && tendered !== '') {
+        if (payment.tender !== 'cash') {
+          throw invalidRequest(`Only cash can be over-tendered; enter the ${label(payment.tender)} amount taken`);
+        }
+        if (round(tendered) < amount) {
+          throw invalidRequest(`Cash tendered (${round(tendered).toFixed(2)}) is less than the cash due (${amount.toFixed(2)})`);
+        }
+        line.amountTendered = round(tendered);
+        line.changeGiven = round(line.amountTendered - amount);
+      }
+
+      if (payment.tender === 'gift_card' && !line.reference) {
+        throw invalidRequest('Give the gift card number');
+      }
+
+      return line;
+    });
+
+    const paid = round(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (paid !== saleTotal) {
+      throw invalidRequest(paid < saleTotal
+        ? `Tenders come to ${paid.toFixed(2)}, ${(saleTotal - paid).toFixed(2)} short of the ${saleTotal.toFixed(2)} total`
+        : `Tenders come to ${paid.toFixed(2)}, ${(paid - saleTotal).toFixed(2)} more than the ${saleTotal.toFixed(2)} total; give change from cash`);
+    }
+
+    const cashLines = lines.filter(line => line.tender === 'cash');
+    const cashTendered = cashLines.some(line => line.amountTendered !== null)
+      ? round(cashLines.reduce((sum, line) => sum + (line.amountTendered ?? line.amount), 0))
+      : null;
+
+    return {
+      paymentMethod: new Set(lines.map(line => line.tender)).size > 1 ? 'mixed' : lines[0].tender,
+      amountTendered: cashTendered,
+      changeGiven: cashTendered === null ? null : round(cashLines.reduce((sum, line) => sum + (line.changeGiven || 0), 0)),
+      lines
+    };
+  }
+
+  /**
+   * Store a sale's tender lines, as returned by checkPayments
+   */
+  savePayments(sale, lines, { transaction } = {}) {
+    return models.POSSalePayment.bulkCreate(lines.map(line => ({
+      ...line,
+      companyId: sale.companyId,
+      saleId: sale.id
+    })), { transaction });
+  }
+
+  /**
+   * What a sale took through each tender: its tender lines, or for a sale
+   * recorded before tenders were, its whole total under its payment method.
+   * The sale must be loaded with its `payments`.
+   */
+  getSaleTenders(sale) {
+    if (sale.payments && sale.payments.length > 0) {
+      return sale.payments.map(payment => ({ tender: payment.tender, amount: round(payment.amount) }));
+    }
+    return [{ tender: sale.paymentMethod, amount: round(sale.total) }];
+  }
+
+  /**
+   * Sales and takings by tender across sales loaded with their `payments`.
+   * A split sale counts once under each tender it used.
+   */
+  summarize(sales) {
+    const totals = {};
+    sales.forEach(sale => {
+      const used = new Set();
+      this.getSaleTenders(sale).forEach(({ tender, amount }) => {
+        if (!totals[tender]) totals[tender] = { tender, count: 0, total: 0 };
+        totals[tender].total = round(totals[tender].total + amount);
+        if (!used.has(tender)) totals[tender].count++;
+        used.add(tender);
+      });
+    });
+    return Object.values(totals);
+  }
+}
+
+module.exports = new TenderService();
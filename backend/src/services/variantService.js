@@ -0,0 +1,260 @@
+const { Op } = require('sequelize');
+const { models } = require('../database');
+const stockService = require('./stockService');
+const { invalidRequest } = require('../utils/serviceUtils');
+
+// Fields a variant takes from its parent unless given its own
+const INHERITED_FIELDS = [
+  'description', 'category', 'unit', 'price', 'cost', 'lowStockThreshold', 'trackInventory', 'trackBatches', 'trackSerials',
+  'gstApplicable', 'gstRate', 'packagingType', 'packagingQuantity', 'pricePerUnit'
+];
+
+class VariantService {
+  /**
+   * Clean up a parent's option list: each option needs a name and at least
+   * one value, and neither names nor values may repeat
+   */
+  normalizeOptions(options) {
+    if (!Array.isArray(options)) {
+      throw invalidRequest('Variant options must be a list');
+    }
+
+    const names = new Set();
+    return options.map(option => {
+      const name = String(option?.name || '').trim();
+      if (!name) {
+        throw invalidRequest('Every variant option needs a name');
+      }
+      if (names.has(name.toLowerCase())) {
+        throw invalidRequest(`Variant option ${name} is listed twice`);
+      }
+      names.add(name.toLowerCase());
+
+      const values = [...new Set((Array.isArray(option.values) ? option.values : [])
+        .map(value => String(value).trim())
+        .filter(Boolean))];
+      if (values.length === 0) {
+        throw invalidRequest(`Variant option ${name} needs at least one value`);
+      }
+
+      return { name, values };
+    });
+  }
+
+  /**
+   * A variant's value for every one of the parent's options, in option order
+   */
+  normalizeAttributes(parent, attributes = {}) {
+    const options = parent.variantOptions || [];
+    if (options.length === 0) {
+      throw invalidRequest(`${parent.name} has no variant options`);
+    }
+
+    const normalized = {};
+    options.forEach(option => {
+      const value = String(attributes[option.name] || '').trim();
+      if (!value) {
+        throw invalidRequest(`Choose a ${option.name} for this variant`);
+      }
+      if (!option.values.includes(value)) {
+        throw invalidRequest(`${value} is not one of the ${option.name} options of ${parent.name}`);
+      }
+      normalized[option.name] = value;
+    });
+
+    return normalized;
+  }
+
+  variantName(parent, attributes) {
+    return `${parent.name} - ${Object.values(attributes).join(' / ')}`;
+  }
+
+  sameAttributes(a = {}, b = {}) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+  }
+
+  getVariants(parent, { includeInactive = false, transaction } = {}) {
+    const where = { parentProductId: parent.id };
+    if (!includeInactive) where.isActive = true;
+
+    return models.Product.findAll({
+      where,
+      order: [['name', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * A product with active variants is sold through them, never directly
+   */
+  async hasVariants(product, options = {}) {
+    if (product.parentProductId) return false;
+
+    const count = await models.Product.count({
+      where: { parentProductId: product.id, isActive: true },
+      transaction: options.transaction
+    });
+    return count > 0;
+  }
+
+  async ensureUnique(companyId, { sku, barcode }, excludeId = null, options = {}) {
+    const notSelf = excludeId ? { id: { [Op.ne]: excludeId } } : {};
+
+    if (sku) {
+      const existing = await models.Product.findOne({
+        where: { sku, ...notSelf },
+        transaction: options.transaction
+      });
+      if (existing) {
+        throw invalidRequest('Product with this SKU already exists');
+      }
+    }
+
+    if (barcode) {
+      const existing = await models.Product.findOne({
+        where: { barcode, companyId, ...notSelf },
+        transaction: options.transaction
+      });
+      if (existing) {
+        throw invalidRequest(`Barcode ${barcode} is already used by ${existing.name}`);
+      }
+    }
+  }
+
+  /**
+   * Check that the variants of a parent still fit a new option list, so an
+   * option value cannot be removed while a variant uses it
+   */
+  async checkOptions(parent, options, { transaction } = {}) {
+    const variants = await this.getVariants(parent, { includeInactive: true, transaction });
+
+    for (const variant of variants) {
+      const attributes = variant.variantAttributes || {};
+      const fits = Object.keys(attributes).length === options.length &&
+        options.every(option => option.values.includes(attributes[option.name]));
+
+      if (!fits) {
+        throw invalidRequest(`${variant.name} no longer matches the variant options; change or remove it first`);
+      }
+    }
+  }
+
+  async createVariant(parent, data = {}, { userId = null, transaction } = {}) {
+    if (parent.parentProductId) {
+      throw invalidRequest('A variant cannot have variants of its own');
+    }
+    if (parent.productType === 'bundle') {
+      throw invalidRequest('A bundle cannot have variants');
+    }
+
+    const attributes = this.normalizeAttributes(parent, data.attributes);
+
+    const siblings = await this.getVariants(parent, { includeInactive: true, transaction });
+    const duplicate = siblings.find(variant => this.sameAttributes(variant.variantAttributes, attributes));
+    if (duplicate) {
+      throw invalidRequest(`${duplicate.name} already exists${duplicate.isActive ? '' : ' (inactive)'}`);
+    }
+
+    const sku = data.sku || null;
+    const barcode = data.barcode || null;
+    await this.ensureUnique(parent.companyId, { sku, barcode }, null, { transaction });
+
+    const variantData = {
+      companyId: parent.companyId,
+      parentProductId: parent.id,
+      name: this.variantName(parent, attributes),
+      variantAttributes: attributes,
+      sku,
+      barcode,
+      stockQuantity: parseInt(data.stockQuantity) || 0
+    };
+    INHERITED_FIELDS.forEach(field => {
+      variantData[field] = data[field] !== undefined && data[field] !== '' ? data[field] : parent[field];
+    });
+
+    return models.Product.create(variantData, { transaction, userId });
+  }
+
+  /**
+   * Create every combination of the parent's options that has no variant yet.
+   * SKUs are derived from the parent's where it has one.
+   */
+  async generateVariants(parent, { userId = null, transaction } = {}) {
+    const combinations = (parent.variantOptions || []).reduce((acc, option) => (
+      acc.flatMap(combination => option.values.map(value => ({ ...combination, [option.name]: value })))
+    ), [{}]);
+
+    const siblings = await this.getVariants(parent, { includeInactive: true, transaction });
+    const created = [];
+
+    for (const attributes of combinations) {
+      if (Object.keys(attributes).length === 0) continue;
+      if (siblings.some(variant => this.sameAttributes(variant.variantAttributes, attributes))) continue;
+
+      let sku = null;
+      if (parent.sku) {
+        const candidate = `${parent.sku}-${Object.values(attributes).join('-')}`.toUpperCase().replace(/\s+/g, '');
+        const taken = await models.Product.findOne({ where: { sku: candidate }, transaction });
+        sku = taken ? null : candidate;
+      }
+
+      created.push(await this.createVariant(parent, { attributes, sku }, { userId, transaction }));
+    }
+
+    return created;
+  }
+
+  /**
+   * Update a variant's own details. A changed stock count is recorded in the
+   * stock ledger as an adjustment.
+   */
+  async updateVariant(parent, variant, data = {}, { userId = null } = {}) {
+    const changes = {};
+    ['sku', 'barcode', 'price', 'cost', 'lowStockThreshold', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        changes[field] = ['sku', 'barcode'].includes(field) ? (data[field] || null) : data[field];
+      }
+    });
+
+    await this.ensureUnique(parent.companyId, {
+      sku: changes.sku !== variant.sku ? changes.sku : null,
+      barcode: changes.barcode !== variant.barcode ? changes.barcode : null
+    }, variant.id);
+
+    if (data.attributes !== undefined) {
+      const attributes = this.normalizeAttributes(parent, data.attributes);
+      const siblings = await this.getVariants(parent, { includeInactive: true });
+      const duplicate = siblings.find(sibling => sibling.id !== variant.id && this.sameAttributes(sibling.variantAttributes, attributes));
+      if (duplicate) {
+        throw invalidRequest(`${duplicate.name} already exists`);
+      }
+      changes.variantAttributes = attributes;
+      changes.name = this.variantName(parent, attributes);
+    }
+
+    await variant.update(changes);
+
+    if (data.stockQuantity !== undefined && variant.trackInventory) {
+      await stockService.adjustStock(variant, parseInt(data.stockQuantity) - (variant.stockQuantity || 0), {
+        type: 'adjustment',
+        userId,
+        notes: 'Stock quantity edited on variant'
+      });
+    }
+
+    return variant;
+  }
+
+  /**
+   * Keep variant names in step with a renamed parent
+   */
+  async renameVariants(parent, { transaction } = {}) {
+    const variants = await this.getVariants(parent, { includeInactive: true, transaction });
+    for (const variant of variants) {
+      await variant.update({ name: this.variantName(parent, variant.variantAttributes || {}) }, { transaction });
+    }
+  }
+}
+
+module.exports = new VariantService();
@@ -0,0 +1,25 @@
+// Helpers shared by the services
+
+// Money amounts to the cent
+function round(amount) {
+  return Math.round((parseFloat(amount) || 0) * 100) / 100;
+}
+
+// Unit costs keep four decimals so extended costs round correctly
+function roundUnitCost(amount) {
+  return Math.round((parseFloat(amount) || 0) * 10000) / 10000;
+}
+
+// Validation failure a route surfaces to the client with its status (400
+// unless given)
+function invalidRequest(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  round,
+  roundUnitCost,
+  invalidRequest
+};
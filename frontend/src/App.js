@@ -8,7 +8,13 @@ import Invoices from './pages/Invoices';
 import InvoiceForm from './pages/InvoiceForm';
 import Customers from './pages/Customers';
 import Products from './pages/Products';
+import StockMovements from './pages/StockMovements';
+import ProductVariants from './pages/ProductVariants';
+import Stocktakes from './pages/Stocktakes';
+import Promotions from './pages/Promotions';
 import Expenses from './pages/Expenses';
+import PurchaseOrders from './pages/PurchaseOrders';
+import Suppliers from './pages/Suppliers';
 import Reports from './pages/Reports';
 import Settings from './pages/Settings';
 import Login from './pages/Login';
@@ -77,7 +83,13 @@ function AppRoutes() {
         <Route path="/invoices/:id" element={<InvoiceForm />} />
         <Route path="/customers" element={<Customers />} />
         <Route path="/products" element={<Products />} />
+        <Route path="/products/:id/movements" element={<StockMovements />} />
+        <Route path="/products/:id/variants" element={<ProductVariants />} />
+        <Route path="/stocktakes" element={<Stocktakes />} />
+        <Route path="/promotions" element={<Promotions />} />
         <Route path="/expenses" element={<Expenses />} />
+        <Route path="/suppliers" element={<Suppliers />} />
+        <Route path="/purchase-orders" element={<PurchaseOrders />} />
         <Route path="/reports" element={<Reports />} />
         <Route path="/settings" element={<Settings />} />
         <Route path="/pos" element={<POS />} />
@@ -14,7 +14,10 @@ import {
   UserCircleIcon,
   ShoppingCartIcon,
   ClipboardDocumentListIcon,
-  ShieldCheckIcon
+  ShieldCheckIcon,
+  TruckIcon,
+  BuildingStorefrontIcon,
+  TagIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
 
@@ -30,7 +33,10 @@ const Layout = ({ children }) => {
     { name: 'Customers', href: '/customers', icon: UsersIcon },
     { name: 'Products', href: '/products', icon: CubeIcon },
     { name: 'POS', href: '/pos', icon: ShoppingCartIcon },
+    { name: 'Promotions', href: '/promotions', icon: TagIcon },
     { name: 'Expenses', href: '/expenses', icon: BanknotesIcon },
+    { name: 'Suppliers', href: '/suppliers', icon: BuildingStorefrontIcon },
+    { name: 'Purchasing', href: '/purchase-orders', icon: TruckIcon },
     { name: 'Reports', href: '/reports', icon: ChartBarIcon },
     { name: 'Settings', href: '/settings', icon: CogIcon },
   ];
@@ -1,7 +1,9 @@
 import React from 'react';
-import { TrashIcon, MinusIcon, PlusIcon, ShoppingCartIcon } from '@heroicons/react/24/outline';
+import { TrashIcon, MinusIcon, PlusIcon, ShoppingCartIcon, PauseIcon, QueueListIcon } from '@heroicons/react/24/outline';
 
-const Cart = ({ items, onUpdateItem, onRemoveItem, onClearCart, total }) => {
+// onPark sets the cart aside as a held sale; onShowHeldSales lists held sales
+// to resume. Both are optional.
+const Cart = ({ items, onUpdateItem, onRemoveItem, onClearCart, onPark, onShowHeldSales, total }) => {
   const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
 
   if (items.length === 0) {
@@ -11,6 +13,15 @@ const Cart = ({ items, onUpdateItem, onRemoveItem, onClearCart, total }) => {
           <ShoppingCartIcon className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">Cart is empty</h3>
           <p className="mt-1 text-sm text-gray-500">Start adding products to your cart</p>
+          {onShowHeldSales && (
+            <button
+              onClick={onShowHeldSales}
+              className="mt-4 inline-flex items-center text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+            >
+              <QueueListIcon className="h-4 w-4 mr-1" />
+              Resume a held sale
+            </button>
+          )}
         </div>
       </div>
     );
@@ -24,12 +35,32 @@ const Cart = ({ items, onUpdateItem, onRemoveItem, onClearCart, total }) => {
           <h2 className="text-lg font-medium text-gray-900">
             Cart ({itemCount} {itemCount === 1 ? 'item' : 'items'})
           </h2>
-          <button
-            onClick={onClearCart}
-            className="text-red-600 hover:text-red-800 text-sm font-medium"
-          >
-            Clear All
-          </button>
+          <div className="flex items-center space-x-3">
+            {onShowHeldSales && (
+              <button
+                onClick={onShowHeldSales}
+                className="text-gray-600 hover:text-gray-800"
+                title="Held sales"
+              >
+                <QueueListIcon className="h-5 w-5" />
+              </button>
+            )}
+            {onPark && (
+              <button
+                onClick={onPark}
+                className="flex items-center text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+              >
+                <PauseIcon className="h-4 w-4 mr-1" />
+                Park
+              </button>
+            )}
+            <button
+              onClick={onClearCart}
+              className="text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Clear All
+            </button>
+          </div>
         </div>
       </div>
 
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowUturnLeftIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { posAPI } from '../../services/api';
+
+const onError = (fallback) => (error) => {
+  toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback);
+};
+
+// Cart lines as the held-sale API stores them
+export const heldItems = (cart) => cart.map(item => ({
+  productId: item.id,
+  quantity: item.quantity,
+  ...(item.serialNumbers ? { serialNumbers: item.serialNumbers } : {})
+}));
+
+// A resumed held sale's lines back as cart lines, at today's prices
+export const cartFromHeldSale = (heldSale) => heldSale.items.map(item => ({
+  ...item.product,
+  quantity: item.quantity,
+  unitPrice: parseFloat(item.product.price),
+  ...(item.product.trackSerials ? { serialNumbers: item.serialNumbers || [] } : {})
+}));
+
+const minutesLeft = (expiresAt) => Math.max(0, Math.round((new Date(expiresAt) - Date.now()) / 60000));
+
+// Set the cart aside under a label the cashier will recognise
+export const ParkSaleModal = ({ cart, customerId, onParked, onClose }) => {
+  const queryClient = useQueryClient();
+  const [label, setLabel] = useState('');
+
+  const holdMutation = useMutation(posAPI.holdSale, {
+    onSuccess: (response) => {
+      toast.success(response.data?.message || 'Sale held');
+      queryClient.invalidateQueries('pos-held-sales');
+      onParked();
+    },
+    onError: onError('Failed to hold sale')
+  });
+
+  const submit = (e) => {
+    e.preventDefault();
+    holdMutation.mutate({
+      label: label.trim() || null,
+      customerId: customerId || null,
+      items: heldItems(cart)
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <form onSubmit={submit} className="bg-white rounded-lg shadow-xl w-full max-w-sm p-6 space-y-4">
+        <h3 className="text-lg font-semibold">Park Sale</h3>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Label (optional)</label>
+          <input
+            type="text"
+            value={label}
+            maxLength={100}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="e.g. customer's name"
+            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            autoFocus
+          />
+        </div>
+        <p className="text-xs text-gray-500">
+          Any register can resume it until it expires. No stock is set aside.
+        </p>
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={holdMutation.isLoading}
+            className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Park
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Held sales from every register in the company, to resume or discard
+const HeldSales = ({ canResume = true, onResume, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery('pos-held-sales', posAPI.getHeldSales, { refetchInterval: 30000 });
+  const heldSales = data?.data?.data || [];
+
+  const resumeMutation = useMutation(posAPI.resumeHeldSale, {
+    onSuccess: (response) => {
+      toast.success(response.data?.message || 'Sale resumed');
+      queryClient.invalidateQueries('pos-held-sales');
+      onResume(response.data.data);
+    },
+    onError: (error) => {
+      onError('Failed to resume held sale')(error);
+      queryClient.invalidateQueries('pos-held-sales');
+    }
+  });
+
+  const discardMutation = useMutation(posAPI.discardHeldSale, {
+    onSuccess: (response) => {
+      toast.success(response.data?.message || 'Held sale discarded');
+      queryClient.invalidateQueries('pos-held-sales');
+    },
+    onError: onError('Failed to discard held sale')
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Held Sales</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!canResume && (
+          <p className="text-sm text-amber-700 bg-amber-50 rounded p-2 mb-3">
+            Park or clear the current cart before resuming another sale.
+          </p>
+        )}
+
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading held sales...</p>
+        ) : heldSales.length === 0 ? (
+          <p className="text-sm text-gray-500 py-6 text-center">No sales are on hold</p>
+        ) : (
+          <ul className="divide-y max-h-96 overflow-auto">
+            {heldSales.map(heldSale => (
+              <li key={heldSale.id} className="py-3 flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="font-medium text-sm truncate">
+                    {heldSale.label || heldSale.Customer?.name || 'Unlabelled sale'}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {parseFloat(heldSale.itemCount)} item(s) | ${parseFloat(heldSale.subtotal).toFixed(2)} before tax
+                    {heldSale.HeldBy && ` | ${heldSale.HeldBy.firstName} ${heldSale.HeldBy.lastName}`}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    Held {new Date(heldSale.createdAt).toLocaleTimeString()}, expires in {minutesLeft(heldSale.expiresAt)} min
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-3">
+                  <button
+                    onClick={() => resumeMutation.mutate(heldSale.id)}
+                    disabled={!canResume || resumeMutation.isLoading}
+                    className="flex items-center px-3 py-1 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                    Resume
+                  </button>
+                  <button
+                    onClick={() => discardMutation.mutate(heldSale.id)}
+                    disabled={discardMutation.isLoading}
+                    className="p-1 rounded-full text-red-600 hover:bg-red-100"
+                    title="Discard"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HeldSales;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowPathIcon, ExclamationTriangleIcon, SignalSlashIcon } from '@heroicons/react/24/outline';
+import offlinePOS, { QUEUE_EVENT } from '../../services/offlinePOS';
+
+// Connection state of the POS and the sales waiting to sync; queued sales
+// are sent as soon as the connection returns
+const OfflineSyncStatus = () => {
+  const queryClient = useQueryClient();
+  const [online, setOnline] = useState(navigator.onLine);
+  const [queue, setQueue] = useState(offlinePOS.getQueue());
+  const [syncing, setSyncing] = useState(false);
+  const [showQueue, setShowQueue] = useState(false);
+
+  const sync = useCallback(async () => {
+    if (offlinePOS.getQueue().every(sale => sale.syncStatus !== 'pending')) return;
+
+    setSyncing(true);
+    try {
+      const { synced, failed, conflicts } = await offlinePOS.syncQueue();
+      if (synced > 0) {
+        toast.success(`${synced} offline sale${synced === 1 ? '' : 's'} synced`);
+        queryClient.invalidateQueries(['pos-sales']);
+        queryClient.invalidateQueries('pos-shifts');
+        queryClient.invalidateQueries('products');
+      }
+      conflicts.forEach(({ sale, conflicts: lines }) => {
+        toast.error(
+          `${sale.saleNumber}: sold beyond stock on hand – ${lines.map(line => `${line.productName} short ${line.shortfall}`).join(', ')}`,
+          { duration: 10000 }
+        );
+      });
+      if (failed.length > 0) {
+        toast.error(`${failed.length} offline sale${failed.length === 1 ? '' : 's'} could not be synced`);
+        setShowQueue(true);
+      }
+    } finally {
+      setSyncing(false);
+    }
+  }, [queryClient]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      offlinePOS.refreshCatalogue().catch(() => {});
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    const updateQueue = () => setQueue(offlinePOS.getQueue());
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    window.addEventListener(QUEUE_EVENT, updateQueue);
+
+    if (navigator.onLine) {
+      offlinePOS.refreshCatalogue().catch(() => {});
+      sync();
+    }
+
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener(QUEUE_EVENT, updateQueue);
+    };
+  }, [sync]);
+
+  const failed = queue.filter(sale => sale.syncStatus === 'failed');
+
+  if (online && queue.length === 0) return null;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowQueue(!showQueue)}
+        className={`px-3 py-2 rounded-lg text-sm flex items-center space-x-1 ${
+          online ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-800'
+        }`}
+      >
+        {online ? <ArrowPathIcon className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} /> : <SignalSlashIcon className="h-4 w-4" />}
+        <span>
+          {online ? '' : 'Offline • '}
+          {queue.length} sale{queue.length === 1 ? '' : 's'} to sync
+          {failed.length > 0 && ` (${failed.length} failed)`}
+        </span>
+      </button>
+
+      {showQueue && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-lg border z-40 p-4 space-y-3">
+          <div className="flex justify-between items-center">
+            <h3 className="font-semibold">Offline sales</h3>
+            <button
+              onClick={sync}
+              disabled={!online || syncing}
+              className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+            >
+              {syncing ? 'Syncing...' : 'Sync now'}
+            </button>
+          </div>
+          {!online && (
+            <p className="text-sm text-gray-600">
+              Sales are saved on this register and sent when the connection returns.
+            </p>
+          )}
+          {queue.length === 0 ? (
+            <p className="text-sm text-gray-500">All sales are synced</p>
+          ) : (
+            queue.map(sale => (
+              <div key={sale.clientSaleId} className="border rounded-lg p-2 text-sm">
+                <div className="flex justify-between">
+                  <span>{new Date(sale.soldAt).toLocaleString()}</span>
+                  <span className="font-medium">${parseFloat(sale.total || 0).toFixed(2)}</span>
+                </div>
+                <div className="text-gray-500">
+                  {sale.items.length} item{sale.items.length === 1 ? '' : 's'}
+                </div>
+                {sale.syncStatus === 'failed' && (
+                  <div className="mt-1">
+                    <p className="text-red-600 flex items-start">
+                      <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                      {sale.syncError}
+                    </p>
+                    <div className="flex space-x-3 mt-1">
+                      <button
+                        onClick={() => {
+                          offlinePOS.retrySale(sale.clientSaleId);
+                          sync();
+                        }}
+                        className="text-indigo-600 hover:text-indigo-800"
+                      >
+                        Retry
+                      </button>
+                      <button
+                        onClick={() => {
+                          if (window.confirm('Discard this sale? It will not be recorded.')) {
+                            offlinePOS.discardSale(sale.clientSaleId);
+                          }
+                        }}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineSyncStatus;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { PlusIcon, PhotoIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, PhotoIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 
 const ProductGrid = ({ searchTerm, onAddToCart }) => {
@@ -7,6 +7,7 @@ const ProductGrid = ({ searchTerm, onAddToCart }) => {
   const [loading, setLoading] = useState(true);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [variantProduct, setVariantProduct] = useState(null);
 
   useEffect(() => {
     fetchProducts();
@@ -45,11 +46,15 @@ const ProductGrid = ({ searchTerm, onAddToCart }) => {
     }
   };
 
+  const matchesTerm = (product) =>
+    product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (product.barcode && product.barcode.includes(searchTerm)) ||
+    (product.sku && product.sku.toLowerCase().includes(searchTerm.toLowerCase()));
+
   const filteredProducts = products.filter(product => {
     const matchesSearch = searchTerm === '' || 
-      product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (product.barcode && product.barcode.includes(searchTerm)) ||
-      (product.sku && product.sku.toLowerCase().includes(searchTerm.toLowerCase()));
+      matchesTerm(product) ||
+      (product.variants || []).some(matchesTerm);
     
     const matchesCategory = selectedCategory === '' || product.category === selectedCategory;
     
@@ -120,27 +125,102 @@ const ProductGrid = ({ searchTerm, onAddToCart }) => {
               key={product.id}
               product={product}
               onAddToCart={onAddToCart}
+              onChooseVariant={setVariantProduct}
             />
           ))}
         </div>
       )}
+
+      {variantProduct && (
+        <VariantPicker
+          product={variantProduct}
+          onSelect={(variant) => {
+            onAddToCart(variant);
+            setVariantProduct(null);
+          }}
+          onClose={() => setVariantProduct(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+// Stock that can be sold now; stock in expired lots is left out by the server
+const sellableQuantity = (product) => (product.stockInfo ? product.stockInfo.quantity : product.stockQuantity);
+
+// Choose which size/colour of a product goes into the cart
+const VariantPicker = ({ product, onSelect, onClose }) => {
+  const variants = (product.variants || []).filter(variant => variant.isActive !== false);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{product.name}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+        <div className="p-4 space-y-2 max-h-96 overflow-y-auto">
+          {variants.map((variant) => {
+            const isOutOfStock = variant.trackInventory !== false && sellableQuantity(variant) <= 0;
+            return (
+              <button
+                key={variant.id}
+                onClick={() => onSelect(variant)}
+                disabled={isOutOfStock}
+                className={`w-full flex items-center justify-between px-4 py-3 rounded-lg border text-left transition-colors ${
+                  isOutOfStock
+                    ? 'bg-gray-50 text-gray-400 cursor-not-allowed'
+                    : 'hover:bg-blue-50 hover:border-blue-300'
+                }`}
+              >
+                <div>
+                  <p className="font-medium">{Object.values(variant.variantAttributes || {}).join(' / ')}</p>
+                  {variant.sku && <p className="text-xs text-gray-500">SKU: {variant.sku}</p>}
+                </div>
+                <div className="text-right">
+                  <p className="font-semibold">${parseFloat(variant.price || 0).toFixed(2)}</p>
+                  <p className="text-xs text-gray-500">
+                    {isOutOfStock ? 'Out of stock' : `Stock: ${sellableQuantity(variant) || 0}`}
+                  </p>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
     </div>
   );
 };
 
-const ProductCard = ({ product, onAddToCart }) => {
+const ProductCard = ({ product, onAddToCart, onChooseVariant }) => {
   const [imageError, setImageError] = useState(false);
 
+  // A product with variants is sold as one of them; its stock is theirs combined
+  const variants = (product.variants || []).filter(variant => variant.isActive !== false);
+  const hasVariants = variants.length > 0;
+  // A bundle holds no stock; it is limited by its scarcest tracked component
+  // and unlimited when none of its components track inventory
+  const unlimited = product.isBundle && product.stockInfo?.quantity == null;
+  const stockQuantity = hasVariants
+    ? variants.reduce((sum, variant) => sum + (sellableQuantity(variant) || 0), 0)
+    : product.isBundle ? (unlimited ? Infinity : product.stockInfo.quantity) : sellableQuantity(product);
+
   const handleAddToCart = () => {
-    if (product.stockQuantity <= 0) {
+    if (stockQuantity <= 0) {
       toast.error('Product out of stock');
       return;
     }
+    if (hasVariants) {
+      onChooseVariant(product);
+      return;
+    }
     onAddToCart(product);
   };
 
-  const isOutOfStock = product.stockQuantity <= 0;
-  const isLowStock = product.stockQuantity <= (product.lowStockThreshold || 5);
+  const isOutOfStock = stockQuantity <= 0;
+  const isLowStock = stockQuantity <= (product.lowStockThreshold || 5);
 
   return (
     <div className={`bg-white rounded-lg shadow-sm border hover:shadow-md transition-shadow ${
@@ -191,9 +271,12 @@ const ProductCard = ({ product, onAddToCart }) => {
             ${parseFloat(product.price || 0).toFixed(2)}
           </span>
           <span className="text-sm text-gray-500">
-            Stock: {product.stockQuantity || 0}
+            {unlimited ? 'Bundle' : `Stock: ${stockQuantity || 0}`}
           </span>
         </div>
+        {product.stockInfo?.expiredQuantity > 0 && (
+          <p className="text-xs text-red-600 -mt-2 mb-2">{product.stockInfo.expiredQuantity} expired, not for sale</p>
+        )}
 
         <button
           onClick={handleAddToCart}
@@ -205,7 +288,7 @@ const ProductCard = ({ product, onAddToCart }) => {
           }`}
         >
           <PlusIcon className="h-4 w-4" />
-          <span>{isOutOfStock ? 'Out of Stock' : 'Add to Cart'}</span>
+          <span>{isOutOfStock ? 'Out of Stock' : hasVariants ? 'Choose Option' : 'Add to Cart'}</span>
         </button>
       </div>
     </div>
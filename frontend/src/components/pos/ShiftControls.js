@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { BanknotesIcon, ClockIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { posAPI } from '../../services/api';
+import offlinePOS from '../../services/offlinePOS';
+import ShiftReport from './ShiftReport';
+
+// Tenders counted at close; cash is required, the rest default to expected
+const COUNT_TENDERS = [
+  { value: 'cash', label: 'Cash in drawer' },
+  { value: 'card', label: 'Card slips' },
+  { value: 'mobile_payment', label: 'Mobile payments' },
+  { value: 'bank_transfer', label: 'Bank transfers' },
+  { value: 'gift_card', label: 'Gift card redemptions' }
+];
+
+// Open, work and close the cashier's shift from the POS header
+const ShiftControls = () => {
+  const queryClient = useQueryClient();
+  const [modal, setModal] = useState(null);
+  const [openForm, setOpenForm] = useState({ openingFloat: '', registerName: '' });
+  const [movementForm, setMovementForm] = useState({ type: 'drop', amount: '', reason: '' });
+  const [counts, setCounts] = useState({});
+  const [closeNotes, setCloseNotes] = useState('');
+  const [zReport, setZReport] = useState(null);
+
+  const { data: shiftData } = useQuery('pos-current-shift', offlinePOS.getCurrentShift);
+  const shift = shiftData?.data?.data || null;
+
+  const onSuccess = (message) => (response) => {
+    toast.success(response.data?.message || message);
+    queryClient.invalidateQueries('pos-current-shift');
+    queryClient.invalidateQueries('pos-shifts');
+  };
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
+
+  const openShiftMutation = useMutation(posAPI.openShift, {
+    onSuccess: (response) => {
+      onSuccess('Shift opened')(response);
+      setModal(null);
+      setOpenForm({ openingFloat: '', registerName: '' });
+    },
+    onError: onError('Failed to open shift')
+  });
+
+  const cashMovementMutation = useMutation(
+    (data) => posAPI.recordCashMovement(shift.id, data),
+    {
+      onSuccess: (response) => {
+        onSuccess('Cash movement recorded')(response);
+        setModal(null);
+        setMovementForm({ type: 'drop', amount: '', reason: '' });
+      },
+      onError: onError('Failed to record cash movement')
+    }
+  );
+
+  const closeShiftMutation = useMutation(
+    (data) => posAPI.closeShift(shift.id, data),
+    {
+      onSuccess: (response) => {
+        onSuccess('Shift closed')(response);
+        setZReport(response.data?.data);
+        setCounts({});
+        setCloseNotes('');
+      },
+      onError: onError('Failed to close shift')
+    }
+  );
+
+  const closeModal = () => {
+    setModal(null);
+    setZReport(null);
+  };
+
+  const submitClose = (e) => {
+    e.preventDefault();
+    const entered = Object.fromEntries(
+      Object.entries(counts).filter(([, amount]) => amount !== '')
+    );
+    closeShiftMutation.mutate({ counts: entered, notes: closeNotes || undefined });
+  };
+
+  return (
+    <>
+      {shift ? (
+        <div className="flex items-center space-x-2">
+          <span className="flex items-center text-sm text-gray-600">
+            <ClockIcon className="h-4 w-4 mr-1" />
+            {shift.shiftNumber}
+            {shift.registerName && ` • ${shift.registerName}`}
+          </span>
+          <button
+            onClick={() => setModal('movement')}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg text-sm flex items-center space-x-1"
+          >
+            <BanknotesIcon className="h-4 w-4" />
+            <span>Drop / Payout</span>
+          </button>
+          <button
+            onClick={() => setModal('close')}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg text-sm flex items-center space-x-1"
+          >
+            <LockClosedIcon className="h-4 w-4" />
+            <span>Close Shift</span>
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setModal('open')}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-1"
+        >
+          <ClockIcon className="h-4 w-4" />
+          <span>Open Shift</span>
+        </button>
+      )}
+
+      {modal === 'open' && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              openShiftMutation.mutate({
+                openingFloat: parseFloat(openForm.openingFloat) || 0,
+                registerName: openForm.registerName || undefined
+              });
+            }}
+            className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm space-y-4"
+          >
+            <h2 className="text-lg font-semibold">Open Shift</h2>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Opening float</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={openForm.openingFloat}
+                onChange={(e) => setOpenForm({ ...openForm, openingFloat: e.target.value })}
+                placeholder="0.00"
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                autoFocus
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Register (optional)</label>
+              <input
+                type="text"
+                value={openForm.registerName}
+                onChange={(e) => setOpenForm({ ...openForm, registerName: e.target.value })}
+                placeholder="e.g. Till 1"
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div className="flex space-x-3">
+              <button type="button" onClick={closeModal} className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 rounded-lg">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={openShiftMutation.isLoading}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg disabled:opacity-50"
+              >
+                {openShiftMutation.isLoading ? 'Opening...' : 'Open Shift'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {modal === 'movement' && shift && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              cashMovementMutation.mutate({
+                type: movementForm.type,
+                amount: parseFloat(movementForm.amount),
+                reason: movementForm.reason || undefined
+              });
+            }}
+            className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm space-y-4"
+          >
+            <h2 className="text-lg font-semibold">Cash Drop / Payout</h2>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={movementForm.type}
+                onChange={(e) => setMovementForm({ ...movementForm, type: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                <option value="drop">Drop to safe</option>
+                <option value="payout">Payout</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                required
+                value={movementForm.amount}
+                onChange={(e) => setMovementForm({ ...movementForm, amount: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <input
+                type="text"
+                value={movementForm.reason}
+                onChange={(e) => setMovementForm({ ...movementForm, reason: e.target.value })}
+                placeholder={movementForm.type === 'drop' ? 'e.g. Mid-shift drop' : 'e.g. Window cleaner'}
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div className="flex space-x-3">
+              <button type="button" onClick={closeModal} className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 rounded-lg">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={cashMovementMutation.isLoading}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg disabled:opacity-50"
+              >
+                {cashMovementMutation.isLoading ? 'Saving...' : 'Record'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {modal === 'close' && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-2xl max-h-screen overflow-y-auto">
+            {zReport ? (
+              <>
+                <ShiftReport report={zReport} />
+                <div className="flex space-x-3 mt-6">
+                  <button
+                    onClick={() => window.print()}
+                    className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 rounded-lg"
+                  >
+                    Print
+                  </button>
+                  <button onClick={closeModal} className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg">
+                    Done
+                  </button>
+                </div>
+              </>
+            ) : shift && (
+              <form onSubmit={submitClose} className="space-y-4">
+                <h2 className="text-lg font-semibold">Close Shift {shift.shiftNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  Count the drawer and payment slips. Expected amounts are shown on the Z report once the shift is closed.
+                </p>
+                {COUNT_TENDERS.map(tender => (
+                  <div key={tender.value} className="flex items-center justify-between">
+                    <label className="text-sm font-medium text-gray-700">
+                      {tender.label}{tender.value === 'cash' && ' *'}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      required={tender.value === 'cash'}
+                      value={counts[tender.value] ?? ''}
+                      onChange={(e) => setCounts({ ...counts, [tender.value]: e.target.value })}
+                      placeholder={tender.value === 'cash' ? '0.00' : 'Not counted'}
+                      className="w-40 px-3 py-2 border rounded-lg text-right focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                ))}
+                <textarea
+                  value={closeNotes}
+                  onChange={(e) => setCloseNotes(e.target.value)}
+                  rows={2}
+                  placeholder="Notes (optional)"
+                  className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <div className="flex space-x-3">
+                  <button type="button" onClick={closeModal} className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 rounded-lg">
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={closeShiftMutation.isLoading}
+                    className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg disabled:opacity-50"
+                  >
+                    {closeShiftMutation.isLoading ? 'Closing...' : 'Close Shift'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ShiftControls;
@@ -0,0 +1,118 @@
+import React from 'react';
+
+const TENDER_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  mobile_payment: 'Mobile payment',
+  gift_card: 'Gift card',
+  mixed: 'Mixed'
+};
+
+const money = (amount) => (amount === null || amount === undefined ? '—' : `$${Number(amount).toFixed(2)}`);
+
+const varianceClass = (variance) => {
+  if (variance === null || variance === undefined || variance === 0) return 'text-gray-900';
+  return variance < 0 ? 'text-red-600' : 'text-green-600';
+};
+
+// X report (open shift) or Z report (closed shift) from /pos/shifts/:id/report
+const ShiftReport = ({ report }) => {
+  if (!report) return null;
+  const { shift, summary, cash, tenders, cashMovements, postCloseAdjustment } = report;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <h3 className="text-lg font-semibold">
+          {report.type} Report • {shift.shiftNumber}
+        </h3>
+        <p className="text-gray-600">
+          {shift.registerName && `${shift.registerName} • `}
+          Opened {new Date(shift.openedAt).toLocaleString()}
+          {shift.closedAt && ` • Closed ${new Date(shift.closedAt).toLocaleString()}`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-gray-500">Sales</div>
+          <div className="font-semibold">{summary.salesCount} • {money(summary.salesTotal)}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-gray-500">Refunds</div>
+          <div className="font-semibold">{summary.refundCount} • {money(summary.refundTotal)}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-gray-500">Net takings</div>
+          <div className="font-semibold">{money(summary.netTotal)}</div>
+        </div>
+      </div>
+
+      {postCloseAdjustment && (
+        <p className="text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+          {postCloseAdjustment.salesCount} offline sale(s) totalling {money(postCloseAdjustment.salesTotal)}
+          {postCloseAdjustment.cash > 0 && ` (${money(postCloseAdjustment.cash)} in cash)`} synced after the shift
+          closed and are not in this report
+        </p>
+      )}
+
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead>
+          <tr className="text-xs text-gray-500 uppercase">
+            <th className="py-2 text-left">Tender</th>
+            <th className="py-2 text-right">Sales</th>
+            <th className="py-2 text-right">Refunds</th>
+            <th className="py-2 text-right">Expected</th>
+            <th className="py-2 text-right">Counted</th>
+            <th className="py-2 text-right">Variance</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {tenders.map(row => (
+            <tr key={row.tender}>
+              <td className="py-2">{TENDER_LABELS[row.tender] || row.tender}</td>
+              <td className="py-2 text-right">{money(row.sales)}</td>
+              <td className="py-2 text-right">{money(row.refunds)}</td>
+              <td className="py-2 text-right">{money(row.expected)}</td>
+              <td className="py-2 text-right">{money(row.counted)}</td>
+              <td className={`py-2 text-right font-medium ${varianceClass(row.variance)}`}>{money(row.variance)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+        <div className="font-medium mb-1">Cash drawer</div>
+        <div className="flex justify-between"><span>Opening float</span><span>{money(cash.openingFloat)}</span></div>
+        <div className="flex justify-between"><span>+ Cash sales</span><span>{money(cash.sales)}</span></div>
+        <div className="flex justify-between"><span>− Cash refunds</span><span>{money(cash.refunds)}</span></div>
+        <div className="flex justify-between"><span>− Drops</span><span>{money(cash.drops)}</span></div>
+        <div className="flex justify-between"><span>− Payouts</span><span>{money(cash.payouts)}</span></div>
+        <div className="flex justify-between font-medium border-t pt-1"><span>Expected in drawer</span><span>{money(cash.expected)}</span></div>
+        <div className="flex justify-between"><span>Counted</span><span>{money(cash.counted)}</span></div>
+        <div className={`flex justify-between font-medium ${varianceClass(cash.variance)}`}>
+          <span>{cash.variance < 0 ? 'Short' : 'Over'}</span>
+          <span>{money(cash.variance)}</span>
+        </div>
+      </div>
+
+      {cashMovements.length > 0 && (
+        <div>
+          <div className="font-medium mb-1">Drops and payouts</div>
+          {cashMovements.map(movement => (
+            <div key={movement.id} className="flex justify-between text-gray-600">
+              <span>
+                {new Date(movement.createdAt).toLocaleTimeString()} • {movement.type === 'drop' ? 'Drop' : 'Payout'}
+                {movement.reason && ` • ${movement.reason}`}
+              </span>
+              <span>{money(movement.amount)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftReport;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+export const TENDER_OPTIONS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Credit/Debit Card' },
+  { value: 'mobile_payment', label: 'Mobile Payment' },
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'gift_card', label: 'Gift Card' }
+];
+
+export const newTender = (tender = 'cash', amount = '') => ({ tender, amount, amountTendered: '', reference: '' });
+
+const round = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+// Amount each tender line pays; a single line pays the whole total
+export const tenderAmounts = (payments, total) => (
+  payments.length === 1 ? [round(total)] : payments.map(payment => round(payment.amount))
+);
+
+/**
+ * Sale payments as the API takes them, or an error message when the tenders
+ * do not add up to the total
+ */
+export const buildPayments = (payments, total) => {
+  const amounts = tenderAmounts(payments, total);
+  const paid = round(amounts.reduce((sum, amount) => sum + amount, 0));
+  if (paid !== round(total)) {
+    return { error: `Tenders come to $${paid.toFixed(2)} of the $${round(total).toFixed(2)} total` };
+  }
+
+  const missingCard = payments.find(payment => payment.tender === 'gift_card' && !payment.reference);
+  if (missingCard) {
+    return { error: 'Enter the gift card number' };
+  }
+
+  return {
+    payments: payments.map((payment, index) => ({
+      tender: payment.tender,
+      amount: amounts[index],
+      amountTendered: payment.tender === 'cash' && payment.amountTendered !== '' ? parseFloat(payment.amountTendered) : undefined,
+      reference: payment.reference || undefined
+    }))
+  };
+};
+
+// Tender lines for a sale: one tender by default, split across several on demand
+const SplitTender = ({ total, payments, onChange }) => {
+  const amounts = tenderAmounts(payments, total);
+  const remaining = round(total - amounts.reduce((sum, amount) => sum + amount, 0));
+  const change = round(payments.reduce((sum, payment, index) => (
+    payment.tender === 'cash' && payment.amountTendered !== ''
+      ? sum + Math.max(0, parseFloat(payment.amountTendered) - amounts[index])
+      : sum
+  ), 0));
+
+  const update = (index, field, value) => {
+    onChange(payments.map((payment, i) => (i === index ? { ...payment, [field]: value } : payment)));
+  };
+
+  const addTender = () => {
+    // The first line keeps the amount it was paying; the new one takes the rest
+    const lines = payments.length === 1 ? [{ ...payments[0], amount: String(round(total)) }] : payments;
+    const rest = round(total - lines.reduce((sum, payment) => sum + round(payment.amount), 0));
+    onChange([...lines, newTender('card', rest > 0 ? String(rest) : '')]);
+  };
+
+  const removeTender = (index) => {
+    onChange(payments.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <label className="block text-sm font-medium text-gray-700">Payment</label>
+        <button
+          type="button"
+          onClick={addTender}
+          className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center space-x-1"
+        >
+          <PlusIcon className="h-4 w-4" />
+          <span>Split payment</span>
+        </button>
+      </div>
+
+      {payments.map((payment, index) => (
+        <div key={index} className="border rounded-lg p-3 space-y-2">
+          <div className="flex space-x-2">
+            <select
+              value={payment.tender}
+              onChange={(e) => update(index, 'tender', e.target.value)}
+              className="flex-1 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {TENDER_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {payments.length > 1 && (
+              <>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={payment.amount}
+                  onChange={(e) => update(index, 'amount', e.target.value)}
+                  placeholder="Amount"
+                  className="w-28 px-3 py-2 border rounded-lg text-sm text-right focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeTender(index)}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove tender"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </>
+            )}
+          </div>
+
+          {payment.tender === 'cash' && (
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={payment.amountTendered}
+              onChange={(e) => update(index, 'amountTendered', e.target.value)}
+              placeholder={`Cash tendered (${amounts[index].toFixed(2)} due)`}
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          )}
+          {['card', 'gift_card'].includes(payment.tender) && (
+            <input
+              type="text"
+              value={payment.reference}
+              onChange={(e) => update(index, 'reference', e.target.value)}
+              placeholder={payment.tender === 'gift_card' ? 'Gift card number' : 'Approval code (optional)'}
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          )}
+        </div>
+      ))}
+
+      {payments.length > 1 && remaining !== 0 && (
+        <div className={`flex justify-between text-sm font-medium ${remaining > 0 ? 'text-amber-700' : 'text-red-600'}`}>
+          <span>{remaining > 0 ? 'Remaining' : 'Over by'}</span>
+          <span>${Math.abs(remaining).toFixed(2)}</span>
+        </div>
+      )}
+      {change > 0 && (
+        <div className="flex justify-between text-sm font-medium text-green-700">
+          <span>Change due</span>
+          <span>${change.toFixed(2)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SplitTender;
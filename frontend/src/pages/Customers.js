@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
 import { toast } from 'react-hot-toast';
-import api from '../services/api';
+import api, { customerAPI } from '../services/api';
 
 const Customers = () => {
   const queryClient = useQueryClient();
@@ -45,6 +45,14 @@ const Customers = () => {
     onError: () => toast.error('Failed to delete customer')
   });
 
+  const remindersMutation = useMutation(({ id, paused }) => customerAPI.updateReminders(id, paused), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('customers');
+    },
+    onError: () => toast.error('Failed to update payment reminders')
+  });
+
   const onSubmit = (form) => {
     const payload = {
       name: form.name,
@@ -132,6 +140,13 @@ const Customers = () => {
                   <td className="px-6 py-4 text-sm text-gray-500">{new Date(c.createdAt).toLocaleDateString()}</td>
                   <td className="px-6 py-4 text-right text-sm">
                     <button onClick={() => onEdit(c)} className="text-indigo-600 hover:text-indigo-900 mr-3">Edit</button>
+                    <button
+                      onClick={() => remindersMutation.mutate({ id: c.id, paused: !c.remindersPaused })}
+                      className="text-gray-600 hover:text-gray-900 mr-3"
+                      title={c.remindersPaused ? 'Payment reminders are stopped for this customer' : 'Stop payment reminders and late fees'}
+                    >
+                      {c.remindersPaused ? 'Resume Reminders' : 'Stop Reminders'}
+                    </button>
                     <button onClick={() => deleteMutation.mutate(c.id)} className="text-red-600 hover:text-red-900">Delete</button>
                   </td>
                 </tr>
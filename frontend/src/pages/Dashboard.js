@@ -16,6 +16,8 @@ const Dashboard = () => {
   const { data: stats, isLoading } = useQuery('dashboard-stats', api.getDashboardStats);
   const { data: recentInvoices } = useQuery('recent-invoices', () => api.getInvoices({ limit: 5 }));
   const { data: lowStockProducts } = useQuery('low-stock', api.getLowStockProducts);
+  const { data: nearExpiry } = useQuery('near-expiry', () => api.getNearExpiryBatches({ days: 30 }));
+  const expiringBatches = nearExpiry?.data?.batches || [];
 
   if (isLoading) {
     return (
@@ -199,6 +201,32 @@ const Dashboard = () => {
             <p className="text-gray-500 text-center py-4">No low stock alerts</p>
           )}
         </div>
+
+        {/* Expired and expiring lots */}
+        {expiringBatches.length > 0 && (
+          <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Expiring Stock</h3>
+            <div className="space-y-3">
+              {expiringBatches.slice(0, 5).map((batch) => (
+                <div key={batch.batchId} className="flex items-center justify-between py-2 border-b last:border-b-0">
+                  <div className="flex items-center">
+                    <ExclamationTriangleIcon className={`h-5 w-5 mr-2 ${batch.expired ? 'text-red-500' : 'text-yellow-500'}`} />
+                    <div>
+                      <p className="font-medium text-gray-900">{batch.productName}</p>
+                      <p className="text-sm text-gray-600">Lot {batch.lotNumber} • {batch.quantity} {batch.unit}</p>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p className={`text-sm font-medium ${batch.expired ? 'text-red-600' : 'text-yellow-600'}`}>
+                      {batch.expired ? 'Expired' : `${batch.daysToExpiry} day${batch.daysToExpiry === 1 ? '' : 's'} left`}
+                    </p>
+                    <p className="text-xs text-gray-500">{batch.expiryDate}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -12,7 +12,11 @@ import {
   ExclamationTriangleIcon,
   CurrencyDollarIcon,
   CalendarDaysIcon,
-  TagIcon
+  TagIcon,
+  ArrowPathIcon,
+  PauseIcon,
+  PlayIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
 
@@ -31,14 +35,29 @@ const Expenses = () => {
   );
 
   const { data: categoriesData } = useQuery('expense-categories', () => api.getExpenseCategories());
+  const { data: suppliersData } = useQuery('suppliers', () => api.getSuppliers());
+
+  const { data: upcomingData } = useQuery(
+    'expenses-upcoming',
+    () => api.getUpcomingRecurringExpenses({ days: 60 })
+  );
 
   const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
   const watchedCategory = watch('category');
+  const watchedAmount = parseFloat(watch('amount')) || 0;
+  const watchedTaxRate = parseFloat(watch('taxRate')) || 0;
+  const watchedTaxInclusive = watch('taxInclusive');
+  const watchedIsRecurring = watch('isRecurring');
+  const watchedPaymentMethod = watch('paymentMethod');
+  const estimatedTax = watchedTaxInclusive
+    ? watchedAmount * watchedTaxRate / (100 + watchedTaxRate)
+    : watchedAmount * watchedTaxRate / 100;
 
   const createMutation = useMutation((payload) => api.createExpense(payload), {
     onSuccess: (response) => {
       toast.success('Expense created');
       queryClient.invalidateQueries('expenses');
+      queryClient.invalidateQueries('expenses-upcoming');
       
       // Upload receipt if provided
       if (receiptFile && response.data?.id) {
@@ -49,29 +68,40 @@ const Expenses = () => {
       reset();
       setReceiptFile(null);
     },
-    onError: () => toast.error('Failed to create expense')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to create expense')
   });
 
   const updateMutation = useMutation(({ id, payload }) => api.updateExpense(id, payload), {
     onSuccess: () => {
       toast.success('Expense updated');
       queryClient.invalidateQueries('expenses');
+      queryClient.invalidateQueries('expenses-upcoming');
       setShowForm(false);
       setEditing(null);
       reset();
       setReceiptFile(null);
     },
-    onError: () => toast.error('Failed to update expense')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update expense')
   });
 
   const deleteMutation = useMutation((id) => api.deleteExpense(id), {
     onSuccess: () => {
       toast.success('Expense deleted');
       queryClient.invalidateQueries('expenses');
+      queryClient.invalidateQueries('expenses-upcoming');
     },
     onError: () => toast.error('Failed to delete expense')
   });
 
+  const recurringMutation = useMutation(({ id, action }) => api.updateRecurringExpense(id, action), {
+    onSuccess: (response) => {
+      toast.success(response.data?.message || 'Recurring expense updated');
+      queryClient.invalidateQueries('expenses');
+      queryClient.invalidateQueries('expenses-upcoming');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update recurring expense')
+  });
+
   const uploadReceiptMutation = useMutation(({ id, file }) => api.uploadExpenseReceipt(id, file), {
     onSuccess: () => {
       toast.success('Receipt uploaded');
@@ -81,6 +111,7 @@ const Expenses = () => {
   });
 
   const expenses = expensesData?.data?.expenses || expensesData?.data || [];
+  const suppliers = suppliersData?.data || [];
   const categories = categoriesData?.data?.categories || categoriesData?.data || [
     'Office Supplies', 'Travel', 'Meals & Entertainment', 'Marketing', 'Professional Services',
     'Software', 'Equipment', 'Utilities', 'Rent', 'Insurance', 'Other'
@@ -92,11 +123,25 @@ const Expenses = () => {
       amount: parseFloat(form.amount),
       category: form.category,
       vendor: form.vendor,
+      supplierId: form.supplierId || null,
+      paymentMethod: form.paymentMethod,
+      dueDate: form.paymentMethod === 'on_account' && form.dueDate ? form.dueDate : null,
       expenseDate: form.expenseDate,
       status: form.status || 'pending',
       notes: form.notes,
-      taxDeductible: form.taxDeductible || false
+      taxDeductible: form.taxDeductible || false,
+      taxRate: parseFloat(form.taxRate) || 0,
+      taxInclusive: !!form.taxInclusive,
+      supplierTaxId: form.supplierTaxId || null,
+      isRecurring: !!form.isRecurring,
+      recurringPeriod: form.isRecurring ? form.recurringPeriod : null,
+      recurringEndDate: form.isRecurring && form.recurringEndDate ? form.recurringEndDate : null
     };
+
+    // Leave blank to let the server work GST out from the rate
+    if (form.taxAmount !== '' && form.taxAmount !== undefined) {
+      payload.taxAmount = parseFloat(form.taxAmount);
+    }
     
     if (editing) {
       updateMutation.mutate({ id: editing.id, payload });
@@ -112,10 +157,20 @@ const Expenses = () => {
       amount: expense.amount || 0,
       category: expense.category || '',
       vendor: expense.vendor || '',
+      supplierId: expense.supplierId || '',
+      paymentMethod: expense.paymentMethod || 'cash',
+      dueDate: expense.dueDate || '',
       expenseDate: expense.expenseDate ? expense.expenseDate.split('T')[0] : '',
       status: expense.status || 'pending',
       notes: expense.notes || '',
-      taxDeductible: expense.taxDeductible || false
+      taxDeductible: expense.taxDeductible || false,
+      taxRate: expense.taxRate || 0,
+      taxAmount: expense.taxAmount ?? '',
+      taxInclusive: expense.taxInclusive ?? true,
+      supplierTaxId: expense.supplierTaxId || '',
+      isRecurring: expense.isRecurring || false,
+      recurringPeriod: expense.recurringPeriod || 'monthly',
+      recurringEndDate: expense.recurringEndDate || ''
     });
     setShowForm(true);
   };
@@ -128,10 +183,20 @@ const Expenses = () => {
       amount: 0,
       category: '',
       vendor: '',
+      supplierId: '',
+      paymentMethod: 'cash',
+      dueDate: '',
       expenseDate: today,
       status: 'pending',
       notes: '',
-      taxDeductible: false
+      taxDeductible: false,
+      taxRate: 0,
+      taxAmount: '',
+      taxInclusive: true,
+      supplierTaxId: '',
+      isRecurring: false,
+      recurringPeriod: 'monthly',
+      recurringEndDate: ''
     });
     setReceiptFile(null);
     setShowForm(true);
@@ -178,6 +243,8 @@ const Expenses = () => {
   };
 
   const totalExpenses = expenses.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+  const totalTax = expenses.reduce((sum, expense) => sum + (parseFloat(expense.taxAmount) || 0), 0);
+  const upcoming = upcomingData?.data?.upcoming || [];
   const pendingCount = expenses.filter(e => e.status === 'pending').length;
   const approvedCount = expenses.filter(e => e.status === 'approved').length;
 
@@ -200,7 +267,7 @@ const Expenses = () => {
       </div>
 
       {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <div className="flex items-center">
             <CurrencyDollarIcon className="w-8 h-8 text-green-600" />
@@ -210,6 +277,15 @@ const Expenses = () => {
             </div>
           </div>
         </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <div className="flex items-center">
+            <ReceiptPercentIcon className="w-8 h-8 text-indigo-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">GST Paid</p>
+              <p className="text-2xl font-semibold text-gray-900">${totalTax.toFixed(2)}</p>
+            </div>
+          </div>
+        </div>
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <div className="flex items-center">
             <ClockIcon className="w-8 h-8 text-yellow-600" />
@@ -269,6 +345,35 @@ const Expenses = () => {
         </select>
       </div>
 
+      {/* Upcoming Recurring Expenses */}
+      {upcoming.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+          <div className="flex items-center mb-3">
+            <ArrowPathIcon className="w-5 h-5 text-indigo-600 mr-2" />
+            <h2 className="text-sm font-semibold text-gray-900">Upcoming Recurring Expenses (next 60 days)</h2>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {upcoming.slice(0, 8).map(item => (
+              <li key={`${item.templateId}-${item.date}`} className="flex items-center justify-between py-2 text-sm">
+                <div className="flex items-center">
+                  <CalendarDaysIcon className="w-4 h-4 text-gray-400 mr-2" />
+                  <span className="text-gray-600 w-28">{new Date(item.date).toLocaleDateString()}</span>
+                  <span className="font-medium text-gray-900">{item.description}</span>
+                  {item.vendor && <span className="text-gray-500 ml-2">• {item.vendor}</span>}
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className="text-xs text-gray-500 capitalize">{item.recurringPeriod}</span>
+                  <span className="font-medium text-gray-900">${item.amount.toFixed(2)}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {upcoming.length > 8 && (
+            <p className="text-xs text-gray-500 mt-2">+ {upcoming.length - 8} more</p>
+          )}
+        </div>
+      )}
+
       {/* Expense List */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
@@ -302,6 +407,16 @@ const Expenses = () => {
                       <div>
                         <div className="text-sm font-medium text-gray-900">{expense.description}</div>
                         <div className="text-sm text-gray-500">{expense.vendor}</div>
+                        {expense.isRecurring && expense.recurringStatus && (
+                          <div className="flex items-center mt-1">
+                            <ArrowPathIcon className="w-3 h-3 text-indigo-500 mr-1" />
+                            <span className="text-xs text-indigo-600 capitalize">
+                              {expense.recurringPeriod} • {expense.recurringStatus}
+                              {expense.recurringStatus === 'active' && expense.nextRecurringDate &&
+                                ` • next ${new Date(expense.nextRecurringDate).toLocaleDateString()}`}
+                            </span>
+                          </div>
+                        )}
                         {expense.receiptUrl && (
                           <div className="flex items-center mt-1">
                             <PaperClipIcon className="w-3 h-3 text-gray-400 mr-1" />
@@ -319,6 +434,11 @@ const Expenses = () => {
                   </td>
                   <td className="px-6 py-4 text-sm font-medium text-gray-900">
                     ${expense.amount?.toFixed(2)}
+                    {parseFloat(expense.taxAmount) > 0 && (
+                      <div className="text-xs text-gray-500">
+                        GST ${parseFloat(expense.taxAmount).toFixed(2)} {expense.taxInclusive ? 'incl.' : 'excl.'}
+                      </div>
+                    )}
                     {expense.taxDeductible && (
                       <div className="text-xs text-green-600">Tax deductible</div>
                     )}
@@ -340,6 +460,33 @@ const Expenses = () => {
                     >
                       <EyeIcon className="w-4 h-4" />
                     </button>
+                    {expense.isRecurring && expense.recurringStatus === 'active' && (
+                      <button
+                        onClick={() => recurringMutation.mutate({ id: expense.id, action: 'pause' })}
+                        className="text-yellow-600 hover:text-yellow-800"
+                        title="Pause series"
+                      >
+                        <PauseIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                    {expense.isRecurring && expense.recurringStatus === 'paused' && (
+                      <button
+                        onClick={() => recurringMutation.mutate({ id: expense.id, action: 'resume' })}
+                        className="text-green-600 hover:text-green-800"
+                        title="Resume series"
+                      >
+                        <PlayIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                    {expense.isRecurring && ['active', 'paused'].includes(expense.recurringStatus) && (
+                      <button
+                        onClick={() => recurringMutation.mutate({ id: expense.id, action: 'end' })}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="End series"
+                      >
+                        <StopIcon className="w-4 h-4" />
+                      </button>
+                    )}
                     <button 
                       onClick={() => onEdit(expense)} 
                       className="text-indigo-600 hover:text-indigo-900"
@@ -412,6 +559,19 @@ const Expenses = () => {
                   </select>
                   {errors.category && <p className="text-sm text-red-600 mt-1">{errors.category.message}</p>}
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Supplier</label>
+                  <select
+                    {...register('supplierId', {
+                      validate: (value, values) => values.paymentMethod !== 'on_account' || !!value || 'Choose the supplier this is owed to'
+                    })}
+                    className="mt-1 w-full px-3 py-2 border rounded-md"
+                  >
+                    <option value="">Not in supplier directory</option>
+                    {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+                  </select>
+                  {errors.supplierId && <p className="text-sm text-red-600 mt-1">{errors.supplierId.message}</p>}
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700">Vendor</label>
                   <input
@@ -420,6 +580,29 @@ const Expenses = () => {
                     placeholder="Vendor or merchant name"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Payment Method</label>
+                  <select {...register('paymentMethod')} className="mt-1 w-full px-3 py-2 border rounded-md">
+                    <option value="cash">Cash</option>
+                    <option value="bank_transfer">Bank Transfer</option>
+                    <option value="card">Card</option>
+                    <option value="check">Check</option>
+                    <option value="online">Online</option>
+                    <option value="on_account">On account (pay later)</option>
+                    <option value="other">Other</option>
+                  </select>
+                </div>
+                {watchedPaymentMethod === 'on_account' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Due Date</label>
+                    <input
+                      {...register('dueDate')}
+                      type="date"
+                      className="mt-1 w-full px-3 py-2 border rounded-md"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Leave blank to use the supplier's payment terms</p>
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-700">Expense Date *</label>
                   <input
@@ -438,6 +621,86 @@ const Expenses = () => {
                   </select>
                 </div>
               </div>
+
+              <div className="border rounded-md p-4 space-y-4">
+                <h3 className="text-sm font-semibold text-gray-900">GST</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Tax Rate (%)</label>
+                    <input
+                      {...register('taxRate', { min: { value: 0, message: 'Rate cannot be negative' }, max: { value: 100, message: 'Rate cannot exceed 100%' } })}
+                      type="number"
+                      step="0.01"
+                      className="mt-1 w-full px-3 py-2 border rounded-md"
+                      placeholder="0"
+                    />
+                    {errors.taxRate && <p className="text-sm text-red-600 mt-1">{errors.taxRate.message}</p>}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Tax Amount</label>
+                    <input
+                      {...register('taxAmount', { min: { value: 0, message: 'Tax cannot be negative' } })}
+                      type="number"
+                      step="0.01"
+                      className="mt-1 w-full px-3 py-2 border rounded-md"
+                      placeholder={estimatedTax.toFixed(2)}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Leave blank to calculate from the rate</p>
+                    {errors.taxAmount && <p className="text-sm text-red-600 mt-1">{errors.taxAmount.message}</p>}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Supplier Tax ID</label>
+                    <input
+                      {...register('supplierTaxId', { maxLength: { value: 50, message: 'Tax ID is too long' } })}
+                      className="mt-1 w-full px-3 py-2 border rounded-md"
+                      placeholder="Supplier GST number"
+                    />
+                    {errors.supplierTaxId && <p className="text-sm text-red-600 mt-1">{errors.supplierTaxId.message}</p>}
+                  </div>
+                </div>
+                <div className="flex items-center">
+                  <input
+                    {...register('taxInclusive')}
+                    type="checkbox"
+                    className="h-4 w-4 text-indigo-600 rounded border-gray-300"
+                  />
+                  <label className="ml-2 text-sm text-gray-700">Amount includes GST</label>
+                </div>
+              </div>
+
+              {!editing?.recurringTemplateId && (
+                <div className="border rounded-md p-4 space-y-4">
+                  <div className="flex items-center">
+                    <input
+                      {...register('isRecurring')}
+                      type="checkbox"
+                      className="h-4 w-4 text-indigo-600 rounded border-gray-300"
+                    />
+                    <label className="ml-2 text-sm font-semibold text-gray-900">Repeat this expense</label>
+                  </div>
+                  {watchedIsRecurring && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Repeats</label>
+                        <select {...register('recurringPeriod')} className="mt-1 w-full px-3 py-2 border rounded-md">
+                          <option value="monthly">Monthly</option>
+                          <option value="quarterly">Quarterly</option>
+                          <option value="yearly">Yearly</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">End Date</label>
+                        <input
+                          {...register('recurringEndDate')}
+                          type="date"
+                          className="mt-1 w-full px-3 py-2 border rounded-md"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Leave blank to repeat until ended</p>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
               
               <div>
                 <label className="block text-sm font-medium text-gray-700">Receipt Upload</label>
@@ -539,6 +802,35 @@ const Expenses = () => {
                 </div>
               </div>
               
+              {parseFloat(selectedExpense.taxAmount) > 0 && (
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="font-medium text-gray-600">GST ({parseFloat(selectedExpense.taxRate) || 0}%):</p>
+                    <p>
+                      ${parseFloat(selectedExpense.taxAmount).toFixed(2)}
+                      <span className="text-gray-500"> {selectedExpense.taxInclusive ? 'included' : 'on top'}</span>
+                    </p>
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-600">Supplier Tax ID:</p>
+                    <p>{selectedExpense.supplierTaxId || '—'}</p>
+                  </div>
+                </div>
+              )}
+
+              {selectedExpense.paymentMethod === 'on_account' && (
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="font-medium text-gray-600">Paid to supplier:</p>
+                    <p>${parseFloat(selectedExpense.paidAmount || 0).toFixed(2)}</p>
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-600">Due:</p>
+                    <p>{selectedExpense.dueDate ? new Date(selectedExpense.dueDate).toLocaleDateString() : '—'}</p>
+                  </div>
+                </div>
+              )}
+
               {selectedExpense.taxDeductible && (
                 <div className="p-3 bg-green-50 rounded-lg">
                   <p className="text-sm text-green-800">✓ Tax deductible expense</p>
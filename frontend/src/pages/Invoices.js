@@ -12,7 +12,9 @@ import {
   FunnelIcon,
   CheckCircleIcon,
   ClockIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  BellSlashIcon,
+  BellAlertIcon
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
 
@@ -49,7 +51,7 @@ const Invoices = () => {
       setShowForm(false);
       reset();
     },
-    onError: () => toast.error('Failed to create invoice')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to create invoice')
   });
 
   const updateMutation = useMutation(({ id, payload }) => api.updateInvoice(id, payload), {
@@ -60,7 +62,7 @@ const Invoices = () => {
       setEditing(null);
       reset();
     },
-    onError: () => toast.error('Failed to update invoice')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update invoice')
   });
 
   const deleteMutation = useMutation((id) => api.deleteInvoice(id), {
@@ -76,6 +78,15 @@ const Invoices = () => {
     onError: () => toast.error('Failed to send email')
   });
 
+  const remindersMutation = useMutation(({ id, paused }) => api.updateInvoiceReminders(id, paused), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      setSelectedInvoice(prev => ({ ...prev, remindersPaused: response.data.invoice.remindersPaused }));
+      queryClient.invalidateQueries('invoices');
+    },
+    onError: () => toast.error('Failed to update payment reminders')
+  });
+
   const customers = customersData?.data?.customers || customersData?.data || [];
   const products = productsData?.data?.products || productsData?.data || [];
   const invoices = invoicesData?.data?.invoices || invoicesData?.data || [];
@@ -112,12 +123,14 @@ const Invoices = () => {
       dueDate: form.dueDate,
       status: form.status || 'draft',
       notes: form.notes,
+      couponCode: form.couponCode || undefined,
       items: form.items.map(item => ({
         productId: item.productId || null,
         description: item.description,
         quantity: parseFloat(item.quantity) || 1,
         unitPrice: parseFloat(item.unitPrice) || 0,
-        total: calculateItemTotal(item)
+        total: calculateItemTotal(item),
+        serialNumbers: item.serialNumbers || undefined
       })),
       subtotal: calculateSubtotal(),
       taxAmount: calculateTax(),
@@ -158,6 +171,7 @@ const Invoices = () => {
       dueDate: dueDate,
       status: 'draft',
       notes: '',
+      couponCode: '',
       items: [{ productId: '', quantity: 1, unitPrice: 0, description: '' }]
     });
     setShowForm(true);
@@ -453,6 +467,17 @@ const Invoices = () => {
                           ${calculateItemTotal(watchedItems[index] || {}).toFixed(2)}
                         </div>
                       </div>
+                      {products.find(p => p.id === watchedItems[index]?.productId)?.trackSerials && (
+                        <div className="col-span-12 order-last">
+                          <label className="block text-sm font-medium text-gray-700">Serial Numbers</label>
+                          <textarea
+                            {...register(`items.${index}.serialNumbers`)}
+                            rows={2}
+                            className="mt-1 w-full px-3 py-2 border rounded-md text-sm font-mono"
+                            placeholder="One serial per unit, on separate lines or separated by commas"
+                          />
+                        </div>
+                      )}
                       <div className="col-span-12 md:col-span-1">
                         {fields.length > 1 && (
                           <button
@@ -489,6 +514,19 @@ const Invoices = () => {
                 </div>
               </div>
 
+              {/* Coupon: promotions are applied when the invoice is created */}
+              {!editing && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Coupon Code</label>
+                  <input
+                    {...register('couponCode')}
+                    className="mt-1 w-full px-3 py-2 border rounded-md uppercase"
+                    placeholder="Optional"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Active promotions are taken off the lines when the invoice is saved</p>
+                </div>
+              )}
+
               {/* Notes */}
               <div>
                 <label className="block text-sm font-medium text-gray-700">Notes</label>
@@ -570,7 +608,12 @@ const Invoices = () => {
                   <tbody>
                     {selectedInvoice.items?.map((item, index) => (
                       <tr key={index} className="border-b">
-                        <td className="py-2">{item.description}</td>
+                        <td className="py-2">
+                          {item.description}
+                          {item.serialNumbers?.length > 0 && (
+                            <div className="text-xs text-gray-500 font-mono">S/N: {item.serialNumbers.join(', ')}</div>
+                          )}
+                        </td>
                         <td className="text-right py-2">{item.quantity}</td>
                         <td className="text-right py-2">${item.unitPrice?.toFixed(2)}</td>
                         <td className="text-right py-2">${item.total?.toFixed(2)}</td>
@@ -594,6 +637,12 @@ const Invoices = () => {
                     <span>Total:</span>
                     <span>${selectedInvoice.total?.toFixed(2)}</span>
                   </div>
+                  {parseFloat(selectedInvoice.lateFeeAmount) > 0 && (
+                    <div className="flex justify-between text-red-600">
+                      <span>Late fee:</span>
+                      <span>${parseFloat(selectedInvoice.lateFeeAmount).toFixed(2)}</span>
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -605,6 +654,20 @@ const Invoices = () => {
               )}
               
               <div className="flex justify-end space-x-3 mt-6 pt-4 border-t">
+                {selectedInvoice.type !== 'quote' && !['draft', 'paid', 'cancelled'].includes(selectedInvoice.status) && (
+                  <button
+                    onClick={() => remindersMutation.mutate({ id: selectedInvoice.id, paused: !selectedInvoice.remindersPaused })}
+                    disabled={remindersMutation.isLoading}
+                    className="px-4 py-2 rounded-md border hover:bg-gray-50 flex items-center disabled:opacity-50"
+                  >
+                    {selectedInvoice.remindersPaused ? (
+                      <BellAlertIcon className="w-4 h-4 mr-2" />
+                    ) : (
+                      <BellSlashIcon className="w-4 h-4 mr-2" />
+                    )}
+                    {selectedInvoice.remindersPaused ? 'Resume Reminders' : 'Stop Reminders'}
+                  </button>
+                )}
                 <button 
                   onClick={() => downloadPdf(selectedInvoice.id)} 
                   className="px-4 py-2 rounded-md border hover:bg-gray-50 flex items-center"
@@ -10,9 +10,25 @@ import {
   MinusIcon,
   TrashIcon,
   PrinterIcon,
-  CheckIcon
+  EnvelopeIcon,
+  CheckIcon,
+  XMarkIcon,
+  PauseIcon,
+  QueueListIcon
 } from '@heroicons/react/24/outline';
-import api from '../services/api';
+import api, { posAPI } from '../services/api';
+import offlinePOS, { isOfflineError } from '../services/offlinePOS';
+import ShiftControls from '../components/pos/ShiftControls';
+import OfflineSyncStatus from '../components/pos/OfflineSyncStatus';
+import SplitTender, { newTender, buildPayments } from '../components/pos/SplitTender';
+import HeldSales, { ParkSaleModal, cartFromHeldSale } from '../components/pos/HeldSales';
+
+// Tenders a sale was paid with, e.g. "CASH $12.40, GIFT CARD $5.00"
+const formatPayments = (sale) => (
+  sale?.payments?.length > 1
+    ? sale.payments.map(payment => `${payment.tender.replace('_', ' ').toUpperCase()} $${parseFloat(payment.amount).toFixed(2)}`).join(', ')
+    : (sale?.paymentMethod || '').replace('_', ' ').toUpperCase()
+);
 
 const POS = () => {
   const queryClient = useQueryClient();
@@ -20,37 +36,90 @@ const POS = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
   const [showCheckout, setShowCheckout] = useState(false);
-  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [payments, setPayments] = useState([newTender()]);
   const [customerId, setCustomerId] = useState('');
   const [currentSale, setCurrentSale] = useState(null);
+  const [receiptEmail, setReceiptEmail] = useState('');
+  const [heldSalesModal, setHeldSalesModal] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
 
   const { data: productsData, isLoading: loadingProducts } = useQuery(
     ['products', { search: searchTerm, category: selectedCategory }],
-    () => api.getProducts({ search: searchTerm, category: selectedCategory }),
+    async () => {
+      try {
+        return await api.getProducts({ search: searchTerm, category: selectedCategory });
+      } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        // Offline: sell from the catalogue cached on this register
+        return { data: { products: offlinePOS.searchCatalogue({ search: searchTerm, category: selectedCategory }) } };
+      }
+    },
     { keepPreviousData: true }
   );
 
   const { data: customersData } = useQuery('customers', () => api.getCustomers());
 
+  const { data: shiftData } = useQuery('pos-current-shift', offlinePOS.getCurrentShift);
+  const currentShift = shiftData?.data?.data || null;
+
+  // Promotions the server will apply to the cart, shown before checkout.
+  // Offline the cart shows no promotions; they are applied when the sale syncs.
+  const promotionItems = cart.map(item => ({ productId: item.id, quantity: item.quantity, unitPrice: item.unitPrice }));
+  const { data: promotionData } = useQuery(
+    ['pos-promotions', promotionItems, couponCode],
+    () => api.previewPromotions({ items: promotionItems, channel: 'pos', couponCode: couponCode || undefined }),
+    {
+      enabled: cart.length > 0,
+      keepPreviousData: true,
+      retry: false,
+      onError: (error) => {
+        if (isOfflineError(error) || !couponCode) return;
+        toast.error(error.response?.data?.error || 'Coupon could not be applied');
+        setCouponCode('');
+      }
+    }
+  );
+  const linePromotions = cart.length > 0 ? promotionData?.data?.items || [] : [];
+
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
+  // Without a connection the sale is queued on the register and synced later
   const completeSaleMutation = useMutation(
-    (saleData) => {
-      // This would normally call a POS-specific API endpoint
-      // For now, we'll use the general API structure
-      return api.post('/pos/sales', saleData);
-    },
+    (saleData) => offlinePOS.submitSale(saleData),
     {
-      onSuccess: (response) => {
-        toast.success('Sale completed successfully!');
-        setCurrentSale(response.data);
+      onSuccess: (result) => {
+        if (result.queued) {
+          toast.success('Offline: sale saved and will sync when the connection returns');
+          setCurrentSale({ data: result.sale, queued: true });
+        } else {
+          toast.success('Sale completed successfully!');
+          setCurrentSale(result.response.data);
+        }
         setCart([]);
         setCustomerId('');
+        setPayments([newTender()]);
+        setCouponInput('');
+        setCouponCode('');
         setShowCheckout(false);
         queryClient.invalidateQueries(['pos-sales']);
+        queryClient.invalidateQueries('pos-shifts');
       },
-      onError: () => {
-        toast.error('Failed to complete sale');
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to complete sale');
+      }
+    }
+  );
+
+  const emailReceiptMutation = useMutation(
+    ({ id, email }) => posAPI.emailReceipt(id, email),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data?.message || 'Receipt sent');
+        setReceiptEmail('');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to email receipt');
       }
     }
   );
@@ -69,11 +138,48 @@ const POS = () => {
             : item
         );
       }
-      return [...prevCart, { ...product, quantity: 1, unitPrice: product.unitPrice }];
+      // Serialized products are sold by scanning the serial of each unit
+      return [...prevCart, {
+        ...product,
+        quantity: 1,
+        unitPrice: product.unitPrice,
+        ...(product.trackSerials ? { serialNumbers: [] } : {})
+      }];
     });
     toast.success(`${product.name} added to cart`);
   };
 
+  // Scanning another serial than the quantity covers adds a unit
+  const addSerial = (productId, serial) => {
+    const value = serial.trim();
+    const item = cart.find(line => line.id === productId);
+    if (!item || !value) return;
+
+    if (item.serialNumbers.includes(value)) {
+      toast.error(`Serial ${value} is already in the cart`);
+      return;
+    }
+
+    const serialNumbers = [...item.serialNumbers, value];
+    setCart(prevCart =>
+      prevCart.map(line =>
+        line.id === productId
+          ? { ...line, serialNumbers, quantity: Math.max(line.quantity, serialNumbers.length) }
+          : line
+      )
+    );
+  };
+
+  const removeSerial = (productId, serial) => {
+    setCart(prevCart =>
+      prevCart.map(line =>
+        line.id === productId
+          ? { ...line, serialNumbers: line.serialNumbers.filter(value => value !== serial) }
+          : line
+      )
+    );
+  };
+
   const updateCartQuantity = (productId, newQuantity) => {
     if (newQuantity <= 0) {
       removeFromCart(productId);
@@ -81,7 +187,9 @@ const POS = () => {
     }
     setCart(prevCart =>
       prevCart.map(item =>
-        item.id === productId ? { ...item, quantity: newQuantity } : item
+        item.id === productId
+          ? { ...item, quantity: newQuantity, ...(item.serialNumbers ? { serialNumbers: item.serialNumbers.slice(0, newQuantity) } : {}) }
+          : item
       )
     );
   };
@@ -96,16 +204,41 @@ const POS = () => {
     toast.success('Cart cleared');
   };
 
+  // A parked cart is on the server; this register starts a new sale
+  const cartParked = () => {
+    setCart([]);
+    setCustomerId('');
+    setPayments([newTender()]);
+    setShowCheckout(false);
+    setHeldSalesModal(null);
+  };
+
+  const resumeHeldSale = (heldSale) => {
+    setCart(cartFromHeldSale(heldSale));
+    setCustomerId(heldSale.customerId || '');
+    setHeldSalesModal(null);
+  };
+
   const calculateSubtotal = () => {
     return cart.reduce((total, item) => total + (item.unitPrice * item.quantity), 0);
   };
 
+  const linePromotion = (productId) => linePromotions.find(line => line.productId === productId && line.promotion);
+
+  const calculateDiscount = () => {
+    return linePromotions.reduce((total, line) => total + line.discountAmount, 0);
+  };
+
   const calculateTax = () => {
-    return calculateSubtotal() * 0.08; // 8% tax
+    return (calculateSubtotal() - calculateDiscount()) * 0.08; // 8% tax
   };
 
   const calculateTotal = () => {
-    return calculateSubtotal() + calculateTax();
+    return calculateSubtotal() - calculateDiscount() + calculateTax();
+  };
+
+  const applyCoupon = () => {
+    setCouponCode(couponInput.trim().toUpperCase());
   };
 
   const completeSale = () => {
@@ -114,18 +247,44 @@ const POS = () => {
       return;
     }
 
+    const unscanned = cart.find(item => item.serialNumbers && item.serialNumbers.length !== item.quantity);
+    if (unscanned) {
+      toast.error(`Scan ${unscanned.quantity - unscanned.serialNumbers.length} more serial number(s) for ${unscanned.name}`);
+      return;
+    }
+
+    // One tender pays whatever the sale comes to; a split must add up to it
+    let payment;
+    if (payments.length === 1 && payments[0].tender !== 'gift_card') {
+      payment = {
+        paymentMethod: payments[0].tender,
+        amountTendered: payments[0].tender === 'cash' && payments[0].amountTendered !== ''
+          ? parseFloat(payments[0].amountTendered)
+          : undefined
+      };
+    } else {
+      const split = buildPayments(payments, calculateTotal());
+      if (split.error) {
+        toast.error(split.error);
+        return;
+      }
+      payment = { payments: split.payments };
+    }
+
     const saleData = {
       customerId: customerId || null,
       items: cart.map(item => ({
         productId: item.id,
         quantity: item.quantity,
         unitPrice: item.unitPrice,
-        total: item.unitPrice * item.quantity
+        total: item.unitPrice * item.quantity,
+        serialNumbers: item.serialNumbers
       })),
-      subtotal: calculateSubtotal(),
+      subtotal: calculateSubtotal() - calculateDiscount(),
       taxAmount: calculateTax(),
       total: calculateTotal(),
-      paymentMethod,
+      couponCode: couponCode || undefined,
+      ...payment,
       status: 'completed'
     };
 
@@ -144,9 +303,10 @@ const POS = () => {
       ${cart.map(item => `${item.name} x${item.quantity} - $${(item.unitPrice * item.quantity).toFixed(2)}`).join('\n')}
       \n\n
       Subtotal: $${calculateSubtotal().toFixed(2)}\n
+      Discount: -$${calculateDiscount().toFixed(2)}\n
       Tax: $${calculateTax().toFixed(2)}\n
       Total: $${calculateTotal().toFixed(2)}\n
-      Payment: ${paymentMethod.toUpperCase()}\n\n
+      Payment: ${formatPayments(currentSale.data || currentSale)}\n\n
       Thank you for your business!
     `;
     
@@ -173,6 +333,8 @@ const POS = () => {
           <div className="flex justify-between items-center">
             <h1 className="text-2xl font-bold text-gray-900">Point of Sale</h1>
             <div className="flex items-center space-x-4">
+              <OfflineSyncStatus />
+              <ShiftControls />
               <div className="bg-indigo-100 px-4 py-2 rounded-lg">
                 <span className="text-sm font-medium text-indigo-800">
                   Cart: {cart.length} items | ${calculateTotal().toFixed(2)}
@@ -246,14 +408,32 @@ const POS = () => {
           <div className="p-6">
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-semibold">Cart</h2>
-              {cart.length > 0 && (
+              <div className="flex items-center space-x-3">
                 <button
-                  onClick={clearCart}
-                  className="text-sm text-red-600 hover:text-red-800"
+                  onClick={() => setHeldSalesModal('list')}
+                  className="text-gray-600 hover:text-gray-800"
+                  title="Held sales"
                 >
-                  Clear All
+                  <QueueListIcon className="h-5 w-5" />
                 </button>
-              )}
+                {cart.length > 0 && (
+                  <>
+                    <button
+                      onClick={() => setHeldSalesModal('park')}
+                      className="flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+                    >
+                      <PauseIcon className="h-4 w-4 mr-1" />
+                      Park
+                    </button>
+                    <button
+                      onClick={clearCart}
+                      className="text-sm text-red-600 hover:text-red-800"
+                    >
+                      Clear All
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
 
             {/* Cart Items */}
@@ -266,32 +446,64 @@ const POS = () => {
                 </div>
               ) : (
                 cart.map((item) => (
-                  <div key={item.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <h4 className="font-medium text-sm">{item.name}</h4>
-                      <p className="text-sm text-gray-600">${item.unitPrice?.toFixed(2)} each</p>
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => updateCartQuantity(item.id, item.quantity - 1)}
-                        className="p-1 rounded hover:bg-gray-200"
-                      >
-                        <MinusIcon className="h-4 w-4" />
-                      </button>
-                      <span className="w-8 text-center font-medium">{item.quantity}</span>
-                      <button
-                        onClick={() => updateCartQuantity(item.id, item.quantity + 1)}
-                        className="p-1 rounded hover:bg-gray-200"
-                      >
-                        <PlusIcon className="h-4 w-4" />
-                      </button>
-                      <button
-                        onClick={() => removeFromCart(item.id)}
-                        className="p-1 rounded hover:bg-red-100 text-red-600 ml-2"
-                      >
-                        <TrashIcon className="h-4 w-4" />
-                      </button>
+                  <div key={item.id} className="p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div className="flex-1">
+                        <h4 className="font-medium text-sm">{item.name}</h4>
+                        <p className="text-sm text-gray-600">${item.unitPrice?.toFixed(2)} each</p>
+                        {linePromotion(item.id) && (
+                          <p className="text-xs text-green-700">
+                            {linePromotion(item.id).promotion.name}: -${linePromotion(item.id).discountAmount.toFixed(2)}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => updateCartQuantity(item.id, item.quantity - 1)}
+                          className="p-1 rounded hover:bg-gray-200"
+                        >
+                          <MinusIcon className="h-4 w-4" />
+                        </button>
+                        <span className="w-8 text-center font-medium">{item.quantity}</span>
+                        <button
+                          onClick={() => updateCartQuantity(item.id, item.quantity + 1)}
+                          className="p-1 rounded hover:bg-gray-200"
+                        >
+                          <PlusIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => removeFromCart(item.id)}
+                          className="p-1 rounded hover:bg-red-100 text-red-600 ml-2"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
                     </div>
+                    {item.serialNumbers && (
+                      <div className="mt-2">
+                        <input
+                          type="text"
+                          placeholder={`Scan serial (${item.serialNumbers.length} of ${item.quantity})`}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              addSerial(item.id, e.target.value);
+                              e.target.value = '';
+                            }
+                          }}
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {item.serialNumbers.map(serial => (
+                            <span key={serial} className="inline-flex items-center px-2 py-0.5 text-xs bg-indigo-100 text-indigo-800 rounded">
+                              {serial}
+                              <button onClick={() => removeSerial(item.id, serial)} className="ml-1 hover:text-indigo-600">
+                                <XMarkIcon className="h-3 w-3" />
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))
               )}
@@ -304,6 +516,12 @@ const POS = () => {
                   <span>Subtotal:</span>
                   <span>${calculateSubtotal().toFixed(2)}</span>
                 </div>
+                {calculateDiscount() > 0 && (
+                  <div className="flex justify-between text-sm text-green-700">
+                    <span>Promotions:</span>
+                    <span>-${calculateDiscount().toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-sm">
                   <span>Tax (8%):</span>
                   <span>${calculateTax().toFixed(2)}</span>
@@ -333,21 +551,49 @@ const POS = () => {
                 </div>
                 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Payment Method</label>
-                  <select
-                    value={paymentMethod}
-                    onChange={(e) => setPaymentMethod(e.target.value)}
-                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                  >
-                    <option value="cash">Cash</option>
-                    <option value="card">Credit/Debit Card</option>
-                    <option value="digital">Digital Wallet</option>
-                  </select>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Coupon (Optional)</label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && applyCoupon()}
+                      placeholder="Coupon code"
+                      className="flex-1 px-3 py-2 border rounded-lg uppercase focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    {couponCode ? (
+                      <button
+                        onClick={() => { setCouponCode(''); setCouponInput(''); }}
+                        className="px-3 py-2 text-sm text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    ) : (
+                      <button
+                        onClick={applyCoupon}
+                        disabled={!couponInput.trim()}
+                        className="px-3 py-2 text-sm bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    )}
+                  </div>
+                  {couponCode && promotionData?.data?.couponApplied === false && (
+                    <p className="text-xs text-amber-700 mt-1">{couponCode} does not give anything off this cart</p>
+                  )}
                 </div>
+
+                <SplitTender total={calculateTotal()} payments={payments} onChange={setPayments} />
                 
+                {!currentShift && (
+                  <p className="text-sm text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+                    Open a shift before making sales
+                  </p>
+                )}
+
                 <button
                   onClick={completeSale}
-                  disabled={completeSaleMutation.isLoading}
+                  disabled={completeSaleMutation.isLoading || !currentShift}
                   className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium flex items-center justify-center space-x-2 disabled:opacity-50"
                 >
                   <CheckIcon className="h-5 w-5" />
@@ -366,11 +612,42 @@ const POS = () => {
             <div className="text-center">
               <CheckIcon className="mx-auto h-16 w-16 text-green-500 mb-4" />
               <h2 className="text-xl font-semibold mb-2">Sale Completed!</h2>
-              <p className="text-gray-600 mb-4">Transaction processed successfully</p>
+              <p className="text-gray-600 mb-4">
+                {currentSale.queued
+                  ? 'Saved on this register; it will sync when the connection returns'
+                  : 'Transaction processed successfully'}
+              </p>
               <div className="bg-gray-50 rounded-lg p-4 mb-6">
                 <div className="text-2xl font-bold text-indigo-600">${calculateTotal().toFixed(2)}</div>
-                <div className="text-sm text-gray-600">Payment Method: {paymentMethod.toUpperCase()}</div>
+                <div className="text-sm text-gray-600">Payment: {formatPayments(currentSale.data || currentSale)}</div>
+                {parseFloat((currentSale.data || currentSale).changeGiven) > 0 && (
+                  <div className="text-sm font-medium text-green-700">
+                    Change: ${parseFloat((currentSale.data || currentSale).changeGiven).toFixed(2)}
+                  </div>
+                )}
               </div>
+              {!currentSale.queued && (
+                <div className="flex space-x-2 mb-3">
+                  <input
+                    type="email"
+                    value={receiptEmail}
+                    onChange={(e) => setReceiptEmail(e.target.value)}
+                    placeholder="Customer email (optional)"
+                    className="flex-1 rounded-lg border-gray-300 text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                  />
+                  <button
+                    onClick={() => emailReceiptMutation.mutate({
+                      id: currentSale.data?.id || currentSale.id,
+                      email: receiptEmail || undefined
+                    })}
+                    disabled={emailReceiptMutation.isLoading}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg flex items-center space-x-2 disabled:opacity-50"
+                  >
+                    <EnvelopeIcon className="h-4 w-4" />
+                    <span>Email</span>
+                  </button>
+                </div>
+              )}
               <div className="flex space-x-3">
                 <button
                   onClick={printReceipt}
@@ -390,6 +667,23 @@ const POS = () => {
           </div>
         </div>
       )}
+
+      {/* Held Sales */}
+      {heldSalesModal === 'park' && (
+        <ParkSaleModal
+          cart={cart}
+          customerId={customerId}
+          onParked={cartParked}
+          onClose={() => setHeldSalesModal(null)}
+        />
+      )}
+      {heldSalesModal === 'list' && (
+        <HeldSales
+          canResume={cart.length === 0}
+          onResume={resumeHeldSale}
+          onClose={() => setHeldSalesModal(null)}
+        />
+      )}
     </div>
   );
 };
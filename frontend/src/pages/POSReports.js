@@ -1,10 +1,169 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { posAPI } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import ShiftReport from '../components/pos/ShiftReport';
+
+const money = (amount) => (amount === null || amount === undefined ? '—' : `$${Number(amount).toFixed(2)}`);
 
 const POSReports = () => {
+  const { user } = useAuth();
+  const isManager = ['owner', 'admin'].includes(user?.role);
+  const [status, setStatus] = useState('');
+  const [report, setReport] = useState(null);
+
+  const { data: shiftsData, isLoading } = useQuery(
+    ['pos-shifts', { status }],
+    () => posAPI.getShifts(status ? { status } : {}),
+    { keepPreviousData: true }
+  );
+  const shifts = shiftsData?.data?.data || [];
+
+  // Offline sales that sold stock no longer on hand when they synced
+  const { data: conflictsData } = useQuery('pos-sync-conflicts', () => posAPI.getSyncConflicts());
+  const conflictSales = conflictsData?.data?.data || [];
+
+  const viewReport = async (shift) => {
+    try {
+      const response = await posAPI.getShiftReport(shift.id);
+      setReport(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load shift report');
+    }
+  };
+
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-4">POS Reports</h1>
-      <p className="text-gray-600">POS reporting and analytics coming soon...</p>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">POS Reports</h1>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="rounded-lg border-gray-300 text-sm focus:border-indigo-500 focus:ring-indigo-500"
+        >
+          <option value="">All shifts</option>
+          <option value="open">Open</option>
+          <option value="closed">Closed</option>
+        </select>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cashier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expected Cash</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Counted</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+              <th className="px-6 py-3" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr><td className="px-6 py-4" colSpan={8}>Loading...</td></tr>
+            ) : shifts.length === 0 ? (
+              <tr>
+                <td className="px-6 py-12 text-center text-gray-500" colSpan={8}>
+                  <ClockIcon className="mx-auto h-12 w-12 text-gray-400 mb-2" />
+                  <p>No shifts found</p>
+                  <p className="text-sm">Shifts are opened from the Point of Sale screen</p>
+                </td>
+              </tr>
+            ) : (
+              shifts.map((shift) => (
+                <tr key={shift.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{shift.shiftNumber}</div>
+                    {shift.registerName && <div className="text-sm text-gray-500">{shift.registerName}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {shift.Cashier ? `${shift.Cashier.firstName} ${shift.Cashier.lastName}` : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(shift.openedAt).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {shift.closedAt ? new Date(shift.closedAt).toLocaleString() : (
+                      <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">Open</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{money(shift.expectedCash)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{money(shift.countedCash)}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                    shift.cashVariance < 0 ? 'text-red-600' : shift.cashVariance > 0 ? 'text-green-600' : 'text-gray-900'
+                  }`}>
+                    {money(shift.cashVariance)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {(shift.status === 'closed' || isManager) && (
+                      <button onClick={() => viewReport(shift)} className="text-indigo-600 hover:text-indigo-900">
+                        {shift.status === 'closed' ? 'Z report' : 'X report'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {conflictSales.length > 0 && (
+        <div className="mt-6 bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-1 flex items-center">
+            <ExclamationTriangleIcon className="h-5 w-5 text-amber-500 mr-2" />
+            Offline Sync Conflicts
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Sales rung up offline that sold more than was in stock when they synced. Count these products and correct their stock.
+          </p>
+          <div className="divide-y divide-gray-200">
+            {conflictSales.map(sale => (
+              <div key={sale.id} className="py-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-900">{sale.saleNumber}</span>
+                  <span className="text-gray-500">
+                    Sold {new Date(sale.date).toLocaleString()} • Synced {new Date(sale.syncedAt).toLocaleString()}
+                    {sale.Cashier && ` • ${sale.Cashier.firstName} ${sale.Cashier.lastName}`}
+                  </span>
+                </div>
+                {sale.stockConflicts.map(conflict => (
+                  <div key={conflict.productId} className="text-gray-700">
+                    {conflict.productName}: sold {conflict.quantity}, {conflict.available} in stock, {conflict.shortfall} short
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-2xl max-h-screen overflow-y-auto">
+            <ShiftReport report={report} />
+            <div className="flex space-x-3 mt-6">
+              <button
+                onClick={() => window.print()}
+                className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 rounded-lg"
+              >
+                Print
+              </button>
+              <button
+                onClick={() => setReport(null)}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,10 +1,304 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowUturnLeftIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { posAPI } from '../services/api';
+
+const REFUND_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'mobile_payment', label: 'Mobile Payment' }
+];
+
+const downloadRefundReceipt = async (refund) => {
+  try {
+    const response = await posAPI.downloadRefundReceipt(refund.id);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `refund-${refund.refundNumber}.pdf`;
+    link.click();
+  } catch (error) {
+    toast.error('Failed to download refund receipt');
+  }
+};
+
+const RefundModal = ({ sale, onClose }) => {
+  const queryClient = useQueryClient();
+  const [lines, setLines] = useState(() => sale.items.reduce((acc, item) => ({
+    ...acc,
+    [item.id]: { quantity: 0, disposition: 'restock' }
+  }), {}));
+  const [refundMethod, setRefundMethod] = useState(sale.paymentMethod === 'mixed' ? 'cash' : sale.paymentMethod);
+  const [reason, setReason] = useState('');
+
+  const available = (item) => parseFloat(item.quantity) - (parseFloat(item.refundedQuantity) || 0);
+  const setLine = (id, changes) => setLines((current) => ({ ...current, [id]: { ...current[id], ...changes } }));
+
+  const refundTotal = sale.items.reduce((sum, item) =>
+    sum + (parseFloat(item.lineTotal) / parseFloat(item.quantity)) * (parseFloat(lines[item.id].quantity) || 0), 0);
+
+  const refundMutation = useMutation((payload) => posAPI.refundSale(sale.id, payload), {
+    onSuccess: (response) => {
+      const { refund } = response.data.data;
+      toast.success(`Refund ${refund.refundNumber} processed`);
+      queryClient.invalidateQueries('pos-sales');
+      queryClient.invalidateQueries('pos-refunds');
+      downloadRefundReceipt(refund);
+      onClose();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to process refund')
+  });
+
+  const onSubmit = () => {
+    const items = Object.entries(lines)
+      .filter(([, line]) => parseFloat(line.quantity) > 0)
+      .map(([saleItemId, line]) => ({ saleItemId, quantity: parseFloat(line.quantity), disposition: line.disposition }));
+
+    if (items.length === 0) {
+      toast.error('Enter a quantity to refund');
+      return;
+    }
+
+    refundMutation.mutate({ items, refundMethod, reason: reason || undefined });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-screen overflow-y-auto">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Refund {sale.saleNumber}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        <div className="p-6 space-y-4">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Refund Qty</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase pl-4">Returned Goods</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sale.items.map((item) => (
+                <tr key={item.id}>
+                  <td className="py-2 text-sm text-gray-900">{item.productName}</td>
+                  <td className="py-2 text-sm text-right text-gray-500">{available(item)}</td>
+                  <td className="py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      max={available(item)}
+                      disabled={available(item) <= 0}
+                      value={lines[item.id].quantity}
+                      onChange={(e) => setLine(item.id, { quantity: e.target.value })}
+                      className="w-20 border border-gray-300 rounded px-2 py-1 text-right"
+                    />
+                  </td>
+                  <td className="py-2 pl-4">
+                    <select
+                      value={lines[item.id].disposition}
+                      onChange={(e) => setLine(item.id, { disposition: e.target.value })}
+                      className="border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                      <option value="restock">Return to stock</option>
+                      <option value="write_off">Write off</option>
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Refund Method</label>
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                {REFUND_METHODS.map((method) => (
+                  <option key={method.value} value={method.value}>{method.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between pt-2">
+            <div className="text-sm text-gray-600">
+              Refund total: <span className="font-semibold text-gray-900">${refundTotal.toFixed(2)}</span>
+              {refundMethod === 'cash' && refundTotal > 0 && (
+                <span className="ml-2 text-red-600">(paid out of the cash drawer)</span>
+              )}
+            </div>
+            <div className="space-x-3">
+              <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                onClick={onSubmit}
+                disabled={refundMutation.isLoading}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {refundMutation.isLoading ? 'Processing...' : 'Process Refund'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const POSSales = () => {
+  const [status, setStatus] = useState('all');
+  const [page, setPage] = useState(1);
+  const [refundSale, setRefundSale] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['pos-sales', status, page],
+    () => posAPI.getSales({ status, page }),
+    { keepPreviousData: true }
+  );
+
+  const { data: refundsData } = useQuery('pos-refunds', () => posAPI.getRefunds());
+
+  const sales = data?.data?.data?.sales || [];
+  const totalPages = data?.data?.data?.totalPages || 1;
+  const refunds = refundsData?.data?.data || [];
+
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-4">POS Sales History</h1>
-      <p className="text-gray-600">POS sales management coming soon...</p>
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">POS Sales History</h1>
+        <select
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="all">All sales</option>
+          <option value="completed">Completed</option>
+          <option value="partially_refunded">Partially refunded</option>
+          <option value="refunded">Refunded</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sale #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cashier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : sales.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">No sales found</td>
+              </tr>
+            ) : (
+              sales.map((sale) => (
+                <tr key={sale.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{sale.saleNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(sale.date).toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {sale.Cashier ? `${sale.Cashier.firstName} ${sale.Cashier.lastName}` : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{sale.paymentMethod.replace('_', ' ')}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">${parseFloat(sale.total).toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{sale.status.replace('_', ' ')}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {['completed', 'partially_refunded'].includes(sale.status) && (
+                      <button
+                        onClick={() => setRefundSale(sale)}
+                        className="inline-flex items-center text-red-600 hover:text-red-900"
+                      >
+                        <ArrowUturnLeftIcon className="w-4 h-4 mr-1" />
+                        Refund
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        {totalPages > 1 && (
+          <div className="flex items-center justify-end space-x-2 px-6 py-3 border-t">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button disabled={page >= totalPages} onClick={() => setPage(page + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+          </div>
+        )}
+      </div>
+
+      <h2 className="text-lg font-semibold mb-4">Refunds</h2>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Refund #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sale #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cash Drawer</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {refunds.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">No refunds yet</td>
+              </tr>
+            ) : (
+              refunds.map((refund) => (
+                <tr key={refund.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{refund.refundNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{refund.POSSale?.saleNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(refund.date).toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{refund.refundMethod.replace('_', ' ')}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">${parseFloat(refund.total).toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-red-600">
+                    {parseFloat(refund.cashDrawerImpact) !== 0 ? `$${parseFloat(refund.cashDrawerImpact).toFixed(2)}` : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    <button
+                      onClick={() => downloadRefundReceipt(refund)}
+                      className="text-green-600 hover:text-green-900"
+                      title="Download refund receipt"
+                    >
+                      <ArrowDownTrayIcon className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {refundSale && <RefundModal sale={refundSale} onClose={() => setRefundSale(null)} />}
     </div>
   );
 };
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { ArrowLeftIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+// Options are edited as a name plus comma-separated values
+const toOptionRows = (options = []) => options.map(option => ({ name: option.name, values: option.values.join(', ') }));
+
+const ProductVariants = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const [optionRows, setOptionRows] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const { data, isLoading } = useQuery(
+    ['product-variants', id],
+    () => api.getProductVariants(id, { isActive: 'all' })
+  );
+
+  const product = data?.data?.product;
+  const variantOptions = data?.data?.variantOptions;
+  const options = variantOptions || [];
+  const variants = data?.data?.variants || [];
+
+  // Refetches share unchanged data, so edits in progress survive until the
+  // saved options actually change
+  useEffect(() => {
+    setOptionRows(toOptionRows(variantOptions));
+  }, [variantOptions]);
+
+  const { register, handleSubmit, reset } = useForm();
+
+  const onSuccess = (message) => () => {
+    toast.success(message);
+    queryClient.invalidateQueries('product-variants');
+    queryClient.invalidateQueries('products');
+  };
+  const onError = (fallback) => (error) => toast.error(
+    error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback
+  );
+
+  const optionsMutation = useMutation(
+    (variantOptions) => api.updateProduct(id, { variantOptions }),
+    { onSuccess: onSuccess('Variant options saved'), onError: onError('Failed to save variant options') }
+  );
+
+  const generateMutation = useMutation(() => api.generateProductVariants(id), {
+    onSuccess: (response) => onSuccess(response.data.message)(),
+    onError: onError('Failed to create variants')
+  });
+
+  const saveMutation = useMutation(
+    ({ variantId, payload }) => (variantId
+      ? api.updateProductVariant(id, variantId, payload)
+      : api.createProductVariant(id, payload)),
+    {
+      onSuccess: () => {
+        onSuccess(editing ? 'Variant updated' : 'Variant created')();
+        setShowForm(false);
+        setEditing(null);
+        reset();
+      },
+      onError: onError('Failed to save variant')
+    }
+  );
+
+  const toggleMutation = useMutation(
+    (variant) => (variant.isActive
+      ? api.deleteProductVariant(id, variant.id)
+      : api.updateProductVariant(id, variant.id, { isActive: true })),
+    { onSuccess: onSuccess('Variant updated'), onError: onError('Failed to update variant') }
+  );
+
+  const saveOptions = () => {
+    optionsMutation.mutate(optionRows
+      .filter(row => row.name.trim())
+      .map(row => ({ name: row.name.trim(), values: row.values.split(',').map(value => value.trim()).filter(Boolean) })));
+  };
+
+  const updateOptionRow = (index, field, value) => {
+    setOptionRows(rows => rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const onAdd = () => {
+    setEditing(null);
+    reset({
+      attributes: Object.fromEntries(options.map(option => [option.name, option.values[0]])),
+      sku: '',
+      barcode: '',
+      price: product?.price,
+      cost: product?.cost,
+      stockQuantity: 0
+    });
+    setShowForm(true);
+  };
+
+  const onEdit = (variant) => {
+    setEditing(variant);
+    reset({
+      attributes: variant.variantAttributes || {},
+      sku: variant.sku || '',
+      barcode: variant.barcode || '',
+      price: variant.price,
+      cost: variant.cost,
+      stockQuantity: variant.stockQuantity
+    });
+    setShowForm(true);
+  };
+
+  const onSubmit = (form) => {
+    saveMutation.mutate({
+      variantId: editing?.id,
+      payload: {
+        attributes: form.attributes,
+        sku: form.sku || null,
+        barcode: form.barcode || null,
+        price: form.price !== '' ? parseFloat(form.price) : undefined,
+        cost: form.cost !== '' ? parseFloat(form.cost) : undefined,
+        stockQuantity: form.stockQuantity !== '' ? parseInt(form.stockQuantity) : undefined
+      }
+    });
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <Link to="/products" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+            <ArrowLeftIcon className="w-4 h-4 mr-1" />
+            Back to products
+          </Link>
+          <h1 className="text-2xl font-bold">Variants{product ? `: ${product.name}` : ''}</h1>
+          <p className="text-gray-600">Each variant has its own SKU, barcode, price and stock</p>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => generateMutation.mutate()}
+            disabled={options.length === 0 || generateMutation.isLoading}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Create All Combinations
+          </button>
+          <button
+            onClick={onAdd}
+            disabled={options.length === 0}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Add Variant
+          </button>
+        </div>
+      </div>
+
+      {/* Options */}
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-1">Options</h2>
+        <p className="text-sm text-gray-500 mb-4">For example Size with S, M, L or Colour with Red, Blue</p>
+        <div className="space-y-3">
+          {optionRows.map((row, index) => (
+            <div key={index} className="flex items-center space-x-3">
+              <input
+                value={row.name}
+                onChange={(e) => updateOptionRow(index, 'name', e.target.value)}
+                placeholder="Option name"
+                className="w-40 border border-gray-300 rounded-lg px-3 py-2"
+              />
+              <input
+                value={row.values}
+                onChange={(e) => updateOptionRow(index, 'values', e.target.value)}
+                placeholder="Values, separated by commas"
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+              />
+              <button
+                onClick={() => setOptionRows(rows => rows.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800"
+              >
+                <TrashIcon className="w-5 h-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between mt-4">
+          <button
+            onClick={() => setOptionRows(rows => [...rows, { name: '', values: '' }])}
+            className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Add option
+          </button>
+          <button
+            onClick={saveOptions}
+            disabled={optionsMutation.isLoading}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {optionsMutation.isLoading ? 'Saving...' : 'Save Options'}
+          </button>
+        </div>
+      </div>
+
+      {/* Variants */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Variant</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Barcode</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Stock</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : variants.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                  {options.length === 0 ? 'Add options above to create variants' : 'No variants yet'}
+                </td>
+              </tr>
+            ) : (
+              variants.map((variant) => (
+                <tr key={variant.id} className={variant.isActive ? '' : 'opacity-50'}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {Object.values(variant.variantAttributes || {}).join(' / ')}
+                    {!variant.isActive && <span className="ml-2 text-xs text-gray-500">Inactive</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{variant.sku || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{variant.barcode || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    ${parseFloat(variant.price || 0).toFixed(2)}
+                  </td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                    variant.trackInventory && variant.stockQuantity <= variant.lowStockThreshold ? 'text-red-600' : 'text-gray-900'
+                  }`}>
+                    {variant.trackInventory ? variant.stockQuantity : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right space-x-3">
+                    <button onClick={() => onEdit(variant)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                    {variant.trackInventory && (
+                      <Link to={`/products/${variant.id}/movements`} className="text-gray-600 hover:text-gray-900">
+                        Stock History
+                      </Link>
+                    )}
+                    <button
+                      onClick={() => toggleMutation.mutate(variant)}
+                      className={variant.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}
+                    >
+                      {variant.isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Variant Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-md">
+            <div className="border-b px-6 py-4 flex items-center justify-between">
+              <h2 className="text-lg font-semibold">{editing ? 'Edit Variant' : 'Add Variant'}</h2>
+              <button onClick={() => setShowForm(false)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                {options.map((option) => (
+                  <div key={option.name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{option.name}</label>
+                    <select {...register(`attributes.${option.name}`)} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+                      {option.values.map((value) => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">SKU</label>
+                  <input {...register('sku')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Barcode</label>
+                  <input {...register('barcode')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Price</label>
+                  <input type="number" step="0.01" min="0" {...register('price')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Cost</label>
+                  <input type="number" step="0.01" min="0" {...register('cost')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Stock</label>
+                  <input type="number" min="0" {...register('stockQuantity')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saveMutation.isLoading}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {saveMutation.isLoading ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductVariants;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { 
   ExclamationTriangleIcon,
@@ -9,7 +10,9 @@ import {
   CurrencyDollarIcon,
   QrCodeIcon,
   PlusIcon,
-  DocumentTextIcon
+  DocumentTextIcon,
+  ClipboardDocumentCheckIcon,
+  MagnifyingGlassIcon
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
 import BarcodeScanner from '../components/BarcodeScanner';
@@ -22,6 +25,10 @@ const Products = () => {
   const [categoryFilter, setCategoryFilter] = useState('');
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
   const [barcodeSearching, setBarcodeSearching] = useState(false);
+  const [components, setComponents] = useState([]);
+  const [showSerialLookup, setShowSerialLookup] = useState(false);
+  const [serialQuery, setSerialQuery] = useState('');
+  const [serialResult, setSerialResult] = useState(null);
 
   const { data, isLoading } = useQuery(
     ['products', search, categoryFilter], 
@@ -34,6 +41,8 @@ const Products = () => {
   const watchGstApplicable = watch('gstApplicable', true);
   const watchPackagingType = watch('packagingType');
   const watchPackagingQuantity = watch('packagingQuantity', 1);
+  const watchProductType = watch('productType', 'standard');
+  const watchTrackBatches = watch('trackBatches', false);
 
   const createMutation = useMutation((payload) => api.createProduct(payload), {
     onSuccess: () => {
@@ -42,7 +51,7 @@ const Products = () => {
       setShowForm(false);
       reset();
     },
-    onError: () => toast.error('Failed to create product')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to create product')
   });
 
   const updateMutation = useMutation(({ id, payload }) => api.updateProduct(id, payload), {
@@ -53,7 +62,7 @@ const Products = () => {
       setEditing(null);
       reset();
     },
-    onError: () => toast.error('Failed to update product')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update product')
   });
 
   const deleteMutation = useMutation((id) => api.deleteProduct(id), {
@@ -61,21 +70,25 @@ const Products = () => {
       toast.success('Product deleted');
       queryClient.invalidateQueries('products');
     },
-    onError: () => toast.error('Failed to delete product')
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to delete product')
   });
 
   const onSubmit = (form) => {
+    const isBundle = form.productType === 'bundle';
     const payload = {
       name: form.name,
+      productType: form.productType || 'standard',
       sku: form.sku || undefined,
       barcode: form.barcode || undefined,
       description: form.description || undefined,
       category: form.category || undefined,
       unitPrice: parseFloat(form.unitPrice) || 0,
       costPrice: parseFloat(form.costPrice) || 0,
-      trackInventory: form.trackInventory || false,
-      stockQuantity: form.trackInventory ? parseInt(form.stockQuantity) || 0 : 0,
-      lowStockThreshold: form.trackInventory ? parseInt(form.lowStockThreshold) || 0 : 0,
+      trackInventory: !isBundle && (form.trackInventory || false),
+      stockQuantity: !isBundle && form.trackInventory ? parseInt(form.stockQuantity) || 0 : 0,
+      lowStockThreshold: form.trackInventory || isBundle ? parseInt(form.lowStockThreshold) || 0 : 0,
+      trackBatches: !isBundle && Boolean(form.trackInventory && form.trackBatches),
+      trackSerials: !isBundle && Boolean(form.trackInventory && form.trackSerials),
       unit: form.unit || 'pcs',
       taxable: form.taxable || false,
       gstApplicable: form.gstApplicable || false,
@@ -84,6 +97,16 @@ const Products = () => {
       packagingQuantity: parseInt(form.packagingQuantity) || 1,
       pricePerUnit: form.packagingQuantity > 1 ? parseFloat(form.unitPrice) / parseInt(form.packagingQuantity) : parseFloat(form.unitPrice),
     };
+    // Opening stock of a new batch-tracked product goes into the lot given
+    if (!editing && payload.trackBatches && form.lotNumber) {
+      payload.lotNumber = form.lotNumber;
+      payload.expiryDate = form.expiryDate || undefined;
+    }
+    if (isBundle) {
+      payload.components = components
+        .filter(line => line.productId)
+        .map(line => ({ productId: line.productId, quantity: parseInt(line.quantity) || 1 }));
+    }
     
     if (editing) {
       updateMutation.mutate({ id: editing.id, payload });
@@ -94,8 +117,10 @@ const Products = () => {
 
   const onEdit = (product) => {
     setEditing(product);
+    setComponents((product.components || []).map(line => ({ productId: line.componentId, quantity: line.quantity })));
     reset({
       name: product.name || '',
+      productType: product.productType || 'standard',
       sku: product.sku || '',
       barcode: product.barcode || '',
       description: product.description || '',
@@ -105,6 +130,8 @@ const Products = () => {
       trackInventory: product.trackInventory || false,
       stockQuantity: product.stockQuantity || 0,
       lowStockThreshold: product.lowStockThreshold || 0,
+      trackBatches: product.trackBatches || false,
+      trackSerials: product.trackSerials || false,
       unit: product.unit || 'pcs',
       taxable: product.taxable || false,
       gstApplicable: product.gstApplicable !== undefined ? product.gstApplicable : true,
@@ -117,8 +144,10 @@ const Products = () => {
 
   const onAdd = () => {
     setEditing(null);
+    setComponents([]);
     reset({
       name: '',
+      productType: 'standard',
       sku: '',
       barcode: '',
       description: '',
@@ -128,6 +157,8 @@ const Products = () => {
       trackInventory: true,
       stockQuantity: 0,
       lowStockThreshold: 5,
+      trackBatches: false,
+      trackSerials: false,
       unit: 'pcs',
       taxable: true,
       gstApplicable: true,
@@ -138,10 +169,25 @@ const Products = () => {
     setShowForm(true);
   };
 
+  // Bundles hold no stock of their own: they are limited by the scarcest tracked component
+  const bundleAvailability = (product) => {
+    const tracked = (product.components || []).filter(line => line.component?.trackInventory);
+    if (tracked.length === 0) return null;
+    return Math.max(0, Math.min(...tracked.map(line => Math.floor((line.component.stockQuantity || 0) / line.quantity))));
+  };
+
   const isLowStock = (product) => {
+    if (product.productType === 'bundle') {
+      const available = bundleAvailability(product);
+      return available !== null && available <= (product.lowStockThreshold || 0);
+    }
     return product.trackInventory && product.stockQuantity <= product.lowStockThreshold;
   };
 
+  const updateComponent = (index, changes) => {
+    setComponents(current => current.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
   // Barcode functionality
   const handleBarcodeScanned = async (barcode) => {
     setBarcodeSearching(true);
@@ -157,8 +203,10 @@ const Products = () => {
       } else {
         // Product not found, create new one with barcode
         setEditing(null);
+        setComponents([]);
         reset({
           name: '',
+          productType: 'standard',
           sku: '',
           barcode: barcode,
           description: '',
@@ -168,6 +216,8 @@ const Products = () => {
           trackInventory: true,
           stockQuantity: 0,
           lowStockThreshold: 5,
+          trackBatches: false,
+          trackSerials: false,
           unit: 'pcs',
           taxable: true,
           gstApplicable: true,
@@ -186,8 +236,25 @@ const Products = () => {
     }
   };
 
+  // Warranty lookup: who bought the unit with this serial, and when
+  const lookupSerial = async (e) => {
+    e.preventDefault();
+    if (!serialQuery.trim()) return;
+    try {
+      const response = await api.lookupSerialNumber(serialQuery.trim());
+      setSerialResult(response.data);
+    } catch (error) {
+      setSerialResult(null);
+      toast.error(error.response?.data?.error || 'Failed to look up serial number');
+    }
+  };
+
   const products = data?.data?.products || data?.data || [];
   const categories = [...new Set(products.map(p => p.category).filter(Boolean))];
+  // Products sold through variants go into a bundle as one of their variants
+  const componentChoices = products
+    .flatMap(p => (p.variants?.length ? p.variants : [p]))
+    .filter(p => p.productType !== 'bundle' && !p.trackSerials && p.isActive !== false && p.id !== editing?.id);
   const lowStockCount = products.filter(isLowStock).length;
 
   return (
@@ -206,6 +273,20 @@ const Products = () => {
           </p>
         </div>
         <div className="flex space-x-2">
+          <Link
+            to="/stocktakes"
+            className="px-4 py-2 border border-gray-300 hover:bg-gray-50 text-gray-700 rounded-md flex items-center space-x-2"
+          >
+            <ClipboardDocumentCheckIcon className="h-5 w-5" />
+            <span>Stocktake</span>
+          </Link>
+          <button
+            onClick={() => { setSerialQuery(''); setSerialResult(null); setShowSerialLookup(true); }}
+            className="px-4 py-2 border border-gray-300 hover:bg-gray-50 text-gray-700 rounded-md flex items-center space-x-2"
+          >
+            <MagnifyingGlassIcon className="h-5 w-5" />
+            <span>Serial Lookup</span>
+          </button>
           <button
             onClick={() => setShowBarcodeScanner(true)}
             className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center space-x-2"
@@ -265,6 +346,22 @@ const Products = () => {
                     {product.barcode && <span>Barcode: {product.barcode}</span>}
                   </div>
                   <div className="flex items-center space-x-1 mt-2">
+                    {product.productType === 'bundle' && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                        <CubeIcon className="w-3 h-3 mr-1" />
+                        Bundle
+                      </span>
+                    )}
+                    {product.trackBatches && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                        Lots
+                      </span>
+                    )}
+                    {product.trackSerials && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                        Serialized
+                      </span>
+                    )}
                     {product.category && (
                       <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                         <TagIcon className="w-3 h-3 mr-1" />
@@ -303,7 +400,32 @@ const Products = () => {
                     </span>
                   </div>
                 )}
-                {product.trackInventory && (
+                {product.variants?.length > 0 && (
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Variants:</span>
+                    <span className="text-sm font-medium text-gray-700">
+                      {product.variants.length} ({product.variants.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0)} {product.unit} in stock)
+                    </span>
+                  </div>
+                )}
+                {product.productType === 'bundle' && (
+                  <>
+                    <div className="text-xs text-gray-500">
+                      {(product.components || []).map(line => `${line.quantity} × ${line.component?.name}`).join(', ')}
+                    </div>
+                    {bundleAvailability(product) !== null && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-600">Available:</span>
+                        <span className={`font-medium ${
+                          isLowStock(product) ? 'text-red-600' : 'text-green-600'
+                        }`}>
+                          {bundleAvailability(product)} {product.unit}
+                        </span>
+                      </div>
+                    )}
+                  </>
+                )}
+                {product.trackInventory && !product.variants?.length && (
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-600">Stock:</span>
                     <span className={`font-medium ${
@@ -330,6 +452,22 @@ const Products = () => {
                 >
                   Edit
                 </button>
+                {product.productType !== 'bundle' && (
+                  <Link 
+                    to={`/products/${product.id}/variants`} 
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    Variants
+                  </Link>
+                )}
+                {product.trackInventory && !product.variants?.length && (
+                  <Link 
+                    to={`/products/${product.id}/movements`} 
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    Stock History
+                  </Link>
+                )}
                 <button 
                   onClick={() => deleteMutation.mutate(product.id)} 
                   className="text-red-600 hover:text-red-900"
@@ -396,6 +534,74 @@ const Products = () => {
                 </div>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Product Type</label>
+                <select
+                  {...register('productType')}
+                  disabled={editing?.variants?.length > 0}
+                  className="mt-1 w-full px-3 py-2 border rounded-md"
+                >
+                  <option value="standard">Standard product</option>
+                  <option value="bundle">Bundle / kit</option>
+                </select>
+              </div>
+
+              {watchProductType === 'bundle' && (
+                <div className="bg-purple-50 p-4 rounded-lg">
+                  <div className="flex items-center justify-between mb-3">
+                    <h4 className="text-sm font-medium text-gray-900">Components</h4>
+                    <button
+                      type="button"
+                      onClick={() => setComponents(current => [...current, { productId: '', quantity: 1 }])}
+                      className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center"
+                    >
+                      <PlusIcon className="h-4 w-4 mr-1" />
+                      Add Component
+                    </button>
+                  </div>
+                  {components.length === 0 ? (
+                    <p className="text-sm text-gray-500">Add the products that go into this bundle. Selling it takes them out of stock.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {components.map((line, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                          <select
+                            value={line.productId}
+                            onChange={(e) => updateComponent(index, { productId: e.target.value })}
+                            className="flex-1 px-3 py-2 border rounded-md"
+                          >
+                            <option value="">Select a product</option>
+                            {componentChoices.map(choice => (
+                              <option key={choice.id} value={choice.id}>
+                                {choice.name}{choice.trackInventory ? ` (${choice.stockQuantity} in stock)` : ''}
+                              </option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={line.quantity}
+                            onChange={(e) => updateComponent(index, { quantity: e.target.value })}
+                            className="w-20 px-3 py-2 border rounded-md"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => setComponents(current => current.filter((_, i) => i !== index))}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500 mt-2">
+                    Bundles keep no stock of their own; availability follows the scarcest component.
+                  </p>
+                </div>
+              )}
+              
               <div>
                 <label className="block text-sm font-medium text-gray-700">Description</label>
                 <textarea
@@ -507,16 +713,18 @@ const Products = () => {
               </div>
               
               <div className="space-y-3">
-                <div className="flex items-center">
-                  <input
-                    {...register('trackInventory')}
-                    type="checkbox"
-                    className="h-4 w-4 text-indigo-600 rounded border-gray-300"
-                  />
-                  <label className="ml-2 text-sm text-gray-700">Track inventory for this product</label>
-                </div>
+                {watchProductType !== 'bundle' && (
+                  <div className="flex items-center">
+                    <input
+                      {...register('trackInventory')}
+                      type="checkbox"
+                      className="h-4 w-4 text-indigo-600 rounded border-gray-300"
+                    />
+                    <label className="ml-2 text-sm text-gray-700">Track inventory for this product</label>
+                  </div>
+                )}
                 
-                {watchTrackInventory && (
+                {watchTrackInventory && watchProductType !== 'bundle' && (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pl-6">
                     <div>
                       <label className="block text-sm font-medium text-gray-700">Stock Quantity</label>
@@ -536,6 +744,47 @@ const Products = () => {
                         placeholder="5"
                       />
                     </div>
+                    <div className="md:col-span-2 flex items-center">
+                      <input
+                        {...register('trackBatches')}
+                        type="checkbox"
+                        className="h-4 w-4 text-indigo-600 rounded border-gray-300"
+                      />
+                      <label className="ml-2 text-sm text-gray-700">Track lot numbers and expiry dates</label>
+                    </div>
+                    {watchTrackBatches && !editing && (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700">Lot Number</label>
+                          <input
+                            {...register('lotNumber')}
+                            className="mt-1 w-full px-3 py-2 border rounded-md"
+                            placeholder="Lot of the opening stock"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700">Expiry Date</label>
+                          <input
+                            {...register('expiryDate')}
+                            type="date"
+                            className="mt-1 w-full px-3 py-2 border rounded-md"
+                          />
+                        </div>
+                      </>
+                    )}
+                    {watchTrackBatches && editing && !editing.trackBatches && (
+                      <p className="md:col-span-2 text-xs text-gray-500">
+                        Stock on hand is kept without a lot number; receive new stock into lots from its stock history.
+                      </p>
+                    )}
+                    <div className="md:col-span-2 flex items-center">
+                      <input
+                        {...register('trackSerials')}
+                        type="checkbox"
+                        className="h-4 w-4 text-indigo-600 rounded border-gray-300"
+                      />
+                      <label className="ml-2 text-sm text-gray-700">Track serial numbers (scanned at every sale)</label>
+                    </div>
                   </div>
                 )}
                 
@@ -601,6 +850,58 @@ const Products = () => {
         </div>
       )}
 
+      {/* Serial Lookup Modal */}
+      {showSerialLookup && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-lg">
+            <div className="border-b px-6 py-4 flex items-center justify-between">
+              <h2 className="text-lg font-semibold">Serial Lookup</h2>
+              <button onClick={() => setShowSerialLookup(false)} className="text-gray-500 hover:text-gray-700">
+                ✕
+              </button>
+            </div>
+            <div className="p-6 space-y-4">
+              <form onSubmit={lookupSerial} className="flex space-x-2">
+                <input
+                  value={serialQuery}
+                  onChange={(e) => setSerialQuery(e.target.value)}
+                  placeholder="Scan or type a serial number"
+                  className="flex-1 px-3 py-2 border rounded-md font-mono"
+                  autoFocus
+                />
+                <button type="submit" className="px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700">
+                  Find
+                </button>
+              </form>
+              {serialResult?.units.map(unit => (
+                <div key={`${unit.product?.id}-${unit.serialNumber}`} className="border rounded-md p-3 text-sm space-y-1">
+                  <div className="flex justify-between">
+                    <span className="font-medium">{unit.product?.name}</span>
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{unit.status.replace('_', ' ')}</span>
+                  </div>
+                  {unit.sale ? (
+                    <>
+                      <div>
+                        {{ invoice: 'Invoice', pos_sale: 'POS sale', pos_refund: 'Refund' }[unit.sale.type] || 'Reference'} {unit.sale.number}
+                        {unit.sale.date && ` • ${new Date(unit.sale.date).toLocaleDateString()}`}
+                      </div>
+                      {['invoice', 'pos_sale'].includes(unit.sale.type) && (
+                        <div className="text-gray-600">
+                          Customer: {unit.customer?.name || 'Walk-in customer'}
+                          {unit.customer?.phone && ` • ${unit.customer.phone}`}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div className="text-gray-600">Not sold</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Barcode Scanner Modal */}
       {showBarcodeScanner && (
         <BarcodeScanner
@@ -0,0 +1,565 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const TYPE_LABELS = {
+  buy_x_get_y: 'Buy X get Y',
+  category_percentage: 'Category % off',
+  happy_hour: 'Happy hour',
+  quantity_tier: 'Quantity tiers',
+  coupon: 'Coupon code'
+};
+
+const CHANNEL_LABELS = {
+  all: 'POS and invoices',
+  pos: 'POS only',
+  invoice: 'Invoices only'
+};
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_RULES = {
+  buy_x_get_y: { buyQuantity: 2, getQuantity: 1, discountPercentage: 100 },
+  category_percentage: { percentage: 10 },
+  happy_hour: { percentage: 10, startTime: '16:00', endTime: '18:00', daysOfWeek: [] },
+  quantity_tier: { tiers: [{ minQuantity: 5, percentage: 5 }] },
+  coupon: { percentage: 10 }
+};
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  type: 'category_percentage',
+  channel: 'all',
+  isActive: true,
+  startsAt: '',
+  endsAt: '',
+  couponCode: '',
+  productIds: [],
+  categories: [],
+  priority: 0,
+  usageLimit: '',
+  rules: DEFAULT_RULES.category_percentage
+});
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// One-line summary of what a promotion gives
+const describeRules = (promotion) => {
+  const rules = promotion.rules || {};
+  switch (promotion.type) {
+    case 'buy_x_get_y':
+      return `Buy ${rules.buyQuantity}, get ${rules.getQuantity} ${rules.discountPercentage === 100 ? 'free' : `${rules.discountPercentage}% off`}`;
+    case 'category_percentage':
+      return `${rules.percentage}% off ${(promotion.categories || []).join(', ')}`;
+    case 'happy_hour':
+      return `${rules.percentage}% off ${rules.startTime}-${rules.endTime}` +
+        (rules.daysOfWeek?.length ? ` (${rules.daysOfWeek.map(day => DAYS[day]).join(', ')})` : '');
+    case 'quantity_tier':
+      return (rules.tiers || []).map(tier => `${tier.minQuantity}+: ${tier.percentage}%`).join(', ');
+    case 'coupon':
+      return `${promotion.couponCode}: ${rules.amount ? `$${formatAmount(rules.amount)}` : `${rules.percentage}%`} off`;
+    default:
+      return '';
+  }
+};
+
+// Date-time input value of a stored date, in local time
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const RulesFields = ({ type, rules, onChange }) => {
+  const set = (field, value) => onChange({ ...rules, [field]: value });
+  const input = 'w-full border border-gray-300 rounded-lg px-3 py-2';
+
+  switch (type) {
+    case 'buy_x_get_y':
+      return (
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Buy</label>
+            <input type="number" min="1" value={rules.buyQuantity} onChange={(e) => set('buyQuantity', e.target.value)} className={input} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Get</label>
+            <input type="number" min="1" value={rules.getQuantity} onChange={(e) => set('getQuantity', e.target.value)} className={input} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">% off items got</label>
+            <input type="number" min="1" max="100" value={rules.discountPercentage} onChange={(e) => set('discountPercentage', e.target.value)} className={input} />
+          </div>
+        </div>
+      );
+
+    case 'happy_hour':
+      return (
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">% off</label>
+              <input type="number" min="1" max="100" value={rules.percentage} onChange={(e) => set('percentage', e.target.value)} className={input} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input type="time" value={rules.startTime} onChange={(e) => set('startTime', e.target.value)} className={input} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Until</label>
+              <input type="time" value={rules.endTime} onChange={(e) => set('endTime', e.target.value)} className={input} />
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {DAYS.map((day, index) => (
+              <label key={day} className="flex items-center space-x-1 text-sm">
+                <input
+                  type="checkbox"
+                  checked={(rules.daysOfWeek || []).includes(index)}
+                  onChange={(e) => set('daysOfWeek', e.target.checked
+                    ? [...(rules.daysOfWeek || []), index]
+                    : (rules.daysOfWeek || []).filter(value => value !== index))}
+                />
+                <span>{day}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">Leave every day unticked to run it daily</p>
+        </div>
+      );
+
+    case 'quantity_tier':
+      return (
+        <div className="space-y-2">
+          {(rules.tiers || []).map((tier, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <span className="text-sm text-gray-600">From</span>
+              <input
+                type="number"
+                min="1"
+                value={tier.minQuantity}
+                onChange={(e) => set('tiers', rules.tiers.map((row, i) => (i === index ? { ...row, minQuantity: e.target.value } : row)))}
+                className="w-24 border border-gray-300 rounded-lg px-2 py-1"
+              />
+              <span className="text-sm text-gray-600">units,</span>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={tier.percentage}
+                onChange={(e) => set('tiers', rules.tiers.map((row, i) => (i === index ? { ...row, percentage: e.target.value } : row)))}
+                className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+              />
+              <span className="text-sm text-gray-600">% off</span>
+              <button
+                type="button"
+                onClick={() => set('tiers', rules.tiers.filter((row, i) => i !== index))}
+                className="text-red-600 hover:text-red-800"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => set('tiers', [...(rules.tiers || []), { minQuantity: '', percentage: '' }])}
+            className="text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            + Add tier
+          </button>
+          <p className="text-xs text-gray-500">Tiers count the quantity of all the promotion's products in the sale together</p>
+        </div>
+      );
+
+    case 'coupon': {
+      const kind = rules.amount !== undefined ? 'amount' : 'percentage';
+      return (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Discount</label>
+            <select
+              value={kind}
+              onChange={(e) => onChange(e.target.value === 'amount' ? { amount: '' } : { percentage: '' })}
+              className={input}
+            >
+              <option value="percentage">Percentage off</option>
+              <option value="amount">Amount off the sale</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{kind === 'amount' ? 'Amount' : '% off'}</label>
+            <input type="number" min="0" step="0.01" value={rules[kind]} onChange={(e) => set(kind, e.target.value)} className={input} />
+          </div>
+        </div>
+      );
+    }
+
+    default:
+      return (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">% off</label>
+          <input type="number" min="1" max="100" value={rules.percentage} onChange={(e) => set('percentage', e.target.value)} className={input} />
+        </div>
+      );
+  }
+};
+
+const PromotionForm = ({ promotion, products, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(promotion
+    ? {
+      ...emptyForm(),
+      ...promotion,
+      description: promotion.description || '',
+      couponCode: promotion.couponCode || '',
+      productIds: promotion.productIds || [],
+      categories: promotion.categories || [],
+      usageLimit: promotion.usageLimit || '',
+      startsAt: toInputDate(promotion.startsAt),
+      endsAt: toInputDate(promotion.endsAt)
+    }
+    : emptyForm());
+
+  const categories = [...new Set(products.map(product => product.category).filter(Boolean))];
+  const set = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const saveMutation = useMutation(
+    (data) => (promotion ? api.updatePromotion(promotion.id, data) : api.createPromotion(data)),
+    {
+      onSuccess: () => {
+        toast.success(promotion ? 'Promotion updated' : 'Promotion created');
+        queryClient.invalidateQueries('promotions');
+        onClose();
+      },
+      onError: (error) => toast.error(errorMessage(error, 'Failed to save promotion'))
+    }
+  );
+
+  const submit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      name: form.name,
+      description: form.description,
+      type: form.type,
+      channel: form.channel,
+      isActive: form.isActive,
+      startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+      endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+      couponCode: form.type === 'coupon' ? form.couponCode : null,
+      productIds: form.productIds,
+      categories: form.categories,
+      priority: parseInt(form.priority) || 0,
+      usageLimit: form.usageLimit || null,
+      rules: form.rules
+    });
+  };
+
+  const toggle = (field, value) => set(field, form[field].includes(value)
+    ? form[field].filter(item => item !== value)
+    : [...form[field], value]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+      <form onSubmit={submit} className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold">{promotion ? 'Edit Promotion' : 'New Promotion'}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input value={form.name} onChange={(e) => set('name', e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2" required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm(current => ({ ...current, type: e.target.value, rules: DEFAULT_RULES[e.target.value] }))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            >
+              {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {form.type === 'coupon' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Coupon code</label>
+            <input
+              value={form.couponCode}
+              onChange={(e) => set('couponCode', e.target.value.toUpperCase())}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono"
+              required
+            />
+          </div>
+        )}
+
+        <RulesFields type={form.type} rules={form.rules} onChange={(rules) => set('rules', rules)} />
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Categories {form.type !== 'category_percentage' && <span className="text-gray-400">(none ticked: any)</span>}
+          </label>
+          <div className="flex flex-wrap gap-3">
+            {categories.length === 0 && <span className="text-sm text-gray-500">No product categories yet</span>}
+            {categories.map(category => (
+              <label key={category} className="flex items-center space-x-1 text-sm">
+                <input type="checkbox" checked={form.categories.includes(category)} onChange={() => toggle('categories', category)} />
+                <span>{category}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Products <span className="text-gray-400">(none chosen: any)</span>
+          </label>
+          <select
+            multiple
+            value={form.productIds}
+            onChange={(e) => set('productIds', Array.from(e.target.selectedOptions, option => option.value))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 h-28"
+          >
+            {products.map(product => (
+              <option key={product.id} value={product.id}>{product.name}{product.sku ? ` (${product.sku})` : ''}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+            <input type="datetime-local" value={form.startsAt} onChange={(e) => set('startsAt', e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+            <input type="datetime-local" value={form.endsAt} onChange={(e) => set('endsAt', e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+            <select value={form.channel} onChange={(e) => set('channel', e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+              {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+            <input type="number" value={form.priority} onChange={(e) => set('priority', e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Usage limit</label>
+            <input type="number" min="1" value={form.usageLimit} onChange={(e) => set('usageLimit', e.target.value)} placeholder="No limit" className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+        </div>
+
+        <label className="flex items-center space-x-2 text-sm">
+          <input type="checkbox" checked={form.isActive} onChange={(e) => set('isActive', e.target.checked)} />
+          <span>Active</span>
+        </label>
+
+        <p className="text-xs text-gray-500">
+          Each line gets the one promotion that takes the most off it; priority decides a tie. Lines discounted by hand are left alone.
+        </p>
+
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saveMutation.isLoading}
+            className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Save Promotion
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const PromotionReport = () => {
+  const [range, setRange] = useState({ startDate: '', endDate: '' });
+  const params = range.startDate && range.endDate ? range : {};
+
+  const { data, isLoading } = useQuery(['promotion-report', params], () => api.getPromotionReport(params));
+  const rows = (data?.data || []).filter(row => row.pos.lines > 0 || row.invoice.lines > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mt-8">
+      <div className="px-6 py-4 border-b flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Promotion Report</h2>
+        <div className="flex items-center space-x-2">
+          <input type="date" value={range.startDate} onChange={(e) => setRange({ ...range, startDate: e.target.value })} className="border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+          <span className="text-gray-500">to</span>
+          <input type="date" value={range.endDate} onChange={(e) => setRange({ ...range, endDate: e.target.value })} className="border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+      </div>
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Promotion</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">POS Lines</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">POS Discount</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice Lines</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice Discount</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Discount</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {isLoading ? (
+            <tr>
+              <td colSpan="6" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+            </tr>
+          ) : rows.length === 0 ? (
+            <tr>
+              <td colSpan="6" className="px-6 py-8 text-center text-gray-500">No promotions applied in this period</td>
+            </tr>
+          ) : (
+            rows.map(row => (
+              <tr key={row.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {row.name}
+                  <span className="ml-2 text-xs text-gray-500">{TYPE_LABELS[row.type]}</span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{row.pos.lines}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{formatAmount(row.pos.discount)}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{row.invoice.lines}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{formatAmount(row.invoice.discount)}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium">{formatAmount(row.totalDiscount)}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const Promotions = () => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery('promotions', () => api.getPromotions());
+  const { data: productsData } = useQuery(['products', 'promotions'], () => api.getProducts({ limit: 500 }));
+
+  const promotions = data?.data || [];
+  const products = productsData?.data?.products || productsData?.data || [];
+
+  const toggleMutation = useMutation((promotion) => api.updatePromotion(promotion.id, { isActive: !promotion.isActive }), {
+    onSuccess: () => queryClient.invalidateQueries('promotions'),
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update promotion'))
+  });
+
+  const deleteMutation = useMutation((id) => api.deletePromotion(id), {
+    onSuccess: () => {
+      toast.success('Promotion deleted');
+      queryClient.invalidateQueries('promotions');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to delete promotion'))
+  });
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Promotions</h1>
+          <p className="text-gray-600">Discounts applied automatically at the register and on invoices</p>
+        </div>
+        <button
+          onClick={() => setEditing('new')}
+          className="inline-flex items-center bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700"
+        >
+          <PlusIcon className="w-5 h-5 mr-1" />
+          New Promotion
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Offer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies to</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : promotions.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">No promotions yet</td>
+              </tr>
+            ) : (
+              promotions.map(promotion => (
+                <tr key={promotion.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{promotion.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{TYPE_LABELS[promotion.type]}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{describeRules(promotion)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{CHANNEL_LABELS[promotion.channel]}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    {promotion.usageCount}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <button
+                      onClick={() => toggleMutation.mutate(promotion)}
+                      className={`px-2 py-1 text-xs rounded-full ${promotion.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                    >
+                      {promotion.isActive ? 'Active' : 'Inactive'}
+                    </button>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right space-x-2">
+                    <button onClick={() => setEditing(promotion)} className="text-indigo-600 hover:text-indigo-800">
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => window.confirm(`Delete ${promotion.name}?`) && deleteMutation.mutate(promotion.id)}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <PromotionReport />
+
+      {editing && (
+        <PromotionForm
+          promotion={editing === 'new' ? null : editing}
+          products={products}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Promotions;
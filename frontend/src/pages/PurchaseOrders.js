@@ -0,0 +1,530 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  sent: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const formatStatus = (status) => status.replace('_', ' ');
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const OrderForm = ({ suppliers, products, onClose }) => {
+  const queryClient = useQueryClient();
+  const [newSupplier, setNewSupplier] = useState('');
+
+  const { register, control, handleSubmit, setValue, watch } = useForm({
+    defaultValues: {
+      supplierId: '',
+      orderDate: new Date().toISOString().slice(0, 10),
+      expectedDate: '',
+      notes: '',
+      items: [{ productId: '', quantity: 1, unitCost: '', taxRate: 0 }]
+    }
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'items' });
+  const items = watch('items');
+
+  const supplierMutation = useMutation((name) => api.createSupplier({ name }), {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('suppliers');
+      setValue('supplierId', response.data.id);
+      setNewSupplier('');
+      toast.success('Supplier added');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to add supplier'))
+  });
+
+  const createMutation = useMutation((payload) => api.createPurchaseOrder(payload), {
+    onSuccess: (response) => {
+      toast.success(`Purchase order ${response.data.poNumber} created`);
+      queryClient.invalidateQueries('purchase-orders');
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to create purchase order'))
+  });
+
+  // New lines start at the product's current cost
+  const onProductChange = (index, productId) => {
+    const product = products.find(p => p.id === productId);
+    if (product) setValue(`items.${index}.unitCost`, product.cost || 0);
+  };
+
+  const total = items.reduce((sum, item) => {
+    const lineTotal = (parseInt(item.quantity) || 0) * (parseFloat(item.unitCost) || 0);
+    return sum + lineTotal * (1 + (parseFloat(item.taxRate) || 0) / 100);
+  }, 0);
+
+  const onSubmit = (form) => {
+    createMutation.mutate({
+      ...form,
+      items: form.items.map(item => ({
+        productId: item.productId,
+        quantity: parseInt(item.quantity),
+        unitCost: parseFloat(item.unitCost) || 0,
+        taxRate: parseFloat(item.taxRate) || 0
+      }))
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">New Purchase Order</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+              <select {...register('supplierId', { required: true })} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+                <option value="">Select supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              <div className="flex mt-2 space-x-2">
+                <input
+                  value={newSupplier}
+                  onChange={(e) => setNewSupplier(e.target.value)}
+                  placeholder="Or add a new supplier"
+                  className="flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => newSupplier.trim() && supplierMutation.mutate(newSupplier.trim())}
+                  disabled={supplierMutation.isLoading}
+                  className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Order Date</label>
+              <input type="date" {...register('orderDate')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+              <input type="date" {...register('expectedDate')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-700">Items</h3>
+              <button
+                type="button"
+                onClick={() => append({ productId: '', quantity: 1, unitCost: '', taxRate: 0 })}
+                className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+              >
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add line
+              </button>
+            </div>
+            <div className="space-y-2">
+              {fields.map((field, index) => (
+                <div key={field.id} className="grid grid-cols-12 gap-2 items-center">
+                  <select
+                    {...register(`items.${index}.productId`, {
+                      required: true,
+                      onChange: (e) => onProductChange(index, e.target.value)
+                    })}
+                    className="col-span-5 border border-gray-300 rounded-lg px-3 py-2"
+                  >
+                    <option value="">Select product</option>
+                    {products.map(product => (
+                      <option key={product.id} value={product.id}>{product.name}{product.sku ? ` (${product.sku})` : ''}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Qty"
+                    {...register(`items.${index}.quantity`, { required: true, min: 1 })}
+                    className="col-span-2 border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder="Unit cost"
+                    {...register(`items.${index}.unitCost`)}
+                    className="col-span-2 border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder="Tax %"
+                    {...register(`items.${index}.taxRate`)}
+                    className="col-span-2 border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => fields.length > 1 && remove(index)}
+                    className="col-span-1 text-red-600 hover:text-red-800 disabled:opacity-30"
+                    disabled={fields.length === 1}
+                  >
+                    <TrashIcon className="w-5 h-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className="text-right text-sm text-gray-700 mt-3">
+              Total: <span className="font-semibold">{total.toFixed(2)}</span>
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea {...register('notes')} rows="2" className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={createMutation.isLoading}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {createMutation.isLoading ? 'Saving...' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ReceiveModal = ({ orderId, onClose }) => {
+  const queryClient = useQueryClient();
+  const [quantities, setQuantities] = useState({});
+  const [lots, setLots] = useState({});
+  const [notes, setNotes] = useState('');
+
+  const { data, isLoading } = useQuery(['purchase-order', orderId], () => api.getPurchaseOrder(orderId));
+  const order = data?.data;
+
+  const receiveMutation = useMutation((payload) => api.receivePurchaseOrder(orderId, payload), {
+    onSuccess: (response) => {
+      toast.success(response.data.status === 'received' ? 'Order fully received' : 'Goods received');
+      queryClient.invalidateQueries('purchase-orders');
+      queryClient.invalidateQueries('purchase-order');
+      queryClient.invalidateQueries('products');
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to receive goods'))
+  });
+
+  // Default every line to whatever is still outstanding
+  const outstanding = (item) => item.quantity - item.receivedQuantity;
+  const quantityFor = (item) => (quantities[item.id] !== undefined ? quantities[item.id] : outstanding(item));
+
+  // Batch-tracked products are received into a lot, and serialized ones
+  // may record the serial of each unit
+  const setLot = (item, changes) => setLots({ ...lots, [item.id]: { ...lots[item.id], ...changes } });
+
+  const onSubmit = () => {
+    receiveMutation.mutate({
+      items: order.items.map(item => ({
+        itemId: item.id,
+        quantity: parseInt(quantityFor(item)) || 0,
+        lotNumber: lots[item.id]?.lotNumber || undefined,
+        expiryDate: lots[item.id]?.expiryDate || undefined,
+        serialNumbers: lots[item.id]?.serialNumbers || undefined
+      })),
+      notes
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Receive Goods{order ? `: ${order.poNumber}` : ''}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        {isLoading || !order ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : (
+          <div className="p-6 space-y-4">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                  <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Receiving now</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {order.items.map(item => (
+                  <tr key={item.id}>
+                    <td className="py-2 text-sm text-gray-900">
+                      {item.description}
+                      {item.Product?.trackBatches && outstanding(item) > 0 && (
+                        <div className="flex space-x-2 mt-1">
+                          <input
+                            value={lots[item.id]?.lotNumber || ''}
+                            onChange={(e) => setLot(item, { lotNumber: e.target.value })}
+                            placeholder="Lot number"
+                            className="w-28 border border-gray-300 rounded-lg px-2 py-1 text-xs"
+                          />
+                          <input
+                            type="date"
+                            value={lots[item.id]?.expiryDate || ''}
+                            onChange={(e) => setLot(item, { expiryDate: e.target.value })}
+                            className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+                          />
+                        </div>
+                      )}
+                      {item.Product?.trackSerials && outstanding(item) > 0 && (
+                        <textarea
+                          value={lots[item.id]?.serialNumbers || ''}
+                          onChange={(e) => setLot(item, { serialNumbers: e.target.value })}
+                          placeholder="Serial numbers, one per line (optional)"
+                          rows="2"
+                          className="mt-1 w-full border border-gray-300 rounded-lg px-2 py-1 text-xs font-mono"
+                        />
+                      )}
+                    </td>
+                    <td className="py-2 text-sm text-right text-gray-500">{item.quantity}</td>
+                    <td className="py-2 text-sm text-right text-gray-500">{item.receivedQuantity}</td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={outstanding(item)}
+                        value={quantityFor(item)}
+                        disabled={outstanding(item) === 0}
+                        onChange={(e) => setQuantities({ ...quantities, [item.id]: e.target.value })}
+                        className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-right disabled:bg-gray-100"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <input
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="e.g. delivery note number"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={onSubmit}
+                disabled={receiveMutation.isLoading}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {receiveMutation.isLoading ? 'Saving...' : 'Receive'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PurchaseOrders = () => {
+  const queryClient = useQueryClient();
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [receivingId, setReceivingId] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['purchase-orders', statusFilter],
+    () => api.getPurchaseOrders({ status: statusFilter || undefined }),
+    { keepPreviousData: true }
+  );
+  const { data: suppliersData } = useQuery('suppliers', () => api.getSuppliers());
+  const { data: productsData } = useQuery(['products', 'purchasing'], () => api.getProducts({ limit: 500 }));
+
+  const orders = data?.data || [];
+  const suppliers = suppliersData?.data || [];
+  const products = productsData?.data?.products || productsData?.data || [];
+
+  const actionMutation = useMutation(({ action, id }) => {
+    switch (action) {
+      case 'send': return api.sendPurchaseOrder(id);
+      case 'close': return api.closePurchaseOrder(id);
+      case 'cancel': return api.cancelPurchaseOrder(id);
+      case 'bill': return api.convertPurchaseOrderToExpense(id);
+      default: return api.deletePurchaseOrder(id);
+    }
+  }, {
+    onSuccess: (response, { action }) => {
+      const messages = {
+        send: 'Purchase order marked as sent',
+        close: 'Purchase order closed',
+        cancel: 'Purchase order cancelled',
+        delete: 'Purchase order deleted'
+      };
+      toast.success(action === 'bill' ? response.data.message : messages[action]);
+      queryClient.invalidateQueries('purchase-orders');
+      if (action === 'bill') queryClient.invalidateQueries('expenses');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update purchase order'))
+  });
+
+  const runAction = (action, order, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    actionMutation.mutate({ action, id: order.id });
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Purchase Orders</h1>
+          <p className="text-gray-600">Order stock from suppliers, receive deliveries and bill them</p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="inline-flex items-center bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700"
+        >
+          <PlusIcon className="w-5 h-5 mr-1" />
+          New Purchase Order
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-4 mb-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(STATUS_STYLES).map(status => (
+            <option key={status} value={status} className="capitalize">{formatStatus(status)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PO Number</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order Date</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bill</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : orders.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">No purchase orders yet</td>
+              </tr>
+            ) : (
+              orders.map(order => (
+                <tr key={order.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{order.poNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{order.Supplier?.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(order.orderDate).toLocaleDateString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatAmount(order.total)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[order.status]}`}>
+                      {formatStatus(order.status)}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.Expense?.expenseNumber || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right space-x-3">
+                    {order.status === 'draft' && (
+                      <>
+                        <button onClick={() => runAction('send', order)} className="text-indigo-600 hover:text-indigo-900">
+                          Mark Sent
+                        </button>
+                        <button
+                          onClick={() => runAction('delete', order, `Delete purchase order ${order.poNumber}?`)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                    {['sent', 'partially_received'].includes(order.status) && (
+                      <button onClick={() => setReceivingId(order.id)} className="text-indigo-600 hover:text-indigo-900">
+                        Receive
+                      </button>
+                    )}
+                    {order.status === 'partially_received' && (
+                      <button
+                        onClick={() => runAction('close', order, 'Close this order? Outstanding items will no longer be expected.')}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Close
+                      </button>
+                    )}
+                    {order.status === 'sent' && (
+                      <button
+                        onClick={() => runAction('cancel', order, `Cancel purchase order ${order.poNumber}?`)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {order.status === 'received' && !order.expenseId && (
+                      <button onClick={() => runAction('bill', order)} className="text-green-600 hover:text-green-900">
+                        Create Bill
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showForm && (
+        <OrderForm suppliers={suppliers} products={products} onClose={() => setShowForm(false)} />
+      )}
+
+      {receivingId && (
+        <ReceiveModal orderId={receivingId} onClose={() => setReceivingId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
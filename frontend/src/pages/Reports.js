@@ -410,11 +410,19 @@ const SalesReports = ({ dateRange }) => {
 
 // Inventory Reports Component
 const InventoryReports = ({ dateRange }) => {
+  const [valuationDate, setValuationDate] = useState(dateRange.endDate);
+
   const { data: inventoryData, isLoading } = useQuery(
     ['inventory-report', dateRange],
     () => apiInstance.get(`/api/reports/inventory?startDate=${dateRange.startDate}&endDate=${dateRange.endDate}`)
   );
 
+  const { data: valuationData, isLoading: valuationLoading } = useQuery(
+    ['inventory-valuation', valuationDate],
+    () => apiInstance.get(`/api/reports/inventory-valuation?asOfDate=${valuationDate}`),
+    { enabled: !!valuationDate }
+  );
+
   if (isLoading) {
     return <div className="animate-pulse p-4">Loading inventory reports...</div>;
   }
@@ -490,6 +498,91 @@ const InventoryReports = ({ dateRange }) => {
         </div>
       </div>
 
+      {/* Inventory Valuation */}
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4 gap-3">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Inventory Valuation</h3>
+            <p className="text-sm text-gray-500">
+              Stock on hand at cost ({valuationData?.valuationMethod === 'fifo' ? 'FIFO' : 'Weighted Average'})
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <label className="text-sm text-gray-700">As of</label>
+            <input
+              type="date"
+              value={valuationDate || ''}
+              onChange={(e) => setValuationDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+        </div>
+
+        {valuationLoading ? (
+          <div className="animate-pulse p-4">Loading valuation...</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Total Value</p>
+                <p className="text-xl font-semibold text-gray-900">
+                  ${(valuationData?.summary?.totalValue || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Units on Hand</p>
+                <p className="text-xl font-semibold text-gray-900">{valuationData?.summary?.totalQuantity || 0}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Products</p>
+                <p className="text-xl font-semibold text-gray-900">{valuationData?.summary?.totalProducts || 0}</p>
+              </div>
+            </div>
+
+            {valuationData?.summary?.estimatedProducts > 0 && (
+              <p className="text-sm text-orange-600 mb-4">
+                {valuationData.summary.estimatedProducts} product(s) have stock recorded before costing was tracked and are valued at their current cost.
+              </p>
+            )}
+
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Average Cost</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {(valuationData?.products || []).length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">No stock on hand at this date</td>
+                    </tr>
+                  ) : (
+                    valuationData.products.map((product) => (
+                      <tr key={product.productId}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {product.name}
+                          {product.sku && <span className="ml-2 text-xs text-gray-500">{product.sku}</span>}
+                          {product.estimated && <span className="ml-2 text-xs text-orange-600">estimated</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{product.category}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{product.quantity} {product.unit}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">${product.averageCost.toFixed(2)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">${product.value.toFixed(2)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Top Moving Products */}
       <div className="bg-white p-6 rounded-lg shadow border">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Top Moving Products</h3>
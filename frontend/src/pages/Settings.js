@@ -8,7 +8,11 @@ import {
   CurrencyDollarIcon,
   DocumentTextIcon,
   BellIcon,
+  EnvelopeIcon,
+  ClockIcon,
   ShieldCheckIcon,
+  CubeIcon,
+  ShoppingCartIcon,
   PhotoIcon,
   PencilIcon,
   TrashIcon,
@@ -18,7 +22,7 @@ import {
 import { CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/solid';
 import toast from 'react-hot-toast';
 import { useAuth } from '../hooks/useAuth';
-import api from '../services/api';
+import api, { reminderAPI } from '../services/api';
 
 // Create axios instance for direct API calls
 const apiInstance = {
@@ -67,7 +71,11 @@ const Settings = () => {
     { id: 'users', name: 'User Management', icon: UsersIcon },
     { id: 'billing', name: 'Billing & Subscription', icon: CurrencyDollarIcon },
     { id: 'tax', name: 'Tax Settings', icon: DocumentTextIcon },
+    { id: 'inventory', name: 'Inventory', icon: CubeIcon },
+    { id: 'pos', name: 'Point of Sale', icon: ShoppingCartIcon },
     { id: 'notifications', name: 'Notifications', icon: BellIcon },
+    { id: 'email', name: 'Email Delivery', icon: EnvelopeIcon },
+    { id: 'reminders', name: 'Payment Reminders', icon: ClockIcon },
     { id: 'system', name: 'System Preferences', icon: CogIcon }
   ];
 
@@ -106,7 +114,11 @@ const Settings = () => {
             {activeTab === 'users' && <UserManagement />}
             {activeTab === 'billing' && <BillingSettings />}
             {activeTab === 'tax' && <TaxSettings />}
+            {activeTab === 'inventory' && <InventorySettings />}
+            {activeTab === 'pos' && <POSSettings />}
             {activeTab === 'notifications' && <NotificationSettings />}
+            {activeTab === 'email' && <EmailSettings />}
+            {activeTab === 'reminders' && <ReminderSettings />}
             {activeTab === 'system' && <SystemPreferences />}
           </div>
         </div>
@@ -865,6 +877,166 @@ const TaxSettings = () => {
   );
 };
 
+// Inventory Settings Component
+const InventorySettings = () => {
+  const [valuationMethod, setValuationMethod] = useState('weighted_average');
+  const queryClient = useQueryClient();
+
+  const { data: settings, isLoading } = useQuery('inventory-settings',
+    () => api.getInventorySettings().then(res => res.data)
+  );
+
+  const updateMutation = useMutation(
+    (data) => api.updateInventorySettings(data),
+    {
+      onSuccess: () => {
+        toast.success('Inventory settings updated successfully');
+        queryClient.invalidateQueries('inventory-settings');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update inventory settings');
+      }
+    }
+  );
+
+  useEffect(() => {
+    if (settings?.valuationMethod) {
+      setValuationMethod(settings.valuationMethod);
+    }
+  }, [settings]);
+
+  if (isLoading) {
+    return <div className="animate-pulse p-4">Loading inventory settings...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h3 className="text-lg font-medium text-gray-900">Inventory Settings</h3>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">Inventory Valuation</h4>
+
+        <div className="space-y-3">
+          <label className="flex items-start space-x-3">
+            <input
+              type="radio"
+              value="weighted_average"
+              checked={valuationMethod === 'weighted_average'}
+              onChange={(e) => setValuationMethod(e.target.value)}
+              className="mt-1 text-blue-600"
+            />
+            <div>
+              <span className="text-sm font-medium text-gray-700">Weighted Average Cost</span>
+              <p className="text-sm text-gray-500">Each receipt is averaged into the cost of the stock on hand</p>
+            </div>
+          </label>
+          <label className="flex items-start space-x-3">
+            <input
+              type="radio"
+              value="fifo"
+              checked={valuationMethod === 'fifo'}
+              onChange={(e) => setValuationMethod(e.target.value)}
+              className="mt-1 text-blue-600"
+            />
+            <div>
+              <span className="text-sm font-medium text-gray-700">FIFO (First In, First Out)</span>
+              <p className="text-sm text-gray-500">Sales use up the oldest stock first, at the cost it was received at</p>
+            </div>
+          </label>
+        </div>
+        <p className="text-sm text-gray-500 mt-4">
+          Changing the method applies to stock received from now on; cost already recorded on past sales is not changed.
+        </p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => updateMutation.mutate({ valuationMethod })}
+          disabled={updateMutation.isLoading}
+          className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+        >
+          {updateMutation.isLoading && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+          )}
+          <span>Save Inventory Settings</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// POS Settings Component
+const POSSettings = () => {
+  const [heldSaleExpiryMinutes, setHeldSaleExpiryMinutes] = useState('');
+  const queryClient = useQueryClient();
+
+  const { data: settings, isLoading } = useQuery('pos-settings',
+    () => api.getPOSSettings().then(res => res.data)
+  );
+
+  const updateMutation = useMutation(
+    (data) => api.updatePOSSettings(data),
+    {
+      onSuccess: () => {
+        toast.success('POS settings updated successfully');
+        queryClient.invalidateQueries('pos-settings');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update POS settings');
+      }
+    }
+  );
+
+  useEffect(() => {
+    if (settings?.heldSaleExpiryMinutes) {
+      setHeldSaleExpiryMinutes(String(settings.heldSaleExpiryMinutes));
+    }
+  }, [settings]);
+
+  if (isLoading) {
+    return <div className="animate-pulse p-4">Loading POS settings...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h3 className="text-lg font-medium text-gray-900">Point of Sale Settings</h3>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">Held Sales</h4>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Keep held sales for (minutes)</label>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={heldSaleExpiryMinutes}
+          onChange={(e) => setHeldSaleExpiryMinutes(e.target.value)}
+          className="w-40 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <p className="text-sm text-gray-500 mt-4">
+          A cart parked at the register can be resumed from any register until then. Held sales do not reserve stock,
+          and a new limit applies to sales held from now on.
+        </p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => updateMutation.mutate({ heldSaleExpiryMinutes: parseInt(heldSaleExpiryMinutes) })}
+          disabled={updateMutation.isLoading || !heldSaleExpiryMinutes}
+          className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+        >
+          {updateMutation.isLoading && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+          )}
+          <span>Save POS Settings</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // Notification Settings Component
 const NotificationSettings = () => {
   const [settings, setSettings] = useState({
@@ -958,6 +1130,319 @@ const NotificationSettings = () => {
   );
 };
 
+// Email Delivery Settings Component
+const EmailSettings = () => {
+  const { register, handleSubmit, reset } = useForm();
+  const queryClient = useQueryClient();
+
+  const { data: emailSettings, isLoading } = useQuery('email-settings',
+    () => apiInstance.get('/api/companies/email-settings')
+  );
+
+  const updateEmailSettingsMutation = useMutation(
+    (data) => apiInstance.put('/api/companies/email-settings', data),
+    {
+      onSuccess: (data) => {
+        if (data.error || data.errors) {
+          toast.error(data.error || data.errors[0].msg);
+          return;
+        }
+        toast.success('Email settings saved');
+        queryClient.invalidateQueries('email-settings');
+      }
+    }
+  );
+
+  useEffect(() => {
+    if (emailSettings) {
+      reset({
+        smtp: { ...emailSettings.smtp, password: '' },
+        emailTemplates: emailSettings.emailTemplates
+      });
+    }
+  }, [emailSettings, reset]);
+
+  const onSubmit = (data) => {
+    const smtp = { ...data.smtp };
+    // A blank password keeps the saved one
+    if (!smtp.password) delete smtp.password;
+    updateEmailSettingsMutation.mutate({ smtp, emailTemplates: data.emailTemplates });
+  };
+
+  const documentTypes = [
+    { key: 'invoice', label: 'Invoice' },
+    { key: 'quote', label: 'Quote' },
+    { key: 'receipt', label: 'POS Receipt' },
+    { key: 'reminder', label: 'Payment Reminder (before due)' },
+    { key: 'overdue', label: 'Overdue Notice' }
+  ];
+
+  if (isLoading) {
+    return <div className="animate-pulse p-4">Loading email settings...</div>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+      <h3 className="text-lg font-medium text-gray-900">Email Delivery</h3>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-1">SMTP Server</h4>
+        <p className="text-sm text-gray-500 mb-4">
+          Invoices, quotes and receipts are sent through this server. Leave the host empty to use the system default.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Host</label>
+            <input {...register('smtp.host')} placeholder="smtp.example.com" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Port</label>
+            <input type="number" {...register('smtp.port')} placeholder="587" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Username</label>
+            <input {...register('smtp.user')} autoComplete="off" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              type="password"
+              {...register('smtp.password')}
+              autoComplete="new-password"
+              placeholder={emailSettings?.smtp?.hasPassword ? 'Saved - leave blank to keep' : ''}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From Name</label>
+            <input {...register('smtp.fromName')} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From Email</label>
+            <input type="email" {...register('smtp.fromEmail')} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          </div>
+        </div>
+
+        <div className="mt-4 flex items-center space-x-3">
+          <input type="checkbox" id="smtp-secure" {...register('smtp.secure')} className="rounded border-gray-300 text-blue-600 shadow-sm" />
+          <label htmlFor="smtp-secure" className="text-sm font-medium text-gray-700">Use TLS (port 465)</label>
+        </div>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-1">Message Templates</h4>
+        <p className="text-sm text-gray-500 mb-4">
+          {'Available placeholders: {{companyName}}, {{customerName}}, {{documentNumber}}, {{total}}, {{dueDate}}, {{date}}, {{balanceDue}}, {{daysOverdue}}. Leave blank for the default message.'}
+        </p>
+
+        <div className="space-y-6">
+          {documentTypes.map((type) => (
+            <div key={type.key}>
+              <h5 className="text-sm font-semibold text-gray-900 mb-2">{type.label}</h5>
+              <input
+                {...register(`emailTemplates.${type.key}.subject`)}
+                placeholder="Subject"
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+              <textarea
+                {...register(`emailTemplates.${type.key}.body`)}
+                rows={4}
+                placeholder="Message"
+                className="mt-2 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={updateEmailSettingsMutation.isLoading}
+          className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {updateEmailSettingsMutation.isLoading ? 'Saving...' : 'Save Email Settings'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Payment Reminder (dunning) Settings Component
+const ReminderSettings = () => {
+  const { register, handleSubmit, reset, watch } = useForm();
+  const queryClient = useQueryClient();
+
+  const { data: reminderSettings, isLoading } = useQuery('reminder-settings',
+    () => reminderAPI.getSettings().then(res => res.data)
+  );
+
+  const { data: reminderLog = [] } = useQuery('payment-reminders',
+    () => reminderAPI.getAll({ limit: 20 }).then(res => res.data)
+  );
+
+  const updateSettingsMutation = useMutation(
+    (data) => reminderAPI.updateSettings(data),
+    {
+      onSuccess: () => {
+        toast.success('Reminder settings saved');
+        queryClient.invalidateQueries('reminder-settings');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save reminder settings');
+      }
+    }
+  );
+
+  const runRemindersMutation = useMutation(() => reminderAPI.run(), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('payment-reminders');
+    },
+    onError: () => toast.error('Failed to run payment reminders')
+  });
+
+  useEffect(() => {
+    if (reminderSettings) {
+      reset({ ...reminderSettings, schedule: reminderSettings.schedule.join(', ') });
+    }
+  }, [reminderSettings, reset]);
+
+  const lateFeeEnabled = watch('lateFee.enabled');
+
+  const onSubmit = (data) => {
+    updateSettingsMutation.mutate({
+      enabled: data.enabled,
+      schedule: String(data.schedule || '')
+        .split(',')
+        .map(step => step.trim())
+        .filter(step => step !== '')
+        .map(step => parseInt(step)),
+      lateFee: {
+        enabled: data.lateFee.enabled,
+        type: data.lateFee.type,
+        amount: parseFloat(data.lateFee.amount) || 0,
+        afterDays: parseInt(data.lateFee.afterDays) || 0
+      }
+    });
+  };
+
+  const describeStep = (offset) => {
+    if (offset < 0) return `${-offset} day(s) before due`;
+    if (offset === 0) return 'On due date';
+    return `${offset} day(s) overdue`;
+  };
+
+  if (isLoading) {
+    return <div className="animate-pulse p-4">Loading reminder settings...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-medium text-gray-900">Payment Reminders</h3>
+        <button
+          onClick={() => runRemindersMutation.mutate()}
+          disabled={runRemindersMutation.isLoading}
+          className="px-4 py-2 rounded-md border hover:bg-gray-50 text-sm disabled:opacity-50"
+        >
+          {runRemindersMutation.isLoading ? 'Running...' : 'Run Now'}
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="flex items-start space-x-3">
+          <input type="checkbox" id="reminders-enabled" {...register('enabled')} className="mt-1 rounded border-gray-300 text-blue-600 shadow-sm" />
+          <div>
+            <label htmlFor="reminders-enabled" className="text-sm font-medium text-gray-700">Email payment reminders automatically</label>
+            <p className="text-sm text-gray-500">Sent daily to customers with unpaid invoices. Invoices past their due date are marked overdue either way.</p>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Reminder schedule (days relative to due date)</label>
+          <input {...register('schedule')} placeholder="-3, 0, 7, 14, 30" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+          <p className="text-xs text-gray-500 mt-1">Negative numbers are days before the due date, 0 is the due date and positive numbers are days overdue.</p>
+        </div>
+
+        <div className="border-t pt-4">
+          <div className="flex items-center space-x-3 mb-3">
+            <input type="checkbox" id="late-fee-enabled" {...register('lateFee.enabled')} className="rounded border-gray-300 text-blue-600 shadow-sm" />
+            <label htmlFor="late-fee-enabled" className="text-sm font-medium text-gray-700">Charge a late fee</label>
+          </div>
+
+          {lateFeeEnabled && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Fee type</label>
+                <select {...register('lateFee.type')} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500">
+                  <option value="fixed">Fixed amount</option>
+                  <option value="percentage">% of balance</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Amount</label>
+                <input type="number" step="0.01" min="0" {...register('lateFee.amount')} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Days overdue before charging</label>
+                <input type="number" min="0" {...register('lateFee.afterDays')} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500" />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={updateSettingsMutation.isLoading}
+            className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {updateSettingsMutation.isLoading ? 'Saving...' : 'Save Reminder Settings'}
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">Recent Reminders</h4>
+        {reminderLog.length === 0 ? (
+          <p className="text-sm text-gray-500">No reminders sent yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2">Invoice</th>
+                <th className="py-2">Customer</th>
+                <th className="py-2">Step</th>
+                <th className="py-2">Status</th>
+                <th className="py-2">Date</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {reminderLog.map((reminder) => (
+                <tr key={reminder.id}>
+                  <td className="py-2">{reminder.Invoice?.invoiceNumber}</td>
+                  <td className="py-2">{reminder.Customer?.name}</td>
+                  <td className="py-2">{describeStep(reminder.offsetDays)}</td>
+                  <td className="py-2">
+                    {reminder.status === 'sent' ? (
+                      <span className="text-green-600">Sent</span>
+                    ) : (
+                      <span className="text-red-600" title={reminder.error}>Failed</span>
+                    )}
+                  </td>
+                  <td className="py-2">{new Date(reminder.sentAt || reminder.updatedAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // System Preferences Component
 const SystemPreferences = () => {
   const [preferences, setPreferences] = useState({
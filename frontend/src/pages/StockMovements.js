@@ -0,0 +1,401 @@
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { ArrowLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const MOVEMENT_LABELS = {
+  opening: 'Opening stock',
+  sale: 'Sale',
+  refund: 'Refund',
+  purchase_receipt: 'Purchase receipt',
+  adjustment: 'Adjustment',
+  transfer: 'Transfer',
+  write_off: 'Write-off'
+};
+
+const StockMovements = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const [typeFilter, setTypeFilter] = useState('');
+  const [showAdjust, setShowAdjust] = useState(false);
+
+  const { data, isLoading } = useQuery(
+    ['stock-movements', id, typeFilter],
+    () => api.getStockMovements(id, { type: typeFilter || undefined }),
+    { keepPreviousData: true }
+  );
+
+  const product = data?.data?.product;
+  const movements = data?.data?.movements || [];
+  const reconciliation = data?.data?.reconciliation;
+
+  const { data: batchData } = useQuery(
+    ['product-batches', id],
+    () => api.getProductBatches(id),
+    { enabled: Boolean(product?.trackBatches) }
+  );
+  const batches = batchData?.data?.batches || [];
+
+  const { data: serialData } = useQuery(
+    ['product-serials', id],
+    () => api.getProductSerials(id, { status: 'in_stock' }),
+    { enabled: Boolean(product?.trackSerials) }
+  );
+  const serials = serialData?.data?.serials || [];
+  const unserializedQuantity = serialData?.data?.unserializedQuantity || 0;
+
+  const { register, handleSubmit, reset, watch } = useForm({
+    defaultValues: { operation: 'add', type: 'adjustment', quantity: 1 }
+  });
+  const watchType = watch('type');
+  const watchOperation = watch('operation');
+  const adding = watchType === 'purchase_receipt' || (watchType !== 'write_off' && watchOperation === 'add');
+
+  const adjustMutation = useMutation((payload) => api.adjustProductStock(id, payload), {
+    onSuccess: () => {
+      toast.success('Stock updated');
+      queryClient.invalidateQueries('stock-movements');
+      queryClient.invalidateQueries('product-batches');
+      queryClient.invalidateQueries('product-serials');
+      queryClient.invalidateQueries('products');
+      setShowAdjust(false);
+      reset();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update stock')
+  });
+
+  const reconcileMutation = useMutation(() => api.reconcileStock({ productId: id }), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('stock-movements');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to reconcile stock')
+  });
+
+  const onAdjust = (form) => {
+    // Write-offs always take stock out and receipts always add it
+    const operation = form.type === 'write_off' ? 'subtract' : form.type === 'purchase_receipt' ? 'add' : form.operation;
+    adjustMutation.mutate({
+      ...form,
+      quantity: parseInt(form.quantity),
+      operation,
+      // Stock added goes into the lot given; stock removed comes from the lot chosen
+      lotNumber: operation === 'add' ? form.lotNumber || undefined : undefined,
+      expiryDate: operation === 'add' ? form.expiryDate || undefined : undefined,
+      batchId: operation === 'subtract' ? form.batchId || undefined : undefined,
+      serialNumbers: form.serialNumbers || undefined
+    });
+  };
+
+  const writeOffBatch = (batch) => {
+    reset({ type: 'write_off', operation: 'subtract', quantity: batch.quantity, batchId: batch.id, reference: batch.lotNumber || '' });
+    setShowAdjust(true);
+  };
+
+  const daysToExpiry = (batch) => Math.round((new Date(batch.expiryDate) - new Date(new Date().toISOString().slice(0, 10))) / 86400000);
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <Link to="/products" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+            <ArrowLeftIcon className="w-4 h-4 mr-1" />
+            Back to products
+          </Link>
+          <h1 className="text-2xl font-bold">Stock History{product ? `: ${product.name}` : ''}</h1>
+          {product && (
+            <p className="text-gray-600">
+              {product.sku && `SKU ${product.sku} • `}On hand: <span className="font-medium">{product.stockQuantity} {product.unit}</span>
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => { reset({ operation: 'add', type: 'adjustment', quantity: 1 }); setShowAdjust(true); }}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700"
+        >
+          Adjust Stock
+        </button>
+      </div>
+
+      {reconciliation && reconciliation.difference !== 0 && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start justify-between">
+          <div className="flex items-start">
+            <ExclamationTriangleIcon className="w-5 h-5 text-yellow-600 mr-2 mt-0.5" />
+            <div className="text-sm text-yellow-800">
+              <p className="font-medium">Stock does not match its movement history</p>
+              <p>
+                On hand is {reconciliation.stockQuantity}, movements add up to {reconciliation.ledgerQuantity}
+                {' '}({reconciliation.difference > 0 ? '+' : ''}{reconciliation.difference}).
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => reconcileMutation.mutate()}
+            disabled={reconcileMutation.isLoading}
+            className="text-sm text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50"
+          >
+            Record reconciling movement
+          </button>
+        </div>
+      )}
+
+      {product?.trackBatches && (
+        <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+          <div className="px-6 py-4 border-b flex items-center justify-between">
+            <h2 className="text-lg font-semibold">Lots</h2>
+            <p className="text-sm text-gray-500">Sold first to expire first; expired lots cannot be sold</p>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lot</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expiry</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {batches.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-6 text-center text-gray-500">No lots in stock</td>
+                </tr>
+              ) : (
+                batches.map((batch) => (
+                  <tr key={batch.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.lotNumber || <span className="text-gray-400">No lot</span>}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.expiryDate || '—'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{batch.quantity}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {batch.expired ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Expired</span>
+                      ) : batch.expiryDate && daysToExpiry(batch) <= 30 ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          Expires in {daysToExpiry(batch)} day{daysToExpiry(batch) === 1 ? '' : 's'}
+                        </span>
+                      ) : (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">In date</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                      <button onClick={() => writeOffBatch(batch)} className="text-red-600 hover:text-red-900">
+                        Write off
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {product?.trackSerials && (
+        <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+          <div className="px-6 py-4 border-b flex items-center justify-between">
+            <h2 className="text-lg font-semibold">Serial Numbers in Stock</h2>
+            {unserializedQuantity > 0 && (
+              <p className="text-sm text-gray-500">
+                {unserializedQuantity} more on hand without a recorded serial; their serials are recorded when sold
+              </p>
+            )}
+          </div>
+          {serials.length === 0 ? (
+            <p className="px-6 py-6 text-center text-gray-500">No serial numbers recorded in stock</p>
+          ) : (
+            <div className="px-6 py-4 flex flex-wrap gap-2">
+              {serials.map(serial => (
+                <span key={serial.id} className="px-2 py-1 rounded bg-indigo-50 text-indigo-800 text-sm font-mono">
+                  {serial.serialNumber}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-4 mb-4">
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="">All movements</option>
+          {Object.entries(MOVEMENT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Before</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">After</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : movements.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">No stock movements recorded</td>
+              </tr>
+            ) : (
+              movements.map((movement) => (
+                <tr key={movement.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {new Date(movement.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {MOVEMENT_LABELS[movement.type] || movement.type}
+                  </td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                    movement.quantityChange < 0 ? 'text-red-600' : 'text-green-600'
+                  }`}>
+                    {movement.quantityChange > 0 ? '+' : ''}{movement.quantityChange}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{movement.quantityBefore}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{movement.quantityAfter}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {movement.reference}
+                    {movement.batches?.length > 0 && (
+                      <div className="text-xs text-gray-400">
+                        {movement.batches.map(lot => `${lot.lotNumber || 'No lot'} × ${lot.quantity}`).join(', ')}
+                      </div>
+                    )}
+                    {movement.serialNumbers?.length > 0 && (
+                      <div className="text-xs text-gray-400 font-mono">S/N: {movement.serialNumbers.join(', ')}</div>
+                    )}
+                    {movement.notes && <div className="text-xs text-gray-400">{movement.notes}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {movement.User ? `${movement.User.firstName} ${movement.User.lastName}` : 'System'}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Adjust Stock Modal */}
+      {showAdjust && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-md">
+            <div className="border-b px-6 py-4 flex items-center justify-between">
+              <h2 className="text-lg font-semibold">Adjust Stock</h2>
+              <button onClick={() => setShowAdjust(false)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSubmit(onAdjust)} className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <select {...register('type')} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+                  <option value="adjustment">Adjustment</option>
+                  <option value="purchase_receipt">Purchase receipt</option>
+                  <option value="transfer">Transfer</option>
+                  <option value="write_off">Write-off</option>
+                </select>
+              </div>
+              {['adjustment', 'transfer'].includes(watchType) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Direction</label>
+                  <select {...register('operation')} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="add">Add to stock</option>
+                    <option value="subtract">Remove from stock</option>
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                <input
+                  type="number"
+                  min="1"
+                  {...register('quantity', { required: true, min: 1 })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+              {product?.trackBatches && adding && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Lot number</label>
+                    <input {...register('lotNumber')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Expiry date</label>
+                    <input type="date" {...register('expiryDate')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                  </div>
+                </div>
+              )}
+              {product?.trackBatches && !adding && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lot</label>
+                  <select {...register('batchId')} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="">First to expire</option>
+                    {batches.map(batch => (
+                      <option key={batch.id} value={batch.id}>
+                        {batch.lotNumber || 'No lot'}{batch.expiryDate ? ` (expires ${batch.expiryDate})` : ''} • {batch.quantity} on hand
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {product?.trackSerials && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Serial numbers</label>
+                  <textarea
+                    {...register('serialNumbers')}
+                    rows="3"
+                    placeholder="One per line; required when removing units with recorded serials"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                <input
+                  {...register('reference')}
+                  placeholder="e.g. delivery note or transfer number"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea {...register('notes')} rows="2" className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowAdjust(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={adjustMutation.isLoading}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {adjustMutation.isLoading ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockMovements;
@@ -0,0 +1,397 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, QrCodeIcon, TrashIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+import BarcodeScanner from '../components/BarcodeScanner';
+
+const STATUS_STYLES = {
+  counting: 'bg-yellow-100 text-yellow-800',
+  posted: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const formatVariance = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const varianceColor = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-500');
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// Counted quantity typed in by hand; saved when the field loses focus
+const CountInput = ({ line, disabled, onSave }) => {
+  const [value, setValue] = useState(line.countedQuantity);
+
+  const save = () => {
+    const quantity = parseInt(value);
+    if (isNaN(quantity) || quantity < 0) {
+      setValue(line.countedQuantity);
+      return;
+    }
+    if (quantity !== line.countedQuantity) onSave(quantity);
+  };
+
+  return (
+    <input
+      type="number"
+      min="0"
+      value={value}
+      disabled={disabled}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+      className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-right disabled:bg-gray-100 disabled:border-transparent"
+    />
+  );
+};
+
+const StocktakeDetail = ({ stocktakeId, onBack }) => {
+  const queryClient = useQueryClient();
+  const [showScanner, setShowScanner] = useState(false);
+  const [scanCount, setScanCount] = useState(0);
+  const [productId, setProductId] = useState('');
+  const [quantity, setQuantity] = useState('');
+
+  const { data, isLoading } = useQuery(['stocktake', stocktakeId], () => api.getStocktake(stocktakeId));
+  const { data: productsData } = useQuery(['products', 'stocktake'], () => api.getProducts({ limit: 500 }));
+
+  const stocktake = data?.data;
+  const isOpen = stocktake?.status === 'counting';
+  const products = (productsData?.data?.products || productsData?.data || []).filter(product => product.trackInventory);
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['stocktake', stocktakeId]);
+    queryClient.invalidateQueries('stocktakes');
+  };
+
+  const scanMutation = useMutation((barcode) => api.scanStocktake(stocktakeId, barcode), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to record scan')),
+    // Remount the scanner so the next item can be scanned straight away
+    onSettled: () => setScanCount(count => count + 1)
+  });
+
+  const countMutation = useMutation(({ productId: id, countedQuantity }) =>
+    api.setStocktakeCount(stocktakeId, id, { countedQuantity }), {
+    onSuccess: () => {
+      setProductId('');
+      setQuantity('');
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to save count'))
+  });
+
+  const actionMutation = useMutation(({ action, lineId }) => {
+    switch (action) {
+      case 'post': return api.postStocktake(stocktakeId);
+      case 'cancel': return api.cancelStocktake(stocktakeId);
+      default: return api.removeStocktakeLine(stocktakeId, lineId);
+    }
+  }, {
+    onSuccess: (response, { action }) => {
+      const messages = {
+        post: 'Stocktake posted and stock adjusted',
+        cancel: 'Stocktake cancelled',
+        remove: 'Count removed'
+      };
+      toast.success(messages[action]);
+      refresh();
+      if (action === 'post') queryClient.invalidateQueries('products');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update stocktake'))
+  });
+
+  if (isLoading || !stocktake) {
+    return <div className="p-6 text-center text-gray-500">Loading...</div>;
+  }
+
+  const { summary, lines } = stocktake;
+
+  const onPost = () => {
+    const message = `Post ${stocktake.stocktakeNumber}? Stock will be adjusted for ${summary.linesWithVariance} product(s) ` +
+      `with a net cost impact of ${formatAmount(summary.costImpact)}.`;
+    if (window.confirm(message)) actionMutation.mutate({ action: 'post' });
+  };
+
+  return (
+    <div className="p-6">
+      <button onClick={onBack} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ArrowLeftIcon className="w-4 h-4 mr-1" />
+        All stocktakes
+      </button>
+
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">
+            {stocktake.stocktakeNumber}{stocktake.name ? `: ${stocktake.name}` : ''}
+          </h1>
+          <p className="text-gray-600">
+            <span className={`px-2 py-1 text-xs rounded-full capitalize mr-2 ${STATUS_STYLES[stocktake.status]}`}>
+              {stocktake.status}
+            </span>
+            Started {new Date(stocktake.createdAt).toLocaleString()}
+            {stocktake.postedAt && ` • Posted ${new Date(stocktake.postedAt).toLocaleString()}`}
+          </p>
+        </div>
+        {isOpen && (
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setShowScanner(true)}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center space-x-2"
+            >
+              <QrCodeIcon className="h-5 w-5" />
+              <span>Scan Items</span>
+            </button>
+            <button
+              onClick={onPost}
+              disabled={actionMutation.isLoading || lines.length === 0}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md disabled:opacity-50"
+            >
+              Post Adjustments
+            </button>
+            <button
+              onClick={() => window.confirm('Cancel this stocktake? Counts will be kept but stock will not change.') &&
+                actionMutation.mutate({ action: 'cancel' })}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel Count
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Products counted</p>
+          <p className="text-2xl font-semibold">{summary.productsCounted}</p>
+          {isOpen && <p className="text-xs text-gray-400">{summary.uncountedCount} not counted yet</p>}
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">With variance</p>
+          <p className="text-2xl font-semibold">{summary.linesWithVariance}</p>
+          <p className="text-xs text-gray-400">+{summary.unitsOver} / -{summary.unitsShort} units</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Stock gained</p>
+          <p className="text-2xl font-semibold text-green-600">{formatAmount(summary.gainValue)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Stock lost</p>
+          <p className="text-2xl font-semibold text-red-600">{formatAmount(summary.lossValue)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Net cost impact</p>
+          <p className={`text-2xl font-semibold ${varianceColor(summary.costImpact)}`}>{formatAmount(summary.costImpact)}</p>
+        </div>
+      </div>
+
+      {isOpen && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (productId && quantity !== '') countMutation.mutate({ productId, countedQuantity: parseInt(quantity) });
+          }}
+          className="flex items-center space-x-2 mb-4"
+        >
+          <select
+            value={productId}
+            onChange={(e) => setProductId(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+          >
+            <option value="">Count a product without a barcode...</option>
+            {products.map(product => (
+              <option key={product.id} value={product.id}>{product.name}{product.sku ? ` (${product.sku})` : ''}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            placeholder="Counted"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            className="w-32 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <button
+            type="submit"
+            disabled={!productId || quantity === '' || countMutation.isLoading}
+            className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <PlusIcon className="w-5 h-5 mr-1" />
+            Set Count
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Counted</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Impact</th>
+              {isOpen && <th className="px-6 py-3" />}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {lines.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                  Nothing counted yet. Scan barcodes or pick a product above to start.
+                </td>
+              </tr>
+            ) : (
+              lines.map(line => (
+                <tr key={line.id}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{line.name}</div>
+                    <div className="text-gray-500">{[line.sku, line.barcode].filter(Boolean).join(' • ')}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{line.expectedQuantity}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <CountInput
+                      key={`${line.id}-${line.countedQuantity}`}
+                      line={line}
+                      disabled={!isOpen}
+                      onSave={(countedQuantity) => countMutation.mutate({ productId: line.productId, countedQuantity })}
+                    />
+                  </td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${varianceColor(line.variance)}`}>
+                    {formatVariance(line.variance)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatAmount(line.unitCost)}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${varianceColor(line.costImpact)}`}>
+                    {formatAmount(line.costImpact)}
+                  </td>
+                  {isOpen && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => actionMutation.mutate({ action: 'remove', lineId: line.id })}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <TrashIcon className="w-5 h-5" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showScanner && (
+        <BarcodeScanner
+          key={scanCount}
+          onClose={() => setShowScanner(false)}
+          onBarcodeScanned={(barcode) => scanMutation.mutate(barcode)}
+          loading={scanMutation.isLoading}
+        />
+      )}
+    </div>
+  );
+};
+
+const Stocktakes = () => {
+  const queryClient = useQueryClient();
+  const [selectedId, setSelectedId] = useState(null);
+  const [name, setName] = useState('');
+
+  const { data, isLoading } = useQuery('stocktakes', () => api.getStocktakes());
+  const stocktakes = data?.data || [];
+
+  const createMutation = useMutation(() => api.createStocktake({ name }), {
+    onSuccess: (response) => {
+      toast.success(`Stocktake ${response.data.stocktakeNumber} started`);
+      queryClient.invalidateQueries('stocktakes');
+      setName('');
+      setSelectedId(response.data.id);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to start stocktake'))
+  });
+
+  if (selectedId) {
+    return <StocktakeDetail stocktakeId={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Stocktakes</h1>
+          <p className="text-gray-600">Count your shelves, review variances and adjust stock in one go</p>
+        </div>
+        <div className="flex space-x-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. October count"
+            className="border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <button
+            onClick={() => createMutation.mutate()}
+            disabled={createMutation.isLoading}
+            className="inline-flex items-center bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <PlusIcon className="w-5 h-5 mr-1" />
+            New Stocktake
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Products</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Impact</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : stocktakes.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">No stocktakes yet</td>
+              </tr>
+            ) : (
+              stocktakes.map(stocktake => (
+                <tr key={stocktake.id} onClick={() => setSelectedId(stocktake.id)} className="cursor-pointer hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">{stocktake.stocktakeNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{stocktake.name || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(stocktake.createdAt).toLocaleDateString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{stocktake.productsCounted}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    {stocktake.costImpact !== null ? formatAmount(stocktake.costImpact) : '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[stocktake.status]}`}>
+                      {stocktake.status}
+                    </span>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Stocktakes;
@@ -0,0 +1,491 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon, EyeIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const AGING_LABELS = {
+  current: 'Not yet due',
+  thirtyDays: '1-30 days overdue',
+  sixtyDays: '31-60 days overdue',
+  ninetyDays: '60+ days overdue'
+};
+
+const PAYMENT_METHODS = {
+  bank_transfer: 'Bank Transfer',
+  cash: 'Cash',
+  card: 'Card',
+  check: 'Check',
+  online: 'Online',
+  other: 'Other'
+};
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  address: '',
+  taxId: '',
+  paymentTerms: 30,
+  bankName: '',
+  bankAccountName: '',
+  bankAccountNumber: '',
+  bankSwiftCode: '',
+  notes: ''
+};
+
+const SupplierForm = ({ supplier, onClose }) => {
+  const queryClient = useQueryClient();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: supplier
+      ? Object.keys(EMPTY_SUPPLIER).reduce((values, field) => ({ ...values, [field]: supplier[field] ?? '' }), {})
+      : EMPTY_SUPPLIER
+  });
+
+  const saveMutation = useMutation(
+    (payload) => (supplier ? api.updateSupplier(supplier.id, payload) : api.createSupplier(payload)),
+    {
+      onSuccess: () => {
+        toast.success(supplier ? 'Supplier updated' : 'Supplier added');
+        queryClient.invalidateQueries('suppliers');
+        queryClient.invalidateQueries('supplier');
+        onClose();
+      },
+      onError: (error) => toast.error(errorMessage(error, 'Failed to save supplier'))
+    }
+  );
+
+  const onSubmit = (form) => {
+    saveMutation.mutate({ ...form, paymentTerms: parseInt(form.paymentTerms) || 0 });
+  };
+
+  const field = (name, label, options = {}) => (
+    <div className={options.className}>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type={options.type || 'text'}
+        {...register(name, options.rules)}
+        placeholder={options.placeholder}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2"
+      />
+      {errors[name] && <p className="text-sm text-red-600 mt-1">{errors[name].message}</p>}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{supplier ? 'Edit Supplier' : 'New Supplier'}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {field('name', 'Name *', { rules: { required: 'Supplier name is required' } })}
+            {field('contactName', 'Contact Person')}
+            {field('email', 'Email', { type: 'email' })}
+            {field('phone', 'Phone')}
+            {field('taxId', 'Tax ID', { placeholder: 'Supplier GST / TIN number' })}
+            {field('paymentTerms', 'Payment Terms (days)', {
+              type: 'number',
+              rules: {
+                min: { value: 0, message: 'Terms cannot be negative' },
+                max: { value: 365, message: 'Terms cannot exceed 365 days' }
+              }
+            })}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+            <textarea {...register('address')} rows="2" className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+
+          <div className="border rounded-md p-4">
+            <h3 className="text-sm font-semibold text-gray-900 mb-3">Bank Details</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {field('bankName', 'Bank')}
+              {field('bankAccountName', 'Account Name')}
+              {field('bankAccountNumber', 'Account Number')}
+              {field('bankSwiftCode', 'SWIFT Code')}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea {...register('notes')} rows="2" className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saveMutation.isLoading}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saveMutation.isLoading ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const PayBillModal = ({ bill, onClose }) => {
+  const queryClient = useQueryClient();
+  const { register, handleSubmit } = useForm({
+    defaultValues: {
+      amount: bill.balanceAmount,
+      date: new Date().toISOString().slice(0, 10),
+      method: 'bank_transfer',
+      reference: ''
+    }
+  });
+
+  const payMutation = useMutation((payload) => api.recordSupplierPayment(bill.id, payload), {
+    onSuccess: () => {
+      toast.success('Payment recorded');
+      queryClient.invalidateQueries('suppliers');
+      queryClient.invalidateQueries('supplier');
+      queryClient.invalidateQueries('payables');
+      queryClient.invalidateQueries('expenses');
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to record payment'))
+  });
+
+  const onSubmit = (form) => payMutation.mutate({ ...form, amount: parseFloat(form.amount) });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Pay {bill.expenseNumber}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {bill.description} • Balance due <span className="font-medium">{formatAmount(bill.balanceAmount)}</span>
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              max={bill.balanceAmount}
+              {...register('amount', { required: true })}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input type="date" {...register('date')} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+            <select {...register('method')} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+              {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+            <input
+              {...register('reference')}
+              placeholder="e.g. transfer reference or check number"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={payMutation.isLoading}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {payMutation.isLoading ? 'Saving...' : 'Record Payment'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const SupplierDetail = ({ supplierId, onClose, onPay }) => {
+  const { data, isLoading } = useQuery(['supplier', supplierId], () => api.getSupplier(supplierId));
+  const supplier = data?.data;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{supplier?.name || 'Supplier'}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+        {isLoading || !supplier ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="font-medium text-gray-600">Contact</p>
+                <p>{supplier.contactName || '—'}</p>
+                <p className="text-gray-500">{[supplier.email, supplier.phone].filter(Boolean).join(' • ')}</p>
+              </div>
+              <div>
+                <p className="font-medium text-gray-600">Tax ID / Terms</p>
+                <p>{supplier.taxId || '—'}</p>
+                <p className="text-gray-500">Net {supplier.paymentTerms} days</p>
+              </div>
+              <div className="col-span-2">
+                <p className="font-medium text-gray-600">Bank</p>
+                <p>
+                  {[supplier.bankName, supplier.bankAccountName, supplier.bankAccountNumber, supplier.bankSwiftCode]
+                    .filter(Boolean).join(' • ') || '—'}
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-900">Unpaid Bills</h3>
+                <span className="text-sm text-gray-600">
+                  Owed: <span className="font-medium">{formatAmount(supplier.summary.totalOutstanding)}</span>
+                  {supplier.summary.overdueAmount > 0 && (
+                    <span className="text-red-600"> ({formatAmount(supplier.summary.overdueAmount)} overdue)</span>
+                  )}
+                </span>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Expense</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                    <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {supplier.outstandingBills.length === 0 ? (
+                    <tr><td colSpan="5" className="py-4 text-center text-gray-500">Nothing owed</td></tr>
+                  ) : supplier.outstandingBills.map(bill => (
+                    <tr key={bill.id}>
+                      <td className="py-2">
+                        <div className="font-medium text-gray-900">{bill.expenseNumber}</div>
+                        <div className="text-gray-500">{bill.description}</div>
+                      </td>
+                      <td className={`py-2 ${bill.isOverdue ? 'text-red-600' : 'text-gray-700'}`}>
+                        {new Date(bill.dueDate).toLocaleDateString()}
+                        {bill.isOverdue && <div className="text-xs">{bill.daysDue} days overdue</div>}
+                      </td>
+                      <td className="py-2 text-right">{formatAmount(bill.total)}</td>
+                      <td className="py-2 text-right font-medium">{formatAmount(bill.balanceAmount)}</td>
+                      <td className="py-2 text-right">
+                        <button onClick={() => onPay(bill)} className="text-indigo-600 hover:text-indigo-900">Pay</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {supplier.payments.length > 0 && (
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Payments</h3>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <tbody className="divide-y divide-gray-200">
+                    {supplier.payments.map(payment => (
+                      <tr key={payment.id}>
+                        <td className="py-2 text-gray-700">{new Date(payment.date).toLocaleDateString()}</td>
+                        <td className="py-2 text-gray-700">{payment.Expense?.expenseNumber}</td>
+                        <td className="py-2 text-gray-500">
+                          {PAYMENT_METHODS[payment.method]}{payment.reference && ` • ${payment.reference}`}
+                        </td>
+                        <td className="py-2 text-right font-medium">{formatAmount(payment.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Suppliers = () => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [viewingId, setViewingId] = useState(null);
+  const [payingBill, setPayingBill] = useState(null);
+
+  const { data, isLoading } = useQuery(['suppliers', search], () => api.getSuppliers({ search: search || undefined }), {
+    keepPreviousData: true
+  });
+  const { data: payablesData } = useQuery('payables', () => api.getPayablesReport());
+
+  const suppliers = data?.data || [];
+  const payables = payablesData?.data;
+
+  const deleteMutation = useMutation((id) => api.deleteSupplier(id), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('suppliers');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to delete supplier'))
+  });
+
+  const onEdit = (supplier) => {
+    setEditing(supplier);
+    setShowForm(true);
+  };
+
+  const onAdd = () => {
+    setEditing(null);
+    setShowForm(true);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Suppliers</h1>
+          <p className="text-gray-600">Supplier directory and what you owe them</p>
+        </div>
+        <button
+          onClick={onAdd}
+          className="inline-flex items-center bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700"
+        >
+          <PlusIcon className="w-5 h-5 mr-1" />
+          Add Supplier
+        </button>
+      </div>
+
+      {payables && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Total payable</p>
+            <p className="text-xl font-semibold">{formatAmount(payables.summary.totalOutstanding)}</p>
+            <p className="text-xs text-gray-500">{payables.summary.totalBills} unpaid bill(s)</p>
+          </div>
+          {Object.entries(AGING_LABELS).map(([bucket, label]) => (
+            <div key={bucket} className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">{label}</p>
+              <p className={`text-xl font-semibold ${bucket !== 'current' && payables.aging[bucket] > 0 ? 'text-red-600' : ''}`}>
+                {formatAmount(payables.aging[bucket])}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="mb-4">
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, contact or email..."
+          className="w-full md:w-80 border border-gray-300 rounded-lg px-3 py-2"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Terms</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Owed</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Overdue</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {isLoading ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : suppliers.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">No suppliers yet</td>
+              </tr>
+            ) : (
+              suppliers.map(supplier => (
+                <tr key={supplier.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{supplier.name}</div>
+                    {supplier.taxId && <div className="text-xs text-gray-500">Tax ID {supplier.taxId}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div>{supplier.contactName}</div>
+                    <div>{supplier.email || supplier.phone}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Net {supplier.paymentTerms}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatAmount(supplier.outstandingAmount)}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${supplier.overdueAmount > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                    {formatAmount(supplier.overdueAmount)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                    <button onClick={() => setViewingId(supplier.id)} className="text-indigo-600 hover:text-indigo-900" title="View">
+                      <EyeIcon className="w-5 h-5 inline" />
+                    </button>
+                    <button onClick={() => onEdit(supplier)} className="text-gray-600 hover:text-gray-900" title="Edit">
+                      <PencilIcon className="w-5 h-5 inline" />
+                    </button>
+                    <button
+                      onClick={() => window.confirm(`Delete ${supplier.name}?`) && deleteMutation.mutate(supplier.id)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Delete"
+                    >
+                      <TrashIcon className="w-5 h-5 inline" />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showForm && (
+        <SupplierForm supplier={editing} onClose={() => setShowForm(false)} />
+      )}
+
+      {viewingId && (
+        <SupplierDetail supplierId={viewingId} onClose={() => setViewingId(null)} onPay={setPayingBill} />
+      )}
+
+      {payingBill && (
+        <PayBillModal bill={payingBill} onClose={() => setPayingBill(null)} />
+      )}
+    </div>
+  );
+};
+
+export default Suppliers;
@@ -43,6 +43,10 @@ export const authAPI = {
 export const companyAPI = {
   get: () => api.get('/companies/profile'),
   update: (data) => api.put('/companies/profile', data),
+  getInventorySettings: () => api.get('/companies/inventory-settings'),
+  updateInventorySettings: (data) => api.put('/companies/inventory-settings', data),
+  getPOSSettings: () => api.get('/companies/pos-settings'),
+  updatePOSSettings: (data) => api.put('/companies/pos-settings', data),
   uploadLogo: (file) => {
     const formData = new FormData();
     formData.append('logo', file);
@@ -59,6 +63,7 @@ export const customerAPI = {
   create: (data) => api.post('/customers', data),
   update: (id, data) => api.put(`/customers/${id}`, data),
   delete: (id) => api.delete(`/customers/${id}`),
+  updateReminders: (id, paused) => api.patch(`/customers/${id}/reminders`, { paused }),
 };
 
 // Product APIs
@@ -69,6 +74,20 @@ export const productAPI = {
   update: (id, data) => api.put(`/products/${id}`, data),
   delete: (id) => api.delete(`/products/${id}`),
   getLowStock: () => api.get('/products/low-stock'),
+  adjustStock: (id, data) => api.patch(`/products/${id}/adjust-stock`, data),
+  getMovements: (id, params = {}) => api.get(`/products/${id}/movements`, { params }),
+  getStockReconciliation: (params = {}) => api.get('/products/stock-reconciliation', { params }),
+  reconcileStock: (data = {}) => api.post('/products/stock-reconciliation', data),
+  getVariants: (id, params = {}) => api.get(`/products/${id}/variants`, { params }),
+  createVariant: (id, data) => api.post(`/products/${id}/variants`, data),
+  generateVariants: (id) => api.post(`/products/${id}/variants/generate`),
+  updateVariant: (id, variantId, data) => api.put(`/products/${id}/variants/${variantId}`, data),
+  deleteVariant: (id, variantId) => api.delete(`/products/${id}/variants/${variantId}`),
+  getBatches: (id, params = {}) => api.get(`/products/${id}/batches`, { params }),
+  updateBatch: (id, batchId, data) => api.put(`/products/${id}/batches/${batchId}`, data),
+  getNearExpiry: (params = {}) => api.get('/products/near-expiry', { params }),
+  getSerials: (id, params = {}) => api.get(`/products/${id}/serials`, { params }),
+  lookupSerial: (serialNumber) => api.get(`/products/serials/${encodeURIComponent(serialNumber)}`),
 };
 
 // Invoice APIs
@@ -81,6 +100,30 @@ export const invoiceAPI = {
   convertToInvoice: (id) => api.post(`/invoices/${id}/convert-to-invoice`),
   sendEmail: (id, email) => api.post(`/invoices/${id}/send`, { email }),
   downloadPdf: (id) => api.get(`/invoices/${id}/pdf`, { responseType: 'blob' }),
+  getDeliveries: (id) => api.get(`/invoices/${id}/deliveries`),
+  updateReminders: (id, paused) => api.patch(`/invoices/${id}/reminders`, { paused }),
+};
+
+// Payment reminder (dunning) APIs
+export const reminderAPI = {
+  getAll: (params = {}) => api.get('/reminders', { params }),
+  getSettings: () => api.get('/reminders/settings'),
+  updateSettings: (data) => api.put('/reminders/settings', data),
+  run: () => api.post('/reminders/run'),
+};
+
+// Recurring invoice APIs
+export const recurringInvoiceAPI = {
+  getAll: (params = {}) => api.get('/recurring-invoices', { params }),
+  get: (id) => api.get(`/recurring-invoices/${id}`),
+  create: (data) => api.post('/recurring-invoices', data),
+  update: (id, data) => api.put(`/recurring-invoices/${id}`, data),
+  delete: (id) => api.delete(`/recurring-invoices/${id}`),
+  updateStatus: (id, action) => api.patch(`/recurring-invoices/${id}/status`, { action }),
+  run: (id) => api.post(`/recurring-invoices/${id}/run`),
+  setupCard: (id) => api.post(`/recurring-invoices/${id}/card/setup`),
+  saveCard: (id, setupIntentId) => api.post(`/recurring-invoices/${id}/card`, { setupIntentId }),
+  removeCard: (id) => api.delete(`/recurring-invoices/${id}/card`),
 };
 
 // Payment APIs
@@ -107,6 +150,59 @@ export const expenseAPI = {
     });
   },
   getCategories: () => api.get('/expenses/categories'),
+  getUpcomingRecurring: (params = {}) => api.get('/expenses/recurring/upcoming', { params }),
+  generateRecurring: () => api.post('/expenses/recurring/generate'),
+  updateRecurring: (id, action, data = {}) => api.patch(`/expenses/${id}/recurring`, { action, ...data }),
+  updateSettings: (data) => api.put('/expenses/settings', data),
+  recordPayment: (id, data) => api.post(`/expenses/${id}/payments`, data),
+  deletePayment: (id, paymentId) => api.delete(`/expenses/${id}/payments/${paymentId}`),
+};
+
+// Supplier APIs
+export const supplierAPI = {
+  getAll: (params = {}) => api.get('/suppliers', { params }),
+  get: (id) => api.get(`/suppliers/${id}`),
+  create: (data) => api.post('/suppliers', data),
+  update: (id, data) => api.put(`/suppliers/${id}`, data),
+  delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase order APIs
+export const purchaseOrderAPI = {
+  getAll: (params = {}) => api.get('/purchase-orders', { params }),
+  get: (id) => api.get(`/purchase-orders/${id}`),
+  create: (data) => api.post('/purchase-orders', data),
+  update: (id, data) => api.put(`/purchase-orders/${id}`, data),
+  delete: (id) => api.delete(`/purchase-orders/${id}`),
+  send: (id) => api.post(`/purchase-orders/${id}/send`),
+  receive: (id, data) => api.post(`/purchase-orders/${id}/receive`, data),
+  close: (id) => api.post(`/purchase-orders/${id}/close`),
+  cancel: (id) => api.post(`/purchase-orders/${id}/cancel`),
+  convertToExpense: (id, data = {}) => api.post(`/purchase-orders/${id}/convert-to-expense`, data),
+};
+
+// Stocktake APIs
+export const stocktakeAPI = {
+  getAll: (params = {}) => api.get('/stocktakes', { params }),
+  get: (id) => api.get(`/stocktakes/${id}`),
+  create: (data = {}) => api.post('/stocktakes', data),
+  update: (id, data) => api.put(`/stocktakes/${id}`, data),
+  scan: (id, barcode, quantity = 1) => api.post(`/stocktakes/${id}/scan`, { barcode, quantity }),
+  setCount: (id, productId, data) => api.put(`/stocktakes/${id}/lines/${productId}`, data),
+  removeLine: (id, lineId) => api.delete(`/stocktakes/${id}/lines/${lineId}`),
+  post: (id) => api.post(`/stocktakes/${id}/post`),
+  cancel: (id) => api.post(`/stocktakes/${id}/cancel`),
+};
+
+// Promotion APIs
+export const promotionAPI = {
+  getAll: (params = {}) => api.get('/promotions', { params }),
+  get: (id) => api.get(`/promotions/${id}`),
+  create: (data) => api.post('/promotions', data),
+  update: (id, data) => api.put(`/promotions/${id}`, data),
+  delete: (id) => api.delete(`/promotions/${id}`),
+  preview: (data) => api.post('/promotions/preview', data),
+  getReport: (params = {}) => api.get('/promotions/report', { params }),
 };
 
 // Report APIs
@@ -114,7 +210,9 @@ export const reportAPI = {
   getProfitLoss: (params = {}) => api.get('/reports/profit-loss', { params }),
   getSalesReport: (params = {}) => api.get('/reports/sales', { params }),
   getInventoryReport: (params = {}) => api.get('/reports/inventory', { params }),
+  getInventoryValuation: (params = {}) => api.get('/reports/inventory-valuation', { params }),
   getReceivablesReport: (params = {}) => api.get('/reports/receivables', { params }),
+  getPayablesReport: (params = {}) => api.get('/reports/payables', { params }),
   getDashboardStats: () => api.get('/reports/dashboard-stats'),
   exportToPdf: (reportType, params = {}) => 
     api.get(`/reports/${reportType}/pdf`, { 
@@ -123,6 +221,65 @@ export const reportAPI = {
     }),
 };
 
+// Accounting APIs
+export const accountingAPI = {
+  getAccounts: (params = {}) => api.get('/accounting/accounts', { params }),
+  getAccount: (id) => api.get(`/accounting/accounts/${id}`),
+  createAccount: (data) => api.post('/accounting/accounts', data),
+  updateAccount: (id, data) => api.put(`/accounting/accounts/${id}`, data),
+  deleteAccount: (id) => api.delete(`/accounting/accounts/${id}`),
+  getJournalEntries: (params = {}) => api.get('/accounting/journal-entries', { params }),
+  getJournalEntry: (id) => api.get(`/accounting/journal-entries/${id}`),
+  createJournalEntry: (data) => api.post('/accounting/journal-entries', data),
+  voidJournalEntry: (id) => api.post(`/accounting/journal-entries/${id}/void`),
+  getPeriods: (params = {}) => api.get('/accounting/periods', { params }),
+  closePeriod: (data) => api.post('/accounting/periods/close', data),
+  reopenPeriod: (data) => api.post('/accounting/periods/reopen', data),
+};
+
+// Fixed asset APIs
+export const fixedAssetAPI = {
+  getAll: (params = {}) => api.get('/fixed-assets', { params }),
+  get: (id) => api.get(`/fixed-assets/${id}`),
+  create: (data) => api.post('/fixed-assets', data),
+  update: (id, data) => api.put(`/fixed-assets/${id}`, data),
+  delete: (id) => api.delete(`/fixed-assets/${id}`),
+  dispose: (id, data) => api.post(`/fixed-assets/${id}/dispose`, data),
+  runDepreciation: (data = {}) => api.post('/fixed-assets/depreciation/run', data),
+};
+
+// Financial statement and tax return APIs
+export const financialReportAPI = {
+  getGstReturn: (params = {}) => api.get('/financial-reports/gst-return', { params }),
+  export: (reportType, format, parameters = {}) =>
+    api.post('/financial-reports/export', { reportType, format, parameters }, {
+      responseType: 'blob'
+    }),
+};
+
+// POS APIs
+export const posAPI = {
+  getProducts: (params = {}) => api.get('/pos/products', { params }),
+  getSales: (params = {}) => api.get('/pos/sales', { params }),
+  getSale: (id) => api.get(`/pos/sales/${id}`),
+  createSale: (data) => api.post('/pos/sales', data),
+  getSyncConflicts: (params = {}) => api.get('/pos/sync/conflicts', { params }),
+  getHeldSales: () => api.get('/pos/held-sales'),
+  holdSale: (data) => api.post('/pos/held-sales', data),
+  resumeHeldSale: (id) => api.post(`/pos/held-sales/${id}/resume`),
+  discardHeldSale: (id) => api.delete(`/pos/held-sales/${id}`),
+  emailReceipt: (id, email) => api.post(`/pos/sales/${id}/email-receipt`, { email }),
+  refundSale: (id, data) => api.post(`/pos/sales/${id}/refund`, data),
+  getRefunds: (params = {}) => api.get('/pos/refunds', { params }),
+  downloadRefundReceipt: (id) => api.get(`/pos/refunds/${id}/receipt`, { responseType: 'blob' }),
+  getShifts: (params = {}) => api.get('/pos/shifts', { params }),
+  getCurrentShift: () => api.get('/pos/shifts/current'),
+  openShift: (data) => api.post('/pos/shifts', data),
+  recordCashMovement: (id, data) => api.post(`/pos/shifts/${id}/cash-movements`, data),
+  getShiftReport: (id) => api.get(`/pos/shifts/${id}/report`),
+  closeShift: (id, data) => api.post(`/pos/shifts/${id}/close`, data),
+};
+
 // Unified API object
 const apiService = {
   // Auth
@@ -135,6 +292,10 @@ const apiService = {
   getCompany: companyAPI.get,
   updateCompany: companyAPI.update,
   uploadCompanyLogo: companyAPI.uploadLogo,
+  getInventorySettings: companyAPI.getInventorySettings,
+  updateInventorySettings: companyAPI.updateInventorySettings,
+  getPOSSettings: companyAPI.getPOSSettings,
+  updatePOSSettings: companyAPI.updatePOSSettings,
 
   // Customers
   getCustomers: customerAPI.getAll,
@@ -150,6 +311,20 @@ const apiService = {
   updateProduct: productAPI.update,
   deleteProduct: productAPI.delete,
   getLowStockProducts: productAPI.getLowStock,
+  getNearExpiryBatches: productAPI.getNearExpiry,
+  adjustProductStock: productAPI.adjustStock,
+  getStockMovements: productAPI.getMovements,
+  getProductVariants: productAPI.getVariants,
+  createProductVariant: productAPI.createVariant,
+  generateProductVariants: productAPI.generateVariants,
+  updateProductVariant: productAPI.updateVariant,
+  deleteProductVariant: productAPI.deleteVariant,
+  getProductBatches: productAPI.getBatches,
+  updateProductBatch: productAPI.updateBatch,
+  getProductSerials: productAPI.getSerials,
+  lookupSerialNumber: productAPI.lookupSerial,
+  getStockReconciliation: productAPI.getStockReconciliation,
+  reconcileStock: productAPI.reconcileStock,
 
   // Invoices
   getInvoices: invoiceAPI.getAll,
@@ -160,6 +335,15 @@ const apiService = {
   convertQuoteToInvoice: invoiceAPI.convertToInvoice,
   sendInvoiceEmail: invoiceAPI.sendEmail,
   downloadInvoicePdf: invoiceAPI.downloadPdf,
+  getInvoiceDeliveries: invoiceAPI.getDeliveries,
+  updateInvoiceReminders: invoiceAPI.updateReminders,
+
+  // Recurring invoices
+  getRecurringInvoices: recurringInvoiceAPI.getAll,
+  getRecurringInvoice: recurringInvoiceAPI.get,
+  createRecurringInvoice: recurringInvoiceAPI.create,
+  updateRecurringInvoice: recurringInvoiceAPI.update,
+  deleteRecurringInvoice: recurringInvoiceAPI.delete,
 
   // Payments
   getPayments: paymentAPI.getAll,
@@ -176,12 +360,57 @@ const apiService = {
   deleteExpense: expenseAPI.delete,
   uploadExpenseReceipt: expenseAPI.uploadReceipt,
   getExpenseCategories: expenseAPI.getCategories,
+  getUpcomingRecurringExpenses: expenseAPI.getUpcomingRecurring,
+  updateRecurringExpense: expenseAPI.updateRecurring,
+  recordSupplierPayment: expenseAPI.recordPayment,
+  deleteSupplierPayment: expenseAPI.deletePayment,
+
+  // Suppliers
+  getSuppliers: supplierAPI.getAll,
+  getSupplier: supplierAPI.get,
+  createSupplier: supplierAPI.create,
+  updateSupplier: supplierAPI.update,
+  deleteSupplier: supplierAPI.delete,
+
+  // Purchase orders
+  getPurchaseOrders: purchaseOrderAPI.getAll,
+  getPurchaseOrder: purchaseOrderAPI.get,
+  createPurchaseOrder: purchaseOrderAPI.create,
+  updatePurchaseOrder: purchaseOrderAPI.update,
+  deletePurchaseOrder: purchaseOrderAPI.delete,
+  sendPurchaseOrder: purchaseOrderAPI.send,
+  receivePurchaseOrder: purchaseOrderAPI.receive,
+  closePurchaseOrder: purchaseOrderAPI.close,
+  cancelPurchaseOrder: purchaseOrderAPI.cancel,
+  convertPurchaseOrderToExpense: purchaseOrderAPI.convertToExpense,
+
+  // Stocktakes
+  getStocktakes: stocktakeAPI.getAll,
+  getStocktake: stocktakeAPI.get,
+  createStocktake: stocktakeAPI.create,
+  updateStocktake: stocktakeAPI.update,
+  scanStocktake: stocktakeAPI.scan,
+  setStocktakeCount: stocktakeAPI.setCount,
+  removeStocktakeLine: stocktakeAPI.removeLine,
+  postStocktake: stocktakeAPI.post,
+  cancelStocktake: stocktakeAPI.cancel,
+
+  // Promotions
+  getPromotions: promotionAPI.getAll,
+  getPromotion: promotionAPI.get,
+  createPromotion: promotionAPI.create,
+  updatePromotion: promotionAPI.update,
+  deletePromotion: promotionAPI.delete,
+  previewPromotions: promotionAPI.preview,
+  getPromotionReport: promotionAPI.getReport,
 
   // Reports
   getProfitLossReport: reportAPI.getProfitLoss,
   getSalesReport: reportAPI.getSalesReport,
   getInventoryReport: reportAPI.getInventoryReport,
+  getInventoryValuation: reportAPI.getInventoryValuation,
   getReceivablesReport: reportAPI.getReceivablesReport,
+  getPayablesReport: reportAPI.getPayablesReport,
   getDashboardStats: reportAPI.getDashboardStats,
   exportReportToPdf: reportAPI.exportToPdf,
 };
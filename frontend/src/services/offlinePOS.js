@@ -0,0 +1,156 @@
+import { posAPI } from './api';
+
+// Local copies the POS screen works from while the connection is down
+const CATALOGUE_KEY = 'pos.catalogue';
+const SHIFT_KEY = 'pos.currentShift';
+const QUEUE_KEY = 'pos.saleQueue';
+
+// Fired on window whenever the sale queue changes
+export const QUEUE_EVENT = 'pos-queue-changed';
+
+// No response at all: the register is offline or the server unreachable
+export const isOfflineError = (error) => !error.response;
+
+const read = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+const writeQueue = (queue) => {
+  write(QUEUE_KEY, queue);
+  window.dispatchEvent(new Event(QUEUE_EVENT));
+};
+
+// The sync in progress, if any; a second request to sync waits on it
+let syncing = null;
+
+const newClientSaleId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+const offlinePOS = {
+  // Product catalogue and prices, refreshed whenever the POS is online
+  refreshCatalogue: async () => {
+    const response = await posAPI.getProducts({ inStock: 'false', limit: 5000 });
+    const products = response.data?.data?.products || [];
+    write(CATALOGUE_KEY, { savedAt: new Date().toISOString(), products });
+    return products;
+  },
+
+  getCatalogue: () => read(CATALOGUE_KEY, { savedAt: null, products: [] }),
+
+  searchCatalogue: ({ search, category } = {}) => {
+    const term = (search || '').toLowerCase();
+    return offlinePOS.getCatalogue().products.filter(product =>
+      (!category || product.category === category) &&
+      (!term || [product.name, product.sku, product.barcode].some(value => value && value.toLowerCase().includes(term)))
+    );
+  },
+
+  // The cashier's open shift, kept so sales can still be rung up offline
+  // after a reload
+  getCurrentShift: async () => {
+    try {
+      const response = await posAPI.getCurrentShift();
+      write(SHIFT_KEY, response.data?.data || null);
+      return response;
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+      return { data: { success: true, data: read(SHIFT_KEY, null) } };
+    }
+  },
+
+  getQueue: () => read(QUEUE_KEY, []),
+
+  /**
+   * Send a sale, or queue it when there is no connection. The sale gets its
+   * clientSaleId before the first attempt, so a request that reached the
+   * server but lost its response is not recorded twice when it syncs.
+   * A queued sale keeps the shift and cashier it was rung up under, so it
+   * lands in that shift's takings whenever and by whoever it is synced.
+   */
+  submitSale: async (saleData) => {
+    const sale = { ...saleData, clientSaleId: newClientSaleId() };
+    try {
+      const response = await posAPI.createSale(sale);
+      return { queued: false, response };
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+
+      const shift = read(SHIFT_KEY, null);
+      const entry = {
+        ...sale,
+        offline: true,
+        soldAt: new Date().toISOString(),
+        shiftId: shift?.id,
+        cashierId: shift?.cashierId,
+        syncStatus: 'pending'
+      };
+      writeQueue([...offlinePOS.getQueue(), entry]);
+      return { queued: true, sale: entry };
+    }
+  },
+
+  /**
+   * Send queued sales in the order they were rung up. Stops at the first
+   * sale that cannot reach the server; a sale the server refuses is kept,
+   * marked failed, for the cashier to retry or discard.
+   * Returns { synced, failed: [{ sale, error }], conflicts: [{ sale, conflicts }] }.
+   */
+  syncQueue: () => {
+    if (!syncing) {
+      syncing = offlinePOS.sendQueue().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  },
+
+  sendQueue: async () => {
+    const results = { synced: 0, failed: [], conflicts: [] };
+
+    for (const entry of offlinePOS.getQueue().filter(queued => queued.syncStatus === 'pending')) {
+      const { syncStatus, syncError, ...sale } = entry;
+      try {
+        const response = await posAPI.createSale(sale);
+        results.synced++;
+        if (response.data?.conflicts?.length > 0) {
+          results.conflicts.push({ sale: response.data.data, conflicts: response.data.conflicts });
+        }
+        writeQueue(offlinePOS.getQueue().filter(queued => queued.clientSaleId !== entry.clientSaleId));
+      } catch (error) {
+        if (isOfflineError(error)) break;
+
+        const message = error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Sale could not be synced';
+        writeQueue(offlinePOS.getQueue().map(queued => (
+          queued.clientSaleId === entry.clientSaleId ? { ...queued, syncStatus: 'failed', syncError: message } : queued
+        )));
+        results.failed.push({ sale: entry, error: message });
+      }
+    }
+
+    return results;
+  },
+
+  retrySale: (clientSaleId) => {
+    writeQueue(offlinePOS.getQueue().map(queued => (
+      queued.clientSaleId === clientSaleId ? { ...queued, syncStatus: 'pending', syncError: undefined } : queued
+    )));
+  },
+
+  discardSale: (clientSaleId) => {
+    writeQueue(offlinePOS.getQueue().filter(queued => queued.clientSaleId !== clientSaleId));
+  }
+};
+
+export default offlinePOS;